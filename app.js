@@ -3,7 +3,11 @@ const express = require('express');
 const cors = require('cors');
 const doctorAuthMiddleware = require('./src/middleware/doctorAuthMiddleware');
 const assistantAuthMiddleware = require('./src/middleware/assistantAuthMiddleware');
+const adminAuthMiddleware = require('./src/middleware/adminAuthMiddleware');
 const { logRequest, logResponse } = require('./src/middleware/requestLogger');
+const { startTranscriptionWorker } = require('./src/utils/transcriptionJobQueue');
+const { startUploadSweep } = require('./src/utils/chunkedAudioUpload');
+const { startMedicinePrefixIndex } = require('./src/utils/medicinePrefixIndex');
 
 const app = express();
 
@@ -17,8 +21,18 @@ app.use(logResponse);
 
 app.use('/api/v1/doctor', doctorAuthMiddleware.verifyDoctorJWT);
 app.use('/api/v1/assistant', assistantAuthMiddleware.verifyAssistantJWT);
+app.use('/api/admin', adminAuthMiddleware.verifyAdminKey);
 
 require('./src/routes/routes')(app);
 
 const PORT = process.env.PORT || 6600;
 app.listen(PORT, '0.0.0.0', () => console.log(`Server running on port ${PORT}`));
+
+// Background worker for asynchronous transcription jobs
+startTranscriptionWorker();
+
+// Remove spool files of chunked uploads that expired without completing
+startUploadSweep();
+
+// In-memory index for medicine typeahead, rebuilt periodically
+startMedicinePrefixIndex();
@@ -3,8 +3,8 @@ module.exports = {
         {
             name: "b_ruby_ai_app",        // Name shown in PM2 list
             script: "app.js",           // Your main entry file
-            instances: 1,                  // Or 'max' to use all cores
-            exec_mode: "fork",             // Or 'cluster' for load balancing
+            instances: 1,                  // Must stay 1: transcription audio is spooled locally (see app.yaml)
+            exec_mode: "fork",
             watch: false,                  // Change to true for dev mode
             env: {
                 NODE_ENV: "development"
@@ -0,0 +1,147 @@
+const STATUS = require('../../utils/constants').STATUS;
+const customMedicineService = require('../doctor/customMedicineService');
+const medicineCache = require('../../utils/medicineCache');
+const { refreshIndex } = require('../../utils/medicinePrefixIndex');
+
+/**
+ * Custom Medicine Review Controller - Review queue for doctor-registered custom medicines
+ * Promoting adds the medicine to medicine_db med_details (or links an existing med_id);
+ * rejecting keeps it private to the clinic that registered it.
+ * All routes are protected by adminAuthMiddleware
+ */
+
+/**
+ * Parse the custom medicine ID route param; sets a failure on res.locals when invalid
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {number|null} Custom medicine ID or null when invalid
+ */
+function parseCustomMedicineId(req, res) {
+    const customMedicineId = parseInt(req.params.customMedicineId);
+    if (isNaN(customMedicineId)) {
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Valid custom medicine ID is required'
+        };
+        return null;
+    }
+    return customMedicineId;
+}
+
+/**
+ * Custom medicines by review status, oldest first
+ * GET /api/admin/custom-medicines?status=pending&limit=50&offset=0
+ */
+exports.listReviewQueue = async (req, res, next) => {
+    try {
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+        const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+
+        if (isNaN(limit) || limit < 1 || limit > 200 || isNaN(offset) || offset < 0) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'limit must be between 1 and 200 and offset 0 or more'
+            };
+            return next();
+        }
+
+        const result = await customMedicineService.listReviewQueue({
+            status: req.query.status || 'pending',
+            limit,
+            offset
+        });
+
+        res.locals = {
+            status: result.status,
+            message: result.message,
+            data: result.data
+        };
+        next();
+
+    } catch (error) {
+        console.error('Error in listReviewQueue:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Failed to fetch custom medicine review queue'
+        };
+        next();
+    }
+};
+
+/**
+ * Promote a custom medicine into the catalogue
+ * POST /api/admin/custom-medicines/:customMedicineId/promote
+ * Body: { med_id?, brand_name?, manufacturer_name?, med_type?, pack_size?, price?, reactivate?, review_note? }
+ *   med_id links an existing catalogue medicine instead of adding one; the other
+ *   fields override the doctor's values in the new med_details row. A catalogue medicine
+ *   with the same brand + manufacturer that was deactivated is refused unless
+ *   reactivate is true.
+ *
+ * Prescriptions of the custom medicine get its med_id as drug_id. Cached searches are
+ * invalidated and the typeahead index rebuilt so the catalogue entry is found.
+ */
+exports.promoteCustomMedicine = async (req, res, next) => {
+    try {
+        const customMedicineId = parseCustomMedicineId(req, res);
+        if (customMedicineId === null) return next();
+
+        const result = await customMedicineService.promoteCustomMedicine(customMedicineId, req.body || {});
+
+        if (result.status === STATUS.SUCCESS) {
+            result.data.cacheInvalidated = await Promise.all(
+                ['search', 'fuzzy'].map(namespace => medicineCache.invalidate({ namespace }))
+            )
+                .then(() => true)
+                .catch(error => {
+                    console.error('Failed to invalidate medicine cache after promotion:', error.message);
+                    return false;
+                });
+            // Not awaited: the rebuild reads the whole catalogue and logs its own failures
+            refreshIndex();
+        }
+
+        res.locals = {
+            status: result.status,
+            message: result.message,
+            data: result.data
+        };
+        next();
+
+    } catch (error) {
+        console.error('Error in promoteCustomMedicine:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Failed to promote custom medicine'
+        };
+        next();
+    }
+};
+
+/**
+ * Reject a custom medicine; the doctor sees the note and can edit and resubmit it
+ * POST /api/admin/custom-medicines/:customMedicineId/reject
+ * Body: { review_note? }
+ */
+exports.rejectCustomMedicine = async (req, res, next) => {
+    try {
+        const customMedicineId = parseCustomMedicineId(req, res);
+        if (customMedicineId === null) return next();
+
+        const result = await customMedicineService.rejectCustomMedicine(customMedicineId, req.body?.review_note);
+
+        res.locals = {
+            status: result.status,
+            message: result.message,
+            data: result.data
+        };
+        next();
+
+    } catch (error) {
+        console.error('Error in rejectCustomMedicine:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Failed to reject custom medicine'
+        };
+        next();
+    }
+};
@@ -0,0 +1,70 @@
+const STATUS = require('../../utils/constants').STATUS;
+const medicineCache = require('../../utils/medicineCache');
+
+/**
+ * Medicine Cache Controller - Status and invalidation of the medicine lookup cache
+ * All routes are protected by adminAuthMiddleware
+ */
+
+/**
+ * Cache configuration and hit / miss counters for this process
+ * GET /api/admin/medicine-cache
+ */
+exports.getCacheStatus = async (req, res, next) => {
+    res.locals = {
+        status: STATUS.SUCCESS,
+        data: medicineCache.getCacheStatus()
+    };
+    next();
+};
+
+/**
+ * Remove cached medicine lookups, e.g. after the medicine catalogue is refreshed
+ * POST /api/admin/medicine-cache/invalidate
+ * Body: { namespace?: "fuzzy" | "search" | "detail", medicineId? }
+ * With neither, every cached lookup is removed.
+ */
+exports.invalidateCache = async (req, res, next) => {
+    try {
+        const { namespace, medicineId } = req.body || {};
+
+        if (namespace !== undefined && !medicineCache.NAMESPACES.includes(namespace)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: `namespace must be one of: ${medicineCache.NAMESPACES.join(', ')}`
+            };
+            return next();
+        }
+
+        const parsedMedicineId = medicineId !== undefined ? parseInt(medicineId) : null;
+        if (medicineId !== undefined && (isNaN(parsedMedicineId) || parsedMedicineId < 1)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'medicineId must be a positive integer'
+            };
+            return next();
+        }
+
+        const result = await medicineCache.invalidate({
+            namespace: namespace || null,
+            medicineId: parsedMedicineId
+        });
+
+        res.locals = {
+            status: STATUS.SUCCESS,
+            message: `${result.deleted} cached lookup(s) removed`,
+            data: result
+        };
+        next();
+
+    } catch (error) {
+        console.error('Error in invalidateCache:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: error.message === 'Redis not connected'
+                ? 'Cache is unavailable: Redis not connected'
+                : 'Failed to invalidate medicine cache'
+        };
+        next();
+    }
+};
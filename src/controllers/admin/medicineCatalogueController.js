@@ -0,0 +1,115 @@
+const multer = require('multer');
+const STATUS = require('../../utils/constants').STATUS;
+const medicineCatalogueFile = require('../../utils/medicineCatalogueFile');
+const medicineCatalogueService = require('./medicineCatalogueService');
+const medicineCache = require('../../utils/medicineCache');
+const { refreshIndex } = require('../../utils/medicinePrefixIndex');
+
+/**
+ * Medicine Catalogue Controller - Import catalogue files into medicine_db med_details
+ * The same import runs from the command line: src/scripts/importMedicineCatalogue.js
+ * All routes are protected by adminAuthMiddleware
+ */
+
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+// Entries listed per report section in the response
+const REPORT_LIMIT = 500;
+
+exports.upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_UPLOAD_BYTES
+    },
+    fileFilter: (req, file, cb) => {
+        if (medicineCatalogueFile.getCatalogueFormat(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only .csv or .json catalogue files are allowed'), false);
+        }
+    }
+});
+
+// Multer error handling middleware
+exports.handleMulterError = (error, req, res, next) => {
+    res.locals.status = STATUS.FAILURE;
+    if (error instanceof multer.MulterError) {
+        res.locals.message = error.code === 'LIMIT_FILE_SIZE'
+            ? `File too large. Maximum size is ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB.`
+            : `Upload error: ${error.message}`;
+    } else {
+        res.locals.message = error.message || 'File upload failed';
+    }
+    next();
+};
+
+/**
+ * Import a medicine catalogue file and report what changed
+ * POST /api/admin/medicine-catalogue/import
+ * Multipart: file (.csv / .json) [required], dryRun? (default false),
+ * deactivateMissing? (default true; also covers duplicate brand + manufacturer rows),
+ * force? (default false)
+ *
+ * After an import, cached medicine lookups are invalidated and the typeahead index rebuilt.
+ */
+exports.importCatalogue = async (req, res, next) => {
+    try {
+        // Upload errors have already set the response
+        if (res.locals.status === STATUS.FAILURE) return next();
+
+        if (!req.file) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Catalogue file is required (multipart field "file")'
+            };
+            return next();
+        }
+
+        let file;
+        try {
+            file = medicineCatalogueFile.parseCatalogueFile(
+                req.file.buffer,
+                medicineCatalogueFile.getCatalogueFormat(req.file.originalname)
+            );
+        } catch (parseError) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: `Could not read the catalogue file: ${parseError.message}`
+            };
+            return next();
+        }
+
+        const result = await medicineCatalogueService.importCatalogue(file, {
+            dryRun: req.body?.dryRun === 'true',
+            deactivateMissing: req.body?.deactivateMissing !== 'false',
+            force: req.body?.force === 'true',
+            reportLimit: REPORT_LIMIT
+        });
+
+        if (result.status === STATUS.SUCCESS && result.data.applied) {
+            result.data.cacheInvalidated = await medicineCache.invalidate()
+                .then(() => true)
+                .catch(error => {
+                    console.error('Failed to invalidate medicine cache after import:', error.message);
+                    return false;
+                });
+            // Not awaited: the rebuild reads the whole catalogue and logs its own failures
+            refreshIndex();
+        }
+
+        res.locals = {
+            status: result.status,
+            message: result.message,
+            data: result.data || (result.errors ? { errors: result.errors } : undefined)
+        };
+        next();
+
+    } catch (error) {
+        console.error('Error in importCatalogue:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Failed to import medicine catalogue'
+        };
+        next();
+    }
+};
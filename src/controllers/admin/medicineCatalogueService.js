@@ -0,0 +1,289 @@
+const { medicinePool } = require('../../config/multiDbConnection');
+const STATUS = require('../../utils/constants').STATUS;
+const {
+    CATALOGUE_FIELDS,
+    getCatalogueKey,
+    validateCatalogueRows
+} = require('../../utils/medicineCatalogueFile');
+
+/**
+ * Medicine Catalogue Service - Sync medicine_db med_details with a catalogue file
+ *
+ * Rows are matched on brand + manufacturer (case and spacing ignored):
+ * - added: not in med_details, inserted active
+ * - changed: a column present in the file differs, or the medicine was deactivated
+ * - removed: active in med_details but missing from the file, soft-deactivated
+ *   (is_deactivated = 1) unless deactivateMissing is off
+ * - duplicates: further active rows with the same brand + manufacturer as the row the
+ *   file is matched to (lowest active med_id); always reported, and deactivated along
+ *   with removed medicines so the file's values are the only ones left active
+ * The whole sync runs in one transaction. A dry run only returns the diff report.
+ */
+
+// Share of active medicines a sync may deactivate without force (guards against partial files)
+const MAX_DEACTIVATION_SHARE = 0.25;
+
+// Rows per INSERT statement
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Whether a med_details value equals the file's value
+ * @param {string} field - Column
+ * @param {any} current - Value in med_details
+ * @param {any} incoming - Validated value from the file
+ * @returns {boolean}
+ */
+function isSameValue(field, current, incoming) {
+    if (current === null || current === undefined) return incoming === null;
+    if (incoming === null) return false;
+    if (CATALOGUE_FIELDS[field].type === 'text') {
+        return String(current).replace(/\s+/g, ' ').trim() === incoming;
+    }
+    return Number(current) === incoming;
+}
+
+/**
+ * Active med_details rows keyed by brand + manufacturer
+ * The lowest med_id that is not deactivated represents a key; the other rows of the key
+ * that are not deactivated are returned as duplicates.
+ * @param {Array<string>} fields - Columns to read
+ * @returns {Promise<Object>} { catalogue: Map key -> row, duplicates: Array<{ key, row }> }
+ */
+async function loadCatalogue(fields) {
+    const { rows } = await medicinePool.query(`
+        SELECT med_id, is_deactivated, ${fields.join(', ')}
+        FROM med_details
+        WHERE is_active = 1
+        ORDER BY is_deactivated, med_id
+    `);
+
+    const catalogue = new Map();
+    const duplicates = [];
+    for (const row of rows) {
+        const key = getCatalogueKey(row.med_brand_name, row.med_manufacturer_name);
+        if (!catalogue.has(key)) {
+            catalogue.set(key, row);
+        } else if (!row.is_deactivated) {
+            duplicates.push({ key, row });
+        }
+    }
+    return { catalogue, duplicates };
+}
+
+/**
+ * Compare the file with med_details
+ * @param {Object} current - Result of loadCatalogue: { catalogue, duplicates }
+ * @param {Map} medicines - Validated rows from validateCatalogueRows
+ * @param {Array<string>} fields - Columns present in the file
+ * @returns {Object} { added, changed, removed, duplicates, unchanged, activeCount }
+ */
+function planSync({ catalogue, duplicates }, medicines, fields) {
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    for (const [key, { row, values }] of medicines) {
+        const current = catalogue.get(key);
+        if (!current) {
+            added.push({ row, values });
+            continue;
+        }
+
+        const changes = {};
+        for (const field of fields) {
+            if (!isSameValue(field, current[field], values[field])) {
+                changes[field] = { from: current[field], to: values[field] };
+            }
+        }
+        if (current.is_deactivated) {
+            changes.is_deactivated = { from: current.is_deactivated, to: 0 };
+        }
+
+        if (Object.keys(changes).length > 0) {
+            changed.push({ med_id: current.med_id, row, values, changes });
+        } else {
+            unchanged++;
+        }
+    }
+
+    const active = [...catalogue.entries()].filter(([, current]) => !current.is_deactivated);
+    const removed = active
+        .filter(([key]) => !medicines.has(key))
+        .map(([, current]) => ({
+            med_id: current.med_id,
+            med_brand_name: current.med_brand_name,
+            med_manufacturer_name: current.med_manufacturer_name
+        }));
+
+    const duplicateRows = duplicates.map(({ key, row }) => ({
+        med_id: row.med_id,
+        med_brand_name: row.med_brand_name,
+        med_manufacturer_name: row.med_manufacturer_name,
+        duplicate_of: catalogue.get(key).med_id,
+        in_file: medicines.has(key)
+    }));
+
+    return { added, changed, removed, duplicates: duplicateRows, unchanged, activeCount: active.length };
+}
+
+/**
+ * Write the planned changes in one transaction
+ * @param {Object} plan - Result of planSync
+ * @param {Array<string>} fields - Columns present in the file
+ * @param {boolean} deactivateMissing - Deactivate the removed medicines and duplicates
+ */
+async function applySync(plan, fields, deactivateMissing) {
+    let client;
+    try {
+        client = await medicinePool.connect();
+        await client.query('BEGIN');
+
+        for (let start = 0; start < plan.added.length; start += INSERT_BATCH_SIZE) {
+            const batch = plan.added.slice(start, start + INSERT_BATCH_SIZE);
+            const params = [];
+            const tuples = batch.map(({ values }) => {
+                const placeholders = fields.map(field => {
+                    params.push(values[field]);
+                    return `$${params.length}`;
+                });
+                return `(${placeholders.join(', ')}, 1, 0)`;
+            });
+
+            await client.query(`
+                INSERT INTO med_details (${fields.join(', ')}, is_active, is_deactivated)
+                VALUES ${tuples.join(', ')}
+            `, params);
+        }
+
+        for (const { med_id: medId, values, changes } of plan.changed) {
+            const changedFields = fields.filter(field => changes[field]);
+            const assignments = changedFields.map((field, i) => `${field} = $${i + 2}`);
+
+            await client.query(`
+                UPDATE med_details
+                SET ${[...assignments, 'is_deactivated = 0'].join(', ')}
+                WHERE med_id = $1
+            `, [medId, ...changedFields.map(field => values[field])]);
+        }
+
+        const deactivated = [...plan.removed, ...plan.duplicates];
+        if (deactivateMissing && deactivated.length > 0) {
+            await client.query(`
+                UPDATE med_details
+                SET is_deactivated = 1
+                WHERE med_id = ANY($1::int[])
+            `, [deactivated.map(medicine => medicine.med_id)]);
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        if (client) client.release();
+    }
+}
+
+/**
+ * Diff report of a sync
+ * @param {Object} plan - Result of planSync
+ * @param {number} rowCount - Rows in the file
+ * @param {boolean} deactivateMissing - Whether removed medicines and duplicates are deactivated
+ * @param {number|null} limit - Entries listed per section (null for all)
+ * @returns {Object} { summary, added, changed, removed, duplicates, truncated }
+ */
+function buildReport(plan, rowCount, deactivateMissing, limit) {
+    const list = entries => (limit === null ? entries : entries.slice(0, limit));
+    const describe = ({ row, values }) => ({
+        row,
+        med_brand_name: values.med_brand_name,
+        med_manufacturer_name: values.med_manufacturer_name
+    });
+
+    return {
+        summary: {
+            rows: rowCount,
+            added: plan.added.length,
+            changed: plan.changed.length,
+            removed: deactivateMissing ? plan.removed.length : 0,
+            missing_kept_active: deactivateMissing ? 0 : plan.removed.length,
+            duplicates_deactivated: deactivateMissing ? plan.duplicates.length : 0,
+            duplicates_kept_active: deactivateMissing ? 0 : plan.duplicates.length,
+            unchanged: plan.unchanged
+        },
+        added: list(plan.added).map(describe),
+        changed: list(plan.changed).map(entry => ({
+            med_id: entry.med_id,
+            ...describe(entry),
+            changes: entry.changes
+        })),
+        removed: deactivateMissing ? list(plan.removed) : [],
+        duplicates: list(plan.duplicates),
+        truncated: limit !== null
+            && [plan.added, plan.changed, plan.removed, plan.duplicates].some(entries => entries.length > limit)
+    };
+}
+
+/**
+ * Import a parsed catalogue file into med_details
+ * @param {Object} file - Result of parseCatalogueFile: { rows, columns, firstRowNumber }
+ * @param {Object} options - { dryRun = false, deactivateMissing = true, force = false, reportLimit = null }
+ *   force allows deactivating more than MAX_DEACTIVATION_SHARE of the active medicines
+ * @returns {Object} - { status, data: { dryRun, applied, report } } or { status, message, errors }
+ */
+exports.importCatalogue = async function (file, options = {}) {
+    const {
+        dryRun = false,
+        deactivateMissing = true,
+        force = false,
+        reportLimit = null
+    } = options;
+
+    const { medicines, fields, errors, errorCount } = validateCatalogueRows(file.rows, file.columns, file.firstRowNumber);
+    if (errorCount > 0) {
+        return {
+            status: STATUS.FAILURE,
+            message: `Catalogue file has ${errorCount} error(s); nothing was imported`,
+            errors
+        };
+    }
+
+    try {
+        const plan = planSync(await loadCatalogue(fields), medicines, fields);
+
+        const deactivationLimit = Math.floor(plan.activeCount * MAX_DEACTIVATION_SHARE);
+        if (deactivateMissing && !force && plan.removed.length > deactivationLimit) {
+            return {
+                status: STATUS.FAILURE,
+                message: `The file would deactivate ${plan.removed.length} of ${plan.activeCount} active medicines. `
+                    + 'Check that it is the full catalogue, or import with force (or without deactivating missing medicines).'
+            };
+        }
+
+        if (!dryRun) {
+            await applySync(plan, fields, deactivateMissing);
+        }
+
+        const report = buildReport(plan, file.rows.length, deactivateMissing, reportLimit);
+        console.log(`📦 Medicine catalogue ${dryRun ? 'dry run' : 'import'}: ${report.summary.added} added, `
+            + `${report.summary.changed} changed, ${report.summary.removed} removed, `
+            + `${plan.duplicates.length} duplicate(s) ${deactivateMissing ? 'deactivated' : 'kept active'}, ${report.summary.unchanged} unchanged`);
+
+        return {
+            status: STATUS.SUCCESS,
+            message: dryRun ? 'Catalogue compared (dry run, nothing changed)' : 'Catalogue imported',
+            data: {
+                dryRun,
+                applied: !dryRun,
+                report
+            }
+        };
+    } catch (error) {
+        console.error('Error importing medicine catalogue:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to import medicine catalogue',
+            error: error.message
+        };
+    }
+};
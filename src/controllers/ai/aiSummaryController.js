@@ -1,20 +1,38 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const STATUS = require('../../utils/constants').STATUS;
 const pool = require('../../config/dbConnection');
+const {
+    SOAP_RESPONSE_SCHEMA,
+    MEDICATION_LIST_SCHEMA,
+    normalizeMedications,
+    parseSOAPResponse,
+    validateSOAPNote,
+    renderSOAPText
+} = require('../../utils/soapNote');
+const { batchFuzzySearch, buildCompositionString } = require('../../utils/fuzzyMedicineMatcher');
+const consultationTranscriptService = require('../transcription/consultationTranscriptService');
+const aiProviders = require('../../utils/aiProviders');
+const promptTemplates = require('../../utils/promptTemplates');
+const doctorService = require('../doctor/doctorService');
+const aiUsageMeter = require('../../utils/aiUsageMeter');
+const patientContextService = require('./patientContextService');
 
 /**
  * AI Summary Controller - Handles AI-powered summarization
- * Uses Google Gemini AI to convert transcription to SOAP format
+ * Converts transcription to SOAP format through the AI provider layer (Gemini, Groq fallback)
  */
 
 /**
  * Convert transcription text to SOAP format
  * POST /api/ai/transcription-to-soap
- * Body: { transcription: string, patientContext?: object, appointmentId?: number, patientId?: number }
+ * Body: { transcription: string, patientContext?: object, appointmentId?: number, patientId?: number,
+ *         templateKey?: string, templateVersion?: number }
+ * The prompt template defaults to the doctor's preference, then their specialization.
+ * With an appointmentId, the patient's age, recorded vitals, earlier visits and current
+ * medicines are looked up and added to the prompt; patientContext fields override them.
  */
 exports.transcriptionToSOAP = async (req, res, next) => {
     try {
-        const { transcription, patientContext, appointmentId, patientId } = req.body;
+        const { transcription, patientContext, appointmentId, patientId, templateKey, templateVersion } = req.body;
         const doctorId = req.doctor.doctorId;
 
         // Validate input
@@ -29,124 +47,149 @@ exports.transcriptionToSOAP = async (req, res, next) => {
         console.log(`Doctor ${doctorId} requesting SOAP summary for transcription of ${transcription.length} characters`);
         console.log(`📋 SOAP request - Appointment: ${appointmentId}, Patient: ${patientId}`);
 
-        // Get Gemini API key from environment
-        const geminiApiKey = process.env.GEMINI_API_KEY;
-        if (!geminiApiKey) {
-            console.error('GEMINI_API_KEY not found in environment variables');
+        const { template, error: templateError } = await doctorService.resolvePromptTemplate(req.doctor, { templateKey, templateVersion });
+        if (templateError) {
             res.locals = {
                 status: STATUS.FAILURE,
-                message: 'AI service configuration error'
+                message: templateError
             };
             return next();
         }
 
-        // Prepare the prompt for Gemini
-        const prompt = buildSOAPPrompt(transcription, patientContext);
-
-        // Call Gemini API
-        const geminiResponse = await callGeminiAPI(geminiApiKey, prompt);
-
-        if (geminiResponse.success) {
-            const soapSummary = geminiResponse.soap;
-            let appointmentDetailId = null;
-
-            // Save SOAP summary to database if appointment_id and patient_id are provided
-            if (appointmentId && patientId && doctorId) {
-                try {
-                    console.log('💾 Saving SOAP summary to database...');
-
-                    // Check if dr_appointment_details record already exists for this appointment
-                    const checkDetailsQuery = `
-                        SELECT appointment_detail_id, prescription_id
-                        FROM dr_appointment_details
-                        WHERE appointment_id = $1 AND patient_id = $2 AND dr_id = $3 AND is_active = 1
-                    `;
-                    const checkDetailsResult = await pool.query(checkDetailsQuery, [appointmentId, patientId, doctorId]);
-
-                    if (checkDetailsResult.rows.length > 0) {
-                        // Update existing record
-                        const existingRecord = checkDetailsResult.rows[0];
-                        appointmentDetailId = existingRecord.appointment_detail_id;
-
-                        const updateQuery = `
-                            UPDATE dr_appointment_details
-                            SET appointment_summary = $1,
-                                updated_at = CURRENT_TIMESTAMP,
-                                updated_by = $2
-                            WHERE appointment_detail_id = $3
-                            RETURNING appointment_detail_id
-                        `;
-
-                        await pool.query(updateQuery, [soapSummary, doctorId, appointmentDetailId]);
-                        console.log(`✅ Updated SOAP summary in appointment_details (ID: ${appointmentDetailId})`);
-                    } else {
-                        // Create new prescription for new record
-                        console.log('Creating new prescription record...');
-                        const createPrescriptionQuery = `
-                            INSERT INTO patient_prescription
-                            (patient_id, created_by, updated_by, created_at, updated_at, is_active)
-                            VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)
-                            RETURNING prescription_id
-                        `;
-                        const newPrescription = await pool.query(createPrescriptionQuery, [
-                            patientId,
-                            doctorId,
-                            doctorId
-                        ]);
-                        const prescriptionId = newPrescription.rows[0].prescription_id;
-                        console.log(`✅ Created prescription (ID: ${prescriptionId})`);
-
-                        // Insert new record
-                        const insertQuery = `
-                            INSERT INTO dr_appointment_details
-                            (appointment_id, patient_id, dr_id, prescription_id, appointment_summary, created_by, updated_by, created_at, updated_at, is_active)
-                            VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)
-                            RETURNING appointment_detail_id
-                        `;
-
-                        const result = await pool.query(insertQuery, [
-                            appointmentId,
-                            patientId,
-                            doctorId,
-                            prescriptionId,
-                            soapSummary,
-                            doctorId,
-                            doctorId
-                        ]);
-
-                        appointmentDetailId = result.rows[0].appointment_detail_id;
-                        console.log(`✅ Created appointment_details with SOAP summary (ID: ${appointmentDetailId})`);
-                    }
-
-                } catch (dbError) {
-                    console.error('❌ Database error while saving SOAP summary:', dbError);
-                    // Don't fail the whole request, just log the error
-                }
-            } else {
-                console.log('⚠️  Skipping database save - missing appointment_id, patient_id, or doctor_id');
-            }
+        const context = await resolvePatientContext(appointmentId, doctorId, patientContext);
+        const generated = await generateSOAPNote(transcription, context, template, {
+            doctorId,
+            operation: aiUsageMeter.OPERATIONS.SOAP_GENERATION
+        });
 
+        if (!generated.success) {
             res.locals = {
-                status: STATUS.SUCCESS,
-                data: {
-                    soap: soapSummary,
-                    originalTranscription: transcription,
-                    generatedAt: new Date().toISOString(),
-                    appointmentDetailId: appointmentDetailId,
-                    saved: appointmentDetailId !== null
-                },
-                message: 'SOAP summary generated successfully'
+                status: STATUS.FAILURE,
+                message: generated.message
             };
+            return next();
+        }
+
+        let appointmentDetailId = null;
+
+        // Save SOAP summary to database if appointment_id and patient_id are provided
+        if (appointmentId && patientId && doctorId) {
+            appointmentDetailId = await saveSOAPSummary(generated, appointmentId, patientId, doctorId, null);
         } else {
+            console.log('⚠️  Skipping database save - missing appointment_id, patient_id, or doctor_id');
+        }
+
+        res.locals = {
+            status: STATUS.SUCCESS,
+            data: {
+                soap: generated.soapSummary,
+                soapNote: generated.soapNote,
+                validationWarnings: generated.warnings,
+                promptTemplate: generated.promptTemplate,
+                patientContext: describePatientContext(context),
+                originalTranscription: transcription,
+                generatedAt: new Date().toISOString(),
+                appointmentDetailId: appointmentDetailId,
+                saved: appointmentDetailId !== null
+            },
+            message: 'SOAP summary generated successfully'
+        };
+        next();
+
+    } catch (err) {
+        console.error('Error in transcriptionToSOAP:', err);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: err.message || 'An error occurred while processing the request'
+        };
+        next();
+    }
+};
+
+/**
+ * Regenerate the SOAP note from a saved (possibly corrected) transcript
+ * POST /api/v1/doctor/transcripts/:transcriptId/soap
+ * Body: { patientContext?: object, templateKey?: string, templateVersion?: number }
+ */
+exports.savedTranscriptToSOAP = async (req, res, next) => {
+    try {
+        const transcriptId = parseInt(req.params.transcriptId);
+        const doctorId = req.doctor.doctorId;
+
+        if (isNaN(transcriptId)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Valid transcript ID is required'
+            };
+            return next();
+        }
+
+        const transcriptResult = await consultationTranscriptService.getTranscript(transcriptId, doctorId);
+        if (transcriptResult.status !== STATUS.SUCCESS) {
             res.locals = {
                 status: STATUS.FAILURE,
-                message: geminiResponse.error || 'Failed to generate SOAP summary'
+                message: transcriptResult.message
             };
+            return next();
         }
+
+        const transcript = transcriptResult.data;
+        console.log(`📋 SOAP regeneration - Transcript: ${transcriptId} (v${transcript.version}), Appointment: ${transcript.appointment_id}`);
+
+        const { template, error: templateError } = await doctorService.resolvePromptTemplate(req.doctor, {
+            templateKey: req.body?.templateKey,
+            templateVersion: req.body?.templateVersion
+        });
+        if (templateError) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: templateError
+            };
+            return next();
+        }
+
+        const context = await resolvePatientContext(transcript.appointment_id, doctorId, req.body?.patientContext);
+        const generated = await generateSOAPNote(transcript.transcript_text, context, template, {
+            doctorId,
+            operation: aiUsageMeter.OPERATIONS.SOAP_GENERATION
+        });
+
+        if (!generated.success) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: generated.message
+            };
+            return next();
+        }
+
+        const appointmentDetailId = await saveSOAPSummary(
+            generated,
+            transcript.appointment_id,
+            transcript.patient_id,
+            doctorId,
+            transcript.transcript_id
+        );
+
+        res.locals = {
+            status: STATUS.SUCCESS,
+            data: {
+                soap: generated.soapSummary,
+                soapNote: generated.soapNote,
+                validationWarnings: generated.warnings,
+                promptTemplate: generated.promptTemplate,
+                patientContext: describePatientContext(context),
+                transcriptId: transcript.transcript_id,
+                transcriptVersion: transcript.version,
+                generatedAt: new Date().toISOString(),
+                appointmentDetailId: appointmentDetailId,
+                saved: appointmentDetailId !== null
+            },
+            message: 'SOAP summary regenerated from saved transcript'
+        };
         next();
 
     } catch (err) {
-        console.error('Error in transcriptionToSOAP:', err);
+        console.error('Error in savedTranscriptToSOAP:', err);
         res.locals = {
             status: STATUS.FAILURE,
             message: err.message || 'An error occurred while processing the request'
@@ -156,133 +199,521 @@ exports.transcriptionToSOAP = async (req, res, next) => {
 };
 
 /**
- * Build SOAP format prompt for Gemini AI
+ * Extract prescribed medicines from the SOAP note / transcript and resolve them against medicine_db
+ * POST /api/v1/doctor/appointments/:appointmentId/medicines/extract
+ * Body: { transcription?: string, soapText?: string, minSimilarity?: number }
+ *
+ * Uses the stored structured SOAP plan when available; otherwise extracts medicines
+ * with the AI provider from the supplied text (or the stored summary / transcription).
+ * Returns draft patient_medicine rows for the doctor to confirm via
+ * POST /api/appointments/:appointmentId/medicines/bulk
+ */
+exports.extractMedicinesFromSOAP = async (req, res, next) => {
+    try {
+        const { appointmentId } = req.params;
+        const { transcription, soapText, minSimilarity = 0.7 } = req.body;
+        const doctorId = req.doctor.doctorId;
+
+        if (!appointmentId || isNaN(appointmentId)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Valid appointment ID is required'
+            };
+            return next();
+        }
+
+        const parsedMinSimilarity = parseFloat(minSimilarity);
+        if (isNaN(parsedMinSimilarity) || parsedMinSimilarity < 0 || parsedMinSimilarity > 1) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'minSimilarity must be between 0 and 1'
+            };
+            return next();
+        }
+
+        console.log(`💊 Medicine extraction request - Appointment: ${appointmentId}, Doctor: ${doctorId}`);
+
+        // Load what is already stored for this appointment
+        const detailsQuery = `
+            SELECT
+                da.appointment_id,
+                da.patient_id,
+                dad.prescription_id,
+                dad.soap_plan,
+                dad.appointment_summary,
+                dad.appointemnt_transcription
+            FROM dr_appointment da
+            LEFT JOIN dr_appointment_details dad ON da.appointment_id = dad.appointment_id
+                AND dad.dr_id = da.dr_id
+                AND dad.is_active = 1
+            WHERE da.appointment_id = $1 AND da.dr_id = $2 AND da.is_active = 1
+        `;
+        const detailsResult = await pool.query(detailsQuery, [appointmentId, doctorId]);
+
+        if (detailsResult.rows.length === 0) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Appointment not found or access denied'
+            };
+            return next();
+        }
+
+        const details = detailsResult.rows[0];
+        const warnings = [];
+        let medications = [];
+        let source;
+
+        const suppliedText = soapText || transcription;
+        const storedPlanMedications = details.soap_plan?.medications || [];
+
+        if (!suppliedText && storedPlanMedications.length > 0) {
+            // Structured plan from transcriptionToSOAP - no AI call needed
+            source = 'soap_plan';
+            medications = normalizeMedications(storedPlanMedications, warnings, 'soap_plan.medications');
+        } else {
+            const text = suppliedText || details.appointment_summary || details.appointemnt_transcription;
+            source = suppliedText
+                ? (soapText ? 'soap_text' : 'transcription')
+                : (details.appointment_summary ? 'appointment_summary' : 'appointment_transcription');
+
+            if (!text || text.trim().length === 0) {
+                res.locals = {
+                    status: STATUS.FAILURE,
+                    message: 'No SOAP note or transcription available for this appointment'
+                };
+                return next();
+            }
+
+            if (!aiProviders.isAvailable(aiProviders.CAPABILITIES.TEXT)) {
+                console.error('No AI text provider configured (GEMINI_API_KEY / GROQ_API_KEY)');
+                res.locals = {
+                    status: STATUS.FAILURE,
+                    message: 'AI service configuration error'
+                };
+                return next();
+            }
+
+            // Quota is only enforced here; the stored-plan path above makes no AI call
+            const quota = await aiUsageMeter.checkQuota(doctorId);
+            if (!quota.allowed) {
+                res.locals = {
+                    status: STATUS.FAILURE,
+                    message: aiUsageMeter.getQuotaExceededMessage(quota.exceeded),
+                    data: { exceeded: quota.exceeded }
+                };
+                return next();
+            }
+
+            const aiResponse = await callAIProvider(buildMedicationExtractionPrompt(text), {
+                responseSchema: MEDICATION_LIST_SCHEMA,
+                meter: { doctorId, operation: aiUsageMeter.OPERATIONS.MEDICINE_EXTRACTION }
+            });
+
+            if (!aiResponse.success) {
+                res.locals = {
+                    status: STATUS.FAILURE,
+                    message: aiResponse.error || 'Failed to extract medicines'
+                };
+                return next();
+            }
+
+            const parsed = parseSOAPResponse(aiResponse.text);
+            if (!parsed || !Array.isArray(parsed.medications)) {
+                res.locals = {
+                    status: STATUS.FAILURE,
+                    message: 'AI returned an invalid medication list'
+                };
+                return next();
+            }
+
+            medications = normalizeMedications(parsed.medications, warnings);
+        }
+
+        console.log(`   Source: ${source}, extracted ${medications.length} medicines`);
+
+        // Resolve each medicine against medicine_db
+        const searchResults = medications.length > 0
+            ? await batchFuzzySearch(
+                medications.map(med => ({
+                    medicine_name: [med.name, med.strength].filter(Boolean).join(' '),
+                    medicine_salt: med.genericName
+                        ? [med.genericName, med.strength].filter(Boolean).join(' ')
+                        : null
+                })),
+                { minSimilarity: parsedMinSimilarity, maxResults: 5, preferExactMatch: true }
+            )
+            : [];
+
+        const drafts = searchResults.map(result => {
+            const extracted = medications[result.index];
+            const search = result.searchResult;
+            const match = search.success ? search.match : null;
+
+            return {
+                prescription_id: details.prescription_id || null,
+                medicine_name: match ? match.drug_name : extracted.name,
+                medicine_salt: (match && buildCompositionString(match)) || extracted.genericName,
+                medicine_frequency: [extracted.frequency, extracted.timing, extracted.duration]
+                    .filter(Boolean)
+                    .join(', ') || null,
+                drug_id: match ? match.med_drug_id : null,
+                matched: !!match,
+                match_type: search.matchType || null,
+                match_confidence: search.confidence || 0,
+                extracted
+            };
+        });
+
+        res.locals = {
+            status: STATUS.SUCCESS,
+            data: {
+                appointmentId: parseInt(appointmentId),
+                patientId: details.patient_id,
+                prescriptionId: details.prescription_id || null,
+                source,
+                medicines: drafts,
+                count: drafts.length,
+                matchedCount: drafts.filter(d => d.matched).length,
+                warnings
+            },
+            message: drafts.length > 0
+                ? 'Medicines extracted successfully. Review and confirm to add them to the prescription.'
+                : 'No medicines found in the SOAP note'
+        };
+        next();
+
+    } catch (err) {
+        console.error('Error in extractMedicinesFromSOAP:', err);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: err.message || 'An error occurred while extracting medicines'
+        };
+        next();
+    }
+};
+
+/**
+ * Generate and validate a structured SOAP note from transcript text
+ * @param {string} transcription - Transcript text
+ * @param {Object} patientContext - Optional patient info for the header and prompt
+ * @param {Object} template - Prompt template from promptTemplates
+ * @param {Object} meter - { doctorId, operation } for usage metering
+ * @returns {Promise<Object>} { success, message, soapNote, soapSummary, warnings, promptTemplate }
  */
-function buildSOAPPrompt(transcription, patientContext) {
-    const currentDate = new Date().toLocaleDateString('en-IN', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
+async function generateSOAPNote(transcription, patientContext, template, meter) {
+    if (!aiProviders.isAvailable(aiProviders.CAPABILITIES.TEXT)) {
+        console.error('No AI text provider configured (GEMINI_API_KEY / GROQ_API_KEY)');
+        return { success: false, message: 'AI service configuration error' };
+    }
+
+    // Prepare the prompt
+    const prompt = buildSOAPPrompt(template, transcription, patientContext);
+
+    // Call the AI provider with schema-constrained JSON output
+    const aiResponse = await callAIProvider(prompt, {
+        responseSchema: SOAP_RESPONSE_SCHEMA,
+        meter
     });
 
-    const patientName = patientContext?.patientName || '[Patient Name]';
-    const patientAge = patientContext?.patientAge || '[Age]';
-    const patientGender = patientContext?.patientGender || '[Sex]';
+    if (!aiResponse.success) {
+        return { success: false, message: aiResponse.error || 'Failed to generate SOAP summary' };
+    }
 
-    return `You are a medical documentation assistant specialized in Indian medical practices. Convert the following doctor-patient conversation transcription into a properly formatted SOAP note with Indian medical context.
+    // Validate the structured note before persisting anything
+    const parsed = parseSOAPResponse(aiResponse.text);
+    const validation = validateSOAPNote(parsed);
 
-Patient Information:
-- Name: ${patientName}
-- Age: ${patientAge}
-- Gender: ${patientGender}
-${patientContext?.previousConditions ? `- Previous Conditions: ${patientContext.previousConditions}` : ''}
+    if (!validation.valid) {
+        console.error('❌ Invalid SOAP note from AI:', validation.errors);
+        return { success: false, message: `AI returned an invalid SOAP note: ${validation.errors.join('; ')}` };
+    }
 
-Transcription:
-${transcription}
+    if (validation.warnings.length > 0) {
+        console.warn('⚠️  SOAP note validation warnings:', validation.warnings);
+    }
+
+    return {
+        success: true,
+        soapNote: validation.note,
+        soapSummary: renderSOAPText(validation.note, buildSOAPHeader(patientContext)),
+        warnings: validation.warnings,
+        promptTemplate: promptTemplates.toTemplateRef(template)
+    };
+}
+
+/**
+ * Save a generated SOAP note on the appointment's dr_appointment_details record
+ * Creates the prescription and details record if they do not exist yet.
+ * Database errors are logged and reported as not saved.
+ * @param {Object} generated - Result of generateSOAPNote
+ * @param {number} appointmentId - Appointment ID
+ * @param {number} patientId - Patient ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {number|null} transcriptId - Saved transcript the note was generated from
+ * @returns {Promise<number|null>} appointment_detail_id or null if not saved
+ */
+async function saveSOAPSummary(generated, appointmentId, patientId, doctorId, transcriptId) {
+    const { soapSummary, soapNote, promptTemplate } = generated;
 
-Please provide a structured SOAP note in the following EXACT format:
+    try {
+        console.log('💾 Saving SOAP summary to database...');
+
+        // Check if dr_appointment_details record already exists for this appointment
+        const checkDetailsQuery = `
+            SELECT appointment_detail_id, prescription_id
+            FROM dr_appointment_details
+            WHERE appointment_id = $1 AND patient_id = $2 AND dr_id = $3 AND is_active = 1
+        `;
+        const checkDetailsResult = await pool.query(checkDetailsQuery, [appointmentId, patientId, doctorId]);
+
+        if (checkDetailsResult.rows.length > 0) {
+            // Update existing record
+            const appointmentDetailId = checkDetailsResult.rows[0].appointment_detail_id;
+
+            const updateQuery = `
+                UPDATE dr_appointment_details
+                SET appointment_summary = $1,
+                    soap_subjective = $2,
+                    soap_objective = $3,
+                    soap_assessment = $4,
+                    soap_plan = $5,
+                    soap_diagnoses = $6,
+                    soap_icd10_codes = $7,
+                    soap_transcript_id = $8,
+                    soap_template_key = $9,
+                    soap_template_version = $10,
+                    updated_at = CURRENT_TIMESTAMP,
+                    updated_by = $11
+                WHERE appointment_detail_id = $12
+                RETURNING appointment_detail_id
+            `;
+
+            await pool.query(updateQuery, [
+                soapSummary,
+                ...soapNoteColumnValues(soapNote),
+                transcriptId,
+                promptTemplate.key,
+                promptTemplate.version,
+                doctorId,
+                appointmentDetailId
+            ]);
+            console.log(`✅ Updated SOAP summary in appointment_details (ID: ${appointmentDetailId})`);
+            return appointmentDetailId;
+        }
+
+        // Create new prescription for new record
+        console.log('Creating new prescription record...');
+        const createPrescriptionQuery = `
+            INSERT INTO patient_prescription
+            (patient_id, created_by, updated_by, created_at, updated_at, is_active)
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)
+            RETURNING prescription_id
+        `;
+        const newPrescription = await pool.query(createPrescriptionQuery, [
+            patientId,
+            doctorId,
+            doctorId
+        ]);
+        const prescriptionId = newPrescription.rows[0].prescription_id;
+        console.log(`✅ Created prescription (ID: ${prescriptionId})`);
+
+        // Insert new record
+        const insertQuery = `
+            INSERT INTO dr_appointment_details
+            (appointment_id, patient_id, dr_id, prescription_id, appointment_summary,
+             soap_subjective, soap_objective, soap_assessment, soap_plan, soap_diagnoses, soap_icd10_codes,
+             soap_transcript_id, soap_template_key, soap_template_version,
+             created_by, updated_by, created_at, updated_at, is_active)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)
+            RETURNING appointment_detail_id
+        `;
+
+        const result = await pool.query(insertQuery, [
+            appointmentId,
+            patientId,
+            doctorId,
+            prescriptionId,
+            soapSummary,
+            ...soapNoteColumnValues(soapNote),
+            transcriptId,
+            promptTemplate.key,
+            promptTemplate.version,
+            doctorId,
+            doctorId
+        ]);
+
+        const appointmentDetailId = result.rows[0].appointment_detail_id;
+        console.log(`✅ Created appointment_details with SOAP summary (ID: ${appointmentDetailId})`);
+        return appointmentDetailId;
+
+    } catch (dbError) {
+        console.error('❌ Database error while saving SOAP summary:', dbError);
+        // Don't fail the whole request, just log the error
+        return null;
+    }
+}
 
-Date: ${currentDate}
-Patient Name: ${patientName}
-Age / Sex: ${patientAge} / ${patientGender}
+/**
+ * Build header fields shown at the top of the rendered SOAP text
+ */
+function buildSOAPHeader(patientContext) {
+    return {
+        date: new Date().toLocaleDateString('en-IN', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        }),
+        patientName: patientContext?.patientName || '[Patient Name]',
+        patientAge: patientContext?.patientAge || '[Age]',
+        patientGender: patientContext?.patientGender || '[Sex]'
+    };
+}
 
+/**
+ * Map a validated SOAP note to the structured dr_appointment_details columns
+ * Order: soap_subjective, soap_objective, soap_assessment, soap_plan, soap_diagnoses, soap_icd10_codes
+ */
+function soapNoteColumnValues(soapNote) {
+    return [
+        soapNote.subjective,
+        soapNote.objective,
+        soapNote.assessment,
+        JSON.stringify(soapNote.plan),
+        JSON.stringify(soapNote.diagnoses),
+        soapNote.icd10Codes
+    ];
+}
 
-Subjective (Patient History)
-[Extract what the patient reported from the conversation - their symptoms, complaints, history. Write in clear, concise sentences.]
+/**
+ * Build the SOAP prompt from the selected template
+ * The response shape is enforced by SOAP_RESPONSE_SCHEMA; the template describes what goes in each field
+ * @param {Object} template - Prompt template from promptTemplates
+ * @param {string} transcription - Transcript text
+ * @param {Object} patientContext - Optional patient info
+ * @returns {string} Prompt
+ */
+function buildSOAPPrompt(template, transcription, patientContext) {
+    const { patientName, patientAge, patientGender } = buildSOAPHeader(patientContext);
+
+    return promptTemplates.buildSOAPPrompt(template, transcription, {
+        patientName,
+        patientAge,
+        patientGender,
+        previousConditions: patientContext?.previousConditions,
+        vitals: patientContext?.vitals,
+        priorVisits: patientContext?.priorVisits,
+        currentMedicines: patientContext?.currentMedicines,
+        visitMedicines: patientContext?.visitMedicines
+    });
+}
 
-Objective (Doctor's Examination)
-[Extract physical examination findings, vital signs, and observations mentioned by the doctor. If not mentioned in the transcription, write "Not documented in transcription."]
+/**
+ * Combine what the server knows about the appointment's patient with the client's patientContext
+ * Client-supplied fields win, so a doctor can correct or add details; a failed lookup
+ * falls back to the client context alone.
+ * @param {number} appointmentId - Appointment ID (optional)
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {Object} clientContext - patientContext from the request body
+ * @returns {Promise<Object>} Patient context for the prompt and header
+ */
+async function resolvePatientContext(appointmentId, doctorId, clientContext) {
+    const supplied = clientContext && typeof clientContext === 'object' ? clientContext : {};
+    if (!appointmentId) return supplied;
+
+    const result = await patientContextService.getPatientContext(parseInt(appointmentId), doctorId);
+    if (result.status !== STATUS.SUCCESS) {
+        console.warn(`⚠️  Patient context unavailable for appointment ${appointmentId}: ${result.message}`);
+        return supplied;
+    }
 
-Assessment / Diagnosis
-[Extract or infer the doctor's diagnosis or medical assessment from the conversation. Be specific and clinical.]
+    const serverContext = result.data;
+    const overrides = Object.fromEntries(
+        Object.entries(supplied).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    );
+    return { ...serverContext, ...overrides };
+}
 
-Plan
-Lab Tests:
-[List any lab tests or investigations mentioned. If none, write "None prescribed" or leave blank]
+/**
+ * Summary of the context that went into the prompt, returned to the client
+ * @param {Object} patientContext - Resolved patient context
+ * @returns {Object} { patientAge, vitals, priorVisitCount, currentMedicineCount, visitMedicineCount }
+ */
+function describePatientContext(patientContext) {
+    return {
+        patientAge: patientContext?.patientAge || null,
+        vitals: patientContext?.vitals || {},
+        priorVisitCount: patientContext?.priorVisits?.length || 0,
+        currentMedicineCount: patientContext?.currentMedicines?.length || 0,
+        visitMedicineCount: patientContext?.visitMedicines?.length || 0
+    };
+}
 
-Medications (with Indian Brand Names):
-[List medications in this format, using common Indian brand names:
-1. [Brand Name] [Strength] – [Frequency and timing]
-2. [Brand Name] [Strength] – [Frequency and timing]
-Use Indian brand names like: Pantocid, Domstal, Digene, Crocin, Combiflam, Azithral, Augmentin, Metrogyl, etc.
-If medications are mentioned by generic names, suggest appropriate Indian brands.]
+/**
+ * Build prompt for extracting prescribed medicines from a SOAP note or transcript
+ */
+function buildMedicationExtractionPrompt(text) {
+    return `You are a medical documentation assistant specialized in Indian medical practices. Extract every medicine the doctor prescribed from the following SOAP note or consultation transcript.
 
-Follow-up: [Extract follow-up instructions - e.g., "3 days", "1 week", "2 weeks", "PRN", or as mentioned]
+Text:
+${text}
 
+Respond ONLY with a JSON object of the form { "medications": [...] } where each medication has:
+- "name": The brand name as written (use a common Indian brand name if only the generic is mentioned)
+- "genericName": The salt / composition (e.g. "Paracetamol"), or null if unknown
+- "strength": e.g. "650mg", or null
+- "frequency": e.g. "1-0-1", "twice daily", or null
+- "timing": e.g. "after food", or null
+- "duration": e.g. "5 days", or null
 
 IMPORTANT GUIDELINES:
-- Use simple, clear medical language
-- For medications, ALWAYS use Indian brand names commonly prescribed in India
-- Include dosage, frequency, and timing (before/after meals, etc.)
-- Be concise but complete
-- If information is not in the transcription, note it as "Not documented in transcription" or leave blank
-- Follow the exact format structure shown above
-- Use proper spacing and line breaks as shown`;
+- Include only medicines that were actually prescribed, not ones the patient was told to stop or merely discussed
+- Do not invent strengths, frequencies or durations that are not in the text; use null instead
+- Return an empty list if no medicines were prescribed`;
 }
 
-async function callGeminiAPI(apiKey, prompt) {
-    try {
-        console.log('Initializing Google Generative AI SDK...');
-
-        // Initialize the SDK with the API key
-        const genAI = new GoogleGenerativeAI(apiKey);
-
-        // Get the generative model with configuration
-        const model = genAI.getGenerativeModel({
-            model: 'gemini-2.5-flash',
-            generationConfig: {
-                temperature: 0.4,
-                topK: 32,
-                topP: 1,
-                maxOutputTokens: 2048,
-            },
-            safetySettings: [
-                {
-                    category: "HARM_CATEGORY_HARASSMENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_HATE_SPEECH",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                }
-            ]
-        });
+/**
+ * Generate text through the AI provider layer (primary provider with fallback)
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { responseSchema, meter }
+ *   responseSchema - request schema-constrained JSON
+ *   meter - { doctorId, operation } to record usage against the doctor
+ * @returns {Promise<Object>} { success, text, provider } or { success: false, error }
+ */
+async function callAIProvider(prompt, options = {}) {
+    const { responseSchema = null, meter } = options;
 
-        console.log('Calling Gemini API with SDK...');
+    try {
+        console.log('Calling AI provider...');
         console.log('Prompt length:', prompt.length, 'characters');
 
-        // Generate content
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const generatedText = response.text();
+        const { text, provider } = await aiProviders.generateText({
+            prompt,
+            responseSchema,
+            maxOutputTokens: responseSchema ? 4096 : 2048,
+            meter
+        });
 
-        console.log('Gemini API response received successfully');
-        console.log('Generated text length:', generatedText.length, 'characters');
+        console.log(`AI response received from ${provider}`);
+        console.log('Generated text length:', text.length, 'characters');
 
         return {
             success: true,
-            soap: generatedText
+            text,
+            provider
         };
 
     } catch (error) {
-        console.error('Gemini API call error details:');
+        console.error('AI provider call error details:');
         console.error('Error message:', error.message);
-        console.error('Error name:', error.name);
-        console.error('Full error:', error);
+        if (error.providerFailures) {
+            console.error('Provider failures:', error.providerFailures);
+        }
 
-        // Handle specific SDK errors
+        // Handle specific SDK errors (from the last provider tried)
         if (error.message?.includes('API_KEY') || error.message?.includes('API key')) {
             return {
                 success: false,
-                error: 'AI service authentication error. Please check your GEMINI_API_KEY in .env file.'
+                error: 'AI service authentication error. Please check GEMINI_API_KEY / GROQ_API_KEY in .env file.'
             };
         } else if (error.message?.includes('quota') || error.message?.includes('rate limit')) {
             return {
@@ -292,7 +723,7 @@ async function callGeminiAPI(apiKey, prompt) {
         } else if (error.message?.includes('model') || error.message?.includes('not found')) {
             return {
                 success: false,
-                error: 'AI model not found or not accessible. Please ensure you have access to gemini-pro.'
+                error: 'AI model not found or not accessible. Please check your provider configuration.'
             };
         } else if (error.message?.includes('timeout')) {
             return {
@@ -319,25 +750,24 @@ async function callGeminiAPI(apiKey, prompt) {
  */
 exports.testGeminiConnection = async (req, res, next) => {
     try {
-        const geminiApiKey = process.env.GEMINI_API_KEY;
-
-        if (!geminiApiKey) {
+        if (!aiProviders.isAvailable(aiProviders.CAPABILITIES.TEXT)) {
             res.locals = {
                 status: STATUS.FAILURE,
-                message: 'Gemini API key not configured'
+                message: 'AI provider API key not configured'
             };
             return next();
         }
 
         const testPrompt = "Respond with 'OK' if you can receive this message.";
-        const result = await callGeminiAPI(geminiApiKey, testPrompt);
+        const result = await callAIProvider(testPrompt);
 
         if (result.success) {
             res.locals = {
                 status: STATUS.SUCCESS,
                 data: {
                     connected: true,
-                    message: 'Gemini AI service is operational'
+                    provider: result.provider,
+                    message: 'AI service is operational'
                 }
             };
         } else {
@@ -0,0 +1,97 @@
+const STATUS = require('../../utils/constants').STATUS;
+const aiUsageMeter = require('../../utils/aiUsageMeter');
+
+/**
+ * AI Usage Controller - Per-doctor AI usage report and quota status
+ */
+
+const MAX_REPORT_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get the doctor's AI usage for a date range with current quota status
+ * GET /api/v1/doctor/usage?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Defaults to the current month; both dates are inclusive.
+ */
+exports.getUsage = async (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+
+        if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'from and to must be dates in YYYY-MM-DD format'
+            };
+            return next();
+        }
+
+        const today = new Date();
+        const fromDate = from
+            ? new Date(`${from}T00:00:00`)
+            : new Date(today.getFullYear(), today.getMonth(), 1);
+        const toDate = to ? new Date(`${to}T00:00:00`) : new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+        if (isNaN(fromDate) || isNaN(toDate) || fromDate > toDate) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Invalid date range'
+            };
+            return next();
+        }
+
+        const days = Math.round((toDate - fromDate) / (24 * 60 * 60 * 1000)) + 1;
+        if (days > MAX_REPORT_DAYS) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: `Date range cannot exceed ${MAX_REPORT_DAYS} days`
+            };
+            return next();
+        }
+
+        // "to" is inclusive; the query takes an exclusive upper bound
+        const toExclusive = new Date(toDate);
+        toExclusive.setDate(toExclusive.getDate() + 1);
+
+        const doctorId = req.doctor.doctorId;
+        const [report, quota] = await Promise.all([
+            aiUsageMeter.getUsageReport(doctorId, { from: fromDate, to: toExclusive }),
+            aiUsageMeter.checkQuota(doctorId)
+        ]);
+
+        res.locals = {
+            status: STATUS.SUCCESS,
+            data: {
+                range: {
+                    from: from || formatDate(fromDate),
+                    to: to || formatDate(toDate)
+                },
+                ...report,
+                quota: {
+                    allowed: quota.allowed,
+                    limits: quota.limits,
+                    usage: quota.usage,
+                    exceeded: quota.exceeded
+                }
+            }
+        };
+        next();
+    } catch (error) {
+        console.error('Error in getUsage:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Failed to fetch AI usage'
+        };
+        next();
+    }
+};
+
+/**
+ * Format a local date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
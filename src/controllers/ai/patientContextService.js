@@ -0,0 +1,159 @@
+const pool = require('../../config/dbConnection');
+const STATUS = require('../../utils/constants').STATUS;
+const appointmentService = require('../doctor/appointmentService');
+
+/**
+ * Patient Context Service - What the server already knows about the patient,
+ * gathered for SOAP generation
+ *
+ * - Age from patients_records.patient_date_of_birth
+ * - Vitals recorded on the current dr_appointment
+ * - Summaries of earlier appointments with the same doctor (getPatientHistory)
+ * - Medicines from the latest earlier prescription and any already added this visit
+ */
+
+const PRIOR_VISIT_LIMIT = 3;
+const PRIOR_SUMMARY_MAX_LENGTH = 500;
+
+const VITAL_LABELS = {
+    patient_pulse: 'Pulse',
+    patient_blood_pressure: 'Blood Pressure',
+    patient_temprature: 'Temperature',
+    patient_height: 'Height',
+    patient_weight: 'Weight'
+};
+
+/**
+ * Age as a readable string; months / days for infants
+ * @param {Date|string} dateOfBirth - patient_date_of_birth
+ * @param {Date} onDate - Date to measure age at
+ * @returns {string|null} e.g. "34 years", "1 year 3 months", "5 months", "12 days"
+ */
+function calculateAge(dateOfBirth, onDate = new Date()) {
+    if (!dateOfBirth) return null;
+    const dob = new Date(dateOfBirth);
+    if (isNaN(dob) || dob > onDate) return null;
+
+    let months = (onDate.getFullYear() - dob.getFullYear()) * 12 + (onDate.getMonth() - dob.getMonth());
+    if (onDate.getDate() < dob.getDate()) months--;
+
+    const years = Math.floor(months / 12);
+    const remainingMonths = months % 12;
+    const plural = (value, unit) => `${value} ${unit}${value === 1 ? '' : 's'}`;
+
+    if (years >= 2) return plural(years, 'year');
+    if (years === 1) return remainingMonths > 0 ? `${plural(1, 'year')} ${plural(remainingMonths, 'month')}` : plural(1, 'year');
+    if (months > 0) return plural(months, 'month');
+
+    const days = Math.floor((onDate - dob) / (24 * 60 * 60 * 1000));
+    return plural(days, 'day');
+}
+
+/**
+ * Short summary of an earlier appointment
+ * @param {Object} visit - Row from getPatientHistory
+ * @returns {string|null} Assessment (or summary) text, truncated
+ */
+function summarizeVisit(visit) {
+    const text = visit.soap_assessment || visit.appointment_summary;
+    if (!text || !String(text).trim()) return null;
+
+    const normalized = String(text).replace(/\s+/g, ' ').trim();
+    return normalized.length > PRIOR_SUMMARY_MAX_LENGTH
+        ? `${normalized.slice(0, PRIOR_SUMMARY_MAX_LENGTH)}...`
+        : normalized;
+}
+
+/**
+ * Active medicines on a prescription
+ * @param {number} prescriptionId - Prescription ID
+ * @returns {Promise<Array<Object>>} [{ name, salt, frequency }]
+ */
+async function getPrescriptionMedicines(prescriptionId) {
+    if (!prescriptionId) return [];
+
+    const { rows } = await pool.query(
+        `SELECT medicine_name, medicine_salt, medicine_frequency
+         FROM patient_medicine
+         WHERE prescription_id = $1 AND is_active = 1
+         ORDER BY created_at`,
+        [prescriptionId]
+    );
+
+    return rows.map(row => ({
+        name: row.medicine_name,
+        salt: row.medicine_salt || null,
+        frequency: row.medicine_frequency || null
+    }));
+}
+
+/**
+ * Build the patient context for an appointment
+ * @param {number} appointmentId - Appointment ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @returns {Promise<Object>} { status, data: { patientId, patientName, patientAge, dateOfBirth, vitals,
+ *   priorVisits, currentMedicines, visitMedicines } }
+ */
+exports.getPatientContext = async function (appointmentId, doctorId) {
+    try {
+        const appointmentResult = await appointmentService.getAppointmentDetails(appointmentId, doctorId);
+        if (appointmentResult.status !== STATUS.SUCCESS) {
+            return appointmentResult;
+        }
+
+        const appointment = appointmentResult.data;
+        const visitDate = appointment.appointment_created_at ? new Date(appointment.appointment_created_at) : new Date();
+
+        const vitals = {};
+        Object.entries(VITAL_LABELS).forEach(([column, label]) => {
+            const value = appointment[column];
+            if (value !== null && value !== undefined && String(value).trim() !== '') {
+                vitals[label] = String(value).trim();
+            }
+        });
+
+        const historyResult = await appointmentService.getPatientHistory(appointment.patient_id, doctorId);
+        const earlierVisits = historyResult.status === STATUS.SUCCESS
+            ? historyResult.data.filter(visit => visit.appointment_id !== appointment.appointment_id
+                && new Date(visit.appointment_created_at) <= visitDate)
+            : [];
+
+        const priorVisits = earlierVisits
+            .map(visit => ({
+                appointmentId: visit.appointment_id,
+                date: visit.appointment_created_at,
+                summary: summarizeVisit(visit),
+                diagnoses: visit.soap_diagnoses || null
+            }))
+            .filter(visit => visit.summary)
+            .slice(0, PRIOR_VISIT_LIMIT);
+
+        // History is newest first, so the first earlier visit with a prescription holds the current medicines
+        const lastPrescribedVisit = earlierVisits.find(visit => visit.prescription_id);
+        const [currentMedicines, visitMedicines] = await Promise.all([
+            getPrescriptionMedicines(lastPrescribedVisit?.prescription_id),
+            getPrescriptionMedicines(appointment.prescription_id)
+        ]);
+
+        return {
+            status: STATUS.SUCCESS,
+            data: {
+                patientId: appointment.patient_id,
+                patientName: [appointment.patient_first_name, appointment.patient_last_name].filter(Boolean).join(' ') || null,
+                patientAge: calculateAge(appointment.patient_date_of_birth, visitDate),
+                dateOfBirth: appointment.patient_date_of_birth || null,
+                vitals,
+                priorVisits,
+                currentMedicines,
+                visitMedicines
+            }
+        };
+    } catch (error) {
+        console.error('Error building patient context:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Database error while fetching patient context',
+            error: error.message
+        };
+    }
+};
@@ -0,0 +1,89 @@
+const STATUS = require('../../utils/constants').STATUS;
+const promptTemplates = require('../../utils/promptTemplates');
+const doctorService = require('../doctor/doctorService');
+
+/**
+ * Prompt Template Controller - Lists SOAP/transcription prompt templates
+ * and stores the doctor's template choice
+ */
+
+/**
+ * List available templates with the one currently selected for the doctor
+ * GET /api/v1/doctor/prompt-templates
+ */
+exports.getPromptTemplates = async (req, res, next) => {
+    try {
+        const preference = await doctorService.getPromptTemplatePreference(req.doctor.doctorId);
+        const preferredKey = preference.status === STATUS.SUCCESS ? preference.data : null;
+
+        const { template, reason } = promptTemplates.resolveTemplate({
+            preferredKey,
+            specialization: req.doctor.specialization
+        });
+
+        res.locals = {
+            status: STATUS.SUCCESS,
+            data: {
+                templates: promptTemplates.listTemplates(),
+                preference: preferredKey,
+                specialization: req.doctor.specialization || null,
+                selected: {
+                    ...promptTemplates.toTemplateRef(template),
+                    reason
+                }
+            }
+        };
+        next();
+    } catch (error) {
+        console.error('Error in getPromptTemplates:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Failed to fetch prompt templates'
+        };
+        next();
+    }
+};
+
+/**
+ * Choose a template for future notes (null to select by specialization)
+ * PUT /api/v1/doctor/prompt-templates/preference
+ * Body: { template_key: string|null }
+ */
+exports.updatePromptTemplatePreference = async (req, res, next) => {
+    try {
+        const templateKey = req.body.template_key || null;
+
+        if (templateKey && !promptTemplates.getTemplate(templateKey)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: `Unknown prompt template: ${templateKey}`
+            };
+            return next();
+        }
+
+        const result = await doctorService.updatePromptTemplatePreference(req.doctor.doctorId, templateKey);
+
+        if (result.status === STATUS.SUCCESS) {
+            res.locals = {
+                status: STATUS.SUCCESS,
+                message: templateKey
+                    ? 'Prompt template preference saved'
+                    : 'Prompt template will be selected by specialization',
+                data: { preference: result.data }
+            };
+        } else {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: result.message || 'Failed to save prompt template preference'
+            };
+        }
+        next();
+    } catch (error) {
+        console.error('Error in updatePromptTemplatePreference:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
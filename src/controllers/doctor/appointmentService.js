@@ -155,6 +155,15 @@ exports.getAppointmentDetails = async function (appointmentId, doctorId) {
                 pr.patient_pin,
                 dad.appointment_detail_id,
                 dad.appointment_summary,
+                dad.soap_subjective,
+                dad.soap_objective,
+                dad.soap_assessment,
+                dad.soap_plan,
+                dad.soap_diagnoses,
+                dad.soap_icd10_codes,
+                dad.soap_template_key,
+                dad.soap_template_version,
+                dad.soap_transcript_id,
                 dad.appointemnt_transcription,
                 dad.prescription_id,
                 dad.created_at AS detail_created_at,
@@ -406,6 +415,12 @@ exports.getPatientHistory = async function (patientId, doctorId) {
                 pr.patient_pin,
                 dad.appointment_detail_id,
                 dad.appointment_summary,
+                dad.soap_subjective,
+                dad.soap_objective,
+                dad.soap_assessment,
+                dad.soap_plan,
+                dad.soap_diagnoses,
+                dad.soap_icd10_codes,
                 dad.appointemnt_transcription,
                 dad.prescription_id,
                 dad.created_at AS detail_created_at,
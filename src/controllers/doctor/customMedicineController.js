@@ -0,0 +1,150 @@
+const customMedicineService = require('./customMedicineService');
+const STATUS = require('../../utils/constants').STATUS;
+
+/**
+ * Custom Medicine Controller - Medicines a doctor registers when the catalogue has no match
+ * Custom medicines are private to the doctor's clinic, appear in the doctor's medicine
+ * search and can be prescribed with custom_medicine_id; admins review them for the catalogue.
+ * All routes are protected by verifyAssistantOrDoctorJWT; an assistant works on their
+ * doctor's custom medicines
+ */
+
+/**
+ * Doctor whose clinic the request acts for
+ * @param {Object} req - Express request (req.doctor or req.assistant from the JWT middleware)
+ * @returns {number} Doctor ID
+ */
+function getClinicDoctorId(req) {
+    return req.doctor ? req.doctor.doctorId : req.assistant.doctorId;
+}
+
+/**
+ * Map a service result onto res.locals
+ * @param {Object} res - Express response
+ * @param {Object} result - Service result
+ * @param {string} fallbackMessage - Message when the service gave none
+ */
+function setServiceResult(res, result, fallbackMessage) {
+    if (result.status === STATUS.SUCCESS) {
+        res.locals = {
+            status: STATUS.SUCCESS,
+            message: result.message,
+            data: result.data
+        };
+    } else {
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: result.message || fallbackMessage,
+            data: result.errors ? { errors: result.errors } : undefined
+        };
+    }
+}
+
+/**
+ * Parse the custom medicine ID route param; sets a failure on res.locals when invalid
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {number|null} Custom medicine ID or null when invalid
+ */
+function parseCustomMedicineId(req, res) {
+    const customMedicineId = parseInt(req.params.customMedicineId);
+    if (isNaN(customMedicineId)) {
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Valid custom medicine ID is required'
+        };
+        return null;
+    }
+    return customMedicineId;
+}
+
+/**
+ * List the clinic's custom medicines, newest first
+ * GET /api/v1/custom-medicines?status=pending|promoted|rejected
+ */
+exports.listCustomMedicines = async (req, res, next) => {
+    try {
+        const result = await customMedicineService.listCustomMedicines(getClinicDoctorId(req), {
+            status: req.query.status
+        });
+
+        setServiceResult(res, result, 'Failed to fetch custom medicines');
+        next();
+    } catch (error) {
+        console.error('Error in listCustomMedicines:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Register a custom medicine; it is queued for admin review
+ * POST /api/v1/custom-medicines
+ * Body: { brand_name, dosage_form?, compositions?: [{ name, strength?, unit? }],
+ *         manufacturer_name?, pack_size?, notes? }
+ */
+exports.createCustomMedicine = async (req, res, next) => {
+    try {
+        const result = await customMedicineService.createCustomMedicine(getClinicDoctorId(req), req.body);
+
+        setServiceResult(res, result, 'Failed to register custom medicine');
+        next();
+    } catch (error) {
+        console.error('Error in createCustomMedicine:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Update a custom medicine that has not been promoted
+ * PUT /api/v1/custom-medicines/:customMedicineId
+ * Body: any of the createCustomMedicine fields
+ */
+exports.updateCustomMedicine = async (req, res, next) => {
+    try {
+        const customMedicineId = parseCustomMedicineId(req, res);
+        if (customMedicineId === null) return next();
+
+        const result = await customMedicineService.updateCustomMedicine(customMedicineId, getClinicDoctorId(req), req.body);
+
+        setServiceResult(res, result, 'Failed to update custom medicine');
+        next();
+    } catch (error) {
+        console.error('Error in updateCustomMedicine:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Delete a custom medicine
+ * DELETE /api/v1/custom-medicines/:customMedicineId
+ */
+exports.deleteCustomMedicine = async (req, res, next) => {
+    try {
+        const customMedicineId = parseCustomMedicineId(req, res);
+        if (customMedicineId === null) return next();
+
+        const result = await customMedicineService.deleteCustomMedicine(customMedicineId, getClinicDoctorId(req));
+
+        setServiceResult(res, result, 'Failed to delete custom medicine');
+        next();
+    } catch (error) {
+        console.error('Error in deleteCustomMedicine:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
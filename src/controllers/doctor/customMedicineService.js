@@ -0,0 +1,753 @@
+const pool = require('../../config/dbConnection');
+const { medicinePool } = require('../../config/multiDbConnection');
+const STATUS = require('../../utils/constants').STATUS;
+const {
+    fuzzySearchMedicine,
+    buildCompositionString,
+    buildDoseString
+} = require('../../utils/fuzzyMedicineMatcher');
+const { getCatalogueKey } = require('../../utils/medicineCatalogueFile');
+const { DOSAGE_FORMS } = require('../../utils/prescriptionOcrParser');
+
+/**
+ * Custom Medicine Service - Medicines a doctor registers when the catalogue has no match
+ * A custom medicine is private to its clinic - the doctor and their assistants, keyed by
+ * dr_id - and shows up in the doctor's search, typeahead and appointment prescriptions.
+ * Every custom medicine waits in an admin review queue: promotion adds it to medicine_db
+ * med_details (or links an existing med_id) and sets drug_id on the patient_medicine rows
+ * that prescribed it; rejection keeps it private to the clinic.
+ */
+
+const MAX_COMPOSITIONS = 5;
+
+const DOSAGE_FORM_VALUES = [...new Set(DOSAGE_FORMS.map(entry => entry.form)), 'other'];
+
+const REVIEW_STATUSES = ['pending', 'promoted', 'rejected'];
+
+const CUSTOM_MEDICINE_FIELDS = {
+    brand_name: { required: true, maxLength: 255 },
+    manufacturer_name: { maxLength: 255 },
+    pack_size: { maxLength: 100 },
+    notes: { maxLength: 1000 }
+};
+
+// Search scores, on the same 0-1 scale as medicineSearchService
+const CUSTOM_SCORES = {
+    exact: 1.0,
+    prefix: 0.9,
+    contains: 0.8,
+    composition: 0.75
+};
+
+/**
+ * Validate the compositions list
+ * @param {any} compositions - [{ name, strength?, unit? }]
+ * @returns {Object} { value } or { error }
+ */
+function validateCompositions(compositions) {
+    if (compositions === null || compositions === undefined) return { value: [] };
+    if (!Array.isArray(compositions)) {
+        return { error: 'compositions must be an array of { name, strength?, unit? }' };
+    }
+    if (compositions.length > MAX_COMPOSITIONS) {
+        return { error: `Maximum ${MAX_COMPOSITIONS} compositions allowed` };
+    }
+
+    const value = [];
+    for (const [index, composition] of compositions.entries()) {
+        const name = String(composition?.name || '').trim();
+        const strength = String(composition?.strength ?? '').trim() || null;
+        const unit = String(composition?.unit || '').trim() || null;
+
+        if (!name) return { error: `compositions[${index}].name is required` };
+        if (name.length > 255) return { error: `compositions[${index}].name must be at most 255 characters` };
+        if (strength && !/^\d+(\.\d+)?/.test(strength)) {
+            return { error: `compositions[${index}].strength must start with a number` };
+        }
+        if (unit && !strength) return { error: `compositions[${index}].unit needs a strength` };
+        if ((strength && strength.length > 50) || (unit && unit.length > 50)) {
+            return { error: `compositions[${index}] strength and unit must be at most 50 characters` };
+        }
+
+        value.push({ name, strength, unit });
+    }
+    return { value };
+}
+
+/**
+ * Validate a create / update body
+ * @param {Object} input - Request body
+ * @param {boolean} partial - true for updates (only supplied fields are returned)
+ * @returns {Object} { values, errors }
+ */
+function validateCustomMedicine(input, partial) {
+    const values = {};
+    const errors = [];
+
+    Object.entries(CUSTOM_MEDICINE_FIELDS).forEach(([field, spec]) => {
+        const raw = input?.[field];
+
+        if (raw === undefined) {
+            if (partial) return;
+            if (spec.required) errors.push(`${field} is required`);
+            else values[field] = null;
+            return;
+        }
+
+        const value = raw === null ? '' : String(raw).trim();
+        if (!value) {
+            if (spec.required) errors.push(`${field} cannot be empty`);
+            else values[field] = null;
+        } else if (value.length > spec.maxLength) {
+            errors.push(`${field} must be at most ${spec.maxLength} characters`);
+        } else {
+            values[field] = value;
+        }
+    });
+
+    if (input?.dosage_form !== undefined || !partial) {
+        const form = String(input?.dosage_form || '').trim().toLowerCase() || null;
+        if (form && !DOSAGE_FORM_VALUES.includes(form)) {
+            errors.push(`dosage_form must be one of: ${DOSAGE_FORM_VALUES.join(', ')}`);
+        } else {
+            values.dosage_form = form;
+        }
+    }
+
+    if (input?.compositions !== undefined || !partial) {
+        const result = validateCompositions(input?.compositions);
+        if (result.error) errors.push(result.error);
+        else values.compositions = result.value;
+    }
+
+    return { values, errors };
+}
+
+/**
+ * "Paracetamol 500mg + Caffeine 65mg" from a custom medicine's compositions
+ * @param {Object} row - custom_medicines row
+ * @returns {string|null}
+ */
+function getCompositionText(row) {
+    return buildCompositionString(Object.fromEntries((row.compositions || []).flatMap((composition, index) => [
+        [`composition${index + 1}_name`, composition.name],
+        [`composition${index + 1}_strength`, composition.strength],
+        [`composition${index + 1}_unit`, composition.unit]
+    ])));
+}
+
+/**
+ * Custom medicine as returned by the API
+ * @param {Object} row - custom_medicines row
+ * @returns {Object}
+ */
+function formatCustomMedicine(row) {
+    return {
+        custom_medicine_id: row.custom_medicine_id,
+        brand_name: row.brand_name,
+        dosage_form: row.dosage_form,
+        compositions: row.compositions || [],
+        composition: getCompositionText(row),
+        manufacturer_name: row.manufacturer_name,
+        pack_size: row.pack_size,
+        notes: row.notes,
+        review_status: row.review_status,
+        review_note: row.review_note,
+        reviewed_at: row.reviewed_at,
+        promoted_med_id: row.promoted_med_id,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+/**
+ * Custom medicine in the shape of a catalogue search result (formatMedicineResult)
+ * @param {Object} row - custom_medicines row with score and times_prescribed
+ * @returns {Object}
+ */
+function toSearchResult(row) {
+    const result = {
+        med_drug_id: null,
+        custom_medicine_id: row.custom_medicine_id,
+        is_custom: true,
+        review_status: row.review_status,
+        drug_name: row.brand_name,
+        med_generic_id: null
+    };
+
+    for (let i = 1; i <= MAX_COMPOSITIONS; i++) {
+        const composition = (row.compositions || [])[i - 1] || {};
+        result[`composition${i}_id`] = null;
+        result[`composition${i}_name`] = composition.name || null;
+        result[`composition${i}_strength`] = composition.strength || null;
+        result[`composition${i}_unit`] = composition.unit || null;
+        result[`composition${i}_dose`] = buildDoseString(composition.strength, composition.unit);
+    }
+
+    return {
+        ...result,
+        composition: getCompositionText(row),
+        mrp: null,
+        manufacturer: row.manufacturer_name,
+        pack_size: row.pack_size,
+        med_type: row.dosage_form,
+        med_weightage: null,
+        match_type: 'custom',
+        matched_by: ['custom'],
+        score: parseFloat(row.score),
+        times_prescribed: row.times_prescribed
+    };
+}
+
+/**
+ * Active custom medicine of a doctor
+ * @param {Object} db - pool or transaction client
+ * @param {number} customMedicineId - Custom medicine ID
+ * @param {number|null} doctorId - Owning doctor (null for admin access)
+ * @returns {Promise<Object|null>} Row or null when not found
+ */
+async function findCustomMedicine(db, customMedicineId, doctorId) {
+    const { rows } = await db.query(`
+        SELECT *
+        FROM custom_medicines
+        WHERE custom_medicine_id = $1
+            AND ($2::int IS NULL OR dr_id = $2)
+            AND is_active = 1
+    `, [customMedicineId, doctorId]);
+    return rows[0] || null;
+}
+
+/**
+ * List the doctor's custom medicines, newest first
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {Object} options - { status? } review status filter
+ * @returns {Object} - { status, data: custom medicines }
+ */
+exports.listCustomMedicines = async function (doctorId, { status } = {}) {
+    if (status !== undefined && !REVIEW_STATUSES.includes(status)) {
+        return {
+            status: STATUS.FAILURE,
+            message: `status must be one of: ${REVIEW_STATUSES.join(', ')}`
+        };
+    }
+
+    try {
+        const { rows } = await pool.query(`
+            SELECT *
+            FROM custom_medicines
+            WHERE dr_id = $1
+                AND is_active = 1
+                AND ($2::text IS NULL OR review_status = $2)
+            ORDER BY created_at DESC
+        `, [doctorId, status || null]);
+
+        return {
+            status: STATUS.SUCCESS,
+            data: rows.map(formatCustomMedicine)
+        };
+    } catch (error) {
+        console.error('Error listing custom medicines:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to fetch custom medicines',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Register a custom medicine and queue it for review
+ * Refused when the brand is already in the catalogue, so doctors pick the catalogue entry.
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {Object} input - { brand_name, dosage_form?, compositions?, manufacturer_name?, pack_size?, notes? }
+ * @returns {Object} - { status, data: custom medicine } or { status, message, errors }
+ */
+exports.createCustomMedicine = async function (doctorId, input) {
+    const { values, errors } = validateCustomMedicine(input, false);
+    if (errors.length > 0) {
+        return { status: STATUS.FAILURE, message: 'Invalid custom medicine', errors };
+    }
+
+    try {
+        const catalogueMatch = await fuzzySearchMedicine(values.brand_name, { preferExactMatch: true });
+        if (catalogueMatch.success && catalogueMatch.matchType === 'exact') {
+            return {
+                status: STATUS.FAILURE,
+                message: `"${catalogueMatch.match.drug_name}" is already in the medicine catalogue (med_id ${catalogueMatch.match.med_drug_id})`
+            };
+        }
+
+        const { rows } = await pool.query(`
+            INSERT INTO custom_medicines
+            (dr_id, brand_name, dosage_form, compositions, manufacturer_name, pack_size, notes,
+             created_by, updated_by, created_at, updated_at, is_active)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $1, $1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)
+            RETURNING *
+        `, [
+            doctorId,
+            values.brand_name,
+            values.dosage_form,
+            JSON.stringify(values.compositions),
+            values.manufacturer_name,
+            values.pack_size,
+            values.notes
+        ]);
+
+        console.log(`✅ Custom medicine ${rows[0].custom_medicine_id} "${values.brand_name}" registered by doctor ${doctorId}`);
+        return {
+            status: STATUS.SUCCESS,
+            message: 'Custom medicine registered and queued for review',
+            data: formatCustomMedicine(rows[0])
+        };
+    } catch (error) {
+        if (error.code === '23505') {
+            return {
+                status: STATUS.FAILURE,
+                message: `You already have a custom medicine named "${values.brand_name}"`
+            };
+        }
+        console.error('Error creating custom medicine:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to register custom medicine',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Update a custom medicine that has not been promoted
+ * Editing a rejected medicine sends it back to the review queue.
+ * @param {number} customMedicineId - Custom medicine ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {Object} input - Any of the createCustomMedicine fields
+ * @returns {Object} - { status, data: custom medicine } or { status, message, errors }
+ */
+exports.updateCustomMedicine = async function (customMedicineId, doctorId, input) {
+    const { values, errors } = validateCustomMedicine(input, true);
+    if (errors.length > 0) {
+        return { status: STATUS.FAILURE, message: 'Invalid custom medicine', errors };
+    }
+    if (Object.keys(values).length === 0) {
+        return { status: STATUS.FAILURE, message: 'No fields to update' };
+    }
+
+    try {
+        const existing = await findCustomMedicine(pool, customMedicineId, doctorId);
+        if (!existing) {
+            return { status: STATUS.FAILURE, message: 'Custom medicine not found' };
+        }
+        if (existing.review_status === 'promoted') {
+            return {
+                status: STATUS.FAILURE,
+                message: `Custom medicine is already in the catalogue (med_id ${existing.promoted_med_id})`
+            };
+        }
+
+        if (values.compositions) values.compositions = JSON.stringify(values.compositions);
+        const fields = Object.keys(values);
+        // Guarded again here: an admin may promote it between the read above and this write
+        const { rows } = await pool.query(`
+            UPDATE custom_medicines
+            SET ${fields.map((field, index) => `${field} = $${index + 3}`).join(', ')},
+                review_status = 'pending',
+                review_note = NULL,
+                reviewed_at = NULL,
+                updated_by = $2,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE custom_medicine_id = $1 AND review_status <> 'promoted'
+            RETURNING *
+        `, [customMedicineId, doctorId, ...fields.map(field => values[field])]);
+
+        if (rows.length === 0) {
+            return { status: STATUS.FAILURE, message: 'Custom medicine is already in the catalogue' };
+        }
+
+        return {
+            status: STATUS.SUCCESS,
+            message: existing.review_status === 'rejected'
+                ? 'Custom medicine updated and queued for review again'
+                : 'Custom medicine updated',
+            data: formatCustomMedicine(rows[0])
+        };
+    } catch (error) {
+        if (error.code === '23505') {
+            return {
+                status: STATUS.FAILURE,
+                message: `You already have a custom medicine named "${values.brand_name}"`
+            };
+        }
+        console.error('Error updating custom medicine:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to update custom medicine',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Remove a custom medicine (soft delete); prescriptions that used it keep their text
+ * @param {number} customMedicineId - Custom medicine ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @returns {Object} - { status, message }
+ */
+exports.deleteCustomMedicine = async function (customMedicineId, doctorId) {
+    try {
+        const { rowCount } = await pool.query(`
+            UPDATE custom_medicines
+            SET is_active = 0, updated_by = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE custom_medicine_id = $1 AND dr_id = $2 AND is_active = 1
+        `, [customMedicineId, doctorId]);
+
+        if (rowCount === 0) {
+            return { status: STATUS.FAILURE, message: 'Custom medicine not found' };
+        }
+        return { status: STATUS.SUCCESS, message: 'Custom medicine deleted' };
+    } catch (error) {
+        console.error('Error deleting custom medicine:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to delete custom medicine',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * The doctor's custom medicines matching a search, best first
+ * Promoted medicines are left out: the catalogue entry is found instead.
+ * Never throws: search works without custom medicines when this fails.
+ * @param {number|null} doctorId - Requesting doctor
+ * @param {string} query - Search text
+ * @param {Object} options - { limit = 10, prefixOnly = false } (prefixOnly matches brand prefixes only, for typeahead)
+ * @returns {Promise<Array<Object>>} Results shaped like catalogue search results
+ */
+exports.searchCustomMedicines = async function (doctorId, query, options = {}) {
+    const { limit = 10, prefixOnly = false } = options;
+    const term = String(query || '').trim().toLowerCase();
+    if (!doctorId || term.length < 2) return [];
+
+    const escaped = term.replace(/[\\%_]/g, '\\$&');
+
+    try {
+        const { rows } = await pool.query(`
+            SELECT cm.*,
+                CASE
+                    WHEN LOWER(cm.brand_name) = $2 THEN ${CUSTOM_SCORES.exact}
+                    WHEN LOWER(cm.brand_name) LIKE $3 THEN ${CUSTOM_SCORES.prefix}
+                    WHEN LOWER(cm.brand_name) LIKE $4 THEN ${CUSTOM_SCORES.contains}
+                    ELSE ${CUSTOM_SCORES.composition}
+                END AS score,
+                (
+                    SELECT COUNT(*)::int FROM patient_medicine pm
+                    WHERE pm.custom_medicine_id = cm.custom_medicine_id AND pm.is_active = 1
+                ) AS times_prescribed
+            FROM custom_medicines cm
+            WHERE cm.dr_id = $1
+                AND cm.is_active = 1
+                AND cm.review_status <> 'promoted'
+                AND (
+                    LOWER(cm.brand_name) LIKE $3
+                    OR (NOT $6 AND (
+                        LOWER(cm.brand_name) LIKE $4
+                        OR EXISTS (
+                            SELECT 1 FROM jsonb_array_elements(cm.compositions) c
+                            WHERE LOWER(c->>'name') LIKE $4
+                        )
+                    ))
+                )
+            ORDER BY score DESC, times_prescribed DESC, cm.brand_name
+            LIMIT $5
+        `, [doctorId, term, `${escaped}%`, `%${escaped}%`, limit, prefixOnly]);
+
+        return rows.map(toSearchResult);
+    } catch (error) {
+        console.error('Error searching custom medicines:', error.message);
+        return [];
+    }
+};
+
+/**
+ * Custom medicines usable on an appointment: those of the appointment's doctor
+ * @param {number} appointmentId - Appointment ID
+ * @param {Array<number>} customMedicineIds - Requested IDs
+ * @returns {Promise<Map<number, Object>>} custom_medicine_id -> row (missing IDs are absent)
+ */
+exports.getAppointmentCustomMedicines = async function (appointmentId, customMedicineIds) {
+    const ids = [...new Set(customMedicineIds.filter(Boolean))];
+    if (ids.length === 0) return new Map();
+
+    const { rows } = await pool.query(`
+        SELECT cm.*
+        FROM custom_medicines cm
+        INNER JOIN dr_appointment da ON da.dr_id = cm.dr_id
+        WHERE da.appointment_id = $1
+            AND cm.custom_medicine_id = ANY($2::int[])
+            AND cm.is_active = 1
+    `, [appointmentId, ids]);
+
+    return new Map(rows.map(row => [row.custom_medicine_id, row]));
+};
+
+/**
+ * Composition text of a custom medicine row, for medicine_salt
+ * @param {Object} row - custom_medicines row
+ * @returns {string|null}
+ */
+exports.getCompositionText = getCompositionText;
+
+/**
+ * Admin review queue
+ * @param {Object} options - { status = 'pending', limit = 50, offset = 0 }
+ * @returns {Object} - { status, data: { customMedicines, total } } (each with dr_id and times_prescribed)
+ */
+exports.listReviewQueue = async function (options = {}) {
+    const { status = 'pending', limit = 50, offset = 0 } = options;
+
+    if (!REVIEW_STATUSES.includes(status)) {
+        return {
+            status: STATUS.FAILURE,
+            message: `status must be one of: ${REVIEW_STATUSES.join(', ')}`
+        };
+    }
+
+    try {
+        const { rows } = await pool.query(`
+            SELECT cm.*,
+                COUNT(*) OVER ()::int AS total,
+                (
+                    SELECT COUNT(*)::int FROM patient_medicine pm
+                    WHERE pm.custom_medicine_id = cm.custom_medicine_id AND pm.is_active = 1
+                ) AS times_prescribed
+            FROM custom_medicines cm
+            WHERE cm.review_status = $1 AND cm.is_active = 1
+            ORDER BY cm.created_at ASC
+            LIMIT $2 OFFSET $3
+        `, [status, limit, offset]);
+
+        return {
+            status: STATUS.SUCCESS,
+            data: {
+                customMedicines: rows.map(row => ({
+                    ...formatCustomMedicine(row),
+                    dr_id: row.dr_id,
+                    times_prescribed: row.times_prescribed
+                })),
+                total: rows.length > 0 ? rows[0].total : 0
+            }
+        };
+    } catch (error) {
+        console.error('Error listing custom medicine review queue:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to fetch custom medicine review queue',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Catalogue row for a custom medicine: an existing med_id, the same brand + manufacturer
+ * already in med_details, or a new row
+ * A matching row that was deactivated (e.g. by a catalogue import) is only restored when
+ * overrides.reactivate is true.
+ * @param {Object} row - custom_medicines row
+ * @param {Object} overrides - { med_id?, brand_name?, manufacturer_name?, med_type?, pack_size?, price?, reactivate? }
+ * @returns {Promise<Object>} { medId, created, reactivated } or { error }
+ */
+async function resolveCatalogueMedicine(row, overrides) {
+    if (overrides.med_id !== undefined) {
+        const medId = parseInt(overrides.med_id);
+        const { rows } = await medicinePool.query(`
+            SELECT med_id FROM med_details
+            WHERE med_id = $1 AND is_active = 1 AND is_deactivated = 0
+        `, [isNaN(medId) ? null : medId]);
+        return rows.length > 0
+            ? { medId, created: false, reactivated: false }
+            : { error: `med_id ${overrides.med_id} is not an active catalogue medicine` };
+    }
+
+    const brandName = String(overrides.brand_name || row.brand_name).trim();
+    const manufacturerName = String(overrides.manufacturer_name || row.manufacturer_name || '').trim();
+    if (!manufacturerName) {
+        return { error: 'manufacturer_name is required to add the medicine to the catalogue' };
+    }
+
+    const price = overrides.price !== undefined ? Number(overrides.price) : null;
+    if (price !== null && (!Number.isFinite(price) || price < 0)) {
+        return { error: 'price must be a number of 0 or more' };
+    }
+
+    // Same upsert key as the catalogue import: brand + manufacturer, active rows first
+    const { rows: existing } = await medicinePool.query(`
+        SELECT med_id, med_brand_name, med_manufacturer_name, is_deactivated
+        FROM med_details
+        WHERE LOWER(med_brand_name) = LOWER($1) AND is_active = 1
+        ORDER BY is_deactivated, med_id
+    `, [brandName]);
+    const match = existing.find(medicine =>
+        getCatalogueKey(medicine.med_brand_name, medicine.med_manufacturer_name) === getCatalogueKey(brandName, manufacturerName)
+    );
+    if (match && match.is_deactivated) {
+        if (overrides.reactivate !== true) {
+            return {
+                error: `"${match.med_brand_name}" by ${match.med_manufacturer_name} (med_id ${match.med_id}) was deactivated in the catalogue; `
+                    + 'promote with reactivate: true to restore it, or with med_id to link another medicine'
+            };
+        }
+        await medicinePool.query('UPDATE med_details SET is_deactivated = 0 WHERE med_id = $1', [match.med_id]);
+        return { medId: match.med_id, created: false, reactivated: true };
+    }
+    if (match) {
+        return { medId: match.med_id, created: false, reactivated: false };
+    }
+
+    const compositions = row.compositions || [];
+    const compositionColumns = compositions.flatMap((composition, index) => [
+        [`med_composition_name_${index + 1}`, composition.name],
+        [`med_composition_strength_${index + 1}`, composition.strength],
+        [`med_composition_unit_${index + 1}`, composition.unit]
+    ]);
+    const columns = [
+        ['med_brand_name', brandName],
+        ['med_manufacturer_name', manufacturerName],
+        ...compositionColumns,
+        ['med_type', overrides.med_type || row.dosage_form],
+        ['med_pack_size', overrides.pack_size || row.pack_size],
+        ['med_price', price]
+    ];
+
+    const { rows } = await medicinePool.query(`
+        INSERT INTO med_details (${columns.map(([column]) => column).join(', ')}, is_active, is_deactivated)
+        VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')}, 1, 0)
+        RETURNING med_id
+    `, columns.map(([, value]) => value ?? null));
+
+    return { medId: rows[0].med_id, created: true, reactivated: false };
+}
+
+/**
+ * Promote a custom medicine into the catalogue
+ * The custom_medicines row stays locked (SELECT ... FOR UPDATE) from the status check
+ * until the promotion is committed, so concurrent promotions of one medicine run one at a
+ * time and the later ones see it promoted. The catalogue write (medicine_db) happens inside
+ * that window; if recording the promotion then fails, promoting again finds the new row
+ * by brand + manufacturer instead of adding it twice.
+ * @param {number} customMedicineId - Custom medicine ID
+ * @param {Object} input - { med_id?, brand_name?, manufacturer_name?, med_type?, pack_size?, price?, reactivate?, review_note? }
+ *   med_id links an existing catalogue medicine instead of adding one; reactivate restores
+ *   a deactivated catalogue medicine with the same brand + manufacturer
+ * @returns {Object} - { status, data: { customMedicine, med_id, created, reactivated, linkedPrescriptions } }
+ */
+exports.promoteCustomMedicine = async function (customMedicineId, input = {}) {
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const { rows: locked } = await client.query(`
+            SELECT *
+            FROM custom_medicines
+            WHERE custom_medicine_id = $1 AND is_active = 1
+            FOR UPDATE
+        `, [customMedicineId]);
+        const row = locked[0];
+
+        if (!row) {
+            await client.query('ROLLBACK');
+            return { status: STATUS.FAILURE, message: 'Custom medicine not found' };
+        }
+        if (row.review_status === 'promoted') {
+            await client.query('ROLLBACK');
+            return {
+                status: STATUS.FAILURE,
+                message: `Custom medicine is already in the catalogue (med_id ${row.promoted_med_id})`
+            };
+        }
+
+        const catalogue = await resolveCatalogueMedicine(row, input);
+        if (catalogue.error) {
+            await client.query('ROLLBACK');
+            return { status: STATUS.FAILURE, message: catalogue.error };
+        }
+
+        const { rows } = await client.query(`
+            UPDATE custom_medicines
+            SET review_status = 'promoted', promoted_med_id = $2, review_note = $3,
+                reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE custom_medicine_id = $1
+            RETURNING *
+        `, [customMedicineId, catalogue.medId, input.review_note ? String(input.review_note).trim() : null]);
+
+        const linked = await client.query(`
+            UPDATE patient_medicine
+            SET drug_id = $1
+            WHERE custom_medicine_id = $2 AND drug_id IS NULL
+        `, [catalogue.medId, customMedicineId]);
+
+        await client.query('COMMIT');
+
+        const outcome = catalogue.created ? 'added' : catalogue.reactivated ? 'reactivated' : 'linked';
+        console.log(`✅ Custom medicine ${customMedicineId} promoted to med_id ${catalogue.medId} (${outcome}), ${linked.rowCount} prescription row(s) linked`);
+        return {
+            status: STATUS.SUCCESS,
+            message: catalogue.created
+                ? 'Custom medicine added to the catalogue'
+                : catalogue.reactivated
+                    ? 'Custom medicine linked to a reactivated catalogue medicine'
+                    : 'Custom medicine linked to an existing catalogue medicine',
+            data: {
+                customMedicine: formatCustomMedicine(rows[0]),
+                med_id: catalogue.medId,
+                created: catalogue.created,
+                reactivated: catalogue.reactivated,
+                linkedPrescriptions: linked.rowCount
+            }
+        };
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Error promoting custom medicine:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to promote custom medicine',
+            error: error.message
+        };
+    } finally {
+        if (client) client.release();
+    }
+};
+
+/**
+ * Reject a custom medicine; it stays usable by its doctor
+ * @param {number} customMedicineId - Custom medicine ID
+ * @param {string} reviewNote - Reason shown to the doctor
+ * @returns {Object} - { status, data: custom medicine }
+ */
+exports.rejectCustomMedicine = async function (customMedicineId, reviewNote) {
+    try {
+        const { rows } = await pool.query(`
+            UPDATE custom_medicines
+            SET review_status = 'rejected', review_note = $2,
+                reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE custom_medicine_id = $1 AND is_active = 1 AND review_status <> 'promoted'
+            RETURNING *
+        `, [customMedicineId, reviewNote ? String(reviewNote).trim() : null]);
+
+        if (rows.length === 0) {
+            return { status: STATUS.FAILURE, message: 'Custom medicine not found or already promoted' };
+        }
+        return {
+            status: STATUS.SUCCESS,
+            message: 'Custom medicine rejected',
+            data: formatCustomMedicine(rows[0])
+        };
+    } catch (error) {
+        console.error('Error rejecting custom medicine:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to reject custom medicine',
+            error: error.message
+        };
+    }
+};
@@ -1,5 +1,6 @@
 const pool = require('../../config/dbConnection');
 const STATUS = require('../../utils/constants').STATUS;
+const promptTemplates = require('../../utils/promptTemplates');
 
 /**
  * Doctor Service - Handles all doctor database operations
@@ -451,4 +452,95 @@ exports.getDoctorById = async function (doctorId) {
             error: error.message
         };
     }
-};
\ No newline at end of file
+};
+/**
+ * Get the doctor's saved prompt template choice
+ * @param {number} doctorId - Doctor ID
+ * @returns {Object} - { status, data: templateKey|null }
+ */
+exports.getPromptTemplatePreference = async function (doctorId) {
+    try {
+        const query = `
+            SELECT soap_prompt_template
+            FROM doctors_records
+            WHERE dr_id = $1 AND is_active = 1
+        `;
+
+        const { rows } = await pool.query(query, [doctorId]);
+
+        return {
+            status: STATUS.SUCCESS,
+            data: rows[0]?.soap_prompt_template || null
+        };
+    } catch (error) {
+        console.error('Error fetching prompt template preference:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Database error while fetching prompt template preference',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Save the doctor's prompt template choice (null to select by specialization)
+ * @param {number} doctorId - Doctor ID
+ * @param {string|null} templateKey - Template key
+ * @returns {Object} - { status, data: templateKey|null }
+ */
+exports.updatePromptTemplatePreference = async function (doctorId, templateKey) {
+    try {
+        const query = `
+            UPDATE doctors_records
+            SET soap_prompt_template = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE dr_id = $2 AND is_active = 1
+            RETURNING soap_prompt_template
+        `;
+
+        const { rows } = await pool.query(query, [templateKey, doctorId]);
+
+        if (rows.length === 0) {
+            return {
+                status: STATUS.FAILURE,
+                message: 'Doctor not found or inactive'
+            };
+        }
+
+        return {
+            status: STATUS.SUCCESS,
+            data: rows[0].soap_prompt_template
+        };
+    } catch (error) {
+        console.error('Error updating prompt template preference:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Database error while updating prompt template preference',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Pick the prompt template for a doctor's request
+ * Explicit choice > saved preference > dr_specialization > general
+ * @param {Object} doctor - req.doctor ({ doctorId, specialization })
+ * @param {Object} selection - { templateKey, templateVersion } from the request
+ * @returns {Promise<Object>} { template, reason }, or { template: null, error } for an unknown
+ *   requested template
+ */
+exports.resolvePromptTemplate = async function (doctor, selection = {}) {
+    let preferredKey = null;
+
+    if (!selection.templateKey) {
+        // A failed lookup falls back to specialization rather than failing the request
+        const preference = await exports.getPromptTemplatePreference(doctor.doctorId);
+        preferredKey = preference.status === STATUS.SUCCESS ? preference.data : null;
+    }
+
+    return promptTemplates.resolveTemplate({
+        templateKey: selection.templateKey,
+        templateVersion: selection.templateVersion,
+        preferredKey,
+        specialization: doctor.specialization
+    });
+};
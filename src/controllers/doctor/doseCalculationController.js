@@ -0,0 +1,82 @@
+const doseCalculationService = require('./doseCalculationService');
+const STATUS = require('../../utils/constants').STATUS;
+
+/**
+ * Dose Calculation Controller - Paediatric dose calculator
+ * All routes are protected by doctorAuthMiddleware
+ */
+
+/**
+ * Recommended dose range for a medicine from the patient's weight and age, with a
+ * check of the entered frequency / strength
+ * POST /api/v1/doctor/appointments/:appointmentId/dose-check
+ * Body: { medicine_name, drug_id?, medicine_salt?, medicine_frequency?, strength?, weight_kg? }
+ *   weight_kg overrides the weight recorded on the appointment
+ *
+ * @example
+ * { "medicine_name": "Calpol Suspension", "medicine_salt": "Paracetamol 250mg/5ml", "medicine_frequency": "5 ml TDS" }
+ * -> data.compositions[0].recommended.perDoseMg = { min: 120, max: 180 } for 12 kg,
+ *    data.findings = [{ type: "dose_above_range", severity: "major", ... }]
+ */
+exports.checkDose = async (req, res, next) => {
+    try {
+        const appointmentId = parseInt(req.params.appointmentId);
+        const { medicine_name, drug_id, medicine_salt, medicine_frequency, strength, weight_kg } = req.body;
+
+        if (isNaN(appointmentId)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Valid appointment ID is required'
+            };
+            return next();
+        }
+
+        if (!medicine_name && !drug_id && !medicine_salt) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'medicine_name, drug_id or medicine_salt is required'
+            };
+            return next();
+        }
+
+        const weightKg = weight_kg !== undefined && weight_kg !== null && weight_kg !== '' ? parseFloat(weight_kg) : null;
+        if (weightKg !== null && !(weightKg > 0 && weightKg < 300)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'weight_kg must be a number of kilograms'
+            };
+            return next();
+        }
+
+        const result = await doseCalculationService.checkDose(appointmentId, req.doctor.doctorId, {
+            drug_id: parseInt(drug_id) || null,
+            medicine_name: medicine_name || medicine_salt || `Drug ${drug_id}`,
+            medicine_salt: medicine_salt || null,
+            medicine_frequency: medicine_frequency || null,
+            strength: strength || null
+        }, { weightKg });
+
+        if (result.status === STATUS.SUCCESS) {
+            res.locals = {
+                status: STATUS.SUCCESS,
+                message: result.data.findings.length > 0
+                    ? `${result.data.findings.length} dose warning(s) found`
+                    : (result.data.applicable ? 'Recommended dose calculated' : result.data.reason),
+                data: result.data
+            };
+        } else {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: result.message || 'Failed to calculate dose'
+            };
+        }
+        next();
+    } catch (error) {
+        console.error('Error in checkDose:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
@@ -0,0 +1,108 @@
+const pool = require('../../config/dbConnection');
+const STATUS = require('../../utils/constants').STATUS;
+const doseCalculator = require('../../utils/doseCalculator');
+
+/**
+ * Dose Calculation Service - Paediatric dose checks for an appointment's patient
+ * Weight comes from the appointment's recorded vitals (dr_appointment.patient_weight)
+ * and age from patients_records.patient_date_of_birth, measured at the appointment date.
+ */
+
+/**
+ * Weight and age of the patient on an appointment
+ * @param {number} appointmentId - Appointment ID
+ * @param {number|null} doctorId - Restrict to the doctor's appointments (null for internal callers)
+ * @returns {Promise<Object|null>} { patientId, weightKg, ageMonths } or null when not found
+ */
+async function getDosePatient(appointmentId, doctorId) {
+    const { rows } = await pool.query(`
+        SELECT da.patient_id, da.patient_weight, da.created_at, pr.patient_date_of_birth
+        FROM dr_appointment da
+        INNER JOIN patients_records pr ON pr.patient_id = da.patient_id
+        WHERE da.appointment_id = $1
+            AND da.is_active = 1
+            AND ($2::int IS NULL OR da.dr_id = $2)
+    `, [appointmentId, doctorId]);
+
+    if (rows.length === 0) return null;
+
+    const appointment = rows[0];
+    return {
+        patientId: appointment.patient_id,
+        weightKg: doseCalculator.parseWeightKg(appointment.patient_weight),
+        ageMonths: doseCalculator.getAgeInMonths(
+            appointment.patient_date_of_birth,
+            appointment.created_at ? new Date(appointment.created_at) : new Date()
+        )
+    };
+}
+
+/**
+ * Recommended dose range and a check of the entered dose for one medicine
+ * @param {number} appointmentId - Appointment ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {Object} medicine - { drug_id?, medicine_name, medicine_salt?, medicine_frequency?, strength? }
+ * @param {Object} options - { weightKg? } to use instead of the recorded weight
+ * @returns {Object} - { status, data: dose check }
+ */
+exports.checkDose = async function (appointmentId, doctorId, medicine, options = {}) {
+    try {
+        const patient = await getDosePatient(appointmentId, doctorId);
+        if (!patient) {
+            return {
+                status: STATUS.FAILURE,
+                message: 'Appointment not found or access denied'
+            };
+        }
+
+        const result = await doseCalculator.checkMedicineDose(medicine, {
+            ageMonths: patient.ageMonths,
+            weightKg: options.weightKg || patient.weightKg
+        });
+
+        return {
+            status: STATUS.SUCCESS,
+            data: {
+                ...result,
+                patient: {
+                    ...result.patient,
+                    weightSource: options.weightKg ? 'request' : (patient.weightKg ? 'appointment' : null)
+                }
+            }
+        };
+    } catch (error) {
+        console.error('Error in checkDose:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to calculate dose',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Dose checks for medicines being added to an appointment's prescription
+ * Used by the prescription routes; a failed check is logged and returns null so
+ * it never blocks prescribing.
+ * @param {number} appointmentId - Appointment ID
+ * @param {Array<Object>} medicines - [{ drug_id, medicine_name, medicine_salt, medicine_frequency }]
+ * @returns {Promise<Array<Object>|null>} One check per medicine (in order) or null
+ */
+exports.checkPrescribedDoses = async function (appointmentId, medicines) {
+    try {
+        const patient = await getDosePatient(appointmentId, null);
+        if (!patient) return null;
+
+        const checks = [];
+        for (const medicine of medicines) {
+            checks.push(await doseCalculator.checkMedicineDose(medicine, {
+                ageMonths: patient.ageMonths,
+                weightKg: patient.weightKg
+            }));
+        }
+        return checks;
+    } catch (error) {
+        console.error('❌ Dose check failed:', error.message);
+        return null;
+    }
+};
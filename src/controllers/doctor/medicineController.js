@@ -1,169 +1,78 @@
-const { medicinePool } = require('../../config/multiDbConnection');
+const dosageParser = require('../../utils/dosageParser');
+const medicineSearchService = require('../medicine/medicineSearchService');
+const { sendError } = require('../../middleware/setResponse');
+const STATUS = require('../../utils/constants').STATUS;
 
 /**
- * Generate match count condition for scoring search results
- * Counts how many fields match the search term
+ * Legacy medicine search routes (/api/medicines/search, /popular, /:medicineId)
+ * Deprecated in favour of /api/medicine/*: both families read from medicineSearchService,
+ * so responses carry the unified medicine fields plus the legacy aliases below until the
+ * sunset date (see deprecationMiddleware).
  */
-function generateMatchCountCondition(searchTerm) {
-  const terms = searchTerm.toLowerCase().split(' ').filter(term => term.trim().length > 0);
-  let allConditions = [];
-
-  for (let term of terms) {
-    let conditionParts = [];
-    // Escape single quotes to prevent SQL injection
-    const escapedTerm = term.replace(/'/g, "''");
-
-    // Match against brand name (highest priority)
-    conditionParts.push(`CASE WHEN LOWER(md.med_brand_name) LIKE '${escapedTerm}%' THEN 2 ELSE 0 END`);
-
-    // Match against composition strengths and units
-    for (let i = 1; i <= 5; i++) {
-      conditionParts.push(`CASE WHEN md.med_composition_strength_${i} LIKE '%${escapedTerm}%' THEN 1 ELSE 0 END`);
-      conditionParts.push(`CASE WHEN LOWER(md.med_composition_unit_${i}) LIKE '%${escapedTerm}%' THEN 1 ELSE 0 END`);
-    }
-
-    // Match against medicine type
-    conditionParts.push(`CASE WHEN LOWER(md.med_type) LIKE '%${escapedTerm}%' THEN 1 ELSE 0 END`);
-
-    // Match against drug/composition name
-    conditionParts.push(`CASE WHEN LOWER(ud.drug_name) LIKE '%${escapedTerm}%' THEN 1 ELSE 0 END`);
-
-    allConditions.push(conditionParts.join(' + '));
-  }
-
-  return allConditions.length > 0 ? allConditions.join(' + ') : '0';
-}
 
 /**
- * Generate WHERE clause for filtering search results
- * Returns records that match any of the search criteria
+ * Add the field names legacy clients read to a unified medicine
+ * @param {Object} medicine - Medicine from medicineSearchService
+ * @returns {Object} Medicine with drug_id, salt_name, drug_type, strength, price and raw composition columns
  */
-function generateWhereClause(searchTerm) {
-  const terms = searchTerm.toLowerCase().split(' ').filter(term => term.trim().length > 0);
-  let whereParts = [];
-
-  for (let term of terms) {
-    // Escape single quotes to prevent SQL injection
-    const escapedTerm = term.replace(/'/g, "''");
-
-    whereParts.push(`LOWER(md.med_brand_name) LIKE '${escapedTerm}%'`);
-
-    for (let i = 1; i <= 5; i++) {
-      whereParts.push(`md.med_composition_strength_${i} LIKE '%${escapedTerm}%'`);
-      whereParts.push(`LOWER(md.med_composition_unit_${i}) LIKE '%${escapedTerm}%'`);
-    }
-
-    whereParts.push(`LOWER(md.med_type) LIKE '%${escapedTerm}%'`);
-    whereParts.push(`LOWER(ud.drug_name) LIKE '%${escapedTerm}%'`);
+function toLegacyMedicine(medicine) {
+  const legacy = {
+    ...medicine,
+    drug_id: medicine.med_drug_id,
+    salt_name: medicine.composition,
+    drug_type: medicine.med_type,
+    strength: medicine.composition1_strength || '',
+    price: medicine.mrp,
+  };
+
+  for (let i = 1; i <= 5; i++) {
+    legacy[`med_composition_name_${i}`] = medicine[`composition${i}_name`];
+    legacy[`med_composition_strength_${i}`] = medicine[`composition${i}_strength`];
+    legacy[`med_composition_unit_${i}`] = medicine[`composition${i}_unit`];
   }
 
-  return whereParts.length > 0 ? whereParts.join(' OR ') : '1=0';
+  return legacy;
 }
 
 /**
- * Advanced medicine search with intelligent matching and scoring
- * Searches by medicine brand name, composition, strength, unit, and type
+ * Search medicines by brand name, OCR variations and composition
+ * Deprecated: use GET /api/medicine/search?q=
  */
 const searchMedicines = async (req, res, next) => {
   try {
-    const { query, limit = 10 } = req.query;
+    const { query, q, limit = 10 } = req.query;
+    const searchTerm = typeof (query || q) === 'string' ? (query || q).trim() : '';
 
-    if (!query || query.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        message: 'Search query must be at least 2 characters long',
-      });
+    if (searchTerm.length < 2) {
+      return sendError(res, 'Search query must be at least 2 characters long', 400);
     }
 
-    const searchTerm = query.trim();
     const limitValue = Math.min(parseInt(limit) || 10, 50); // Max 50 results
 
-    // Build advanced search query with match counting
-    const searchSQL = `
-      SELECT
-        md.med_id as drug_id,
-        md.med_brand_name as drug_name,
-        CONCAT_WS(', ',
-          CASE WHEN md.med_composition_name_1 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_1, ' ', COALESCE(md.med_composition_strength_1, ''), COALESCE(md.med_composition_unit_1, ''))
-            ELSE NULL END,
-          CASE WHEN md.med_composition_name_2 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_2, ' ', COALESCE(md.med_composition_strength_2, ''), COALESCE(md.med_composition_unit_2, ''))
-            ELSE NULL END,
-          CASE WHEN md.med_composition_name_3 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_3, ' ', COALESCE(md.med_composition_strength_3, ''), COALESCE(md.med_composition_unit_3, ''))
-            ELSE NULL END,
-          CASE WHEN md.med_composition_name_4 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_4, ' ', COALESCE(md.med_composition_strength_4, ''), COALESCE(md.med_composition_unit_4, ''))
-            ELSE NULL END,
-          CASE WHEN md.med_composition_name_5 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_5, ' ', COALESCE(md.med_composition_strength_5, ''), COALESCE(md.med_composition_unit_5, ''))
-            ELSE NULL END
-        ) as salt_name,
-        md.med_manufacturer_name as manufacturer,
-        md.med_type as drug_type,
-        COALESCE(md.med_composition_strength_1, '') as strength,
-        md.med_price as price,
-        md.med_pack_size as pack_size,
-        md.med_weightage,
-        ud.drug_name as composition_drug_name,
-        (
-          ${generateMatchCountCondition(searchTerm)}
-        ) AS match_count
-      FROM
-        med_details md
-      LEFT JOIN unique_drugs ud 
-        ON ud.id IN (
-          md.med_composition_id_1, 
-          md.med_composition_id_2, 
-          md.med_composition_id_3, 
-          md.med_composition_id_4, 
-          md.med_composition_id_5
-        )
-      WHERE
-        md.is_active = 1
-        AND md.is_deactivated = 0
-        AND (
-          ${generateWhereClause(searchTerm)}
-        )
-      ORDER BY
-        match_count DESC,
-        md.med_weightage DESC NULLS LAST,
-        md.med_brand_name
-      LIMIT ${limitValue}
-    `;
-
-    console.log('🔍 Advanced Medicine Search Query:', {
-      searchTerm,
+    const result = await medicineSearchService.searchMedicines(searchTerm, {
       limit: limitValue,
-      timestamp: new Date().toISOString()
+      doctorId: req.doctor?.doctorId || null
     });
 
-    const result = await medicinePool.query(searchSQL);
-
-    console.log(`✅ Found ${result.rows.length} medicines matching "${searchTerm}"`);
-
-    // Format results to remove internal scoring fields
-    const formattedResults = result.rows.map(row => ({
-      drug_id: row.drug_id,
-      drug_name: row.drug_name,
-      salt_name: row.salt_name,
-      manufacturer: row.manufacturer,
-      drug_type: row.drug_type,
-      strength: row.strength,
-      price: row.price,
-      pack_size: row.pack_size,
-      match_score: row.match_count // Include match score for debugging
-    }));
-
-    // Use res.locals for setResponse middleware
-    const STATUS = require('../../utils/constants').STATUS;
+    if (result.status !== STATUS.SUCCESS) {
+      res.locals = {
+        status: STATUS.FAILURE,
+        message: result.message,
+        error: result.error
+      };
+      return next();
+    }
+
     res.locals = {
       status: STATUS.SUCCESS,
+      message: result.message,
       data: {
-        medicines: formattedResults,
-        count: result.rows.length,
-        search_query: searchTerm
+        ...result.data,
+        medicines: result.data.medicines.map(medicine => ({
+          ...toLegacyMedicine(medicine),
+          match_score: medicine.score
+        })),
+        count: result.data.results_count,
       }
     };
 
@@ -171,7 +80,6 @@ const searchMedicines = async (req, res, next) => {
   } catch (error) {
     console.error('❌ Error searching medicines:', error);
 
-    const STATUS = require('../../utils/constants').STATUS;
     res.locals = {
       status: STATUS.FAILURE,
       message: 'Failed to search medicines',
@@ -184,136 +92,98 @@ const searchMedicines = async (req, res, next) => {
 
 /**
  * Get medicine details by ID
+ * Deprecated: use GET /api/medicine/:id
  */
-const getMedicineById = async (req, res) => {
+const getMedicineById = async (req, res, next) => {
   try {
-    const { medicineId } = req.params;
+    const medicineId = parseInt(req.params.medicineId);
 
-    const medicineSQL = `
-      SELECT 
-        md.med_id as drug_id,
-        md.med_brand_name as drug_name,
-        CONCAT_WS(', ',
-          CASE WHEN md.med_composition_name_1 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_1, ' ', COALESCE(md.med_composition_strength_1, ''), COALESCE(md.med_composition_unit_1, ''))
-            ELSE NULL END,
-          CASE WHEN md.med_composition_name_2 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_2, ' ', COALESCE(md.med_composition_strength_2, ''), COALESCE(md.med_composition_unit_2, ''))
-            ELSE NULL END,
-          CASE WHEN md.med_composition_name_3 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_3, ' ', COALESCE(md.med_composition_strength_3, ''), COALESCE(md.med_composition_unit_3, ''))
-            ELSE NULL END,
-          CASE WHEN md.med_composition_name_4 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_4, ' ', COALESCE(md.med_composition_strength_4, ''), COALESCE(md.med_composition_unit_4, ''))
-            ELSE NULL END,
-          CASE WHEN md.med_composition_name_5 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_5, ' ', COALESCE(md.med_composition_strength_5, ''), COALESCE(md.med_composition_unit_5, ''))
-            ELSE NULL END
-        ) as salt_name,
-        md.med_manufacturer_name as manufacturer,
-        md.med_type as drug_type,
-        COALESCE(md.med_composition_strength_1, '') as strength,
-        md.med_price as price,
-        md.med_pack_size as pack_size,
-        md.med_weightage,
-        md.med_composition_name_1,
-        md.med_composition_strength_1,
-        md.med_composition_unit_1,
-        md.med_composition_name_2,
-        md.med_composition_strength_2,
-        md.med_composition_unit_2,
-        md.med_composition_name_3,
-        md.med_composition_strength_3,
-        md.med_composition_unit_3,
-        md.med_composition_name_4,
-        md.med_composition_strength_4,
-        md.med_composition_unit_4,
-        md.med_composition_name_5,
-        md.med_composition_strength_5,
-        md.med_composition_unit_5
-      FROM med_details md
-      WHERE md.med_id = $1
-        AND md.is_active = 1
-        AND md.is_deactivated = 0
-    `;
+    if (isNaN(medicineId) || medicineId < 1) {
+      return sendError(res, 'Invalid medicine ID', 400);
+    }
 
-    const result = await medicinePool.query(medicineSQL, [medicineId]);
+    const result = await medicineSearchService.getMedicineById(medicineId);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Medicine not found',
-      });
+    if (result.notFound) {
+      return sendError(res, 'Medicine not found', 404);
     }
 
-    return res.status(200).json({
-      success: true,
+    if (result.status !== STATUS.SUCCESS) {
+      res.locals = {
+        status: STATUS.FAILURE,
+        message: 'Failed to get medicine details',
+        error: result.error
+      };
+      return next();
+    }
+
+    // data is the medicine itself here, as before
+    res.locals = {
+      status: STATUS.SUCCESS,
       message: 'Medicine details retrieved successfully',
-      data: result.rows[0],
-    });
+      data: toLegacyMedicine(result.data.medicine),
+    };
+
+    next();
   } catch (error) {
     console.error('Error getting medicine details:', error);
-    return res.status(500).json({
-      success: false,
+
+    res.locals = {
+      status: STATUS.FAILURE,
       message: 'Failed to get medicine details',
-      error: error.message,
-    });
+      error: error.message
+    };
+
+    next();
   }
 };
 
 /**
  * Get popular/frequently prescribed medicines
+ * Deprecated: use GET /api/medicine/popular
  */
-const getPopularMedicines = async (req, res) => {
+const getPopularMedicines = async (req, res, next) => {
   try {
     const { limit = 20 } = req.query;
     const limitValue = Math.min(parseInt(limit) || 20, 50);
 
-    // Get most commonly prescribed medicines based on weightage
-    const popularSQL = `
-      SELECT 
-        md.med_id as drug_id,
-        md.med_brand_name as drug_name,
-        CONCAT_WS(', ',
-          CASE WHEN md.med_composition_name_1 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_1, ' ', COALESCE(md.med_composition_strength_1, ''), COALESCE(md.med_composition_unit_1, ''))
-            ELSE NULL END,
-          CASE WHEN md.med_composition_name_2 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_2, ' ', COALESCE(md.med_composition_strength_2, ''), COALESCE(md.med_composition_unit_2, ''))
-            ELSE NULL END,
-          CASE WHEN md.med_composition_name_3 IS NOT NULL 
-            THEN CONCAT(md.med_composition_name_3, ' ', COALESCE(md.med_composition_strength_3, ''), COALESCE(md.med_composition_unit_3, ''))
-            ELSE NULL END
-        ) as salt_name,
-        md.med_manufacturer_name as manufacturer,
-        md.med_type as drug_type,
-        md.med_price as price,
-        md.med_pack_size as pack_size,
-        md.med_weightage as popularity_score
-      FROM med_details md
-      WHERE md.is_active = 1
-        AND md.is_deactivated = 0
-      ORDER BY md.med_weightage DESC NULLS LAST, md.med_brand_name
-      LIMIT $1
-    `;
+    const result = await medicineSearchService.getPopularMedicines(limitValue, {
+      doctorId: req.doctor?.doctorId || null
+    });
 
-    const result = await medicinePool.query(popularSQL, [limitValue]);
+    if (result.status !== STATUS.SUCCESS) {
+      res.locals = {
+        status: STATUS.FAILURE,
+        message: result.message,
+        error: result.error
+      };
+      return next();
+    }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Popular medicines retrieved successfully',
+    res.locals = {
+      status: STATUS.SUCCESS,
+      message: result.message,
       data: {
-        medicines: result.rows,
-        count: result.rows.length,
-      },
-    });
+        ...result.data,
+        medicines: result.data.medicines.map(medicine => ({
+          ...toLegacyMedicine(medicine),
+          popularity_score: medicine.med_weightage
+        })),
+        count: result.data.results_count,
+      }
+    };
+
+    next();
   } catch (error) {
     console.error('Error getting popular medicines:', error);
-    return res.status(500).json({
-      success: false,
+
+    res.locals = {
+      status: STATUS.FAILURE,
       message: 'Failed to get popular medicines',
-      error: error.message,
-    });
+      error: error.message
+    };
+
+    next();
   }
 };
 
@@ -346,11 +216,15 @@ const addMedicineToPatient = async (req, res) => {
       });
     }
 
+    // Structured dosage is parsed from the frequency text ("1-0-1 after food")
+    const dosage = dosageParser.normalizeDosage(null, medicineFrequency).dosage;
+
     // Insert medicine
     const insertSQL = `
       INSERT INTO patient_medicine 
-        (prescription_id, medicine_name, medicine_salt, medicine_frequency, created_by)
-      VALUES ($1, $2, $3, $4, $5)
+        (prescription_id, medicine_name, medicine_salt, medicine_frequency, created_by,
+         ${dosageParser.DOSAGE_FIELDS.join(', ')})
+      VALUES ($1, $2, $3, $4, $5, ${dosageParser.DOSAGE_FIELDS.map((field, index) => `$${index + 6}`).join(', ')})
       RETURNING *
     `;
 
@@ -360,6 +234,7 @@ const addMedicineToPatient = async (req, res) => {
       medicineSalt || null,
       medicineFrequency || null,
       createdBy,
+      ...dosageParser.DOSAGE_FIELDS.map(field => dosage[field]),
     ]);
 
     return res.status(201).json({
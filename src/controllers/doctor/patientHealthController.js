@@ -0,0 +1,249 @@
+const patientHealthService = require('./patientHealthService');
+const STATUS = require('../../utils/constants').STATUS;
+
+/**
+ * Patient Health Controller - Allergy and condition records used by prescribing checks
+ * All routes are protected by doctorAuthMiddleware
+ */
+
+/**
+ * Map a service result onto res.locals
+ * @param {Object} res - Express response
+ * @param {Object} result - Service result
+ * @param {string} fallbackMessage - Message when the service gave none
+ */
+function setServiceResult(res, result, fallbackMessage) {
+    if (result.status === STATUS.SUCCESS) {
+        res.locals = {
+            status: STATUS.SUCCESS,
+            message: result.message,
+            data: result.data
+        };
+    } else {
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: result.message || fallbackMessage,
+            data: result.errors ? { errors: result.errors } : undefined
+        };
+    }
+}
+
+/**
+ * Parse route IDs; sets a failure on res.locals when one is invalid
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} [recordParam] - Name of the record ID param (allergyId / conditionId)
+ * @returns {Object|null} { patientId, recordId } or null when invalid
+ */
+function parseIds(req, res, recordParam) {
+    const patientId = parseInt(req.params.patientId);
+    if (isNaN(patientId)) {
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Valid patient ID is required'
+        };
+        return null;
+    }
+
+    if (!recordParam) return { patientId };
+
+    const recordId = parseInt(req.params[recordParam]);
+    if (isNaN(recordId)) {
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: `Valid ${recordParam === 'allergyId' ? 'allergy' : 'condition'} ID is required`
+        };
+        return null;
+    }
+
+    return { patientId, recordId };
+}
+
+/**
+ * List a patient's allergies
+ * GET /api/v1/doctor/patients/:patientId/allergies
+ */
+exports.listAllergies = async (req, res, next) => {
+    try {
+        const ids = parseIds(req, res);
+        if (!ids) return next();
+
+        const result = await patientHealthService.listAllergies(ids.patientId, req.doctor.doctorId);
+
+        setServiceResult(res, result, 'Failed to fetch allergies');
+        next();
+    } catch (error) {
+        console.error('Error in listAllergies:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Record an allergy
+ * POST /api/v1/doctor/patients/:patientId/allergies
+ * Body: { allergen, allergen_type?: drug|food|environmental|other, severity?: mild|moderate|severe|anaphylaxis,
+ *         reaction?, notes? }
+ */
+exports.createAllergy = async (req, res, next) => {
+    try {
+        const ids = parseIds(req, res);
+        if (!ids) return next();
+
+        const result = await patientHealthService.createAllergy(ids.patientId, req.doctor.doctorId, req.body);
+
+        setServiceResult(res, result, 'Failed to record allergy');
+        next();
+    } catch (error) {
+        console.error('Error in createAllergy:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Update an allergy
+ * PUT /api/v1/doctor/patients/:patientId/allergies/:allergyId
+ * Body: any of the createAllergy fields
+ */
+exports.updateAllergy = async (req, res, next) => {
+    try {
+        const ids = parseIds(req, res, 'allergyId');
+        if (!ids) return next();
+
+        const result = await patientHealthService.updateAllergy(ids.patientId, ids.recordId, req.doctor.doctorId, req.body);
+
+        setServiceResult(res, result, 'Failed to update allergy');
+        next();
+    } catch (error) {
+        console.error('Error in updateAllergy:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Remove an allergy recorded in error
+ * DELETE /api/v1/doctor/patients/:patientId/allergies/:allergyId
+ */
+exports.deleteAllergy = async (req, res, next) => {
+    try {
+        const ids = parseIds(req, res, 'allergyId');
+        if (!ids) return next();
+
+        const result = await patientHealthService.deleteAllergy(ids.patientId, ids.recordId, req.doctor.doctorId);
+
+        setServiceResult(res, result, 'Failed to remove allergy');
+        next();
+    } catch (error) {
+        console.error('Error in deleteAllergy:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * List a patient's conditions (active first)
+ * GET /api/v1/doctor/patients/:patientId/conditions
+ */
+exports.listConditions = async (req, res, next) => {
+    try {
+        const ids = parseIds(req, res);
+        if (!ids) return next();
+
+        const result = await patientHealthService.listConditions(ids.patientId, req.doctor.doctorId);
+
+        setServiceResult(res, result, 'Failed to fetch conditions');
+        next();
+    } catch (error) {
+        console.error('Error in listConditions:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Record a condition
+ * POST /api/v1/doctor/patients/:patientId/conditions
+ * Body: { condition_name, icd10_code?, status?: active|resolved, onset_date?: YYYY-MM-DD, notes? }
+ */
+exports.createCondition = async (req, res, next) => {
+    try {
+        const ids = parseIds(req, res);
+        if (!ids) return next();
+
+        const result = await patientHealthService.createCondition(ids.patientId, req.doctor.doctorId, req.body);
+
+        setServiceResult(res, result, 'Failed to record condition');
+        next();
+    } catch (error) {
+        console.error('Error in createCondition:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Update a condition (e.g. mark it resolved)
+ * PUT /api/v1/doctor/patients/:patientId/conditions/:conditionId
+ * Body: any of the createCondition fields
+ */
+exports.updateCondition = async (req, res, next) => {
+    try {
+        const ids = parseIds(req, res, 'conditionId');
+        if (!ids) return next();
+
+        const result = await patientHealthService.updateCondition(ids.patientId, ids.recordId, req.doctor.doctorId, req.body);
+
+        setServiceResult(res, result, 'Failed to update condition');
+        next();
+    } catch (error) {
+        console.error('Error in updateCondition:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Remove a condition recorded in error
+ * DELETE /api/v1/doctor/patients/:patientId/conditions/:conditionId
+ */
+exports.deleteCondition = async (req, res, next) => {
+    try {
+        const ids = parseIds(req, res, 'conditionId');
+        if (!ids) return next();
+
+        const result = await patientHealthService.deleteCondition(ids.patientId, ids.recordId, req.doctor.doctorId);
+
+        setServiceResult(res, result, 'Failed to remove condition');
+        next();
+    } catch (error) {
+        console.error('Error in deleteCondition:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
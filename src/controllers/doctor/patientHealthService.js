@@ -0,0 +1,366 @@
+const pool = require('../../config/dbConnection');
+const STATUS = require('../../utils/constants').STATUS;
+const drugInteractionChecker = require('../../utils/drugInteractionChecker');
+
+/**
+ * Patient Health Service - Allergies and conditions recorded against a patient
+ * Records belong to the patient and are shared by every doctor treating them; a doctor
+ * can manage them for patients they created or have an appointment with.
+ * Prescribing checks them through drugInteractionChecker.checkPatientContraindications.
+ */
+
+const ALLERGEN_TYPES = ['drug', 'food', 'environmental', 'other'];
+const ALLERGY_SEVERITIES = ['mild', 'moderate', 'severe', 'anaphylaxis'];
+const CONDITION_STATUSES = ['active', 'resolved'];
+const ICD10_PATTERN = /^[A-Z][0-9]{2}(\.[0-9A-Z]{1,4})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const RECORD_TYPES = {
+    allergy: {
+        label: 'Allergy',
+        table: 'patient_allergies',
+        idColumn: 'allergy_id',
+        orderBy: 'created_at DESC',
+        fields: {
+            allergen: { required: true, maxLength: 150 },
+            allergen_type: { values: ALLERGEN_TYPES, default: 'drug' },
+            severity: { values: ALLERGY_SEVERITIES, default: 'moderate' },
+            reaction: { maxLength: 255 },
+            notes: { maxLength: 2000 }
+        }
+    },
+    condition: {
+        label: 'Condition',
+        table: 'patient_conditions',
+        idColumn: 'condition_id',
+        orderBy: `CASE status WHEN 'active' THEN 0 ELSE 1 END, created_at DESC`,
+        fields: {
+            condition_name: { required: true, maxLength: 150 },
+            icd10_code: { maxLength: 10, uppercase: true, pattern: ICD10_PATTERN, patternMessage: 'a valid ICD-10 code (e.g. J45 or E11.9)' },
+            status: { values: CONDITION_STATUSES, default: 'active' },
+            onset_date: { date: true },
+            notes: { maxLength: 2000 }
+        }
+    }
+};
+
+/**
+ * Validate a create / update body against a record type's fields
+ * On create, required fields must be present and defaults are applied; on update only
+ * the fields supplied are returned. Empty strings clear optional fields.
+ * @param {Object} recordType - Entry of RECORD_TYPES
+ * @param {Object} input - Request body
+ * @param {boolean} partial - true for updates
+ * @returns {Object} { values, errors }
+ */
+function validateFields(recordType, input, partial) {
+    const values = {};
+    const errors = [];
+
+    Object.entries(recordType.fields).forEach(([field, spec]) => {
+        const raw = input?.[field];
+
+        if (raw === undefined) {
+            if (partial) return;
+            if (spec.required) errors.push(`${field} is required`);
+            else values[field] = spec.default !== undefined ? spec.default : null;
+            return;
+        }
+
+        let value = raw === null ? '' : String(raw).trim();
+        if (spec.uppercase) value = value.toUpperCase();
+        if (spec.values) value = value.toLowerCase();
+
+        if (!value) {
+            if (spec.required || spec.values) errors.push(`${field} cannot be empty`);
+            else values[field] = null;
+            return;
+        }
+
+        if (spec.maxLength && value.length > spec.maxLength) {
+            errors.push(`${field} must be at most ${spec.maxLength} characters`);
+        } else if (spec.values && !spec.values.includes(value)) {
+            errors.push(`${field} must be one of: ${spec.values.join(', ')}`);
+        } else if (spec.pattern && !spec.pattern.test(value)) {
+            errors.push(`${field} must be ${spec.patternMessage}`);
+        } else if (spec.date && (!DATE_PATTERN.test(value) || isNaN(new Date(`${value}T00:00:00`)))) {
+            errors.push(`${field} must be a date in YYYY-MM-DD format`);
+        } else {
+            values[field] = value;
+        }
+    });
+
+    return { values, errors };
+}
+
+/**
+ * Add how prescribing checks read a record
+ * @param {string} type - 'allergy' | 'condition'
+ * @param {Object} row - Table row
+ * @returns {Object} Row with checked_as
+ */
+function formatRecord(type, row) {
+    if (type === 'allergy') {
+        return {
+            ...row,
+            checked_as: row.allergen_type === 'drug' ? drugInteractionChecker.describeAllergen(row.allergen) : null
+        };
+    }
+    return {
+        ...row,
+        checked_as: drugInteractionChecker.describeConditionRules(row)
+    };
+}
+
+/**
+ * Whether a doctor may see and manage a patient's health records
+ * @param {number} patientId - Patient ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @returns {Promise<boolean>}
+ */
+async function hasPatientAccess(patientId, doctorId) {
+    const result = await pool.query(`
+        SELECT 1
+        FROM patients_records pr
+        WHERE pr.patient_id = $1
+            AND pr.is_active = 1
+            AND (
+                pr.created_by_dr_id = $2
+                OR EXISTS (
+                    SELECT 1 FROM dr_appointment da
+                    WHERE da.patient_id = pr.patient_id AND da.dr_id = $2 AND da.is_active = 1
+                )
+            )
+    `, [patientId, doctorId]);
+    return result.rows.length > 0;
+}
+
+const ACCESS_DENIED = {
+    status: STATUS.FAILURE,
+    message: 'Patient not found or access denied'
+};
+
+/**
+ * List a patient's records of one type
+ * @param {string} type - 'allergy' | 'condition'
+ * @param {number} patientId - Patient ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @returns {Object} - { status, data: records }
+ */
+async function listRecords(type, patientId, doctorId) {
+    const recordType = RECORD_TYPES[type];
+    try {
+        if (!await hasPatientAccess(patientId, doctorId)) return ACCESS_DENIED;
+
+        const result = await pool.query(`
+            SELECT *
+            FROM ${recordType.table}
+            WHERE patient_id = $1 AND is_active = 1
+            ORDER BY ${recordType.orderBy}
+        `, [patientId]);
+
+        return {
+            status: STATUS.SUCCESS,
+            data: result.rows.map(row => formatRecord(type, row))
+        };
+    } catch (error) {
+        console.error(`Error listing ${recordType.table}:`, error);
+        return {
+            status: STATUS.FAILURE,
+            message: `Failed to fetch ${recordType.label.toLowerCase()} records`,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Add a record for a patient
+ * @param {string} type - 'allergy' | 'condition'
+ * @param {number} patientId - Patient ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {Object} input - Request body
+ * @returns {Object} - { status, data: record } or { status, message, errors }
+ */
+async function createRecord(type, patientId, doctorId, input) {
+    const recordType = RECORD_TYPES[type];
+    const { values, errors } = validateFields(recordType, input, false);
+    if (errors.length > 0) {
+        return { status: STATUS.FAILURE, message: `Invalid ${recordType.label.toLowerCase()}`, errors };
+    }
+
+    try {
+        if (!await hasPatientAccess(patientId, doctorId)) return ACCESS_DENIED;
+
+        const columns = Object.keys(values);
+        const result = await pool.query(`
+            INSERT INTO ${recordType.table}
+            (patient_id, ${columns.join(', ')}, recorded_by_dr_id, created_by, updated_by, created_at, updated_at, is_active)
+            VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')},
+                    $${columns.length + 2}, $${columns.length + 2}, $${columns.length + 2}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)
+            RETURNING *
+        `, [patientId, ...columns.map(column => values[column]), doctorId]);
+
+        console.log(`✅ ${recordType.label} ${result.rows[0][recordType.idColumn]} recorded for patient ${patientId}`);
+        return {
+            status: STATUS.SUCCESS,
+            message: `${recordType.label} recorded`,
+            data: formatRecord(type, result.rows[0])
+        };
+    } catch (error) {
+        if (error.code === '23505') {
+            return {
+                status: STATUS.FAILURE,
+                message: `An allergy to ${values.allergen} is already recorded for this patient`
+            };
+        }
+        console.error(`Error creating ${recordType.table} row:`, error);
+        return {
+            status: STATUS.FAILURE,
+            message: `Failed to record ${recordType.label.toLowerCase()}`,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Update fields of a patient's record
+ * @param {string} type - 'allergy' | 'condition'
+ * @param {number} patientId - Patient ID
+ * @param {number} recordId - allergy_id / condition_id
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {Object} input - Fields to change
+ * @returns {Object} - { status, data: record } or { status, message, errors }
+ */
+async function updateRecord(type, patientId, recordId, doctorId, input) {
+    const recordType = RECORD_TYPES[type];
+    const { values, errors } = validateFields(recordType, input, true);
+    if (errors.length > 0) {
+        return { status: STATUS.FAILURE, message: `Invalid ${recordType.label.toLowerCase()}`, errors };
+    }
+
+    const columns = Object.keys(values);
+    if (columns.length === 0) {
+        return {
+            status: STATUS.FAILURE,
+            message: `Provide at least one of: ${Object.keys(recordType.fields).join(', ')}`
+        };
+    }
+
+    try {
+        if (!await hasPatientAccess(patientId, doctorId)) return ACCESS_DENIED;
+
+        const result = await pool.query(`
+            UPDATE ${recordType.table}
+            SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')},
+                updated_by = $${columns.length + 1},
+                updated_at = CURRENT_TIMESTAMP
+            WHERE ${recordType.idColumn} = $${columns.length + 2}
+                AND patient_id = $${columns.length + 3}
+                AND is_active = 1
+            RETURNING *
+        `, [...columns.map(column => values[column]), doctorId, recordId, patientId]);
+
+        if (result.rows.length === 0) {
+            return {
+                status: STATUS.FAILURE,
+                message: `${recordType.label} not found`
+            };
+        }
+
+        return {
+            status: STATUS.SUCCESS,
+            message: `${recordType.label} updated`,
+            data: formatRecord(type, result.rows[0])
+        };
+    } catch (error) {
+        if (error.code === '23505') {
+            return {
+                status: STATUS.FAILURE,
+                message: `An allergy to ${values.allergen} is already recorded for this patient`
+            };
+        }
+        console.error(`Error updating ${recordType.table} row:`, error);
+        return {
+            status: STATUS.FAILURE,
+            message: `Failed to update ${recordType.label.toLowerCase()}`,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Soft-delete a patient's record (e.g. entered in error)
+ * @param {string} type - 'allergy' | 'condition'
+ * @param {number} patientId - Patient ID
+ * @param {number} recordId - allergy_id / condition_id
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @returns {Object} - { status, message }
+ */
+async function deleteRecord(type, patientId, recordId, doctorId) {
+    const recordType = RECORD_TYPES[type];
+    try {
+        if (!await hasPatientAccess(patientId, doctorId)) return ACCESS_DENIED;
+
+        const result = await pool.query(`
+            UPDATE ${recordType.table}
+            SET is_active = 0, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE ${recordType.idColumn} = $1 AND patient_id = $2 AND is_active = 1
+            RETURNING ${recordType.idColumn}
+        `, [recordId, patientId, doctorId]);
+
+        if (result.rows.length === 0) {
+            return {
+                status: STATUS.FAILURE,
+                message: `${recordType.label} not found`
+            };
+        }
+
+        return {
+            status: STATUS.SUCCESS,
+            message: `${recordType.label} removed`
+        };
+    } catch (error) {
+        console.error(`Error deleting ${recordType.table} row:`, error);
+        return {
+            status: STATUS.FAILURE,
+            message: `Failed to remove ${recordType.label.toLowerCase()}`,
+            error: error.message
+        };
+    }
+}
+
+exports.listAllergies = (patientId, doctorId) => listRecords('allergy', patientId, doctorId);
+exports.createAllergy = (patientId, doctorId, input) => createRecord('allergy', patientId, doctorId, input);
+exports.updateAllergy = (patientId, allergyId, doctorId, input) => updateRecord('allergy', patientId, allergyId, doctorId, input);
+exports.deleteAllergy = (patientId, allergyId, doctorId) => deleteRecord('allergy', patientId, allergyId, doctorId);
+
+exports.listConditions = (patientId, doctorId) => listRecords('condition', patientId, doctorId);
+exports.createCondition = (patientId, doctorId, input) => createRecord('condition', patientId, doctorId, input);
+exports.updateCondition = (patientId, conditionId, doctorId, input) => updateRecord('condition', patientId, conditionId, doctorId, input);
+exports.deleteCondition = (patientId, conditionId, doctorId) => deleteRecord('condition', patientId, conditionId, doctorId);
+
+/**
+ * Active allergies and active conditions used by prescribing checks
+ * No access check: callers have already resolved the patient from an appointment.
+ * @param {number} patientId - Patient ID
+ * @returns {Promise<Object>} { allergies, conditions }
+ */
+exports.getSafetyProfile = async function (patientId) {
+    const [allergies, conditions] = await Promise.all([
+        pool.query(`
+            SELECT allergy_id, allergen, allergen_type, severity, reaction
+            FROM patient_allergies
+            WHERE patient_id = $1 AND is_active = 1
+        `, [patientId]),
+        pool.query(`
+            SELECT condition_id, condition_name, icd10_code
+            FROM patient_conditions
+            WHERE patient_id = $1 AND status = 'active' AND is_active = 1
+        `, [patientId])
+    ]);
+
+    return {
+        allergies: allergies.rows,
+        conditions: conditions.rows
+    };
+};
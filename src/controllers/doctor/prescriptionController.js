@@ -1,12 +1,31 @@
 const { mainPool } = require('../../config/multiDbConnection');
 const { sendError } = require('../../middleware/setResponse');
 const { generatePrescriptionPDF } = require('../../utils/pdfGenerator');
+const drugInteractionChecker = require('../../utils/drugInteractionChecker');
+const patientHealthService = require('./patientHealthService');
+const doseCalculationService = require('./doseCalculationService');
+const prescriptionTemplateService = require('./prescriptionTemplateService');
+const dosageParser = require('../../utils/dosageParser');
+const customMedicineService = require('./customMedicineService');
 
 /**
  * Prescription Controller
  * Handles prescription creation and medicine management for appointments
  */
 
+// Structured dosage columns follow the base columns ($8 onwards), then lineage
+// (source template, repeated medicine and its repeat status), then the doctor's custom medicine
+const LINEAGE_FIELDS = ['template_id', 'source_medicine_id', 'repeat_status'];
+const REPEAT_ACTIONS = ['continue', 'change', 'discontinue'];
+const INSERT_MEDICINE_SQL = `
+    INSERT INTO patient_medicine 
+        (prescription_id, medicine_name, medicine_salt, medicine_frequency, drug_id, created_by, updated_by, is_active,
+         ${[...dosageParser.DOSAGE_FIELDS, ...LINEAGE_FIELDS, 'custom_medicine_id'].join(', ')})
+    VALUES ($1, $2, $3, $4, $5, $6, $6, $7,
+            ${[...dosageParser.DOSAGE_FIELDS, ...LINEAGE_FIELDS, 'custom_medicine_id'].map((field, index) => `$${index + 8}`).join(', ')})
+    RETURNING *
+`;
+
 /**
  * Get or create prescription for an appointment
  * 
@@ -164,6 +183,21 @@ exports.getOrCreatePrescription = async (req, res, next) => {
  * @body {string} medicineSalt - Medicine composition/salt
  * @body {string} medicineFrequency - Dosage frequency
  * @body {number} drugId - Medicine database ID
+ * @body {number} customMedicineId - The doctor's custom medicine (when the catalogue has none);
+ *   its composition is the default salt, and once promoted its catalogue med_id is the drug_id
+ * @body {Object} dosage - Structured dosage, or the same fields at the top level:
+ *   dose_quantity, dose_unit, dose_morning, dose_noon, dose_evening, dose_night, doses_per_day,
+ *   food_timing, route, duration_days, is_prn
+ * 
+ * Structured fields not sent are parsed from the frequency text ("1-0-1 after food x 5 days");
+ * when only structured fields are sent the frequency text is written from them.
+ * 
+ * The medicine is checked against the rest of the prescription for duplicate salts,
+ * interactions and duplicate therapy; findings are returned as warnings in data.interactions.
+ * It is also checked against the patient's allergies and conditions: contraindicated
+ * matches refuse the medicine (data.contraindications), others are returned as warnings.
+ * For children the entered frequency / strength is checked against the paediatric dose
+ * range for their weight and age (data.doseCheck, warnings only).
  * 
  * @returns {Object} JSON response with medicine details
  */
@@ -182,7 +216,9 @@ exports.addMedicineToAppointment = async (req, res, next) => {
             medicineFrequency,
             medicine_frequency,
             drugId,
-            drug_id
+            drug_id,
+            customMedicineId,
+            custom_medicine_id
         } = req.body;
 
         // Use snake_case if provided, otherwise camelCase
@@ -191,6 +227,7 @@ exports.addMedicineToAppointment = async (req, res, next) => {
         const medicineSaltValue = medicine_salt || medicineSalt;
         const medicineFrequencyValue = medicine_frequency || medicineFrequency;
         const drugIdValue = drug_id || drugId;
+        const customMedicineIdValue = custom_medicine_id || customMedicineId;
 
         const createdBy = req.user?.userId || req.user?.drId || req.doctor?.doctorId;
 
@@ -201,6 +238,7 @@ exports.addMedicineToAppointment = async (req, res, next) => {
         console.log(`   Medicine Salt: ${medicineSaltValue}`);
         console.log(`   Frequency: ${medicineFrequencyValue}`);
         console.log(`   Drug ID: ${drugIdValue}`);
+        if (customMedicineIdValue) console.log(`   Custom Medicine ID: ${customMedicineIdValue}`);
         console.log(`   Created By: ${createdBy}`);
 
         // Validation
@@ -212,6 +250,47 @@ exports.addMedicineToAppointment = async (req, res, next) => {
             return next();
         }
 
+        const reference = {
+            customMedicineId: parseInt(customMedicineIdValue) || null,
+            drugId: parseInt(drugIdValue) || null,
+            salt: medicineSaltValue || null
+        };
+        if (await applyCustomMedicines(appointmentId, [reference]) !== -1) {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'Custom medicine not found for this appointment\'s doctor'
+            };
+            return next();
+        }
+
+        // Structured fields may be sent at the top level or in a dosage object
+        const dosageResult = dosageParser.normalizeDosage(req.body.dosage || req.body, medicineFrequencyValue);
+        if (dosageResult.error) {
+            res.locals = {
+                status: 'FAILURE',
+                message: dosageResult.error
+            };
+            return next();
+        }
+        const frequencyText = medicineFrequencyValue || dosageParser.formatDosage(dosageResult.dosage);
+
+        const candidates = [{
+            drug_id: reference.drugId,
+            medicine_name: medicineNameValue,
+            medicine_salt: reference.salt
+        }];
+
+        // Refuse before a prescription is created for a medicine the patient must not take
+        const contraindications = await checkPatientSafety(appointmentId, patientIdValue, candidates);
+        if (contraindications?.blocked) {
+            res.locals = {
+                status: 'FAILURE',
+                message: getBlockedMessage(contraindications),
+                data: { contraindications }
+            };
+            return next();
+        }
+
         // Get or create prescription for this appointment
         const prescriptionResult = await getOrCreatePrescriptionInternal(
             appointmentId,
@@ -230,30 +309,33 @@ exports.addMedicineToAppointment = async (req, res, next) => {
         const prescriptionId = prescriptionResult.prescriptionId;
         console.log(`✅ Using prescription ID: ${prescriptionId}`);
 
-        // Insert medicine
-        const insertMedicineSQL = `
-            INSERT INTO patient_medicine 
-                (prescription_id, medicine_name, medicine_salt, medicine_frequency, created_by, updated_by, is_active)
-            VALUES ($1, $2, $3, $4, $5, $5, 1)
-            RETURNING *
-        `;
+        const interactions = await checkAgainstPrescription(appointmentId, candidates);
+        const doseChecks = await doseCalculationService.checkPrescribedDoses(appointmentId, [{
+            ...candidates[0],
+            medicine_frequency: frequencyText
+        }]);
 
-        const medicineResult = await mainPool.query(insertMedicineSQL, [
-            prescriptionId,
-            medicineNameValue,
-            medicineSaltValue || null,
-            medicineFrequencyValue || null,
-            createdBy
-        ]);
+        // Insert medicine
+        const medicine = await insertPrescriptionMedicine(mainPool, prescriptionId, createdBy, {
+            medicine_name: medicineNameValue,
+            medicine_salt: reference.salt,
+            medicine_frequency: frequencyText,
+            drug_id: reference.drugId,
+            custom_medicine_id: reference.customMedicineId,
+            dosage: dosageResult.dosage
+        });
 
-        console.log(`✅ Medicine added successfully: ${medicineResult.rows[0].medicin_id}`);
+        console.log(`✅ Medicine added successfully: ${medicine.medicin_id}`);
 
         res.locals = {
             status: 'SUCCESS',
-            message: 'Medicine added to appointment successfully',
+            message: getAddedMessage('Medicine added to appointment', interactions, contraindications, doseChecks),
             data: {
-                medicine: medicineResult.rows[0],
-                prescriptionId: prescriptionId
+                medicine,
+                prescriptionId: prescriptionId,
+                interactions,
+                contraindications,
+                doseCheck: doseChecks ? doseChecks[0] : null
             }
         };
 
@@ -273,6 +355,592 @@ exports.addMedicineToAppointment = async (req, res, next) => {
     }
 };
 
+/**
+ * Add several medicines to an appointment prescription in one transaction
+ * Used to confirm drafts returned by the medicine extraction endpoint
+ * 
+ * @route POST /api/appointments/:appointmentId/medicines/bulk
+ * @body {number} patientId - Patient ID [required]
+ * @body {Array} medicines - [{ medicine_name, medicine_salt, medicine_frequency, drug_id, custom_medicine_id?, dosage? }] [required]
+ *   dosage and custom_medicine_id are handled as for a single medicine
+ * 
+ * Interaction findings between the new medicines and the prescription are returned in data.interactions.
+ * If any medicine is contraindicated by the patient's allergies or conditions none are added
+ * (data.contraindications); lesser allergy / condition findings are returned as warnings.
+ * Paediatric dose checks are returned per medicine, in order, in data.doseChecks.
+ * 
+ * @returns {Object} JSON response with inserted medicines
+ */
+exports.addMedicinesToAppointment = async (req, res, next) => {
+    let client;
+    try {
+        const { appointmentId } = req.params;
+        const { patientId, patient_id, medicines } = req.body;
+
+        const patientIdValue = patient_id || patientId;
+        const createdBy = req.user?.userId || req.user?.drId || req.doctor?.doctorId;
+
+        console.log(`\n💊 Bulk Add Medicines to Appointment Request:`);
+        console.log(`   Appointment ID: ${appointmentId}`);
+        console.log(`   Patient ID: ${patientIdValue}`);
+        console.log(`   Medicines: ${Array.isArray(medicines) ? medicines.length : 0}`);
+
+        // Validation
+        if (!appointmentId || !patientIdValue) {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'Appointment ID and Patient ID are required'
+            };
+            return next();
+        }
+
+        if (!Array.isArray(medicines) || medicines.length === 0) {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'medicines must be a non-empty array'
+            };
+            return next();
+        }
+
+        if (medicines.length > 50) {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'Maximum 50 medicines allowed per request'
+            };
+            return next();
+        }
+
+        // Support both snake_case and camelCase for compatibility
+        const rows = medicines.map(med => {
+            const frequency = med.medicine_frequency || med.medicineFrequency || null;
+            const dosageResult = dosageParser.normalizeDosage(med.dosage || med, frequency);
+            return {
+                name: med.medicine_name || med.medicineName,
+                salt: med.medicine_salt || med.medicineSalt || null,
+                frequency: frequency || dosageParser.formatDosage(dosageResult.dosage),
+                drugId: parseInt(med.drug_id || med.drugId) || null,
+                customMedicineId: parseInt(med.custom_medicine_id || med.customMedicineId) || null,
+                dosage: dosageResult.dosage,
+                dosageError: dosageResult.error
+            };
+        });
+
+        const missingIndex = rows.findIndex(row => !row.name || !String(row.name).trim());
+        if (missingIndex !== -1) {
+            res.locals = {
+                status: 'FAILURE',
+                message: `medicine_name is required for medicine at index ${missingIndex}`
+            };
+            return next();
+        }
+
+        const invalidIndex = rows.findIndex(row => row.dosageError);
+        if (invalidIndex !== -1) {
+            res.locals = {
+                status: 'FAILURE',
+                message: `${rows[invalidIndex].dosageError} for medicine at index ${invalidIndex}`
+            };
+            return next();
+        }
+
+        const unknownCustomIndex = await applyCustomMedicines(appointmentId, rows);
+        if (unknownCustomIndex !== -1) {
+            res.locals = {
+                status: 'FAILURE',
+                message: `Custom medicine not found for this appointment's doctor for medicine at index ${unknownCustomIndex}`
+            };
+            return next();
+        }
+
+        const candidates = rows.map(row => ({
+            drug_id: row.drugId,
+            medicine_name: String(row.name).trim(),
+            medicine_salt: row.salt
+        }));
+
+        const contraindications = await checkPatientSafety(appointmentId, patientIdValue, candidates);
+        if (contraindications?.blocked) {
+            res.locals = {
+                status: 'FAILURE',
+                message: getBlockedMessage(contraindications),
+                data: { contraindications }
+            };
+            return next();
+        }
+
+        const interactions = await checkAgainstPrescription(appointmentId, candidates);
+        const doseChecks = await doseCalculationService.checkPrescribedDoses(appointmentId, candidates.map((candidate, index) => ({
+            ...candidate,
+            medicine_frequency: rows[index].frequency
+        })));
+
+        client = await mainPool.connect();
+        await client.query('BEGIN');
+
+        // Get or create prescription for this appointment, in the same transaction as the medicines
+        const prescriptionResult = await getOrCreatePrescriptionInternal(
+            appointmentId,
+            patientIdValue,
+            createdBy,
+            client
+        );
+
+        if (!prescriptionResult.success) {
+            await client.query('ROLLBACK');
+            res.locals = {
+                status: 'FAILURE',
+                message: prescriptionResult.message
+            };
+            return next();
+        }
+
+        const prescriptionId = prescriptionResult.prescriptionId;
+        console.log(`✅ Using prescription ID: ${prescriptionId}`);
+
+        const inserted = [];
+        for (const row of rows) {
+            inserted.push(await insertPrescriptionMedicine(client, prescriptionId, createdBy, {
+                medicine_name: String(row.name).trim(),
+                medicine_salt: row.salt,
+                medicine_frequency: row.frequency,
+                drug_id: row.drugId,
+                custom_medicine_id: row.customMedicineId,
+                dosage: row.dosage
+            }));
+        }
+
+        await client.query('COMMIT');
+
+        console.log(`✅ Added ${inserted.length} medicines to prescription ${prescriptionId}`);
+
+        res.locals = {
+            status: 'SUCCESS',
+            message: getAddedMessage('Medicines added to appointment', interactions, contraindications, doseChecks),
+            data: {
+                medicines: inserted,
+                count: inserted.length,
+                prescriptionId: prescriptionId,
+                interactions,
+                contraindications,
+                doseChecks
+            }
+        };
+
+        next();
+
+    } catch (error) {
+        console.error('❌ Bulk add medicines to appointment error:', error);
+        console.error('Stack trace:', error.stack);
+
+        if (client) {
+            await client.query('ROLLBACK').catch(rollbackError => {
+                console.error('❌ Rollback failed:', rollbackError);
+            });
+        }
+
+        res.locals = {
+            status: 'FAILURE',
+            message: 'Failed to add medicines to appointment',
+            error: error.message
+        };
+
+        next();
+    } finally {
+        if (client) {
+            client.release();
+        }
+    }
+};
+
+/**
+ * Apply one of the doctor's prescription templates to an appointment
+ * 
+ * @route POST /api/v1/doctor/appointments/:appointmentId/prescription-templates/:templateId/apply
+ * 
+ * The template's medicines (with their structured dosage) are added to the appointment's
+ * prescription and its advice is appended to the prescription advice, in one transaction.
+ * Medicines already on the prescription (same name) are skipped and listed in data.skipped.
+ * Interaction, allergy / condition and dose checks run as for bulk add: a contraindicated
+ * medicine refuses the whole template.
+ * 
+ * @returns {Object} JSON response with inserted medicines
+ */
+exports.applyPrescriptionTemplate = async (req, res, next) => {
+    let client;
+    try {
+        const appointmentId = parseInt(req.params.appointmentId);
+        const templateId = parseInt(req.params.templateId);
+        const doctorId = req.doctor.doctorId;
+
+        console.log(`\n📋 Apply Prescription Template ${req.params.templateId} to Appointment ${req.params.appointmentId}`);
+
+        if (isNaN(appointmentId) || isNaN(templateId)) {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'Valid appointment ID and template ID are required'
+            };
+            return next();
+        }
+
+        const appointmentResult = await mainPool.query(
+            'SELECT patient_id FROM dr_appointment WHERE appointment_id = $1 AND dr_id = $2 AND is_active = 1',
+            [appointmentId, doctorId]
+        );
+        if (appointmentResult.rows.length === 0) {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'Appointment not found or access denied'
+            };
+            return next();
+        }
+        const patientId = appointmentResult.rows[0].patient_id;
+
+        const templateResult = await prescriptionTemplateService.getTemplate(templateId, doctorId);
+        if (templateResult.status !== 'SUCCESS') {
+            res.locals = {
+                status: 'FAILURE',
+                message: templateResult.message
+            };
+            return next();
+        }
+        const template = templateResult.data;
+
+        // Applying the same template twice should not duplicate medicines
+        const existingResult = await mainPool.query(`
+            SELECT LOWER(pm.medicine_name) AS medicine_name
+            FROM patient_medicine pm
+            INNER JOIN dr_appointment_details dad ON dad.prescription_id = pm.prescription_id
+            WHERE dad.appointment_id = $1 AND dad.is_active = 1 AND pm.is_active = 1
+        `, [appointmentId]);
+        const existingNames = new Set(existingResult.rows.map(row => row.medicine_name));
+
+        const toAdd = template.medicines.filter(med => !existingNames.has(med.medicine_name.toLowerCase()));
+        const skipped = template.medicines
+            .filter(med => existingNames.has(med.medicine_name.toLowerCase()))
+            .map(med => med.medicine_name);
+
+        const candidates = toAdd.map(med => ({
+            drug_id: med.drug_id,
+            medicine_name: med.medicine_name,
+            medicine_salt: med.medicine_salt
+        }));
+
+        let contraindications = null;
+        let interactions = null;
+        let doseChecks = null;
+        if (candidates.length > 0) {
+            contraindications = await checkPatientSafety(appointmentId, patientId, candidates);
+            if (contraindications?.blocked) {
+                res.locals = {
+                    status: 'FAILURE',
+                    message: getBlockedMessage(contraindications),
+                    data: { contraindications }
+                };
+                return next();
+            }
+
+            interactions = await checkAgainstPrescription(appointmentId, candidates);
+            doseChecks = await doseCalculationService.checkPrescribedDoses(appointmentId, toAdd.map((med, index) => ({
+                ...candidates[index],
+                medicine_frequency: med.medicine_frequency
+            })));
+        }
+
+        client = await mainPool.connect();
+        await client.query('BEGIN');
+
+        const prescriptionResult = await getOrCreatePrescriptionInternal(appointmentId, patientId, doctorId, client);
+        if (!prescriptionResult.success) {
+            throw new Error(prescriptionResult.message);
+        }
+        const prescriptionId = prescriptionResult.prescriptionId;
+
+        const inserted = [];
+        for (const med of toAdd) {
+            inserted.push(await insertPrescriptionMedicine(client, prescriptionId, doctorId, med, { templateId }));
+        }
+
+        // Append the template's advice unless the prescription already has it
+        let advice = null;
+        if (template.advice) {
+            const adviceResult = await client.query(`
+                UPDATE patient_prescription
+                SET advice = CASE
+                        WHEN advice IS NULL OR advice = '' THEN $1
+                        WHEN POSITION($1 IN advice) > 0 THEN advice
+                        ELSE advice || E'\\n' || $1
+                    END,
+                    updated_by = $2
+                WHERE prescription_id = $3
+                RETURNING advice
+            `, [template.advice, doctorId, prescriptionId]);
+            advice = adviceResult.rows[0]?.advice || null;
+        }
+
+        await prescriptionTemplateService.recordTemplateUse(client, templateId);
+
+        await client.query('COMMIT');
+
+        console.log(`✅ Template ${templateId} applied: ${inserted.length} added, ${skipped.length} skipped`);
+
+        res.locals = {
+            status: 'SUCCESS',
+            message: getAddedMessage(`Template "${template.template_name}" applied`, interactions, contraindications, doseChecks),
+            data: {
+                template: {
+                    template_id: template.template_id,
+                    template_name: template.template_name
+                },
+                medicines: inserted,
+                count: inserted.length,
+                skipped,
+                advice,
+                prescriptionId,
+                interactions,
+                contraindications,
+                doseChecks
+            }
+        };
+
+        next();
+
+    } catch (error) {
+        console.error('❌ Apply prescription template error:', error);
+        console.error('Stack trace:', error.stack);
+
+        if (client) {
+            await client.query('ROLLBACK').catch(rollbackError => {
+                console.error('❌ Rollback failed:', rollbackError);
+            });
+        }
+
+        res.locals = {
+            status: 'FAILURE',
+            message: 'Failed to apply prescription template',
+            error: error.message
+        };
+
+        next();
+    } finally {
+        if (client) {
+            client.release();
+        }
+    }
+};
+
+/**
+ * Repeat a previous prescription for a follow-up visit
+ * 
+ * @route POST /api/v1/doctor/appointments/:appointmentId/prescription/repeat
+ * @body {number} source_appointment_id - Earlier appointment of the same patient with this doctor
+ *   (defaults to the most recent one with medicines)
+ * @body {Array} items - Optional per-medicine instructions, keyed by the source medicin_id:
+ *   [{ medicin_id, action?: continue|change|discontinue, medicine_name?, medicine_salt?,
+ *      medicine_frequency?, drug_id?, dosage? }]. Medicines not listed are continued.
+ * 
+ * Medicines are copied into the appointment's prescription in one transaction, each marked
+ * continued or changed (with the fields that changed) and linked to the row it came from.
+ * Discontinued medicines are recorded inactive so the follow-up prescription shows what was
+ * stopped; the prescription records the source prescription. Medicines already on the
+ * prescription are skipped. Checks run as for bulk add.
+ * 
+ * @returns {Object} JSON response with repeated medicines
+ */
+exports.repeatPrescription = async (req, res, next) => {
+    let client;
+    try {
+        const appointmentId = parseInt(req.params.appointmentId);
+        const doctorId = req.doctor.doctorId;
+        const sourceValue = req.body.source_appointment_id ?? req.body.sourceAppointmentId;
+        const sourceAppointmentId = sourceValue !== undefined && sourceValue !== null && sourceValue !== ''
+            ? parseInt(sourceValue)
+            : null;
+        const items = req.body.items || [];
+
+        console.log(`\n🔁 Repeat Prescription Request: appointment ${req.params.appointmentId}, source ${sourceAppointmentId || 'latest'}`);
+
+        if (isNaN(appointmentId) || Number.isNaN(sourceAppointmentId)) {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'Valid appointment ID (and source_appointment_id when sent) is required'
+            };
+            return next();
+        }
+
+        if (sourceAppointmentId === appointmentId) {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'source_appointment_id must be a previous appointment'
+            };
+            return next();
+        }
+
+        if (!Array.isArray(items)) {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'items must be an array'
+            };
+            return next();
+        }
+
+        const appointmentResult = await mainPool.query(
+            'SELECT patient_id FROM dr_appointment WHERE appointment_id = $1 AND dr_id = $2 AND is_active = 1',
+            [appointmentId, doctorId]
+        );
+        if (appointmentResult.rows.length === 0) {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'Appointment not found or access denied'
+            };
+            return next();
+        }
+        const patientId = appointmentResult.rows[0].patient_id;
+
+        const source = await getRepeatSource(appointmentId, patientId, doctorId, sourceAppointmentId);
+        if (!source) {
+            res.locals = {
+                status: 'FAILURE',
+                message: sourceAppointmentId
+                    ? 'Source appointment not found for this patient or it has no medicines'
+                    : 'No previous prescription found for this patient'
+            };
+            return next();
+        }
+
+        const plan = planRepeatItems(source.medicines, items);
+        if (plan.error) {
+            res.locals = {
+                status: 'FAILURE',
+                message: plan.error
+            };
+            return next();
+        }
+
+        // Items already copied from the same source, or the same medicine already prescribed, are skipped
+        const existingResult = await mainPool.query(`
+            SELECT LOWER(pm.medicine_name) AS medicine_name, pm.is_active, pm.source_medicine_id
+            FROM patient_medicine pm
+            INNER JOIN dr_appointment_details dad ON dad.prescription_id = pm.prescription_id
+            WHERE dad.appointment_id = $1 AND dad.is_active = 1
+                AND (pm.is_active = 1 OR pm.repeat_status = 'discontinued')
+        `, [appointmentId]);
+        const copiedIds = new Set(existingResult.rows.map(row => row.source_medicine_id).filter(Boolean));
+        const activeNames = new Set(existingResult.rows.filter(row => row.is_active === 1).map(row => row.medicine_name));
+
+        const skipped = [];
+        const entries = plan.entries.filter(entry => {
+            const alreadyThere = copiedIds.has(entry.sourceMedicineId)
+                || (entry.status !== 'discontinued' && activeNames.has(entry.medicine.medicine_name.toLowerCase()));
+            if (alreadyThere) skipped.push(entry.medicine.medicine_name);
+            return !alreadyThere;
+        });
+        const prescribed = entries.filter(entry => entry.status !== 'discontinued');
+
+        const candidates = prescribed.map(entry => ({
+            drug_id: entry.medicine.drug_id,
+            medicine_name: entry.medicine.medicine_name,
+            medicine_salt: entry.medicine.medicine_salt
+        }));
+
+        let contraindications = null;
+        let interactions = null;
+        let doseChecks = null;
+        if (candidates.length > 0) {
+            contraindications = await checkPatientSafety(appointmentId, patientId, candidates);
+            if (contraindications?.blocked) {
+                res.locals = {
+                    status: 'FAILURE',
+                    message: getBlockedMessage(contraindications),
+                    data: { contraindications }
+                };
+                return next();
+            }
+
+            interactions = await checkAgainstPrescription(appointmentId, candidates);
+            doseChecks = await doseCalculationService.checkPrescribedDoses(appointmentId, prescribed.map((entry, index) => ({
+                ...candidates[index],
+                medicine_frequency: entry.medicine.medicine_frequency
+            })));
+        }
+
+        client = await mainPool.connect();
+        await client.query('BEGIN');
+
+        const prescriptionResult = await getOrCreatePrescriptionInternal(appointmentId, patientId, doctorId, client);
+        if (!prescriptionResult.success) {
+            throw new Error(prescriptionResult.message);
+        }
+        const prescriptionId = prescriptionResult.prescriptionId;
+
+        await client.query(
+            'UPDATE patient_prescription SET source_prescription_id = $1, updated_by = $2 WHERE prescription_id = $3',
+            [source.prescriptionId, doctorId, prescriptionId]
+        );
+
+        const medicines = [];
+        const discontinued = [];
+        for (const entry of entries) {
+            const row = await insertPrescriptionMedicine(client, prescriptionId, doctorId, entry.medicine, {
+                sourceMedicineId: entry.sourceMedicineId,
+                repeatStatus: entry.status,
+                isActive: entry.status !== 'discontinued'
+            });
+            if (entry.status === 'discontinued') {
+                discontinued.push(row);
+            } else {
+                medicines.push({ ...row, changes: entry.changes });
+            }
+        }
+
+        await client.query('COMMIT');
+
+        console.log(`✅ Repeated prescription ${source.prescriptionId} into ${prescriptionId}: ${medicines.length} added, ${discontinued.length} discontinued, ${skipped.length} skipped`);
+
+        res.locals = {
+            status: 'SUCCESS',
+            message: getAddedMessage(`Prescription repeated from appointment ${source.appointmentId}`, interactions, contraindications, doseChecks),
+            data: {
+                source: {
+                    appointmentId: source.appointmentId,
+                    prescriptionId: source.prescriptionId
+                },
+                prescriptionId,
+                medicines,
+                count: medicines.length,
+                discontinued,
+                skipped,
+                interactions,
+                contraindications,
+                doseChecks
+            }
+        };
+
+        next();
+
+    } catch (error) {
+        console.error('❌ Repeat prescription error:', error);
+        console.error('Stack trace:', error.stack);
+
+        if (client) {
+            await client.query('ROLLBACK').catch(rollbackError => {
+                console.error('❌ Rollback failed:', rollbackError);
+            });
+        }
+
+        res.locals = {
+            status: 'FAILURE',
+            message: 'Failed to repeat prescription',
+            error: error.message
+        };
+
+        next();
+    } finally {
+        if (client) {
+            client.release();
+        }
+    }
+};
+
 /**
  * Get medicines for an appointment
  * 
@@ -298,7 +966,7 @@ exports.getAppointmentMedicines = async (req, res, next) => {
 
         // Get prescription ID for this appointment
         const prescriptionSQL = `
-            SELECT pp.prescription_id
+            SELECT pp.prescription_id, pp.advice
             FROM patient_prescription pp
             INNER JOIN dr_appointment_details dad 
                 ON pp.prescription_id = dad.prescription_id
@@ -309,6 +977,7 @@ exports.getAppointmentMedicines = async (req, res, next) => {
         const prescriptionResult = await client.query(prescriptionSQL, [appointmentId]);
 
         let prescriptionId;
+        let advice = null;
 
         if (prescriptionResult.rows.length === 0) {
             console.log(`ℹ️ No prescription found for appointment ${appointmentId}, creating one...`);
@@ -370,6 +1039,7 @@ exports.getAppointmentMedicines = async (req, res, next) => {
             }
         } else {
             prescriptionId = prescriptionResult.rows[0].prescription_id;
+            advice = prescriptionResult.rows[0].advice;
         }
 
         // Get medicines for this prescription
@@ -379,10 +1049,15 @@ exports.getAppointmentMedicines = async (req, res, next) => {
                 medicine_name,
                 medicine_salt,
                 medicine_frequency,
+                custom_medicine_id,
+                ${dosageParser.DOSAGE_FIELDS.join(',\n                ')},
+                ${LINEAGE_FIELDS.join(',\n                ')},
+                is_active,
                 created_at,
                 updated_at
             FROM patient_medicine
-            WHERE prescription_id = $1 AND is_active = 1
+            WHERE prescription_id = $1
+                AND (is_active = 1 OR repeat_status = 'discontinued')
             ORDER BY created_at DESC
         `;
 
@@ -390,13 +1065,25 @@ exports.getAppointmentMedicines = async (req, res, next) => {
 
         console.log(`✅ Found ${medicinesResult.rows.length} medicines`);
 
+        // Rows saved before structured dosage existed are parsed from medicine_frequency
+        const rows = medicinesResult.rows.map(({ is_active, ...row }) => ({
+            ...row,
+            dosage: dosageParser.getStoredDosage(row),
+            active: is_active === 1
+        }));
+        const medicines = rows.filter(row => row.active).map(({ active, ...row }) => row);
+        // Stopped when the prescription was repeated from an earlier visit
+        const discontinued = rows.filter(row => !row.active).map(({ active, ...row }) => row);
+
         res.locals = {
             status: 'SUCCESS',
             message: 'Appointment medicines retrieved successfully',
             data: {
-                medicines: medicinesResult.rows,
-                count: medicinesResult.rows.length,
-                prescriptionId: prescriptionId
+                medicines,
+                count: medicines.length,
+                discontinued,
+                prescriptionId: prescriptionId,
+                advice
             }
         };
 
@@ -521,10 +1208,316 @@ exports.downloadPrescriptionPDF = async (req, res, next) => {
     }
 };
 
+/**
+ * Check medicines being added against the appointment's current prescription
+ * A failed check (e.g. medicine_db unreachable) is logged and does not block prescribing.
+ * @param {number} appointmentId - Appointment ID
+ * @param {Array<Object>} candidates - [{ drug_id, medicine_name, medicine_salt }]
+ * @returns {Promise<Object|null>} Interaction check result or null if the check failed
+ */
+async function checkAgainstPrescription(appointmentId, candidates) {
+    try {
+        const existing = await drugInteractionChecker.getAppointmentMedicines(appointmentId);
+        const result = await drugInteractionChecker.checkInteractions(candidates, existing);
+
+        if (result.findings.length > 0) {
+            console.log(`⚠️ ${result.findings.length} interaction finding(s), highest severity: ${result.highestSeverity}`);
+        }
+        return result;
+    } catch (error) {
+        console.error('❌ Interaction check failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Check medicines being added against the patient's allergies and conditions
+ * The patient is taken from the appointment when it exists. The result carries
+ * safetyCheck: 'completed', or 'unavailable' with a warning when the check could not run.
+ * An unavailable check blocks when the patient has recorded drug allergies, since a
+ * medicine they react to could otherwise be added unchecked.
+ * @param {number} appointmentId - Appointment ID
+ * @param {number} patientId - Patient ID sent by the client
+ * @param {Array<Object>} candidates - [{ drug_id, medicine_name, medicine_salt }]
+ * @returns {Promise<Object>} Contraindication check result with safetyCheck (and warning when unavailable)
+ */
+async function checkPatientSafety(appointmentId, patientId, candidates) {
+    let profile = null;
+
+    try {
+        const appointment = await mainPool.query(
+            'SELECT patient_id FROM dr_appointment WHERE appointment_id = $1',
+            [appointmentId]
+        );
+        profile = await patientHealthService.getSafetyProfile(appointment.rows[0]?.patient_id || patientId);
+        const result = await drugInteractionChecker.checkPatientContraindications(candidates, profile);
+
+        if (result.findings.length > 0) {
+            console.log(`⚠️ ${result.findings.length} allergy/condition finding(s), blocked: ${result.blocked}`);
+        }
+        return { ...result, safetyCheck: 'completed' };
+    } catch (error) {
+        console.error('❌ Allergy/condition check failed:', error.message);
+
+        // Same allergies the checker would have matched against
+        const drugAllergies = (profile?.allergies || [])
+            .filter(allergy => !allergy.allergen_type || allergy.allergen_type === 'drug');
+        const blocked = drugAllergies.length > 0;
+
+        return {
+            safetyCheck: 'unavailable',
+            warning: blocked
+                ? `Allergy check could not be completed and the patient has recorded drug allergies (${drugAllergies.map(allergy => allergy.allergen).join(', ')})`
+                : 'Allergy and condition check could not be completed; review the patient\'s allergies before prescribing',
+            findings: [],
+            blocked,
+            highestSeverity: null,
+            unresolved: [],
+            checkedCount: 0
+        };
+    }
+}
+
+/**
+ * Message for medicines refused by the allergy/condition check
+ * @param {Object} contraindications - Contraindication check result
+ * @returns {string} Message naming the first blocking finding, or why the check blocked
+ */
+function getBlockedMessage(contraindications) {
+    if (contraindications.safetyCheck === 'unavailable') {
+        return `Medicine not added. ${contraindications.warning}. Please try again.`;
+    }
+
+    const blocking = contraindications.findings.filter(finding => finding.blocking);
+    const more = blocking.length > 1 ? ` (+${blocking.length - 1} more)` : '';
+    return `Medicine not added - contraindicated: ${blocking[0].message}${more}`;
+}
+
+/**
+ * Success message noting any warnings returned with the added medicines
+ * @param {string} base - e.g. "Medicine added to appointment"
+ * @param {Object|null} interactions - Interaction check result
+ * @param {Object|null} contraindications - Contraindication check result
+ * @param {Array<Object>|null} doseChecks - Dose check per medicine
+ * @returns {string} Message
+ */
+function getAddedMessage(base, interactions, contraindications, doseChecks) {
+    const warnings = [
+        interactions?.findings.length > 0 && 'interaction',
+        contraindications?.findings.length > 0 && 'allergy/condition',
+        doseChecks?.some(check => check.findings.length > 0) && 'dose'
+    ].filter(Boolean);
+    const unchecked = contraindications?.safetyCheck === 'unavailable' ? `. ${contraindications.warning}` : '';
+
+    if (warnings.length === 0) return `${base} successfully${unchecked}`;
+
+    const last = warnings.pop();
+    return `${base} with ${warnings.length > 0 ? `${warnings.join(', ')} and ${last}` : last} warnings${unchecked}`;
+}
+
+/**
+ * Prescription to repeat: the given earlier appointment, or the doctor's latest other
+ * appointment for the patient that has medicines
+ * @param {number} appointmentId - Current appointment ID
+ * @param {number} patientId - Patient on the current appointment
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {number|null} sourceAppointmentId - Chosen earlier appointment
+ * @returns {Promise<Object|null>} { appointmentId, prescriptionId, medicines } or null
+ */
+async function getRepeatSource(appointmentId, patientId, doctorId, sourceAppointmentId) {
+    const sourceResult = await mainPool.query(`
+        SELECT da.appointment_id, dad.prescription_id
+        FROM dr_appointment da
+        INNER JOIN dr_appointment_details dad
+            ON dad.appointment_id = da.appointment_id AND dad.is_active = 1
+        WHERE da.patient_id = $1
+            AND da.dr_id = $2
+            AND da.is_active = 1
+            AND da.appointment_id <> $3
+            AND ($4::int IS NULL OR da.appointment_id = $4)
+            AND EXISTS (
+                SELECT 1 FROM patient_medicine pm
+                WHERE pm.prescription_id = dad.prescription_id AND pm.is_active = 1
+            )
+        ORDER BY da.created_at DESC
+        LIMIT 1
+    `, [patientId, doctorId, appointmentId, sourceAppointmentId]);
+
+    if (sourceResult.rows.length === 0) return null;
+    const { appointment_id, prescription_id } = sourceResult.rows[0];
+
+    const medicinesResult = await mainPool.query(`
+        SELECT medicin_id, medicine_name, medicine_salt, medicine_frequency, drug_id, custom_medicine_id,
+            ${dosageParser.DOSAGE_FIELDS.join(', ')}
+        FROM patient_medicine
+        WHERE prescription_id = $1 AND is_active = 1
+        ORDER BY created_at ASC, medicin_id ASC
+    `, [prescription_id]);
+
+    return {
+        appointmentId: appointment_id,
+        prescriptionId: prescription_id,
+        medicines: medicinesResult.rows
+    };
+}
+
+/**
+ * Work out what happens to each medicine of the source prescription
+ * @param {Array<Object>} sourceMedicines - patient_medicine rows being repeated
+ * @param {Array<Object>} items - Doctor's instructions keyed by medicin_id
+ * @returns {Object} { entries: [{ sourceMedicineId, status, medicine, changes }] } or { error }
+ */
+function planRepeatItems(sourceMedicines, items) {
+    const instructions = new Map();
+    for (const [index, item] of items.entries()) {
+        const medicinId = parseInt(item?.medicin_id ?? item?.medicinId);
+        if (!sourceMedicines.some(med => med.medicin_id === medicinId)) {
+            return { error: `items[${index}].medicin_id is not a medicine on the source prescription` };
+        }
+        const action = String(item.action || 'continue').toLowerCase();
+        if (!REPEAT_ACTIONS.includes(action)) {
+            return { error: `items[${index}].action must be one of: ${REPEAT_ACTIONS.join(', ')}` };
+        }
+        instructions.set(medicinId, { ...item, action });
+    }
+
+    const entries = [];
+    for (const source of sourceMedicines) {
+        const item = instructions.get(source.medicin_id) || { action: 'continue' };
+        const sourceDosage = dosageParser.getStoredDosage(source);
+        const original = {
+            medicine_name: source.medicine_name,
+            medicine_salt: source.medicine_salt,
+            medicine_frequency: source.medicine_frequency,
+            drug_id: source.drug_id,
+            custom_medicine_id: source.custom_medicine_id,
+            dosage: sourceDosage
+        };
+
+        if (item.action === 'discontinue') {
+            entries.push({ sourceMedicineId: source.medicin_id, status: 'discontinued', medicine: original, changes: [] });
+            continue;
+        }
+
+        // Re-sending the same frequency text keeps the stored dosage rather than re-parsing it
+        const sentFrequency = item.medicine_frequency ?? item.medicineFrequency;
+        const frequency = sentFrequency !== undefined
+            && String(sentFrequency || '').trim().toLowerCase() === String(source.medicine_frequency || '').trim().toLowerCase()
+            ? undefined
+            : sentFrequency;
+        const dosageInput = item.dosage || item;
+        const dosageEdited = Boolean(item.dosage)
+            || dosageParser.DOSAGE_FIELDS.some(field => item[field] !== undefined);
+
+        let dosage = sourceDosage;
+        if (frequency !== undefined || dosageEdited) {
+            const dosageResult = frequency !== undefined
+                ? dosageParser.normalizeDosage(dosageInput, frequency)
+                : dosageParser.normalizeDosage(dosageInput, null, sourceDosage);
+            if (dosageResult.error) {
+                return { error: `${dosageResult.error} for medicin_id ${source.medicin_id}` };
+            }
+            dosage = dosageResult.dosage;
+        }
+
+        const salt = item.medicine_salt ?? item.medicineSalt;
+        const drugId = item.drug_id ?? item.drugId;
+        const medicineName = String(item.medicine_name || item.medicineName || source.medicine_name).trim();
+        const medicine = {
+            medicine_name: medicineName,
+            medicine_salt: salt !== undefined ? salt || null : source.medicine_salt,
+            medicine_frequency: frequency !== undefined
+                ? frequency || dosageParser.formatDosage(dosage)
+                : (dosageEdited ? dosageParser.formatDosage(dosage) : source.medicine_frequency),
+            drug_id: drugId !== undefined ? parseInt(drugId) || null : source.drug_id,
+            // A renamed medicine is no longer the custom medicine it was
+            custom_medicine_id: medicineName.toLowerCase() === String(source.medicine_name || '').trim().toLowerCase()
+                ? source.custom_medicine_id
+                : null,
+            dosage
+        };
+
+        const changes = ['medicine_name', 'medicine_salt', 'medicine_frequency', 'drug_id']
+            .filter(field => (medicine[field] ?? null) !== (original[field] ?? null))
+            .map(field => ({ field, from: original[field] ?? null, to: medicine[field] ?? null }));
+        dosageParser.DOSAGE_FIELDS.forEach(field => {
+            const from = sourceDosage ? sourceDosage[field] : null;
+            const to = dosage ? dosage[field] : null;
+            if ((from ?? null) !== (to ?? null) && !(field === 'is_prn' && !from && !to)) {
+                changes.push({ field, from: from ?? null, to: to ?? null });
+            }
+        });
+
+        entries.push({
+            sourceMedicineId: source.medicin_id,
+            status: changes.length > 0 ? 'changed' : 'continued',
+            medicine,
+            changes
+        });
+    }
+
+    return { entries };
+}
+
+/**
+ * Check the custom medicines named on new medicines and fill in what they imply
+ * Only the appointment doctor's custom medicines can be prescribed. A promoted one is
+ * prescribed as its catalogue medicine (drug_id); the salt defaults to its composition.
+ * @param {number} appointmentId - Appointment ID
+ * @param {Array<Object>} rows - [{ customMedicineId, drugId, salt }], completed in place
+ * @returns {Promise<number>} Index of the first row with an unknown custom medicine, -1 when all are valid
+ */
+async function applyCustomMedicines(appointmentId, rows) {
+    const customMedicines = await customMedicineService.getAppointmentCustomMedicines(
+        appointmentId,
+        rows.map(row => row.customMedicineId)
+    );
+
+    const unknownIndex = rows.findIndex(row => row.customMedicineId && !customMedicines.has(row.customMedicineId));
+    if (unknownIndex !== -1) return unknownIndex;
+
+    for (const row of rows) {
+        const customMedicine = customMedicines.get(row.customMedicineId);
+        if (!customMedicine) continue;
+        row.drugId = row.drugId || customMedicine.promoted_med_id || null;
+        row.salt = row.salt || customMedicineService.getCompositionText(customMedicine);
+    }
+    return -1;
+}
+
+/**
+ * Insert a medicine into a prescription with its structured dosage and lineage
+ * @param {Object} db - mainPool or transaction client
+ * @param {number} prescriptionId - Prescription ID
+ * @param {number} createdBy - User adding the medicine
+ * @param {Object} medicine - { medicine_name, medicine_salt, medicine_frequency, drug_id, custom_medicine_id?, dosage }
+ * @param {Object} [lineage] - { templateId, sourceMedicineId, repeatStatus, isActive }
+ * @returns {Promise<Object>} Inserted row with dosage
+ */
+async function insertPrescriptionMedicine(db, prescriptionId, createdBy, medicine, lineage = {}) {
+    const dosage = { ...dosageParser.emptyDosage(), ...medicine.dosage };
+    const result = await db.query(INSERT_MEDICINE_SQL, [
+        prescriptionId,
+        medicine.medicine_name,
+        medicine.medicine_salt || null,
+        medicine.medicine_frequency || null,
+        medicine.drug_id || null,
+        createdBy,
+        lineage.isActive === false ? 0 : 1,
+        ...dosageParser.DOSAGE_FIELDS.map(field => dosage[field]),
+        lineage.templateId || null,
+        lineage.sourceMedicineId || null,
+        lineage.repeatStatus || null,
+        medicine.custom_medicine_id || null
+    ]);
+    return { ...result.rows[0], dosage: medicine.dosage || null };
+}
+
 /**
  * Internal helper function to get or create prescription
+ * Pass a transaction client as db to create the prescription inside that transaction.
  */
-async function getOrCreatePrescriptionInternal(appointmentId, patientId, createdBy) {
+async function getOrCreatePrescriptionInternal(appointmentId, patientId, createdBy, db = mainPool) {
     try {
         // Check if prescription exists
         const checkSQL = `
@@ -536,7 +1529,7 @@ async function getOrCreatePrescriptionInternal(appointmentId, patientId, created
                 AND pp.is_active = 1
         `;
 
-        const existing = await mainPool.query(checkSQL, [appointmentId]);
+        const existing = await db.query(checkSQL, [appointmentId]);
 
         if (existing.rows.length > 0) {
             console.log(`✅ Found existing prescription: ${existing.rows[0].prescription_id}`);
@@ -553,7 +1546,7 @@ async function getOrCreatePrescriptionInternal(appointmentId, patientId, created
             WHERE appointment_id = $1 AND is_active = 1
         `;
 
-        const appointmentExists = await mainPool.query(appointmentCheckSQL, [appointmentId]);
+        const appointmentExists = await db.query(appointmentCheckSQL, [appointmentId]);
 
         if (appointmentExists.rows.length === 0) {
             console.error(`❌ Appointment ${appointmentId} does not exist`);
@@ -574,7 +1567,7 @@ async function getOrCreatePrescriptionInternal(appointmentId, patientId, created
             RETURNING prescription_id
         `;
 
-        const newPrescription = await mainPool.query(createSQL, [patientId, createdBy]);
+        const newPrescription = await db.query(createSQL, [patientId, createdBy]);
         const prescriptionId = newPrescription.rows[0].prescription_id;
         console.log(`✅ Created new prescription: ${prescriptionId}`);
 
@@ -585,11 +1578,11 @@ async function getOrCreatePrescriptionInternal(appointmentId, patientId, created
             WHERE appointment_id = $1 AND is_active = 1
         `;
 
-        const existingDetails = await mainPool.query(checkDetailsSQL, [appointmentId]);
+        const existingDetails = await db.query(checkDetailsSQL, [appointmentId]);
 
         if (existingDetails.rows.length > 0) {
             console.log(`✅ Updating existing appointment_details`);
-            await mainPool.query(
+            await db.query(
                 `UPDATE dr_appointment_details
                  SET prescription_id = $1, updated_by = $2, updated_at = CURRENT_TIMESTAMP
                  WHERE appointment_id = $3`,
@@ -597,7 +1590,7 @@ async function getOrCreatePrescriptionInternal(appointmentId, patientId, created
             );
         } else {
             console.log(`✅ Creating new appointment_details`);
-            const insertResult = await mainPool.query(
+            const insertResult = await db.query(
                 `INSERT INTO dr_appointment_details
                     (appointment_id, patient_id, prescription_id, dr_id, created_by)
                  VALUES ($1, $2, $3, $4, $5)
@@ -0,0 +1,204 @@
+const multer = require('multer');
+const STATUS = require('../../utils/constants').STATUS;
+const pool = require('../../config/dbConnection');
+const { batchFuzzySearch, buildCompositionString } = require('../../utils/fuzzyMedicineMatcher');
+const ocrEngines = require('../../utils/ocrEngines');
+const prescriptionOcrParser = require('../../utils/prescriptionOcrParser');
+
+/**
+ * Prescription Import Controller - Read an outside prescription (photo or PDF)
+ * OCR (utils/ocrEngines) -> medicine lines (prescriptionOcrParser) -> medicine_db
+ * matches (batchFuzzySearch) -> draft rows the doctor reviews and confirms via
+ * POST /api/appointments/:appointmentId/medicines/bulk
+ * All routes are protected by doctorAuthMiddleware
+ */
+
+const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_UPLOAD_BYTES
+    },
+    fileFilter: (req, file, cb) => {
+        if (ocrEngines.SUPPORTED_MIME_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only image (JPEG, PNG, WebP, TIFF, BMP) or PDF files are allowed'), false);
+        }
+    }
+});
+
+// Multer error handling middleware
+const handleMulterError = (error, req, res, next) => {
+    res.locals.status = STATUS.FAILURE;
+    if (error instanceof multer.MulterError) {
+        res.locals.message = error.code === 'LIMIT_FILE_SIZE'
+            ? `File too large. Maximum size is ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB.`
+            : `Upload error: ${error.message}`;
+    } else {
+        res.locals.message = error.message || 'File upload failed';
+    }
+    next();
+};
+
+/**
+ * Read a prescription image / PDF and return draft medicines resolved against medicine_db
+ * POST /api/v1/doctor/appointments/:appointmentId/medicines/import
+ * Multipart: file (image or PDF) [required], minSimilarity? (default 0.7)
+ *
+ * Nothing is saved: each draft carries medicine_name, medicine_salt, medicine_frequency,
+ * drug_id and dosage in the shape the bulk add route accepts, plus the OCR line it came
+ * from and how it matched. Lines that were not read as medicines are returned as
+ * ignored_lines so the doctor can add anything the parser missed.
+ */
+const importPrescription = async (req, res, next) => {
+    try {
+        // Upload errors have already set the response
+        if (res.locals.status === STATUS.FAILURE) return next();
+
+        const { appointmentId } = req.params;
+        const doctorId = req.doctor.doctorId;
+
+        if (!appointmentId || isNaN(appointmentId)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Valid appointment ID is required'
+            };
+            return next();
+        }
+
+        if (!req.file) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Prescription file is required (multipart field "file")'
+            };
+            return next();
+        }
+
+        const minSimilarity = req.body?.minSimilarity !== undefined ? parseFloat(req.body.minSimilarity) : 0.7;
+        if (isNaN(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'minSimilarity must be between 0 and 1'
+            };
+            return next();
+        }
+
+        const appointmentResult = await pool.query(`
+            SELECT da.appointment_id, da.patient_id, dad.prescription_id
+            FROM dr_appointment da
+            LEFT JOIN dr_appointment_details dad ON da.appointment_id = dad.appointment_id
+                AND dad.dr_id = da.dr_id
+                AND dad.is_active = 1
+            WHERE da.appointment_id = $1 AND da.dr_id = $2 AND da.is_active = 1
+        `, [appointmentId, doctorId]);
+
+        if (appointmentResult.rows.length === 0) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Appointment not found or access denied'
+            };
+            return next();
+        }
+
+        const details = appointmentResult.rows[0];
+
+        console.log(`📄 Prescription import - Appointment: ${appointmentId}, File: ${req.file.originalname} (${req.file.mimetype}, ${req.file.size} bytes)`);
+
+        let ocr;
+        try {
+            ocr = await ocrEngines.recognize({
+                buffer: req.file.buffer,
+                mimeType: req.file.mimetype,
+                fileName: req.file.originalname
+            });
+        } catch (ocrError) {
+            console.error('❌ OCR failed:', ocrError.message);
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: `Could not read the prescription: ${ocrError.message}`
+            };
+            return next();
+        }
+
+        const parsed = prescriptionOcrParser.parsePrescriptionText(ocr.text);
+
+        console.log(`   OCR (${ocr.engine}): ${ocr.pages} page(s) in ${ocr.durationMs}ms, ${parsed.medicines.length} medicine line(s)`);
+
+        const searchResults = parsed.medicines.length > 0
+            ? await batchFuzzySearch(
+                parsed.medicines.map(line => ({
+                    medicine_name: line.medicine_name,
+                    medicine_salt: line.medicine_salt
+                })),
+                { minSimilarity, maxResults: 5, preferExactMatch: true }
+            )
+            : [];
+
+        const drafts = searchResults.map(result => {
+            const line = parsed.medicines[result.index];
+            const search = result.searchResult;
+            const match = search.success ? search.match : null;
+
+            return {
+                prescription_id: details.prescription_id || null,
+                medicine_name: match ? match.drug_name : line.medicine_name,
+                medicine_salt: (match && buildCompositionString(match)) || line.medicine_salt,
+                medicine_frequency: line.instructions,
+                drug_id: match ? match.med_drug_id : null,
+                dosage: line.dosage,
+                matched: !!match,
+                match_type: search.matchType || null,
+                match_confidence: search.confidence || 0,
+                extracted: {
+                    line_number: line.line_number,
+                    raw_text: line.raw_text,
+                    dosage_form: line.dosage_form,
+                    name: line.medicine_name,
+                    salt: line.medicine_salt,
+                    instructions: line.instructions
+                }
+            };
+        });
+
+        res.locals = {
+            status: STATUS.SUCCESS,
+            data: {
+                appointmentId: parseInt(appointmentId),
+                patientId: details.patient_id,
+                prescriptionId: details.prescription_id || null,
+                source: 'ocr',
+                ocr: {
+                    engine: ocr.engine,
+                    pages: ocr.pages,
+                    confidence: ocr.confidence,
+                    duration_ms: ocr.durationMs,
+                    text: ocr.text
+                },
+                medicines: drafts,
+                count: drafts.length,
+                matchedCount: drafts.filter(draft => draft.matched).length,
+                ignored_lines: parsed.ignoredLines
+            },
+            message: drafts.length > 0
+                ? 'Prescription read. Review and confirm the medicines to add them to the prescription.'
+                : 'No medicines could be read from the prescription'
+        };
+        next();
+
+    } catch (error) {
+        console.error('Error in importPrescription:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Failed to import prescription'
+        };
+        next();
+    }
+};
+
+module.exports = {
+    upload,
+    handleMulterError,
+    importPrescription
+};
@@ -0,0 +1,162 @@
+const prescriptionTemplateService = require('./prescriptionTemplateService');
+const STATUS = require('../../utils/constants').STATUS;
+
+/**
+ * Prescription Template Controller - A doctor's saved regimens
+ * All routes are protected by doctorAuthMiddleware
+ */
+
+/**
+ * Map a service result onto res.locals
+ * @param {Object} res - Express response
+ * @param {Object} result - Service result
+ * @param {string} fallbackMessage - Message when the service gave none
+ */
+function setServiceResult(res, result, fallbackMessage) {
+    if (result.status === STATUS.SUCCESS) {
+        res.locals = {
+            status: STATUS.SUCCESS,
+            message: result.message,
+            data: result.data
+        };
+    } else {
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: result.message || fallbackMessage,
+            data: result.errors ? { errors: result.errors } : undefined
+        };
+    }
+}
+
+/**
+ * Parse the template ID route param; sets a failure on res.locals when invalid
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {number|null} Template ID or null when invalid
+ */
+function parseTemplateId(req, res) {
+    const templateId = parseInt(req.params.templateId);
+    if (isNaN(templateId)) {
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Valid template ID is required'
+        };
+        return null;
+    }
+    return templateId;
+}
+
+/**
+ * List the doctor's templates with their medicines, most used first
+ * GET /api/v1/doctor/prescription-templates?search=fever
+ */
+exports.listTemplates = async (req, res, next) => {
+    try {
+        const result = await prescriptionTemplateService.listTemplates(req.doctor.doctorId, {
+            search: req.query.search
+        });
+
+        setServiceResult(res, result, 'Failed to fetch prescription templates');
+        next();
+    } catch (error) {
+        console.error('Error in listTemplates:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Get one template
+ * GET /api/v1/doctor/prescription-templates/:templateId
+ */
+exports.getTemplate = async (req, res, next) => {
+    try {
+        const templateId = parseTemplateId(req, res);
+        if (templateId === null) return next();
+
+        const result = await prescriptionTemplateService.getTemplate(templateId, req.doctor.doctorId);
+
+        setServiceResult(res, result, 'Failed to fetch prescription template');
+        next();
+    } catch (error) {
+        console.error('Error in getTemplate:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Create a template
+ * POST /api/v1/doctor/prescription-templates
+ * Body: { template_name, condition_name?, advice?,
+ *         medicines: [{ medicine_name, medicine_salt?, medicine_frequency?, drug_id?, dosage? }] }
+ *   dosage takes the structured fields accepted when adding a medicine to an appointment
+ */
+exports.createTemplate = async (req, res, next) => {
+    try {
+        const result = await prescriptionTemplateService.createTemplate(req.doctor.doctorId, req.body);
+
+        setServiceResult(res, result, 'Failed to create prescription template');
+        next();
+    } catch (error) {
+        console.error('Error in createTemplate:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Update a template; medicines, when sent, replace the whole list
+ * PUT /api/v1/doctor/prescription-templates/:templateId
+ * Body: any of the createTemplate fields
+ */
+exports.updateTemplate = async (req, res, next) => {
+    try {
+        const templateId = parseTemplateId(req, res);
+        if (templateId === null) return next();
+
+        const result = await prescriptionTemplateService.updateTemplate(templateId, req.doctor.doctorId, req.body);
+
+        setServiceResult(res, result, 'Failed to update prescription template');
+        next();
+    } catch (error) {
+        console.error('Error in updateTemplate:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Delete a template
+ * DELETE /api/v1/doctor/prescription-templates/:templateId
+ */
+exports.deleteTemplate = async (req, res, next) => {
+    try {
+        const templateId = parseTemplateId(req, res);
+        if (templateId === null) return next();
+
+        const result = await prescriptionTemplateService.deleteTemplate(templateId, req.doctor.doctorId);
+
+        setServiceResult(res, result, 'Failed to delete prescription template');
+        next();
+    } catch (error) {
+        console.error('Error in deleteTemplate:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
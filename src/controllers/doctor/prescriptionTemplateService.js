@@ -0,0 +1,419 @@
+const pool = require('../../config/dbConnection');
+const STATUS = require('../../utils/constants').STATUS;
+const dosageParser = require('../../utils/dosageParser');
+
+/**
+ * Prescription Template Service - A doctor's saved regimens for common conditions
+ * A template holds ordered medicines with structured dosage and advice. Templates are
+ * private to the doctor who created them; applying one to an appointment is handled by
+ * prescriptionController.applyPrescriptionTemplate.
+ */
+
+const MAX_TEMPLATE_MEDICINES = 30;
+
+const TEMPLATE_FIELDS = {
+    template_name: { required: true, maxLength: 100 },
+    condition_name: { maxLength: 150 },
+    advice: { maxLength: 2000 }
+};
+
+const MEDICINE_COLUMNS = ['medicine_name', 'medicine_salt', 'medicine_frequency', 'drug_id', ...dosageParser.DOSAGE_FIELDS];
+
+/**
+ * Validate one template medicine, parsing dosage from its frequency text
+ * @param {Object} medicine - { medicine_name, medicine_salt?, medicine_frequency?, drug_id?, dosage? } (camelCase accepted)
+ * @param {number} index - Position in the request, for error messages
+ * @returns {Object} { value } or { error }
+ */
+function validateMedicine(medicine, index) {
+    const name = String(medicine?.medicine_name || medicine?.medicineName || '').trim();
+    if (!name) {
+        return { error: `medicine_name is required for medicine at index ${index}` };
+    }
+    if (name.length > 255) {
+        return { error: `medicine_name must be at most 255 characters for medicine at index ${index}` };
+    }
+
+    const frequency = String(medicine.medicine_frequency || medicine.medicineFrequency || '').trim() || null;
+    if (frequency && frequency.length > 255) {
+        return { error: `medicine_frequency must be at most 255 characters for medicine at index ${index}` };
+    }
+
+    const dosageResult = dosageParser.normalizeDosage(medicine.dosage || medicine, frequency);
+    if (dosageResult.error) {
+        return { error: `${dosageResult.error} for medicine at index ${index}` };
+    }
+
+    return {
+        value: {
+            medicine_name: name,
+            medicine_salt: String(medicine.medicine_salt || medicine.medicineSalt || '').trim() || null,
+            medicine_frequency: frequency || dosageParser.formatDosage(dosageResult.dosage),
+            drug_id: parseInt(medicine.drug_id || medicine.drugId) || null,
+            ...dosageResult.dosage
+        }
+    };
+}
+
+/**
+ * Validate a create / update body
+ * On update only the fields supplied are returned; medicines, when supplied, replace the
+ * template's list.
+ * @param {Object} input - Request body
+ * @param {boolean} partial - true for updates
+ * @returns {Object} { values, medicines (null when not supplied), errors }
+ */
+function validateTemplate(input, partial) {
+    const values = {};
+    const errors = [];
+
+    Object.entries(TEMPLATE_FIELDS).forEach(([field, spec]) => {
+        const raw = input?.[field];
+
+        if (raw === undefined) {
+            if (partial) return;
+            if (spec.required) errors.push(`${field} is required`);
+            else values[field] = null;
+            return;
+        }
+
+        const value = raw === null ? '' : String(raw).trim();
+        if (!value) {
+            if (spec.required) errors.push(`${field} cannot be empty`);
+            else values[field] = null;
+        } else if (value.length > spec.maxLength) {
+            errors.push(`${field} must be at most ${spec.maxLength} characters`);
+        } else {
+            values[field] = value;
+        }
+    });
+
+    let medicines = null;
+    if (input?.medicines !== undefined || !partial) {
+        if (!Array.isArray(input?.medicines) || input.medicines.length === 0) {
+            errors.push('medicines must be a non-empty array');
+        } else if (input.medicines.length > MAX_TEMPLATE_MEDICINES) {
+            errors.push(`Maximum ${MAX_TEMPLATE_MEDICINES} medicines allowed per template`);
+        } else {
+            medicines = [];
+            input.medicines.forEach((medicine, index) => {
+                const result = validateMedicine(medicine, index);
+                if (result.error) errors.push(result.error);
+                else medicines.push(result.value);
+            });
+        }
+    }
+
+    return { values, medicines, errors };
+}
+
+/**
+ * Medicines of the given templates, grouped by template_id in sort order
+ * @param {Object} db - pool or transaction client
+ * @param {Array<number>} templateIds - Template IDs
+ * @returns {Promise<Map<number, Array<Object>>>}
+ */
+async function getTemplateMedicines(db, templateIds) {
+    const grouped = new Map(templateIds.map(templateId => [templateId, []]));
+    if (templateIds.length === 0) return grouped;
+
+    const { rows } = await db.query(`
+        SELECT template_medicine_id, template_id, sort_order, ${MEDICINE_COLUMNS.join(', ')}
+        FROM prescription_template_medicines
+        WHERE template_id = ANY($1::int[])
+        ORDER BY template_id, sort_order, template_medicine_id
+    `, [templateIds]);
+
+    rows.forEach(row => {
+        grouped.get(row.template_id).push({
+            template_medicine_id: row.template_medicine_id,
+            sort_order: row.sort_order,
+            medicine_name: row.medicine_name,
+            medicine_salt: row.medicine_salt,
+            medicine_frequency: row.medicine_frequency,
+            drug_id: row.drug_id,
+            dosage: dosageParser.getStoredDosage(row)
+        });
+    });
+    return grouped;
+}
+
+/**
+ * Replace a template's medicines
+ * @param {Object} client - Transaction client
+ * @param {number} templateId - Template ID
+ * @param {Array<Object>} medicines - Validated medicines
+ */
+async function replaceTemplateMedicines(client, templateId, medicines) {
+    await client.query('DELETE FROM prescription_template_medicines WHERE template_id = $1', [templateId]);
+
+    for (const [index, medicine] of medicines.entries()) {
+        await client.query(`
+            INSERT INTO prescription_template_medicines
+            (template_id, sort_order, ${MEDICINE_COLUMNS.join(', ')})
+            VALUES ($1, $2, ${MEDICINE_COLUMNS.map((column, columnIndex) => `$${columnIndex + 3}`).join(', ')})
+        `, [templateId, index, ...MEDICINE_COLUMNS.map(column => medicine[column])]);
+    }
+}
+
+/**
+ * Template row with its medicines
+ * @param {Object} db - pool or transaction client
+ * @param {number} templateId - Template ID
+ * @param {number} doctorId - Owning doctor
+ * @returns {Promise<Object|null>} Template or null when not found
+ */
+async function findTemplate(db, templateId, doctorId) {
+    const { rows } = await db.query(`
+        SELECT *
+        FROM prescription_templates
+        WHERE template_id = $1 AND dr_id = $2 AND is_active = 1
+    `, [templateId, doctorId]);
+    if (rows.length === 0) return null;
+
+    const medicines = await getTemplateMedicines(db, [templateId]);
+    return { ...rows[0], medicines: medicines.get(templateId) };
+}
+
+/**
+ * List the doctor's templates, most used first
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {Object} options - { search? } matched against template and condition names
+ * @returns {Object} - { status, data: templates with medicines }
+ */
+exports.listTemplates = async function (doctorId, { search } = {}) {
+    try {
+        const term = search ? `%${String(search).trim()}%` : null;
+        const { rows } = await pool.query(`
+            SELECT *
+            FROM prescription_templates
+            WHERE dr_id = $1
+                AND is_active = 1
+                AND ($2::text IS NULL OR template_name ILIKE $2 OR condition_name ILIKE $2)
+            ORDER BY usage_count DESC, last_used_at DESC NULLS LAST, template_name
+        `, [doctorId, term]);
+
+        const medicines = await getTemplateMedicines(pool, rows.map(row => row.template_id));
+
+        return {
+            status: STATUS.SUCCESS,
+            data: rows.map(row => ({ ...row, medicines: medicines.get(row.template_id) }))
+        };
+    } catch (error) {
+        console.error('Error listing prescription templates:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to fetch prescription templates',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * One of the doctor's templates
+ * @param {number} templateId - Template ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @returns {Object} - { status, data: template }
+ */
+exports.getTemplate = async function (templateId, doctorId) {
+    try {
+        const template = await findTemplate(pool, templateId, doctorId);
+        if (!template) {
+            return {
+                status: STATUS.FAILURE,
+                message: 'Prescription template not found'
+            };
+        }
+        return {
+            status: STATUS.SUCCESS,
+            data: template
+        };
+    } catch (error) {
+        console.error('Error fetching prescription template:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to fetch prescription template',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Create a template
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {Object} input - { template_name, condition_name?, advice?, medicines }
+ * @returns {Object} - { status, data: template } or { status, message, errors }
+ */
+exports.createTemplate = async function (doctorId, input) {
+    const { values, medicines, errors } = validateTemplate(input, false);
+    if (errors.length > 0) {
+        return { status: STATUS.FAILURE, message: 'Invalid prescription template', errors };
+    }
+
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const { rows } = await client.query(`
+            INSERT INTO prescription_templates
+            (dr_id, template_name, condition_name, advice, created_by, updated_by, created_at, updated_at, is_active)
+            VALUES ($1, $2, $3, $4, $1, $1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)
+            RETURNING template_id
+        `, [doctorId, values.template_name, values.condition_name, values.advice]);
+
+        const templateId = rows[0].template_id;
+        await replaceTemplateMedicines(client, templateId, medicines);
+        const template = await findTemplate(client, templateId, doctorId);
+
+        await client.query('COMMIT');
+
+        console.log(`✅ Prescription template ${templateId} created by doctor ${doctorId}`);
+        return {
+            status: STATUS.SUCCESS,
+            message: 'Prescription template created',
+            data: template
+        };
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        if (error.code === '23505') {
+            return {
+                status: STATUS.FAILURE,
+                message: `A template named "${values.template_name}" already exists`
+            };
+        }
+        console.error('Error creating prescription template:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to create prescription template',
+            error: error.message
+        };
+    } finally {
+        if (client) client.release();
+    }
+};
+
+/**
+ * Update a template's details and / or replace its medicines
+ * @param {number} templateId - Template ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {Object} input - Any of template_name, condition_name, advice, medicines
+ * @returns {Object} - { status, data: template } or { status, message, errors }
+ */
+exports.updateTemplate = async function (templateId, doctorId, input) {
+    const { values, medicines, errors } = validateTemplate(input, true);
+    if (errors.length > 0) {
+        return { status: STATUS.FAILURE, message: 'Invalid prescription template', errors };
+    }
+
+    const columns = Object.keys(values);
+    if (columns.length === 0 && !medicines) {
+        return {
+            status: STATUS.FAILURE,
+            message: `Provide at least one of: ${[...Object.keys(TEMPLATE_FIELDS), 'medicines'].join(', ')}`
+        };
+    }
+
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+
+        const { rows } = await client.query(`
+            UPDATE prescription_templates
+            SET ${columns.map((column, index) => `${column} = $${index + 1}, `).join('')}
+                updated_by = $${columns.length + 1},
+                updated_at = CURRENT_TIMESTAMP
+            WHERE template_id = $${columns.length + 2}
+                AND dr_id = $${columns.length + 1}
+                AND is_active = 1
+            RETURNING template_id
+        `, [...columns.map(column => values[column]), doctorId, templateId]);
+
+        if (rows.length === 0) {
+            await client.query('ROLLBACK');
+            return {
+                status: STATUS.FAILURE,
+                message: 'Prescription template not found'
+            };
+        }
+
+        if (medicines) {
+            await replaceTemplateMedicines(client, templateId, medicines);
+        }
+        const template = await findTemplate(client, templateId, doctorId);
+
+        await client.query('COMMIT');
+
+        return {
+            status: STATUS.SUCCESS,
+            message: 'Prescription template updated',
+            data: template
+        };
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        if (error.code === '23505') {
+            return {
+                status: STATUS.FAILURE,
+                message: `A template named "${values.template_name}" already exists`
+            };
+        }
+        console.error('Error updating prescription template:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to update prescription template',
+            error: error.message
+        };
+    } finally {
+        if (client) client.release();
+    }
+};
+
+/**
+ * Soft-delete a template; medicines already prescribed from it are unaffected
+ * @param {number} templateId - Template ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @returns {Object} - { status, message }
+ */
+exports.deleteTemplate = async function (templateId, doctorId) {
+    try {
+        const { rows } = await pool.query(`
+            UPDATE prescription_templates
+            SET is_active = 0, updated_by = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE template_id = $1 AND dr_id = $2 AND is_active = 1
+            RETURNING template_id
+        `, [templateId, doctorId]);
+
+        if (rows.length === 0) {
+            return {
+                status: STATUS.FAILURE,
+                message: 'Prescription template not found'
+            };
+        }
+
+        return {
+            status: STATUS.SUCCESS,
+            message: 'Prescription template deleted'
+        };
+    } catch (error) {
+        console.error('Error deleting prescription template:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to delete prescription template',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Count a use of the template, inside the transaction that applies it
+ * @param {Object} client - Transaction client
+ * @param {number} templateId - Template ID
+ */
+exports.recordTemplateUse = async function (client, templateId) {
+    await client.query(`
+        UPDATE prescription_templates
+        SET usage_count = usage_count + 1, last_used_at = CURRENT_TIMESTAMP
+        WHERE template_id = $1
+    `, [templateId]);
+};
@@ -1,39 +1,83 @@
-const { fuzzySearchMedicine, batchFuzzySearch } = require('../../utils/fuzzyMedicineMatcher');
+const { batchFuzzySearch, findAlternatives } = require('../../utils/fuzzyMedicineMatcher');
+const medicineSearchService = require('./medicineSearchService');
+const medicinePrefixIndex = require('../../utils/medicinePrefixIndex');
+const customMedicineService = require('../doctor/customMedicineService');
 const { sendError } = require('../../middleware/setResponse');
+const drugInteractionChecker = require('../../utils/drugInteractionChecker');
+
+const ALTERNATIVE_FILTERS = ['generic', 'jan_aushadhi'];
 
 /**
  * Medicine Controller
  * Handles API endpoints for medicine search functionality
  * 
  * Endpoints:
- * - GET /api/medicine/search - Search for a single medicine
+ * - GET /api/medicine/search - Search medicines (prefix, trigram, composition, OCR variations)
+ * - GET /api/medicine/popular - Most prescribed medicines
+ * - GET /api/v1/doctor/medicines/autocomplete - Typeahead from the in-memory prefix index
+ * - GET /api/v1/doctor/medicines/frequent - The doctor's most prescribed medicines
  * - POST /api/medicine/batch-search - Search for multiple medicines
+ * - POST /api/medicine/check-interactions - Check medicines for duplicates and interactions
+ * - GET /api/medicine/:id/alternatives - Equivalent brands, cheapest first
+ * - GET /api/medicine/:id - Medicine details
+ * 
+ * The legacy /api/medicines/search, /popular and /:medicineId routes use the same
+ * search service and response fields until their sunset (see deprecationMiddleware).
  */
 
 /**
- * Search for medicines with fuzzy matching
+ * The doctor's custom medicines whose brand starts with the typed prefix, as autocomplete suggestions
+ * @param {number|null} doctorId - Requesting doctor
+ * @param {string} query - Typed prefix
+ * @param {number} limit - Maximum suggestions
+ * @returns {Promise<Array<Object>>} Suggestions with med_drug_id null, custom_medicine_id and is_custom
+ */
+async function getCustomSuggestions(doctorId, query, limit) {
+    const custom = await customMedicineService.searchCustomMedicines(doctorId, query, { limit, prefixOnly: true });
+
+    return custom.map(medicine => ({
+        med_drug_id: null,
+        custom_medicine_id: medicine.custom_medicine_id,
+        is_custom: true,
+        drug_name: medicine.drug_name,
+        composition: medicine.composition,
+        med_type: medicine.med_type,
+        manufacturer: medicine.manufacturer,
+        med_weightage: 0,
+        matched_on: 'brand',
+        matched_text: medicine.drug_name.toLowerCase(),
+        times_prescribed: medicine.times_prescribed
+    }));
+}
+
+/**
+ * Search for medicines by brand name prefix, trigram similarity, composition and
+ * OCR variations (medicineSearchService, shared with the deprecated /api/medicines/search)
  * 
  * @route GET /api/medicine/search
  * @query {string} q - Search query (medicine name) [required]
  * @query {number} limit - Maximum results (default: 20)
- * @query {string} salt - Composition/salt name for better matching
- * @query {number} minSimilarity - Minimum similarity threshold (default: 0.7)
+ * @query {string} salt - Composition/salt to match instead of the query's name part
+ * @query {number} minSimilarity - Minimum match score 0-1 (default: 0.7)
+ * 
+ * With a doctor's Authorization header, medicines the doctor prescribes often rank higher.
  * 
- * @returns {Object} JSON response with medicine results
+ * @returns {Object} JSON response with medicine results, best match first
  * 
  * @example
- * GET /api/medicine/search?q=paracetamol&salt=Paracetamol 500mg
+ * GET /api/medicine/search?q=paracetamol 500mg
  * 
  * Response:
  * {
  *   "status": "SUCCESS",
- *   "message": "Medicine found",
+ *   "message": "3 medicine(s) found",
  *   "data": {
- *     "medicines": [...],
- *     "search_query": "paracetamol",
- *     "results_count": 1,
- *     "match_type": "exact",
- *     "confidence": 1.0
+ *     "medicines": [{ "med_drug_id": 101, "drug_name": "Paracetamol 500mg Tablet", "composition": "Paracetamol 500mg",
+ *                     "match_type": "prefix", "matched_by": ["prefix", "trigram", "composition"], "score": 0.9, ... }],
+ *     "search_query": "paracetamol 500mg",
+ *     "results_count": 3,
+ *     "match_type": "prefix",
+ *     "confidence": 0.9
  *   }
  * }
  */
@@ -74,41 +118,31 @@ exports.searchMedicines = async (req, res, next) => {
         console.log(`   Limit: ${parsedLimit}`);
         console.log(`   Min Similarity: ${parsedMinSimilarity}`);
 
-        // Perform fuzzy search
         const startTime = Date.now();
-        const result = await fuzzySearchMedicine(query, {
-            maxResults: parsedLimit,
-            includeSalt: salt || null,
-            minSimilarity: parsedMinSimilarity,
-            preferExactMatch: true
+        const result = await medicineSearchService.searchMedicines(query, {
+            limit: parsedLimit,
+            salt: typeof salt === 'string' ? salt : null,
+            minScore: parsedMinSimilarity,
+            doctorId: req.doctor?.doctorId || null
         });
         const executionTime = Date.now() - startTime;
 
-        // Handle no results
-        if (!result.success) {
-            console.log(`❌ No medicine found for "${query}" (${executionTime}ms)`);
-
-            return sendError(
-                res,
-                result.message || 'No matching medicine found',
-                404
-            );
+        if (result.status !== 'SUCCESS') {
+            res.locals = {
+                status: 'FAILURE',
+                message: result.message,
+                error: result.error
+            };
+            return next();
         }
 
-        // Success response
-        console.log(`✅ Medicine found: ${result.match.drug_name} (${executionTime}ms)`);
-        console.log(`   Match Type: ${result.matchType}`);
-        console.log(`   Confidence: ${result.confidence.toFixed(2)}`);
+        console.log(`✅ ${result.data.results_count} medicine(s) for "${query}" (${executionTime}ms)`);
 
         res.locals = {
             status: 'SUCCESS',
-            message: 'Medicine found',
+            message: result.message,
             data: {
-                medicines: [result.match],
-                search_query: query,
-                results_count: 1,
-                match_type: result.matchType,
-                confidence: result.confidence,
+                ...result.data,
                 execution_time_ms: executionTime
             }
         };
@@ -129,6 +163,220 @@ exports.searchMedicines = async (req, res, next) => {
     }
 };
 
+/**
+ * Most prescribed medicines by weightage (shared with the deprecated /api/medicines/popular);
+ * with a doctor's Authorization header the doctor's own most prescribed come first
+ * 
+ * @route GET /api/medicine/popular
+ * @query {number} limit - Maximum results (default: 20, max: 50)
+ * 
+ * @returns {Object} JSON response with { medicines, results_count }
+ */
+exports.getPopularMedicines = async (req, res, next) => {
+    try {
+        const { limit = 20 } = req.query;
+
+        const parsedLimit = parseInt(limit);
+        if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 50) {
+            return sendError(res, 'Limit must be between 1 and 50', 400);
+        }
+
+        const result = await medicineSearchService.getPopularMedicines(parsedLimit, {
+            doctorId: req.doctor?.doctorId || null
+        });
+
+        res.locals = result.status === 'SUCCESS'
+            ? { status: 'SUCCESS', message: result.message, data: result.data }
+            : { status: 'FAILURE', message: result.message, error: result.error };
+
+        next();
+
+    } catch (error) {
+        console.error('❌ Get popular medicines error:', error);
+
+        res.locals = {
+            status: 'FAILURE',
+            message: 'Failed to get popular medicines',
+            error: error.message
+        };
+
+        next();
+    }
+};
+
+/**
+ * Typeahead suggestions for the prescription medicine field
+ * Served from the in-memory prefix index of brand and salt names; until the index
+ * has been built the same request is answered by the database search.
+ * 
+ * @route GET /api/v1/doctor/medicines/autocomplete
+ * @query {string} q - Typed prefix (at least 2 characters) [required]
+ * @query {number} limit - Maximum suggestions (default: 10, max: 25)
+ * 
+ * @returns {Object} JSON response with suggestions ranked by the doctor's own
+ * prescribing frequency, then brand over salt matches, then med_weightage. The doctor's
+ * custom medicines starting with the prefix come first (is_custom: true, med_drug_id null).
+ * 
+ * @example
+ * GET /api/v1/doctor/medicines/autocomplete?q=pan
+ * 
+ * Response:
+ * {
+ *   "status": "SUCCESS",
+ *   "data": {
+ *     "suggestions": [{ "med_drug_id": 2211, "drug_name": "Pan 40 Tablet", "composition": "Pantoprazole 40mg",
+ *                       "matched_on": "brand", "matched_text": "pan 40 tablet", "times_prescribed": 37, ... }],
+ *     "results_count": 10,
+ *     "query": "pan",
+ *     "source": "index"
+ *   }
+ * }
+ */
+exports.autocompleteMedicines = async (req, res, next) => {
+    try {
+        const { q: query, limit = 10 } = req.query;
+
+        if (typeof query !== 'string' || query.trim().length < medicinePrefixIndex.MIN_PREFIX_LENGTH) {
+            return sendError(res, `Query (q) must be at least ${medicinePrefixIndex.MIN_PREFIX_LENGTH} characters long`, 400);
+        }
+
+        const parsedLimit = parseInt(limit);
+        if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 25) {
+            return sendError(res, 'Limit must be between 1 and 25', 400);
+        }
+
+        const doctorId = req.doctor?.doctorId || null;
+        const [indexed, customSuggestions] = await Promise.all([
+            medicinePrefixIndex.lookupPrefix(query, { limit: parsedLimit, doctorId }),
+            getCustomSuggestions(doctorId, query, parsedLimit)
+        ]);
+
+        if (indexed) {
+            const suggestions = [...customSuggestions, ...indexed.suggestions].slice(0, parsedLimit);
+            res.locals = {
+                status: 'SUCCESS',
+                data: {
+                    suggestions,
+                    results_count: suggestions.length,
+                    query: query.trim(),
+                    source: 'index',
+                    index_built_at: indexed.builtAt
+                }
+            };
+            return next();
+        }
+
+        // Index still building (startup) or failed to load
+        const result = await medicineSearchService.searchMedicines(query, { limit: parsedLimit });
+        if (result.status !== 'SUCCESS') {
+            res.locals = {
+                status: 'FAILURE',
+                message: result.message,
+                error: result.error
+            };
+            return next();
+        }
+
+        const suggestions = [...customSuggestions, ...result.data.medicines.map(medicine => ({
+            med_drug_id: medicine.med_drug_id,
+            drug_name: medicine.drug_name,
+            composition: medicine.composition,
+            med_type: medicine.med_type,
+            manufacturer: medicine.manufacturer,
+            med_weightage: parseFloat(medicine.med_weightage) || 0,
+            matched_on: medicine.match_type === 'composition' ? 'salt' : 'brand',
+            matched_text: null,
+            times_prescribed: null
+        }))].slice(0, parsedLimit);
+
+        res.locals = {
+            status: 'SUCCESS',
+            data: {
+                suggestions,
+                results_count: suggestions.length,
+                query: query.trim(),
+                source: 'database',
+                index_built_at: null
+            }
+        };
+
+        next();
+
+    } catch (error) {
+        console.error('❌ Autocomplete medicines error:', error);
+
+        res.locals = {
+            status: 'FAILURE',
+            message: 'Failed to get medicine suggestions',
+            error: error.message
+        };
+
+        next();
+    }
+};
+
+/**
+ * The doctor's most prescribed medicines over a period, including free-text entries
+ * 
+ * @route GET /api/v1/doctor/medicines/frequent
+ * @query {number} limit - Maximum results (default: 20, max: 100)
+ * @query {number} days - Look back this many days (default: 365, max: 1825)
+ * 
+ * @returns {Object} JSON response with medicines, most prescribed first
+ * 
+ * @example
+ * GET /api/v1/doctor/medicines/frequent?limit=5&days=90
+ * 
+ * Response:
+ * {
+ *   "status": "SUCCESS",
+ *   "data": {
+ *     "medicines": [{ "drug_id": 2211, "medicine_name": "Pan 40", "medicine_frequency": "1-0-0 before food",
+ *                     "times_prescribed": 37, "patient_count": 31, "last_prescribed_at": "...",
+ *                     "medicine": { "med_drug_id": 2211, "composition": "Pantoprazole 40mg", ... } }],
+ *     "results_count": 5,
+ *     "days": 90
+ *   }
+ * }
+ */
+exports.getFrequentMedicines = async (req, res, next) => {
+    try {
+        const { limit = 20, days = 365 } = req.query;
+
+        const parsedLimit = parseInt(limit);
+        if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+            return sendError(res, 'Limit must be between 1 and 100', 400);
+        }
+
+        const parsedDays = parseInt(days);
+        if (isNaN(parsedDays) || parsedDays < 1 || parsedDays > 1825) {
+            return sendError(res, 'days must be between 1 and 1825', 400);
+        }
+
+        const result = await medicineSearchService.getFrequentMedicines(req.doctor.doctorId, {
+            limit: parsedLimit,
+            days: parsedDays
+        });
+
+        res.locals = result.status === 'SUCCESS'
+            ? { status: 'SUCCESS', message: result.message, data: result.data }
+            : { status: 'FAILURE', message: result.message, error: result.error };
+
+        next();
+
+    } catch (error) {
+        console.error('❌ Get frequent medicines error:', error);
+
+        res.locals = {
+            status: 'FAILURE',
+            message: 'Failed to get frequently prescribed medicines',
+            error: error.message
+        };
+
+        next();
+    }
+};
+
 /**
  * Batch search for multiple medicines
  * 
@@ -156,6 +404,7 @@ exports.searchMedicines = async (req, res, next) => {
  *   "message": "Batch search completed",
  *   "data": {
  *     "total_searched": 2,
+ *     "unique_searched": 2,
  *     "total_found": 2,
  *     "results": [...]
  *   }
@@ -242,7 +491,9 @@ exports.batchSearchMedicines = async (req, res, next) => {
             medicine: result.searchResult.success ? result.searchResult.match : null,
             match_type: result.searchResult.matchType || null,
             confidence: result.searchResult.confidence || 0,
-            error: result.searchResult.success ? null : result.searchResult.message
+            error: result.searchResult.success ? null : result.searchResult.message,
+            duplicate_of: result.duplicateOf,
+            execution_time_ms: result.executionTimeMs
         }));
 
         const totalFound = formattedResults.filter(r => r.found).length;
@@ -258,6 +509,7 @@ exports.batchSearchMedicines = async (req, res, next) => {
             message: 'Batch search completed',
             data: {
                 total_searched: medicines.length,
+                unique_searched: formattedResults.filter(r => r.duplicate_of === null).length,
                 total_found: totalFound,
                 success_rate: parseFloat(successRate),
                 execution_time_ms: executionTime,
@@ -306,53 +558,23 @@ exports.getMedicineById = async (req, res, next) => {
 
         console.log(`\n📋 Get Medicine by ID Request: ${medicineId}`);
 
-        const { medicinePool } = require('../../config/multiDbConnection');
-        const { formatMedicineResult } = require('../../utils/fuzzyMedicineMatcher');
-
-        const query = `
-            SELECT 
-                md.med_id,
-                md.med_brand_name,
-                md.med_generic_id,
-                md.med_composition_id_1,
-                md.med_composition_name_1,
-                md.med_composition_strength_1,
-                md.med_composition_unit_1,
-                md.med_composition_id_2,
-                md.med_composition_name_2,
-                md.med_composition_strength_2,
-                md.med_composition_unit_2,
-                md.med_composition_id_3,
-                md.med_composition_name_3,
-                md.med_composition_strength_3,
-                md.med_composition_unit_3,
-                md.med_composition_id_4,
-                md.med_composition_name_4,
-                md.med_composition_strength_4,
-                md.med_composition_unit_4,
-                md.med_composition_id_5,
-                md.med_composition_name_5,
-                md.med_composition_strength_5,
-                md.med_composition_unit_5,
-                md.med_price,
-                md.med_manufacturer_name,
-                md.med_pack_size,
-                md.med_type,
-                md.med_weightage
-            FROM med_details md
-            WHERE md.med_id = $1
-                AND md.is_active = 1
-                AND md.is_deactivated = 0
-        `;
-
-        const result = await medicinePool.query(query, [medicineId]);
-
-        if (result.rows.length === 0) {
+        const result = await medicineSearchService.getMedicineById(medicineId);
+
+        if (result.notFound) {
             console.log(`❌ Medicine not found with ID: ${medicineId}`);
             return sendError(res, 'Medicine not found', 404);
         }
 
-        const medicine = formatMedicineResult(result.rows[0]);
+        if (result.status !== 'SUCCESS') {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'Failed to get medicine',
+                error: result.error
+            };
+            return next();
+        }
+
+        const { medicine } = result.data;
 
         console.log(`✅ Medicine found: ${medicine.drug_name}`);
 
@@ -380,4 +602,182 @@ exports.getMedicineById = async (req, res, next) => {
     }
 };
 
+/**
+ * Equivalent brands for substitution: same compositions, strengths and dosage form
+ * 
+ * @route GET /api/medicine/:id/alternatives
+ * @param {number} id - Medicine ID
+ * @query {string} filter - "generic" (generic-named and Jan Aushadhi) or "jan_aushadhi" (optional)
+ * @query {number} limit - Maximum alternatives (default: 20, max: 50)
+ * 
+ * Ranked by price per unit of the pack (pack price when the pack size is unknown), then
+ * by med_weightage. savings_percent compares each unit price with the requested medicine.
+ * 
+ * @returns {Object} JSON response with the medicine and its alternatives
+ * 
+ * @example
+ * GET /api/medicine/1234/alternatives?filter=generic
+ * 
+ * Response:
+ * {
+ *   "status": "SUCCESS",
+ *   "data": {
+ *     "medicine": { "med_drug_id": 1234, "drug_name": "Augmentin 625 Duo", "unit_price": 22.4, ... },
+ *     "alternatives": [{ "drug_name": "Amoxycillin and Potassium Clavulanate 625", "is_jan_aushadhi": true,
+ *                        "unit_price": 6.2, "savings_percent": 72, ... }],
+ *     "results_count": 1,
+ *     "total_equivalent": 1
+ *   }
+ * }
+ */
+exports.getMedicineAlternatives = async (req, res, next) => {
+    try {
+        const medicineId = parseInt(req.params.id);
+        const { filter, limit = 20 } = req.query;
+
+        if (isNaN(medicineId) || medicineId < 1) {
+            return sendError(res, 'Invalid medicine ID', 400);
+        }
+
+        if (filter && !ALTERNATIVE_FILTERS.includes(filter)) {
+            return sendError(res, `filter must be one of: ${ALTERNATIVE_FILTERS.join(', ')}`, 400);
+        }
+
+        const limitNum = parseInt(limit);
+        if (isNaN(limitNum) || limitNum < 1 || limitNum > 50) {
+            return sendError(res, 'Limit must be between 1 and 50', 400);
+        }
+
+        console.log(`\n💊 Alternatives Request: ${medicineId}${filter ? ` (${filter})` : ''}`);
+
+        const result = await findAlternatives(medicineId, { filter: filter || null, limit: limitNum });
+
+        if (!result) {
+            return sendError(res, 'Medicine not found', 404);
+        }
+
+        console.log(`✅ ${result.totalEquivalent} equivalent brand(s) for ${result.medicine.drug_name}`);
+
+        res.locals = {
+            status: 'SUCCESS',
+            message: result.alternatives.length > 0
+                ? `${result.alternatives.length} alternative(s) found`
+                : 'No equivalent brands found',
+            data: {
+                medicine: result.medicine,
+                alternatives: result.alternatives,
+                results_count: result.alternatives.length,
+                total_equivalent: result.totalEquivalent,
+                filter: filter || null
+            }
+        };
+
+        next();
+
+    } catch (error) {
+        console.error('❌ Get medicine alternatives error:', error);
+        console.error('Stack trace:', error.stack);
+
+        res.locals = {
+            status: 'FAILURE',
+            message: 'Failed to get medicine alternatives',
+            error: error.message
+        };
+
+        next();
+    }
+};
+
+/**
+ * Check medicines for duplicate salts, interactions and duplicate therapy
+ * 
+ * @route POST /api/medicine/check-interactions
+ * @body {Array} medicines - [{ drug_id?, medicine_name, medicine_salt? }] [required]
+ * @body {number} appointment_id - Also check against this appointment's prescription (optional)
+ * 
+ * @returns {Object} JSON response with findings sorted by severity
+ * 
+ * @example
+ * POST /api/medicine/check-interactions
+ * { "medicines": [{ "medicine_name": "Combiflam", "medicine_salt": "Ibuprofen 400mg + Paracetamol 325mg" }],
+ *   "appointment_id": 42 }
+ * 
+ * Response:
+ * {
+ *   "status": "SUCCESS",
+ *   "data": {
+ *     "findings": [{ "type": "duplicate_salt", "severity": "major", "medicines": [...], "message": "..." }],
+ *     "highestSeverity": "major",
+ *     "unresolved": [],
+ *     "checkedCount": 3
+ *   }
+ * }
+ */
+exports.checkInteractions = async (req, res, next) => {
+    try {
+        const { medicines, appointment_id, appointmentId } = req.body;
+        const appointmentIdValue = appointment_id || appointmentId;
+
+        if (!Array.isArray(medicines) || medicines.length === 0) {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'medicines must be a non-empty array'
+            };
+            return next();
+        }
+
+        if (medicines.length > 50) {
+            res.locals = {
+                status: 'FAILURE',
+                message: 'Maximum 50 medicines allowed per request'
+            };
+            return next();
+        }
+
+        const missingIndex = medicines.findIndex(med => !med || (!med.medicine_name && !med.drug_id));
+        if (missingIndex !== -1) {
+            res.locals = {
+                status: 'FAILURE',
+                message: `medicine_name or drug_id is required for medicine at index ${missingIndex}`
+            };
+            return next();
+        }
+
+        const candidates = medicines.map(med => ({
+            drug_id: parseInt(med.drug_id) || null,
+            medicine_name: med.medicine_name || `Drug ${med.drug_id}`,
+            medicine_salt: med.medicine_salt || null
+        }));
+
+        const existing = appointmentIdValue
+            ? await drugInteractionChecker.getAppointmentMedicines(parseInt(appointmentIdValue))
+            : [];
+
+        console.log(`\n💊 Interaction check: ${candidates.length} medicine(s), ${existing.length} already prescribed`);
+
+        const result = await drugInteractionChecker.checkInteractions(candidates, existing);
+
+        res.locals = {
+            status: 'SUCCESS',
+            message: result.findings.length > 0
+                ? `${result.findings.length} interaction warning(s) found`
+                : 'No interactions found',
+            data: result
+        };
+
+        next();
+
+    } catch (error) {
+        console.error('❌ Check interactions error:', error);
+
+        res.locals = {
+            status: 'FAILURE',
+            message: 'Failed to check medicine interactions',
+            error: error.message
+        };
+
+        next();
+    }
+};
+
 module.exports = exports;
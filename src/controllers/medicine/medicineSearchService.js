@@ -0,0 +1,457 @@
+const { medicinePool } = require('../../config/multiDbConnection');
+const STATUS = require('../../utils/constants').STATUS;
+const {
+    MEDICINE_COLUMNS,
+    formatMedicineResult,
+    generateMedicineNameVariations,
+    extractStrengthFromName
+} = require('../../utils/fuzzyMedicineMatcher');
+const prescribingFrequency = require('../../utils/prescribingFrequency');
+const medicineCache = require('../../utils/medicineCache');
+const customMedicineService = require('../doctor/customMedicineService');
+
+/**
+ * Medicine Search Service - One search over med_details for both route families
+ * (/api/medicine/* and the deprecated /api/medicines/*)
+ *
+ * A single parameterized query scores every candidate with four strategies and keeps
+ * the best score:
+ * - prefix: brand name equals (1.0) or starts with (0.9) the query
+ * - ocr_variant: brand name equals (0.85) or starts with (0.8) an OCR / suffix variation
+ * - trigram: pg_trgm similarity of brand name and query
+ * - composition: a composition name contains the query's (or salt's) name part (0.75),
+ *   at its strength (0.85)
+ *
+ * When the request comes from a doctor, medicines they prescribe often are boosted
+ * (prescribingFrequency.PERSONAL_BOOST) before the limit is applied.
+ *
+ * Searches and medicine details are cached in Redis (utils/medicineCache); searches for
+ * a doctor are cached per doctor with the shorter personal TTL. The doctor's own custom
+ * medicines (match_type "custom") are merged in after the cache, so edits show at once.
+ */
+
+// Scores given by each strategy (trigram uses pg_trgm similarity directly)
+const SCORES = {
+    exact: 1.0,
+    prefix: 0.9,
+    variantExact: 0.85,
+    variantPrefix: 0.8,
+    compositionStrength: 0.85,
+    composition: 0.75
+};
+
+// Similarity from which a trigram match is reported in matched_by (pg_trgm default threshold)
+const TRIGRAM_THRESHOLD = 0.3;
+
+// Shortest name part searched inside compositions
+const MIN_COMPOSITION_TERM = 3;
+
+const COMPOSITION_INDEXES = [1, 2, 3, 4, 5];
+
+const { PERSONAL_BOOST } = prescribingFrequency;
+
+/**
+ * The doctor's catalogue counts as parallel arrays for an unnest() join
+ * @param {number|null} doctorId - Requesting doctor, null for anonymous requests
+ * @returns {Promise<Array>} [medIds, counts]
+ */
+async function getFrequencyParams(doctorId) {
+    const counts = await prescribingFrequency.getDoctorMedicineCounts(doctorId);
+    return [Array.from(counts.keys()), Array.from(counts.values())];
+}
+
+// Joins each med_details row to the doctor's count (zero when not prescribed)
+const doctorFrequencyJoin = (idsParam, countsParam) => `
+    LEFT JOIN (
+        SELECT UNNEST(${idsParam}::int[]) AS med_id, UNNEST(${countsParam}::int[]) AS times_prescribed
+    ) df ON df.med_id = md.med_id`;
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ * @param {string} value - Raw text
+ * @returns {string} Text with \, % and _ escaped
+ */
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Parameters for the search query
+ * @param {string} query - Trimmed search text
+ * @param {string|null} salt - Composition to match instead of the query's name part
+ * @returns {Array} [query, prefix, variants, variantPrefixes, compositionTerm, strength, unit]
+ */
+function buildSearchParams(query, salt) {
+    const lowerQuery = query.toLowerCase();
+    const variants = generateMedicineNameVariations(query)
+        .map(variant => variant.toLowerCase())
+        .filter((variant, index, all) => variant !== lowerQuery && all.indexOf(variant) === index);
+
+    const extracted = extractStrengthFromName(salt && salt.trim() ? salt.trim() : query);
+    const compositionName = extracted.name.toLowerCase();
+
+    return [
+        lowerQuery,
+        `${escapeLike(lowerQuery)}%`,
+        variants,
+        variants.map(variant => `${escapeLike(variant)}%`),
+        compositionName.length >= MIN_COMPOSITION_TERM ? `%${escapeLike(compositionName)}%` : null,
+        extracted.strength,
+        extracted.unit
+    ];
+}
+
+/**
+ * Best score, the strategy that produced it and every strategy that matched
+ * @param {Object} row - Scored row
+ * @returns {Object} { score, matchType, matchedBy }
+ */
+function describeMatch(row) {
+    const scores = {
+        prefix: parseFloat(row.prefix_score) || 0,
+        ocr_variant: parseFloat(row.variant_score) || 0,
+        trigram: parseFloat(row.trigram_score) || 0,
+        composition: parseFloat(row.composition_score) || 0
+    };
+
+    const matchedBy = Object.keys(scores).filter(strategy =>
+        strategy === 'trigram' ? scores.trigram >= TRIGRAM_THRESHOLD : scores[strategy] > 0
+    );
+    const best = Object.keys(scores).reduce((a, b) => (scores[b] > scores[a] ? b : a));
+
+    return {
+        score: Math.round(scores[best] * 100) / 100,
+        matchType: best === 'prefix' && scores.prefix === SCORES.exact ? 'exact' : best,
+        matchedBy
+    };
+}
+
+/**
+ * Run the scored search query
+ * @param {string} query - Search text
+ * @param {Object} options - { limit, salt, minScore, doctorId }
+ * @returns {Object} - Service result (see searchMedicines)
+ */
+async function searchCatalogue(query, options) {
+    const { limit, salt, minScore, doctorId } = options;
+
+    try {
+        const searchText = typeof query === 'string' ? query.trim() : '';
+        if (searchText.length < 2) {
+            return {
+                status: STATUS.FAILURE,
+                message: 'Search query must be at least 2 characters long'
+            };
+        }
+
+        const params = buildSearchParams(searchText, salt);
+        const frequencyParams = await getFrequencyParams(doctorId);
+        const compositionMatch = (i, withStrength) => `(
+                    LOWER(md.med_composition_name_${i}) LIKE $5
+                    ${withStrength ? `AND md.med_composition_strength_${i} = $6 AND LOWER(md.med_composition_unit_${i}) = $7` : ''}
+                )`;
+
+        const { rows } = await medicinePool.query(`
+            SELECT *
+            FROM (
+                SELECT ${MEDICINE_COLUMNS},
+                    COALESCE(df.times_prescribed, 0) AS times_prescribed,
+                    CASE
+                        WHEN LOWER(md.med_brand_name) = $1 THEN ${SCORES.exact}
+                        WHEN LOWER(md.med_brand_name) LIKE $2 THEN ${SCORES.prefix}
+                        ELSE 0
+                    END AS prefix_score,
+                    CASE
+                        WHEN LOWER(md.med_brand_name) = ANY($3::text[]) THEN ${SCORES.variantExact}
+                        WHEN LOWER(md.med_brand_name) LIKE ANY($4::text[]) THEN ${SCORES.variantPrefix}
+                        ELSE 0
+                    END AS variant_score,
+                    similarity(LOWER(md.med_brand_name), $1) AS trigram_score,
+                    CASE
+                        WHEN $5::text IS NULL THEN 0
+                        WHEN $6::text IS NOT NULL AND (
+                            ${COMPOSITION_INDEXES.map(i => compositionMatch(i, true)).join(' OR ')}
+                        ) THEN ${SCORES.compositionStrength}
+                        WHEN ${COMPOSITION_INDEXES.map(i => compositionMatch(i, false)).join(' OR ')}
+                        THEN ${SCORES.composition}
+                        ELSE 0
+                    END AS composition_score
+                FROM med_details md
+                ${doctorFrequencyJoin('$10', '$11')}
+                WHERE md.is_active = 1
+                    AND md.is_deactivated = 0
+                    AND (
+                        LOWER(md.med_brand_name) LIKE $2
+                        OR LOWER(md.med_brand_name) LIKE ANY($4::text[])
+                        OR LOWER(md.med_brand_name) % $1
+                        OR ${COMPOSITION_INDEXES.map(i => `LOWER(md.med_composition_name_${i}) LIKE $5`).join(' OR ')}
+                    )
+            ) scored
+            WHERE GREATEST(prefix_score, variant_score, trigram_score, composition_score) >= $8
+            ORDER BY GREATEST(prefix_score, variant_score, trigram_score, composition_score)
+                    + LEAST(${PERSONAL_BOOST.MAX}, ${PERSONAL_BOOST.PER_LOG} * LN(1 + times_prescribed)) DESC,
+                med_weightage DESC NULLS LAST,
+                med_brand_name
+            LIMIT $9
+        `, [...params, minScore, limit, ...frequencyParams]);
+
+        const medicines = rows.map(row => {
+            const { score, matchType, matchedBy } = describeMatch(row);
+
+            return {
+                ...formatMedicineResult(row),
+                match_type: matchType,
+                matched_by: matchedBy,
+                score,
+                times_prescribed: row.times_prescribed
+            };
+        });
+
+        return {
+            status: STATUS.SUCCESS,
+            message: medicines.length > 0
+                ? `${medicines.length} medicine(s) found`
+                : 'No matching medicine found',
+            data: {
+                medicines,
+                results_count: medicines.length,
+                search_query: searchText,
+                match_type: medicines.length > 0 ? medicines[0].match_type : null,
+                confidence: medicines.length > 0 ? medicines[0].score : 0
+            }
+        };
+    } catch (error) {
+        console.error('Error in searchMedicines service:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to search medicines',
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Rank of a search result: its score plus the doctor's boost, as ordered in searchCatalogue
+ * @param {Object} medicine - Search result with score and times_prescribed
+ * @returns {number}
+ */
+function getRank(medicine) {
+    return medicine.score + Math.min(PERSONAL_BOOST.MAX, PERSONAL_BOOST.PER_LOG * Math.log(1 + (medicine.times_prescribed || 0)));
+}
+
+/**
+ * Merge the doctor's custom medicines into a catalogue search result
+ * @param {Object} result - Successful searchCatalogue result (may come from the cache; not modified)
+ * @param {string} query - Search text
+ * @param {Object} options - { limit, salt, minScore, doctorId }
+ * @returns {Promise<Object>} Result with custom medicines ranked among the catalogue ones
+ */
+async function mergeCustomMedicines(result, query, options) {
+    const { limit, salt, minScore, doctorId } = options;
+
+    const saltName = salt ? salt.toLowerCase().trim() : null;
+    const custom = (await customMedicineService.searchCustomMedicines(doctorId, query, { limit }))
+        .filter(medicine => medicine.score >= minScore)
+        .filter(medicine => !saltName || (medicine.composition || '').toLowerCase().includes(saltName));
+    if (custom.length === 0) return result;
+
+    // Stable sort: a custom medicine ranks above a catalogue medicine with the same rank
+    const medicines = [...custom, ...result.data.medicines]
+        .sort((a, b) => getRank(b) - getRank(a))
+        .slice(0, limit);
+
+    return {
+        ...result,
+        message: `${medicines.length} medicine(s) found`,
+        data: {
+            ...result.data,
+            medicines,
+            results_count: medicines.length,
+            match_type: medicines[0].match_type,
+            confidence: medicines[0].score
+        }
+    };
+}
+
+/**
+ * Search medicines by brand name, OCR variations and composition
+ * @param {string} query - Search text (at least 2 characters)
+ * @param {Object} options - { limit = 20, salt = null, minScore = 0, doctorId = null }
+ * @returns {Object} - { status, data: { medicines, results_count, search_query, match_type, confidence } }
+ *   Each medicine is formatMedicineResult plus match_type, matched_by, score (0-1, before the
+ *   doctor's boost) and times_prescribed by the doctor. With a doctorId, the doctor's custom
+ *   medicines are included with med_drug_id null, custom_medicine_id and is_custom: true
+ */
+exports.searchMedicines = async function (query, options = {}) {
+    const { limit = 20, salt = null, minScore = 0, doctorId = null } = options;
+
+    const result = await medicineCache.readThrough(
+        'search',
+        { query, limit, salt, minScore, doctorId },
+        {
+            ttlSeconds: doctorId ? medicineCache.TTL_SECONDS.personal : medicineCache.TTL_SECONDS.search,
+            shouldCache: result => result.status === STATUS.SUCCESS
+        },
+        () => searchCatalogue(query, { limit, salt, minScore, doctorId })
+    );
+
+    if (!doctorId || result.status !== STATUS.SUCCESS) return result;
+    return mergeCustomMedicines(result, query, { limit, salt, minScore, doctorId });
+};
+
+/**
+ * Read one active medicine from med_details
+ * @param {number} medicineId - med_details.med_id
+ * @returns {Object} - Service result (see getMedicineById)
+ */
+async function findMedicine(medicineId) {
+    try {
+        const { rows } = await medicinePool.query(`
+            SELECT ${MEDICINE_COLUMNS}
+            FROM med_details md
+            WHERE md.med_id = $1
+                AND md.is_active = 1
+                AND md.is_deactivated = 0
+        `, [medicineId]);
+
+        if (rows.length === 0) {
+            return {
+                status: STATUS.FAILURE,
+                message: 'Medicine not found',
+                notFound: true
+            };
+        }
+
+        return {
+            status: STATUS.SUCCESS,
+            message: 'Medicine found',
+            data: {
+                medicine: formatMedicineResult(rows[0])
+            }
+        };
+    } catch (error) {
+        console.error('Error in getMedicineById service:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to get medicine',
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get one active medicine
+ * @param {number} medicineId - med_details.med_id
+ * @returns {Object} - { status, data: { medicine } }
+ */
+exports.getMedicineById = async function (medicineId) {
+    return medicineCache.readThrough(
+        'detail',
+        parseInt(medicineId),
+        {
+            ttlSeconds: medicineCache.TTL_SECONDS.detail,
+            shouldCache: result => result.status === STATUS.SUCCESS
+        },
+        () => findMedicine(medicineId)
+    );
+};
+
+/**
+ * Most prescribed medicines: the doctor's own most prescribed first, then by med_weightage
+ * @param {number} limit - Maximum medicines
+ * @param {Object} options - { doctorId = null }
+ * @returns {Object} - { status, data: { medicines, results_count } }
+ *   Each medicine is formatMedicineResult plus times_prescribed by the doctor
+ */
+exports.getPopularMedicines = async function (limit = 20, options = {}) {
+    const { doctorId = null } = options;
+
+    try {
+        const frequencyParams = await getFrequencyParams(doctorId);
+        const { rows } = await medicinePool.query(`
+            SELECT ${MEDICINE_COLUMNS},
+                COALESCE(df.times_prescribed, 0) AS times_prescribed
+            FROM med_details md
+            ${doctorFrequencyJoin('$2', '$3')}
+            WHERE md.is_active = 1
+                AND md.is_deactivated = 0
+            ORDER BY COALESCE(df.times_prescribed, 0) DESC, md.med_weightage DESC NULLS LAST, md.med_brand_name
+            LIMIT $1
+        `, [limit, ...frequencyParams]);
+
+        const medicines = rows.map(row => ({
+            ...formatMedicineResult(row),
+            times_prescribed: row.times_prescribed
+        }));
+
+        return {
+            status: STATUS.SUCCESS,
+            message: 'Popular medicines retrieved successfully',
+            data: {
+                medicines,
+                results_count: medicines.length
+            }
+        };
+    } catch (error) {
+        console.error('Error in getPopularMedicines service:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to get popular medicines',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * The doctor's most prescribed medicines with catalogue details where known
+ * @param {number} doctorId - Doctor's ID
+ * @param {Object} options - { limit = 20, days = 365 }
+ * @returns {Object} - { status, data: { medicines, results_count, days } }
+ *   Each entry: { drug_id, medicine_name, medicine_salt, medicine_frequency, times_prescribed,
+ *   patient_count, last_prescribed_at, medicine } (medicine is null for free-text entries
+ *   and for catalogue medicines since deactivated)
+ */
+exports.getFrequentMedicines = async function (doctorId, options = {}) {
+    const { limit = 20, days = 365 } = options;
+
+    try {
+        const frequent = await prescribingFrequency.getFrequentMedicines(doctorId, { limit, days });
+
+        const drugIds = frequent.map(entry => entry.drug_id).filter(Boolean);
+        const catalogue = new Map();
+        if (drugIds.length > 0) {
+            const { rows } = await medicinePool.query(`
+                SELECT ${MEDICINE_COLUMNS}
+                FROM med_details md
+                WHERE md.med_id = ANY($1::int[])
+                    AND md.is_active = 1
+                    AND md.is_deactivated = 0
+            `, [drugIds]);
+            rows.forEach(row => catalogue.set(row.med_id, formatMedicineResult(row)));
+        }
+
+        const medicines = frequent.map(entry => ({
+            ...entry,
+            medicine: catalogue.get(entry.drug_id) || null
+        }));
+
+        return {
+            status: STATUS.SUCCESS,
+            message: medicines.length > 0
+                ? `${medicines.length} frequently prescribed medicine(s)`
+                : 'No prescriptions in this period',
+            data: {
+                medicines,
+                results_count: medicines.length,
+                days
+            }
+        };
+    } catch (error) {
+        console.error('Error in getFrequentMedicines service:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to get frequently prescribed medicines',
+            error: error.message
+        };
+    }
+};
@@ -0,0 +1,211 @@
+const consultationTranscriptService = require('./consultationTranscriptService');
+const STATUS = require('../../utils/constants').STATUS;
+
+/**
+ * Consultation Transcript Controller - Saved transcripts and doctor corrections
+ * All routes are protected by doctorAuthMiddleware
+ */
+
+/**
+ * Map a service result onto res.locals
+ * @param {Object} res - Express response
+ * @param {Object} result - Service result
+ * @param {string} fallbackMessage - Message when the service gave none
+ */
+function setServiceResult(res, result, fallbackMessage) {
+    if (result.status === STATUS.SUCCESS) {
+        res.locals = {
+            status: STATUS.SUCCESS,
+            message: result.message,
+            data: result.data
+        };
+    } else {
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: result.message || fallbackMessage,
+            data: result.errors ? { errors: result.errors } : undefined
+        };
+    }
+}
+
+/**
+ * Save a transcript for an appointment (e.g. typed notes or an externally produced transcript)
+ * POST /api/v1/doctor/appointments/:appointmentId/transcripts
+ * Body: { turns?: [{ speaker, text, start?, end? }], text?: string, language?: string, duration_seconds?: number }
+ */
+exports.createTranscript = async (req, res, next) => {
+    try {
+        const appointmentId = parseInt(req.params.appointmentId);
+        const { turns, text, language, duration_seconds } = req.body;
+
+        if (isNaN(appointmentId)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Valid appointment ID is required'
+            };
+            return next();
+        }
+
+        if (!Array.isArray(turns) && (!text || String(text).trim().length === 0)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Either turns or text is required'
+            };
+            return next();
+        }
+
+        const result = await consultationTranscriptService.createTranscript({
+            appointmentId,
+            doctorId: req.doctor.doctorId,
+            turns,
+            text,
+            language,
+            durationSeconds: duration_seconds,
+            source: 'manual'
+        });
+
+        setServiceResult(res, result, 'Failed to save transcript');
+        next();
+    } catch (error) {
+        console.error('Error in createTranscript:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * List saved transcript versions for an appointment
+ * GET /api/v1/doctor/appointments/:appointmentId/transcripts
+ */
+exports.listTranscripts = async (req, res, next) => {
+    try {
+        const appointmentId = parseInt(req.params.appointmentId);
+
+        if (isNaN(appointmentId)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Valid appointment ID is required'
+            };
+            return next();
+        }
+
+        const result = await consultationTranscriptService.listTranscripts(appointmentId, req.doctor.doctorId);
+
+        setServiceResult(res, result, 'Failed to fetch transcripts');
+        next();
+    } catch (error) {
+        console.error('Error in listTranscripts:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Get a saved transcript with its speaker turns
+ * GET /api/v1/doctor/transcripts/:transcriptId
+ */
+exports.getTranscript = async (req, res, next) => {
+    try {
+        const transcriptId = parseInt(req.params.transcriptId);
+
+        if (isNaN(transcriptId)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Valid transcript ID is required'
+            };
+            return next();
+        }
+
+        const result = await consultationTranscriptService.getTranscript(transcriptId, req.doctor.doctorId);
+
+        setServiceResult(res, result, 'Failed to fetch transcript');
+        next();
+    } catch (error) {
+        console.error('Error in getTranscript:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Correct a saved transcript
+ * PUT /api/v1/doctor/transcripts/:transcriptId
+ * Body: { turns?: [{ speaker, text, start?, end? }], text?: string, language?: string }
+ */
+exports.updateTranscript = async (req, res, next) => {
+    try {
+        const transcriptId = parseInt(req.params.transcriptId);
+        const { turns, text, language } = req.body;
+
+        if (isNaN(transcriptId)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Valid transcript ID is required'
+            };
+            return next();
+        }
+
+        if (!Array.isArray(turns) && (!text || String(text).trim().length === 0)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Either turns or text is required'
+            };
+            return next();
+        }
+
+        const result = await consultationTranscriptService.updateTranscript(transcriptId, req.doctor.doctorId, {
+            turns,
+            text,
+            language
+        });
+
+        setServiceResult(res, result, 'Failed to update transcript');
+        next();
+    } catch (error) {
+        console.error('Error in updateTranscript:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
+
+/**
+ * Delete a saved transcript
+ * DELETE /api/v1/doctor/transcripts/:transcriptId
+ */
+exports.deleteTranscript = async (req, res, next) => {
+    try {
+        const transcriptId = parseInt(req.params.transcriptId);
+
+        if (isNaN(transcriptId)) {
+            res.locals = {
+                status: STATUS.FAILURE,
+                message: 'Valid transcript ID is required'
+            };
+            return next();
+        }
+
+        const result = await consultationTranscriptService.deleteTranscript(transcriptId, req.doctor.doctorId);
+
+        setServiceResult(res, result, 'Failed to delete transcript');
+        next();
+    } catch (error) {
+        console.error('Error in deleteTranscript:', error);
+        res.locals = {
+            status: STATUS.FAILURE,
+            message: 'Internal server error'
+        };
+        next();
+    }
+};
@@ -0,0 +1,380 @@
+const pool = require('../../config/dbConnection');
+const STATUS = require('../../utils/constants').STATUS;
+const audioSegmentation = require('../../utils/audioSegmentation');
+
+/**
+ * Consultation Transcript Service - Saved transcripts with speaker turns
+ * Every transcription of an appointment becomes a new version; doctors can
+ * correct a version in place and regenerate the SOAP note from it.
+ */
+
+const MAX_TURNS = 5000;
+const TRANSCRIPT_SOURCES = ['audio', 'manual'];
+
+/**
+ * Validate and normalize turns supplied by a client or the transcriber
+ * Offsets may be seconds or "HH:MM:SS"; a missing end is filled from the next turn's start
+ * @param {Array<Object>} rawTurns - [{ speaker, text, start?, end? }]
+ * @returns {Object} { turns, errors }
+ */
+function normalizeTurns(rawTurns) {
+    const errors = [];
+
+    if (!Array.isArray(rawTurns) || rawTurns.length === 0) {
+        return { turns: [], errors: ['At least one turn is required'] };
+    }
+
+    if (rawTurns.length > MAX_TURNS) {
+        return { turns: [], errors: [`A transcript can have at most ${MAX_TURNS} turns`] };
+    }
+
+    const turns = rawTurns.map((turn, index) => {
+        const speaker = String(turn?.speaker || '').trim();
+        const text = String(turn?.text || '').trim();
+        const start = turn?.start === undefined || turn?.start === null || turn?.start === ''
+            ? null
+            : audioSegmentation.parseTimestamp(turn.start);
+        const end = turn?.end === undefined || turn?.end === null || turn?.end === ''
+            ? null
+            : audioSegmentation.parseTimestamp(turn.end);
+
+        if (!speaker) errors.push(`turns[${index}].speaker is required`);
+        if (speaker.length > 50) errors.push(`turns[${index}].speaker must be at most 50 characters`);
+        if (!text) errors.push(`turns[${index}].text is required`);
+        if (turn?.start != null && turn.start !== '' && (start === null || start < 0)) {
+            errors.push(`turns[${index}].start must be seconds or HH:MM:SS`);
+        }
+        if (turn?.end != null && turn.end !== '' && (end === null || end < 0)) {
+            errors.push(`turns[${index}].end must be seconds or HH:MM:SS`);
+        }
+        if (start !== null && end !== null && end < start) {
+            errors.push(`turns[${index}].end must not be before start`);
+        }
+
+        return { speaker, text, start, end };
+    });
+
+    turns.forEach((turn, index) => {
+        const next = turns[index + 1];
+        if (turn.end === null && turn.start !== null && next?.start != null && next.start >= turn.start) {
+            turn.end = next.start;
+        }
+    });
+
+    return { turns, errors };
+}
+
+/**
+ * Render turns as transcript text
+ * @param {Array<Object>} turns - Normalized turns
+ * @returns {string} Transcript text
+ */
+function renderTurns(turns) {
+    return audioSegmentation.renderTranscript(turns.map(turn => ({
+        ...turn,
+        timestamp: turn.start !== null ? audioSegmentation.formatTimestamp(turn.start) : null
+    })));
+}
+
+/**
+ * Map a turn row to its API shape
+ * @param {Object} row - consultation_transcript_turns row
+ * @returns {Object} Turn
+ */
+function formatTurn(row) {
+    const start = row.start_seconds !== null ? parseFloat(row.start_seconds) : null;
+    return {
+        turnIndex: row.turn_index,
+        speaker: row.speaker,
+        text: row.text,
+        start,
+        end: row.end_seconds !== null ? parseFloat(row.end_seconds) : null,
+        timestamp: start !== null ? audioSegmentation.formatTimestamp(start) : null
+    };
+}
+
+/**
+ * Replace the turns of a transcript (inside the caller's transaction)
+ * @param {Object} client - Connected pg client
+ * @param {number} transcriptId - Transcript ID
+ * @param {Array<Object>} turns - Normalized turns
+ */
+async function writeTurns(client, transcriptId, turns) {
+    await client.query('DELETE FROM consultation_transcript_turns WHERE transcript_id = $1', [transcriptId]);
+
+    await client.query(`
+        INSERT INTO consultation_transcript_turns
+        (transcript_id, turn_index, speaker, text, start_seconds, end_seconds)
+        SELECT $1, t.turn_index, t.speaker, t.text, t.start_seconds, t.end_seconds
+        FROM UNNEST($2::int[], $3::text[], $4::text[], $5::numeric[], $6::numeric[])
+            AS t(turn_index, speaker, text, start_seconds, end_seconds)
+    `, [
+        transcriptId,
+        turns.map((turn, index) => index),
+        turns.map(turn => turn.speaker),
+        turns.map(turn => turn.text),
+        turns.map(turn => turn.start),
+        turns.map(turn => turn.end)
+    ]);
+}
+
+/**
+ * Save a new transcript version for an appointment
+ * Either turns or text must be given; text is parsed into turns when turns are missing.
+ * The patient is taken from the appointment, which must belong to the doctor.
+ * @param {Object} params - { appointmentId, doctorId, turns?, text?, language?, durationSeconds?, source?, promptTemplate? }
+ * @returns {Object} - { status, data: transcript } or { status, message, errors }
+ */
+exports.createTranscript = async function (params) {
+    const rawTurns = Array.isArray(params.turns) && params.turns.length > 0
+        ? params.turns
+        : audioSegmentation.parseTranscriptText(params.text);
+
+    const { turns, errors } = normalizeTurns(rawTurns);
+    if (errors.length > 0) {
+        return { status: STATUS.FAILURE, message: 'Invalid transcript', errors };
+    }
+
+    const source = TRANSCRIPT_SOURCES.includes(params.source) ? params.source : 'manual';
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const appointmentResult = await client.query(`
+            SELECT patient_id
+            FROM dr_appointment
+            WHERE appointment_id = $1 AND dr_id = $2 AND is_active = 1
+        `, [params.appointmentId, params.doctorId]);
+
+        if (appointmentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return {
+                status: STATUS.FAILURE,
+                message: 'Appointment not found or access denied'
+            };
+        }
+
+        // Serialize version numbering per appointment
+        await client.query('SELECT pg_advisory_xact_lock($1)', [params.appointmentId]);
+
+        const versionResult = await client.query(`
+            SELECT COALESCE(MAX(version), 0) + 1 AS next_version
+            FROM consultation_transcripts
+            WHERE appointment_id = $1
+        `, [params.appointmentId]);
+
+        const insertResult = await client.query(`
+            INSERT INTO consultation_transcripts
+            (appointment_id, patient_id, dr_id, version, source, language, duration_seconds, transcript_text,
+             prompt_template_key, prompt_template_version, created_by, updated_by, created_at, updated_at, is_active)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)
+            RETURNING transcript_id
+        `, [
+            params.appointmentId,
+            appointmentResult.rows[0].patient_id,
+            params.doctorId,
+            versionResult.rows[0].next_version,
+            source,
+            params.language || null,
+            parseFloat(params.durationSeconds) || null,
+            renderTurns(turns),
+            params.promptTemplate?.key || null,
+            params.promptTemplate?.version || null,
+            params.doctorId,
+            params.doctorId
+        ]);
+
+        const transcriptId = insertResult.rows[0].transcript_id;
+        await writeTurns(client, transcriptId, turns);
+
+        await client.query('COMMIT');
+        console.log(`✅ Saved consultation transcript ${transcriptId} (${turns.length} turns, Appointment: ${params.appointmentId})`);
+
+        return exports.getTranscript(transcriptId, params.doctorId);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Database error while saving consultation transcript:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Database error while saving transcript',
+            error: error.message
+        };
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * List transcript versions for an appointment (without turns)
+ * @param {number} appointmentId - Appointment ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @returns {Object} - { status, data: transcripts }
+ */
+exports.listTranscripts = async function (appointmentId, doctorId) {
+    try {
+        const query = `
+            SELECT ct.transcript_id, ct.appointment_id, ct.patient_id, ct.version, ct.source,
+                   ct.language, ct.duration_seconds, ct.is_edited, ct.created_at, ct.updated_at,
+                   (SELECT COUNT(*) FROM consultation_transcript_turns t WHERE t.transcript_id = ct.transcript_id)::int AS turn_count
+            FROM consultation_transcripts ct
+            WHERE ct.appointment_id = $1 AND ct.dr_id = $2 AND ct.is_active = 1
+            ORDER BY ct.version DESC
+        `;
+        const result = await pool.query(query, [appointmentId, doctorId]);
+
+        return {
+            status: STATUS.SUCCESS,
+            data: result.rows
+        };
+    } catch (error) {
+        console.error('Error in listTranscripts:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to fetch transcripts',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Get a transcript with its turns
+ * @param {number} transcriptId - Transcript ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @returns {Object} - { status, data: transcript }
+ */
+exports.getTranscript = async function (transcriptId, doctorId) {
+    try {
+        const transcriptResult = await pool.query(`
+            SELECT transcript_id, appointment_id, patient_id, version, source, language,
+                   duration_seconds, transcript_text, is_edited, prompt_template_key,
+                   prompt_template_version, created_at, updated_at
+            FROM consultation_transcripts
+            WHERE transcript_id = $1 AND dr_id = $2 AND is_active = 1
+        `, [transcriptId, doctorId]);
+
+        if (transcriptResult.rows.length === 0) {
+            return {
+                status: STATUS.FAILURE,
+                message: 'Transcript not found or access denied'
+            };
+        }
+
+        const turnsResult = await pool.query(`
+            SELECT turn_index, speaker, text, start_seconds, end_seconds
+            FROM consultation_transcript_turns
+            WHERE transcript_id = $1
+            ORDER BY turn_index
+        `, [transcriptId]);
+
+        return {
+            status: STATUS.SUCCESS,
+            data: {
+                ...transcriptResult.rows[0],
+                turns: turnsResult.rows.map(formatTurn)
+            }
+        };
+    } catch (error) {
+        console.error('Error in getTranscript:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to fetch transcript',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Correct a transcript: replace its turns (or text) in place
+ * @param {number} transcriptId - Transcript ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {Object} changes - { turns?, text?, language? }
+ * @returns {Object} - { status, data: transcript } or { status, message, errors }
+ */
+exports.updateTranscript = async function (transcriptId, doctorId, changes) {
+    const rawTurns = Array.isArray(changes.turns)
+        ? changes.turns
+        : audioSegmentation.parseTranscriptText(changes.text);
+
+    const { turns, errors } = normalizeTurns(rawTurns);
+    if (errors.length > 0) {
+        return { status: STATUS.FAILURE, message: 'Invalid transcript', errors };
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const updateResult = await client.query(`
+            UPDATE consultation_transcripts
+            SET transcript_text = $1,
+                language = COALESCE($2, language),
+                is_edited = TRUE,
+                updated_at = CURRENT_TIMESTAMP,
+                updated_by = $3
+            WHERE transcript_id = $4 AND dr_id = $3 AND is_active = 1
+            RETURNING transcript_id
+        `, [renderTurns(turns), changes.language || null, doctorId, transcriptId]);
+
+        if (updateResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return {
+                status: STATUS.FAILURE,
+                message: 'Transcript not found or access denied'
+            };
+        }
+
+        await writeTurns(client, transcriptId, turns);
+        await client.query('COMMIT');
+
+        console.log(`✅ Updated consultation transcript ${transcriptId} (${turns.length} turns)`);
+        return exports.getTranscript(transcriptId, doctorId);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error in updateTranscript:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to update transcript',
+            error: error.message
+        };
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Soft-delete a transcript
+ * @param {number} transcriptId - Transcript ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @returns {Object} - { status, message }
+ */
+exports.deleteTranscript = async function (transcriptId, doctorId) {
+    try {
+        const result = await pool.query(`
+            UPDATE consultation_transcripts
+            SET is_active = 0, updated_at = CURRENT_TIMESTAMP, updated_by = $2
+            WHERE transcript_id = $1 AND dr_id = $2 AND is_active = 1
+            RETURNING transcript_id
+        `, [transcriptId, doctorId]);
+
+        if (result.rows.length === 0) {
+            return {
+                status: STATUS.FAILURE,
+                message: 'Transcript not found or access denied'
+            };
+        }
+
+        return {
+            status: STATUS.SUCCESS,
+            message: 'Transcript deleted'
+        };
+    } catch (error) {
+        console.error('Error in deleteTranscript:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Failed to delete transcript',
+            error: error.message
+        };
+    }
+};
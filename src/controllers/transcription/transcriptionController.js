@@ -1,24 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
 const multer = require('multer');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const STATUS = require('../../utils/constants').STATUS;
-const pool = require('../../config/dbConnection');
+const { setResponse } = require('../../middleware/setResponse');
+const transcriptionService = require('./transcriptionService');
+const transcriptionJobQueue = require('../../utils/transcriptionJobQueue');
+const chunkedAudioUpload = require('../../utils/chunkedAudioUpload');
+const aiProviders = require('../../utils/aiProviders');
+const promptTemplates = require('../../utils/promptTemplates');
+const doctorService = require('../doctor/doctorService');
+const aiUsageMeter = require('../../utils/aiUsageMeter');
+
+const NO_PROVIDER_MESSAGE = 'No transcription provider configured. Please set GEMINI_API_KEY or GROQ_API_KEY environment variable.';
 
 // Configure multer to use memory storage (RAM) instead of disk storage
 const storage = multer.memoryStorage();
 
+const allowedMimeTypes = [
+    'audio/wav',
+    'audio/mpeg',
+    'audio/mp3',
+    'audio/mp4',
+    'audio/aac',
+    'audio/ogg',
+    'audio/webm'
+];
+
+const isAllowedAudio = (mimeType, fileName = '') =>
+    allowedMimeTypes.includes(mimeType) || fileName.endsWith('.wav');
+
 // File filter to accept only audio files
 const fileFilter = (req, file, cb) => {
-    const allowedMimeTypes = [
-        'audio/wav',
-        'audio/mpeg',
-        'audio/mp3',
-        'audio/mp4',
-        'audio/aac',
-        'audio/ogg',
-        'audio/webm'
-    ];
-
-    if (allowedMimeTypes.includes(file.mimetype) || file.originalname.endsWith('.wav')) {
+    if (isAllowedAudio(file.mimetype, file.originalname)) {
         cb(null, true);
     } else {
         cb(new Error('Only audio files are allowed'), false);
@@ -33,6 +48,18 @@ const upload = multer({
     fileFilter: fileFilter,
 });
 
+// Background jobs spool the upload to disk instead of holding it in RAM
+const jobUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, transcriptionJobQueue.getSpoolDir()),
+        filename: (req, file, cb) => cb(null, `${crypto.randomUUID()}${path.extname(file.originalname || '')}`)
+    }),
+    limits: {
+        fileSize: 200 * 1024 * 1024,
+    },
+    fileFilter: fileFilter,
+});
+
 // Health check for transcription service
 const healthCheck = (req, res, next) => {
     try {
@@ -42,6 +69,8 @@ const healthCheck = (req, res, next) => {
             message: 'Transcription service is running',
             timestamp: new Date().toISOString(),
             geminiReady: !!process.env.GEMINI_API_KEY,
+            providers: aiProviders.getProviderOrder(aiProviders.CAPABILITIES.AUDIO),
+            transcriptionReady: aiProviders.isAvailable(aiProviders.CAPABILITIES.AUDIO),
         };
         next();
     } catch (error) {
@@ -55,10 +84,10 @@ const healthCheck = (req, res, next) => {
 // Transcribe audio file (processing in RAM)
 const transcribeAudio = async (req, res, next) => {
     try {
-        // Check if Gemini API key is configured
-        if (!process.env.GEMINI_API_KEY) {
+        // Check if a transcription provider is configured
+        if (!aiProviders.isAvailable(aiProviders.CAPABILITIES.AUDIO)) {
             res.locals.status = STATUS.FAILURE;
-            res.locals.message = 'Gemini API key not configured. Please set GEMINI_API_KEY environment variable.';
+            res.locals.message = NO_PROVIDER_MESSAGE;
             return next();
         }
 
@@ -83,163 +112,48 @@ const transcribeAudio = async (req, res, next) => {
         console.log(`File mimetype: ${req.file.mimetype}`);
         console.log(`Original filename: ${req.file.originalname}`);
 
-        // Verify buffer has content
-        if (!audioBuffer || audioBuffer.length === 0) {
-            throw new Error('Audio buffer is empty');
-        }
-
-        console.log('Starting Google Gemini transcription from memory...');
-
-        // Initialize Gemini AI
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-        // Use Gemini 2.5 Flash model for audio transcription (latest model)
-        const model = genAI.getGenerativeModel({
-            model: 'gemini-2.5-flash',
-        });
-
         // Determine MIME type
-        let mimeType = req.file.mimetype || 'audio/wav';
-
-        // Create the comprehensive prompt for transcription with medical focus
-        const prompt = `Transcribe the provided audio recording completely and accurately, word-for-word. Your ONLY task is to convert speech to text.
-
-**STRICT TRANSCRIPTION RULES:**
-
-1. **Raw Transcription Only:**
-   - Transcribe EVERYTHING spoken in the audio exactly as heard
-   - DO NOT add any commentary, apologies, explanations, or meta-statements about the audio content
-   - DO NOT refuse transcription or state what the audio "appears to be" or "does not contain"
-   - DO NOT make judgments about whether content matches expected format
-   - Transcribe the actual spoken words, regardless of topic or context
-
-2. **Speaker Identification:**
-   - Label speakers as "Speaker A:", "Speaker B:", etc. based on distinct voices
-   - If medical context is evident, you may use "Doctor:", "Patient:", "Attendant:"
-   - Maintain consistent labels throughout the transcript
-
-3. **Language & Accuracy:**
-   - Detect and transcribe in the ORIGINAL SPOKEN LANGUAGE using appropriate script (Devanagari for Hindi, Latin for English, etc.)
-   - Preserve exact wording, including medical terms, medication names, numbers, measurements, and dates
-   - Capture all spoken content verbatim, including questions, responses, and statements
-
-4. **Formatting:**
-   - Start each speaker's turn on a new line with their label
-   - Use paragraph breaks between topic changes or long monologues for readability
-   - Omit non-speech sounds like [cough], [laughter], background noise descriptions
-   - Include all meaningful speech, including filler words if they're part of natural speech
-
-**IMPORTANT:** Your response must ONLY contain the transcript. Do not include:
-- "I'm sorry, but..." statements
-- "The audio appears to be..." descriptions
-- "This is not a medical consultation" disclaimers
-- Any meta-commentary about the audio content
-- Explanations about what you're transcribing
-
-**Output Format:**
-Speaker A: [Exact words spoken]
-Speaker B: [Exact words spoken]
-
-[Continue for entire audio duration]
-
-Begin transcription immediately without preamble.`;
-
-        // Prepare the audio part for Gemini using the proper SDK method
-        const audioPart = {
-            inlineData: {
-                data: audioBuffer.toString('base64'),
-                mimeType: mimeType
-            }
-        };
-
-        console.log('Sending audio to Gemini for transcription...');
-        console.log(`Audio MIME type: ${mimeType}`);
-
-        // Generate content with audio using the proper method
-        const result = await model.generateContent([
-            prompt,
-            audioPart
-        ]);
+        const mimeType = req.file.mimetype || 'audio/wav';
 
-        const response = await result.response;
-        const transcriptionText = response.text();
+        // Prompt template: template_key from the request, else the doctor's preference / specialization
+        const { template, error: templateError } = await doctorService.resolvePromptTemplate(req.doctor, {
+            templateKey: req.body.template_key
+        });
+        if (templateError) {
+            res.locals.status = STATUS.FAILURE;
+            res.locals.message = templateError;
+            return next();
+        }
 
-        console.log('Transcription completed successfully');
-        console.log(`Transcribed text length: ${transcriptionText?.length || 0} characters`);
+        // Long recordings are split into overlapping windows and stitched (duration_seconds is only a hint; the file is measured)
+        const transcription = await transcriptionService.transcribe(audioBuffer, mimeType, {
+            durationSeconds: req.body.duration_seconds,
+            promptTemplate: template,
+            fileName: req.file.originalname,
+            meter: { doctorId, operation: aiUsageMeter.OPERATIONS.TRANSCRIPTION }
+        });
+        const transcriptionText = transcription.text;
 
         // Save transcription to database if appointment_id and patient_id are provided
         let appointmentDetailId = null;
+        let transcriptId = null;
         if (appointmentId && patientId && doctorId) {
-            try {
-                console.log('💾 Saving transcription to database...');
-
-                // Check if dr_appointment_details record already exists for this appointment
-                const checkDetailsQuery = `
-                    SELECT appointment_detail_id, prescription_id
-                    FROM dr_appointment_details
-                    WHERE appointment_id = $1 AND patient_id = $2 AND dr_id = $3 AND is_active = 1
-                `;
-                const checkDetailsResult = await pool.query(checkDetailsQuery, [appointmentId, patientId, doctorId]);
-
-                if (checkDetailsResult.rows.length > 0) {
-                    // Update existing record
-                    const existingRecord = checkDetailsResult.rows[0];
-                    appointmentDetailId = existingRecord.appointment_detail_id;
-
-                    const updateQuery = `
-                        UPDATE dr_appointment_details
-                        SET appointemnt_transcription = $1,
-                            updated_at = CURRENT_TIMESTAMP,
-                            updated_by = $2
-                        WHERE appointment_detail_id = $3
-                        RETURNING appointment_detail_id
-                    `;
-
-                    await pool.query(updateQuery, [transcriptionText, doctorId, appointmentDetailId]);
-                    console.log(`✅ Updated transcription in appointment_details (ID: ${appointmentDetailId})`);
-                } else {
-                    // Create new prescription for new record
-                    console.log('Creating new prescription record...');
-                    const createPrescriptionQuery = `
-                        INSERT INTO patient_prescription
-                        (patient_id, created_by, updated_by, created_at, updated_at, is_active)
-                        VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)
-                        RETURNING prescription_id
-                    `;
-                    const newPrescription = await pool.query(createPrescriptionQuery, [
-                        patientId,
-                        doctorId,
-                        doctorId
-                    ]);
-                    const prescriptionId = newPrescription.rows[0].prescription_id;
-                    console.log(`✅ Created prescription (ID: ${prescriptionId})`);
-
-                    // Insert new record
-                    const insertQuery = `
-                        INSERT INTO dr_appointment_details
-                        (appointment_id, patient_id, dr_id, prescription_id, appointemnt_transcription, created_by, updated_by, created_at, updated_at, is_active)
-                        VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)
-                        RETURNING appointment_detail_id
-                    `;
-
-                    const result = await pool.query(insertQuery, [
-                        appointmentId,
-                        patientId,
-                        doctorId,
-                        prescriptionId,
-                        transcriptionText,
-                        doctorId,
-                        doctorId
-                    ]);
-
-                    appointmentDetailId = result.rows[0].appointment_detail_id;
-                    console.log(`✅ Created appointment_details with transcription (ID: ${appointmentDetailId})`);
+            const saveResult = await transcriptionService.saveTranscription(
+                transcriptionText,
+                appointmentId,
+                patientId,
+                doctorId,
+                {
+                    turns: transcription.turns,
+                    language: transcription.language,
+                    durationSeconds: transcription.durationSeconds,
+                    promptTemplate: transcription.promptTemplate
                 }
-
-            } catch (dbError) {
-                console.error('❌ Database error while saving transcription:', dbError);
-                // Don't fail the whole request, just log the error
-                // The transcription was successful, so we'll still return it
+            );
+            // The transcription was successful, so we'll still return it if saving failed
+            if (saveResult.status === STATUS.SUCCESS) {
+                appointmentDetailId = saveResult.data.appointmentDetailId;
+                transcriptId = saveResult.data.transcriptId;
             }
         } else {
             console.log('⚠️  Skipping database save - missing appointment_id, patient_id, or doctor_id');
@@ -249,9 +163,17 @@ Begin transcription immediately without preamble.`;
         res.locals.status = STATUS.SUCCESS;
         res.locals.data = {
             text: transcriptionText,
-            language: 'auto-detected', // Language is auto-detected by Gemini
+            turns: transcription.turns,
+            segmented: transcription.segmented,
+            segmentCount: transcription.segmentCount,
+            diarized: transcription.diarized,
+            durationSeconds: transcription.durationSeconds,
+            language: transcription.language,
+            provider: transcription.provider,
+            promptTemplate: transcription.promptTemplate,
             timestamp: new Date().toISOString(),
             appointmentDetailId: appointmentDetailId,
+            transcriptId: transcriptId,
             saved: appointmentDetailId !== null,
         };
 
@@ -262,28 +184,394 @@ Begin transcription immediately without preamble.`;
     } catch (error) {
         console.error('Transcription error:', error);
 
-        // Handle specific Gemini API errors
-        if (error.message?.includes('API key') || error.message?.includes('API_KEY')) {
+        res.locals.status = STATUS.FAILURE;
+        res.locals.message = transcriptionService.getTranscriptionErrorMessage(error);
+
+        next();
+    }
+};
+
+// Queue audio file for background transcription and return a job ID immediately
+const createTranscriptionJob = async (req, res, next) => {
+    try {
+        if (!aiProviders.isAvailable(aiProviders.CAPABILITIES.AUDIO)) {
+            if (req.file?.path) {
+                fs.promises.unlink(req.file.path).catch(() => {});
+            }
+            res.locals.status = STATUS.FAILURE;
+            res.locals.message = NO_PROVIDER_MESSAGE;
+            return next();
+        }
+
+        if (!req.file) {
+            res.locals.status = STATUS.FAILURE;
+            res.locals.message = 'No audio file provided. Please upload an audio file.';
+            return next();
+        }
+
+        const appointmentId = req.body.appointment_id ? parseInt(req.body.appointment_id) : null;
+        const patientId = req.body.patient_id ? parseInt(req.body.patient_id) : null;
+        const doctorId = req.doctor.doctorId;
+
+        console.log(`📋 Transcription job request - Appointment: ${appointmentId}, Patient: ${patientId}, Doctor: ${doctorId}`);
+        console.log(`Spooled file: ${req.file.path} (${req.file.size} bytes)`);
+
+        const { template, error: templateError } = await doctorService.resolvePromptTemplate(req.doctor, {
+            templateKey: req.body.template_key
+        });
+        if (templateError) {
+            fs.promises.unlink(req.file.path).catch(() => {});
+            res.locals.status = STATUS.FAILURE;
+            res.locals.message = templateError;
+            return next();
+        }
+
+        const job = await transcriptionJobQueue.createJob({
+            filePath: req.file.path,
+            mimeType: req.file.mimetype,
+            size: req.file.size,
+            originalName: req.file.originalname,
+            durationSeconds: req.body.duration_seconds,
+            promptTemplate: promptTemplates.toTemplateRef(template),
+            appointmentId,
+            patientId,
+            doctorId
+        });
+
+        res.locals.status = STATUS.SUCCESS;
+        res.locals.message = 'Transcription job queued';
+        res.locals.data = transcriptionJobQueue.toPublicJob(job);
+        next();
+
+    } catch (error) {
+        console.error('Create transcription job error:', error);
+
+        // Do not leave the spooled upload behind if the job could not be queued
+        if (req.file?.path) {
+            fs.promises.unlink(req.file.path).catch(() => {});
+        }
+
+        res.locals.status = STATUS.FAILURE;
+        res.locals.message = 'Failed to queue transcription job';
+        next();
+    }
+};
+
+// Load a job and verify it belongs to the requesting doctor
+const getOwnedJob = async (req) => {
+    const job = await transcriptionJobQueue.getJob(req.params.jobId);
+    if (!job || job.doctorId !== req.doctor.doctorId) {
+        return null;
+    }
+    return job;
+};
+
+// Get transcription job status
+const getTranscriptionJobStatus = async (req, res, next) => {
+    try {
+        const job = await getOwnedJob(req);
+
+        if (!job) {
             res.locals.status = STATUS.FAILURE;
-            res.locals.message = 'Invalid or missing Gemini API key';
-        } else if (error.message?.includes('quota') || error.message?.includes('rate limit')) {
+            res.locals.message = 'Transcription job not found';
+            return next();
+        }
+
+        const { result, ...status } = transcriptionJobQueue.toPublicJob(job);
+
+        res.locals.status = STATUS.SUCCESS;
+        res.locals.data = {
+            ...status,
+            hasTranscript: job.status === transcriptionJobQueue.JOB_STATUS.COMPLETED
+        };
+        next();
+
+    } catch (error) {
+        console.error('Get transcription job status error:', error);
+        res.locals.status = STATUS.FAILURE;
+        res.locals.message = 'Failed to get transcription job status';
+        next();
+    }
+};
+
+// Get transcript of a completed job
+const getTranscriptionJobTranscript = async (req, res, next) => {
+    try {
+        const job = await getOwnedJob(req);
+
+        if (!job) {
             res.locals.status = STATUS.FAILURE;
-            res.locals.message = 'Rate limit exceeded. Please try again later.';
-        } else if (error.message?.includes('file format') || error.message?.includes('mime type')) {
+            res.locals.message = 'Transcription job not found';
+            return next();
+        }
+
+        if (job.status !== transcriptionJobQueue.JOB_STATUS.COMPLETED) {
             res.locals.status = STATUS.FAILURE;
-            res.locals.message = 'Unsupported audio format. Please use WAV, MP3, or MP4.';
-        } else if (error.message?.includes('model') || error.message?.includes('not found')) {
+            res.locals.message = job.status === transcriptionJobQueue.JOB_STATUS.FAILED
+                ? `Transcription failed: ${job.error}`
+                : `Transcript not available. Job is ${job.status}.`;
+            return next();
+        }
+
+        res.locals.status = STATUS.SUCCESS;
+        res.locals.data = {
+            jobId: job.jobId,
+            ...job.result,
+            timestamp: job.completedAt
+        };
+        next();
+
+    } catch (error) {
+        console.error('Get transcription job transcript error:', error);
+        res.locals.status = STATUS.FAILURE;
+        res.locals.message = 'Failed to get transcript';
+        next();
+    }
+};
+
+// Cancel a queued or running job
+const cancelTranscriptionJob = async (req, res, next) => {
+    try {
+        const job = await getOwnedJob(req);
+
+        if (!job) {
             res.locals.status = STATUS.FAILURE;
-            res.locals.message = 'Gemini model not accessible. Please check your API configuration.';
-        } else {
+            res.locals.message = 'Transcription job not found';
+            return next();
+        }
+
+        const result = await transcriptionJobQueue.cancelJob(job.jobId);
+
+        res.locals.status = result.success ? STATUS.SUCCESS : STATUS.FAILURE;
+        res.locals.message = result.message;
+        res.locals.data = transcriptionJobQueue.toPublicJob(result.job);
+        next();
+
+    } catch (error) {
+        console.error('Cancel transcription job error:', error);
+        res.locals.status = STATUS.FAILURE;
+        res.locals.message = 'Failed to cancel transcription job';
+        next();
+    }
+};
+
+// Start a chunked (resumable) audio upload
+const initChunkedUpload = async (req, res, next) => {
+    try {
+        const { file_name, mime_type, total_size, duration_seconds, appointment_id, patient_id } = req.body;
+        const mimeType = mime_type || 'audio/wav';
+
+        if (!isAllowedAudio(mimeType, file_name)) {
+            res.locals.status = STATUS.FAILURE;
+            res.locals.message = 'Only audio files are allowed';
+            return next();
+        }
+
+        const result = await chunkedAudioUpload.initUpload({
+            doctorId: req.doctor.doctorId,
+            fileName: file_name,
+            mimeType,
+            totalSize: total_size,
+            durationSeconds: duration_seconds,
+            appointmentId: appointment_id ? parseInt(appointment_id) : null,
+            patientId: patient_id ? parseInt(patient_id) : null
+        });
+
+        res.locals.status = result.success ? STATUS.SUCCESS : STATUS.FAILURE;
+        res.locals.message = result.message;
+        res.locals.data = chunkedAudioUpload.toPublicSession(result.session);
+        next();
+
+    } catch (error) {
+        console.error('Init chunked upload error:', error);
+        res.locals.status = STATUS.FAILURE;
+        res.locals.message = 'Failed to start upload';
+        next();
+    }
+};
+
+// Load an upload session and verify it belongs to the requesting doctor
+const getOwnedUpload = async (req) => {
+    const session = await chunkedAudioUpload.getSession(req.params.uploadId);
+    if (!session || session.doctorId !== req.doctor.doctorId) {
+        return null;
+    }
+    return session;
+};
+
+// Upload one part of a chunked upload (raw body, offset in query or Upload-Offset header)
+const uploadChunk = async (req, res, next) => {
+    try {
+        const session = await getOwnedUpload(req);
+
+        if (!session) {
+            res.locals.status = STATUS.FAILURE;
+            res.locals.message = 'Upload session not found or expired';
+            return next();
+        }
+
+        const offset = parseInt(req.query.offset ?? req.get('Upload-Offset'));
+        const result = await chunkedAudioUpload.appendChunk(session.uploadId, offset, req.body);
+
+        res.locals.status = result.success ? STATUS.SUCCESS : STATUS.FAILURE;
+        res.locals.message = result.message;
+        res.locals.data = chunkedAudioUpload.toPublicSession(result.session);
+        next();
+
+    } catch (error) {
+        console.error('Upload chunk error:', error);
+        res.locals.status = STATUS.FAILURE;
+        res.locals.message = 'Failed to store chunk';
+        next();
+    }
+};
+
+// Get chunked upload progress (receivedBytes is the offset to resume from)
+const getChunkedUploadStatus = async (req, res, next) => {
+    try {
+        const session = await getOwnedUpload(req);
+
+        if (!session) {
+            res.locals.status = STATUS.FAILURE;
+            res.locals.message = 'Upload session not found or expired';
+            return next();
+        }
+
+        res.locals.status = STATUS.SUCCESS;
+        res.locals.data = chunkedAudioUpload.toPublicSession(session);
+        next();
+
+    } catch (error) {
+        console.error('Get chunked upload status error:', error);
+        res.locals.status = STATUS.FAILURE;
+        res.locals.message = 'Failed to get upload status';
+        next();
+    }
+};
+
+// Finish a chunked upload and queue it for transcription
+const completeChunkedUpload = async (req, res, next) => {
+    try {
+        if (!aiProviders.isAvailable(aiProviders.CAPABILITIES.AUDIO)) {
+            res.locals.status = STATUS.FAILURE;
+            res.locals.message = NO_PROVIDER_MESSAGE;
+            return next();
+        }
+
+        const session = await getOwnedUpload(req);
+
+        if (!session) {
+            res.locals.status = STATUS.FAILURE;
+            res.locals.message = 'Upload session not found or expired';
+            return next();
+        }
+
+        // Checked before completing, so a bad template_key leaves the upload open for a retry
+        const { template, error: templateError } = await doctorService.resolvePromptTemplate(req.doctor, {
+            templateKey: req.body.template_key
+        });
+        if (templateError) {
+            res.locals.status = STATUS.FAILURE;
+            res.locals.message = templateError;
+            return next();
+        }
+
+        const result = await chunkedAudioUpload.completeUpload(session.uploadId, {
+            sha256: req.body.sha256
+        });
+
+        if (!result.success) {
+            res.locals.status = STATUS.FAILURE;
+            res.locals.message = result.message;
+            res.locals.data = chunkedAudioUpload.toPublicSession(result.session);
+            return next();
+        }
+
+        let job;
+        try {
+            job = await transcriptionJobQueue.createJob({
+                filePath: result.filePath,
+                mimeType: result.session.mimeType,
+                size: result.session.totalSize,
+                originalName: result.session.fileName,
+                durationSeconds: result.session.durationSeconds,
+                promptTemplate: promptTemplates.toTemplateRef(template),
+                appointmentId: result.session.appointmentId,
+                patientId: result.session.patientId,
+                doctorId: result.session.doctorId
+            });
+        } catch (error) {
+            // Hand the file back to the session so the client can retry complete;
+            // if that is not possible, do not leave the file behind
+            const reopened = await chunkedAudioUpload.reopenUpload(session.uploadId).catch(reopenError => {
+                console.error('Failed to reopen chunked upload:', reopenError.message);
+                return false;
+            });
+            if (!reopened) {
+                await fs.promises.unlink(result.filePath).catch(() => {});
+            }
+            throw error;
+        }
+
+        await chunkedAudioUpload.attachJob(session.uploadId, job.jobId);
+
+        res.locals.status = STATUS.SUCCESS;
+        res.locals.message = 'Upload completed. Transcription job queued';
+        res.locals.data = {
+            uploadId: session.uploadId,
+            job: transcriptionJobQueue.toPublicJob(job)
+        };
+        next();
+
+    } catch (error) {
+        console.error('Complete chunked upload error:', error);
+        res.locals.status = STATUS.FAILURE;
+        res.locals.message = 'Failed to complete upload';
+        next();
+    }
+};
+
+// Abort a chunked upload and discard received data
+const abortChunkedUpload = async (req, res, next) => {
+    try {
+        const session = await getOwnedUpload(req);
+
+        if (!session) {
             res.locals.status = STATUS.FAILURE;
-            res.locals.message = error.message || 'Failed to transcribe audio';
+            res.locals.message = 'Upload session not found or expired';
+            return next();
         }
 
+        const result = await chunkedAudioUpload.abortUpload(session.uploadId);
+
+        res.locals.status = result.success ? STATUS.SUCCESS : STATUS.FAILURE;
+        res.locals.message = result.message;
+        next();
+
+    } catch (error) {
+        console.error('Abort chunked upload error:', error);
+        res.locals.status = STATUS.FAILURE;
+        res.locals.message = 'Failed to abort upload';
         next();
     }
 };
 
+// Raw body parser for chunk uploads
+const chunkBodyParser = express.raw({
+    type: () => true,
+    limit: chunkedAudioUpload.MAX_CHUNK_SIZE
+});
+
+// Body parser error handling for chunk uploads
+const handleChunkBodyError = (error, req, res, next) => {
+    res.locals.status = STATUS.FAILURE;
+    res.locals.message = error.type === 'entity.too.large'
+        ? `Chunk too large. Maximum chunk size is ${chunkedAudioUpload.MAX_CHUNK_SIZE / (1024 * 1024)}MB.`
+        : 'Failed to read chunk';
+    // Respond here so the upload handler does not run without a body
+    setResponse(req, res, next);
+};
+
 // Multer error handling middleware
 const handleMulterError = (error, req, res, next) => {
     if (error instanceof multer.MulterError) {
@@ -306,7 +594,19 @@ const handleMulterError = (error, req, res, next) => {
 
 module.exports = {
     upload,
+    jobUpload,
     healthCheck,
     transcribeAudio,
+    createTranscriptionJob,
+    getTranscriptionJobStatus,
+    getTranscriptionJobTranscript,
+    cancelTranscriptionJob,
+    initChunkedUpload,
+    uploadChunk,
+    getChunkedUploadStatus,
+    completeChunkedUpload,
+    abortChunkedUpload,
+    chunkBodyParser,
+    handleChunkBodyError,
     handleMulterError
 };
\ No newline at end of file
@@ -0,0 +1,419 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { SchemaType } = require('@google/generative-ai');
+const pool = require('../../config/dbConnection');
+const STATUS = require('../../utils/constants').STATUS;
+const audioSegmentation = require('../../utils/audioSegmentation');
+const audioClips = require('../../utils/audioClips');
+const aiProviders = require('../../utils/aiProviders');
+const promptTemplates = require('../../utils/promptTemplates');
+const { mapWithConcurrency } = require('../../utils/concurrency');
+const consultationTranscriptService = require('./consultationTranscriptService');
+
+/**
+ * Transcription Service - Audio transcription and persistence
+ * Shared by the synchronous transcribe endpoint and the background job worker
+ *
+ * Transcription goes through the AI provider layer (Gemini, then Groq Whisper by default).
+ * Recordings longer than SEGMENT_THRESHOLD_SECONDS are cut with ffmpeg into overlapping
+ * clips, each clip is transcribed on its own (in parallel), and the clip-relative turns
+ * are shifted by the clip's start and stitched into one timestamped transcript with
+ * consistent speakers. This works the same on every provider. When any clip comes back
+ * without speakers (Whisper, or unparseable output) the labels of the other clips cannot
+ * be matched to it, so the whole transcript is labelled "Speaker" and marked undiarized.
+ */
+
+const SEGMENT_SECONDS = parseInt(process.env.TRANSCRIPTION_SEGMENT_SECONDS) || 300;
+const SEGMENT_OVERLAP_SECONDS = parseInt(process.env.TRANSCRIPTION_SEGMENT_OVERLAP_SECONDS) || 15;
+const SEGMENT_CONCURRENCY = parseInt(process.env.TRANSCRIPTION_SEGMENT_CONCURRENCY) || 3;
+const SEGMENT_THRESHOLD_SECONDS = parseInt(process.env.TRANSCRIPTION_SEGMENT_THRESHOLD_SECONDS) || 600;
+
+// Label for turns whose speaker is unknown
+const UNDIARIZED_SPEAKER = 'Speaker';
+
+// Response schema for one transcribed clip
+const SEGMENT_TRANSCRIPT_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        turns: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    speaker: { type: SchemaType.STRING, description: 'Doctor, Patient, Attendant, or Speaker A/B/...' },
+                    start: { type: SchemaType.STRING, description: 'HH:MM:SS from the beginning of this audio clip' },
+                    text: { type: SchemaType.STRING, description: 'Exact words spoken' }
+                },
+                required: ['speaker', 'start', 'text']
+            }
+        }
+    },
+    required: ['turns']
+};
+
+/**
+ * Build the prompt for one clip of a long recording
+ * @param {Array<string>} speakerRoles - Role labels from the prompt template
+ * @returns {string} Prompt
+ */
+function buildSegmentPrompt(speakerRoles) {
+    return `This audio is one part of a longer medical consultation recording. Transcribe it word-for-word.
+
+**STRICT TRANSCRIPTION RULES:**
+- Transcribe everything spoken exactly as heard, including words cut off at the start or end
+- DO NOT add commentary, apologies, explanations, or meta-statements about the audio
+- Transcribe in the ORIGINAL SPOKEN LANGUAGE using the appropriate script (Devanagari for Hindi, Latin for English, etc.)
+- Preserve medical terms, medication names, numbers, measurements, and dates exactly
+- Omit non-speech sounds like [cough], [laughter], background noise descriptions
+
+**Speakers:**
+- Use ${speakerRoles.map(role => `"${role}"`).join(', ')} when the role is evident from context
+- Otherwise use "Speaker A", "Speaker B", etc., consistently within this audio
+
+**Output:**
+Return JSON with one entry per speaker turn. "start" is the time the turn begins as HH:MM:SS measured from the beginning of THIS audio.
+If nothing is spoken, return an empty turns array.`;
+}
+
+/**
+ * Turns of one transcribed clip, with starts in seconds from the clip's beginning
+ * Whisper-style timed segments are used as-is (without speakers); otherwise the
+ * schema JSON is parsed, falling back to "Speaker: text" lines placed at the clip start.
+ * @param {Object} result - Provider transcription result
+ * @param {number} index - Segment index for logging
+ * @returns {Object} { turns: [{ speaker, start, text }], diarized }
+ */
+function toClipTurns(result, index) {
+    if (Array.isArray(result.segments)) {
+        return {
+            turns: result.segments.map(segment => ({ speaker: UNDIARIZED_SPEAKER, start: segment.start, text: segment.text })),
+            diarized: false
+        };
+    }
+
+    try {
+        return { turns: JSON.parse(result.text).turns || [], diarized: true };
+    } catch (parseError) {
+        console.warn(`⚠️ Segment ${index} returned invalid JSON:`, parseError.message);
+        const turns = audioSegmentation.parseTranscriptText(result.text)
+            .map(turn => ({ ...turn, start: turn.start ?? 0 }));
+        return { turns, diarized: turns.every(turn => turn.speaker !== UNDIARIZED_SPEAKER) };
+    }
+}
+
+/**
+ * Transcribe a long recording as overlapping clips and stitch the result
+ * @param {Object} provider - Audio provider
+ * @param {string} filePath - Recording on disk
+ * @param {number} durationSeconds - Recording duration
+ * @param {Object} template - Prompt template
+ * @param {AbortSignal} signal - Cancellation / timeout signal
+ * @returns {Promise<Object>} { text, turns, segmented, segmentCount, diarized, language, model, usage }
+ */
+async function transcribeLongAudio(provider, filePath, durationSeconds, template, signal) {
+    const segments = audioSegmentation.planSegments(durationSeconds, {
+        segmentSeconds: SEGMENT_SECONDS,
+        overlapSeconds: SEGMENT_OVERLAP_SECONDS
+    });
+    const prompt = buildSegmentPrompt(template.speakerRoles);
+
+    console.log(`Segmenting ${Math.round(durationSeconds)}s recording into ${segments.length} clips (${provider.name})...`);
+
+    // Clips are cut as they are needed, so at most SEGMENT_CONCURRENCY are held in memory
+    const clipResults = await mapWithConcurrency(segments, SEGMENT_CONCURRENCY, async (segment) => {
+        const clip = await audioClips.extractClip(filePath, segment.windowStart, segment.end - segment.windowStart, signal);
+        const result = await provider.transcribeAudio({
+            audioBuffer: clip,
+            mimeType: audioClips.CLIP_MIME_TYPE,
+            fileName: `segment-${segment.index}.mp3`,
+            prompt,
+            responseSchema: SEGMENT_TRANSCRIPT_SCHEMA,
+            signal
+        });
+        console.log(`Segment ${segment.index + 1}/${segments.length} transcribed`);
+        return result;
+    });
+
+    const clipTurns = segments.map((segment, index) => toClipTurns(clipResults[index], segment.index));
+    const diarized = clipTurns.every(clip => clip.diarized);
+    if (!diarized) {
+        console.warn('⚠️ Some segments have no speaker labels; the transcript is left undiarized');
+    }
+
+    const segmentResults = segments.map((segment, index) => ({
+        segment,
+        // Clip-relative starts become offsets into the full recording
+        turns: clipTurns[index].turns.map(turn => {
+            const start = audioSegmentation.parseTimestamp(turn.start);
+            return {
+                ...turn,
+                speaker: diarized ? turn.speaker : UNDIARIZED_SPEAKER,
+                start: start === null ? null : segment.windowStart + start
+            };
+        })
+    }));
+
+    const turns = audioSegmentation.stitchSegments(segmentResults);
+
+    const usage = clipResults.some(result => result.usage)
+        ? clipResults.reduce((total, result) => ({
+            inputTokens: total.inputTokens + (result.usage?.inputTokens || 0),
+            outputTokens: total.outputTokens + (result.usage?.outputTokens || 0)
+        }), { inputTokens: 0, outputTokens: 0 })
+        : null;
+
+    return {
+        text: audioSegmentation.renderTranscript(turns),
+        turns,
+        segmented: true,
+        segmentCount: segments.length,
+        diarized,
+        language: clipResults.find(result => result.language)?.language,
+        model: clipResults[0]?.model,
+        usage
+    };
+}
+
+/**
+ * Get the recording as a file ffmpeg can read
+ * Buffers are written to a temporary file that cleanup() removes
+ * @param {Buffer|string} audio - Audio contents or path
+ * @param {string} mimeType - Audio MIME type
+ * @returns {Promise<Object>} { filePath, cleanup }
+ */
+async function toAudioFile(audio, mimeType) {
+    if (typeof audio === 'string') {
+        return { filePath: audio, cleanup: async () => {} };
+    }
+
+    const extension = (mimeType.split('/')[1] || 'audio').replace(/^x-/, '');
+    const filePath = path.join(os.tmpdir(), `ruby-ai-audio-${crypto.randomUUID()}.${extension}`);
+    await fs.promises.writeFile(filePath, audio);
+
+    return {
+        filePath,
+        cleanup: () => fs.promises.unlink(filePath).catch(() => {})
+    };
+}
+
+/**
+ * Transcribe a recording, segmenting it when it is long
+ * Duration is measured here, from the WAV header or with ffmpeg; the caller's
+ * durationSeconds is only a hint that is logged when it disagrees. The measured duration
+ * is what gets metered, so a metered recording whose duration cannot be measured is
+ * refused; unmetered ones are transcribed in a single request.
+ * @param {Buffer|string} audio - Audio file contents, or the path of the audio file
+ * @param {string} mimeType - Audio MIME type
+ * @param {Object} options - { durationSeconds, fileName, promptTemplate, signal, meter }
+ *   meter - { doctorId, operation } to record usage against a doctor
+ * @returns {Promise<Object>} { text, turns, segmented, segmentCount, diarized, durationSeconds, language, provider, promptTemplate }
+ *   diarized is false when a segmented transcript has no reliable speaker labels (null for single requests)
+ */
+exports.transcribe = async function (audio, mimeType = 'audio/wav', options = {}) {
+    const size = typeof audio === 'string' ? (await fs.promises.stat(audio)).size : audio?.length;
+    if (!size) {
+        throw new Error('Audio buffer is empty');
+    }
+
+    let audioFile = null;
+
+    try {
+        let durationSeconds = Buffer.isBuffer(audio) ? audioSegmentation.getWavDurationSeconds(audio) : null;
+
+        if (!durationSeconds) {
+            audioFile = await toAudioFile(audio, mimeType);
+            durationSeconds = await audioClips.probeDurationSeconds(audioFile.filePath, options.signal)
+                .catch(error => {
+                    console.warn('⚠️ Could not read audio duration:', error.message);
+                    return null;
+                });
+        }
+
+        const hintedDuration = parseFloat(options.durationSeconds);
+        if (hintedDuration > 0 && Math.abs(hintedDuration - (durationSeconds || 0)) > 1) {
+            console.warn(`⚠️ Client duration ${hintedDuration}s differs from measured ${durationSeconds ?? 'unknown'}s`);
+        }
+
+        if (options.meter && !durationSeconds) {
+            throw new Error('Could not read the audio duration; the file may be damaged or in an unsupported format');
+        }
+
+        const isLong = durationSeconds && durationSeconds > SEGMENT_THRESHOLD_SECONDS;
+        const template = options.promptTemplate || promptTemplates.getTemplate(promptTemplates.DEFAULT_TEMPLATE_KEY);
+
+        let audioBuffer = null;
+        if (isLong) {
+            audioFile = audioFile || await toAudioFile(audio, mimeType);
+        } else {
+            audioBuffer = Buffer.isBuffer(audio) ? audio : await fs.promises.readFile(audio);
+        }
+
+        console.log(`Starting transcription (${size} bytes, ${mimeType})...`);
+
+        const { result, provider } = await aiProviders.runWithFallback(aiProviders.CAPABILITIES.AUDIO, async (audioProvider, attempt) => {
+            if (isLong) {
+                return transcribeLongAudio(audioProvider, audioFile.filePath, durationSeconds, template, attempt.signal);
+            }
+
+            const single = await audioProvider.transcribeAudio({
+                audioBuffer,
+                mimeType,
+                fileName: options.fileName,
+                prompt: promptTemplates.getTranscriptionPrompt(template),
+                signal: attempt.signal
+            });
+            return { ...single, segmented: false, segmentCount: 1 };
+        }, {
+            signal: options.signal,
+            meter: options.meter ? { ...options.meter, audioSeconds: durationSeconds } : undefined
+        });
+
+        console.log(`Transcription completed by ${provider} (${result.text?.length || 0} characters)`);
+
+        return {
+            text: result.text,
+            turns: result.turns || null,
+            segmented: result.segmented,
+            segmentCount: result.segmentCount,
+            diarized: result.diarized ?? null,
+            durationSeconds: durationSeconds || null,
+            language: result.language || 'auto-detected',
+            provider,
+            promptTemplate: promptTemplates.toTemplateRef(template)
+        };
+    } finally {
+        await audioFile?.cleanup();
+    }
+};
+
+/**
+ * Save transcription text on the appointment's dr_appointment_details record
+ * and as a new consultation_transcripts version with speaker turns.
+ * Creates the prescription and details record if they do not exist yet
+ * @param {string} transcriptionText - Transcription text
+ * @param {number} appointmentId - Appointment ID
+ * @param {number} patientId - Patient ID
+ * @param {number} doctorId - Doctor's ID from JWT token
+ * @param {Object} details - { turns, language, durationSeconds, promptTemplate } from transcribe()
+ * @returns {Object} - { status, data: { appointmentDetailId, transcriptId } }
+ */
+exports.saveTranscription = async function (transcriptionText, appointmentId, patientId, doctorId, details = {}) {
+    try {
+        console.log('💾 Saving transcription to database...');
+
+        // Check if dr_appointment_details record already exists for this appointment
+        const checkDetailsQuery = `
+            SELECT appointment_detail_id, prescription_id
+            FROM dr_appointment_details
+            WHERE appointment_id = $1 AND patient_id = $2 AND dr_id = $3 AND is_active = 1
+        `;
+        const checkDetailsResult = await pool.query(checkDetailsQuery, [appointmentId, patientId, doctorId]);
+
+        let appointmentDetailId;
+
+        if (checkDetailsResult.rows.length > 0) {
+            // Update existing record
+            const existingRecord = checkDetailsResult.rows[0];
+            appointmentDetailId = existingRecord.appointment_detail_id;
+
+            const updateQuery = `
+                UPDATE dr_appointment_details
+                SET appointemnt_transcription = $1,
+                    updated_at = CURRENT_TIMESTAMP,
+                    updated_by = $2
+                WHERE appointment_detail_id = $3
+                RETURNING appointment_detail_id
+            `;
+
+            await pool.query(updateQuery, [transcriptionText, doctorId, appointmentDetailId]);
+            console.log(`✅ Updated transcription in appointment_details (ID: ${appointmentDetailId})`);
+        } else {
+            // Create new prescription for new record
+            console.log('Creating new prescription record...');
+            const createPrescriptionQuery = `
+                INSERT INTO patient_prescription
+                (patient_id, created_by, updated_by, created_at, updated_at, is_active)
+                VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)
+                RETURNING prescription_id
+            `;
+            const newPrescription = await pool.query(createPrescriptionQuery, [
+                patientId,
+                doctorId,
+                doctorId
+            ]);
+            const prescriptionId = newPrescription.rows[0].prescription_id;
+            console.log(`✅ Created prescription (ID: ${prescriptionId})`);
+
+            // Insert new record
+            const insertQuery = `
+                INSERT INTO dr_appointment_details
+                (appointment_id, patient_id, dr_id, prescription_id, appointemnt_transcription, created_by, updated_by, created_at, updated_at, is_active)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 1)
+                RETURNING appointment_detail_id
+            `;
+
+            const result = await pool.query(insertQuery, [
+                appointmentId,
+                patientId,
+                doctorId,
+                prescriptionId,
+                transcriptionText,
+                doctorId,
+                doctorId
+            ]);
+
+            appointmentDetailId = result.rows[0].appointment_detail_id;
+            console.log(`✅ Created appointment_details with transcription (ID: ${appointmentDetailId})`);
+        }
+
+        // Keep the turns as a first-class transcript; the details record above still works without it
+        let transcriptId = null;
+        const transcriptResult = await consultationTranscriptService.createTranscript({
+            appointmentId,
+            doctorId,
+            turns: details.turns,
+            text: transcriptionText,
+            language: details.language,
+            durationSeconds: details.durationSeconds,
+            promptTemplate: details.promptTemplate,
+            source: 'audio'
+        });
+        if (transcriptResult.status === STATUS.SUCCESS) {
+            transcriptId = transcriptResult.data.transcript_id;
+        } else {
+            console.warn('⚠️  Transcript turns not saved:', transcriptResult.message);
+        }
+
+        return {
+            status: STATUS.SUCCESS,
+            data: { appointmentDetailId, transcriptId }
+        };
+    } catch (error) {
+        console.error('❌ Database error while saving transcription:', error);
+        return {
+            status: STATUS.FAILURE,
+            message: 'Database error while saving transcription',
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Map a provider / transcription error to a client-facing message
+ * @param {Error} error - Error thrown during transcription
+ * @returns {string} - Error message
+ */
+exports.getTranscriptionErrorMessage = function (error) {
+    if (error.message?.includes('API key') || error.message?.includes('API_KEY')) {
+        return 'Invalid or missing AI provider API key';
+    } else if (error.message?.includes('quota') || error.message?.includes('rate limit')) {
+        return 'Rate limit exceeded. Please try again later.';
+    } else if (error.message?.includes('file format') || error.message?.includes('mime type')) {
+        return 'Unsupported audio format. Please use WAV, MP3, or MP4.';
+    } else if (error.message?.includes('model') || error.message?.includes('not found')) {
+        return 'AI model not accessible. Please check your API configuration.';
+    }
+    return error.message || 'Failed to transcribe audio';
+};
@@ -0,0 +1,13 @@
+-- Structured SOAP note storage on dr_appointment_details
+-- appointment_summary keeps the rendered text for existing clients
+
+ALTER TABLE dr_appointment_details
+    ADD COLUMN IF NOT EXISTS soap_subjective TEXT,
+    ADD COLUMN IF NOT EXISTS soap_objective TEXT,
+    ADD COLUMN IF NOT EXISTS soap_assessment TEXT,
+    ADD COLUMN IF NOT EXISTS soap_plan JSONB,
+    ADD COLUMN IF NOT EXISTS soap_diagnoses JSONB,
+    ADD COLUMN IF NOT EXISTS soap_icd10_codes TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_dr_appointment_details_icd10_codes
+    ON dr_appointment_details USING GIN (soap_icd10_codes);
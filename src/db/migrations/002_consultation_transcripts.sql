@@ -0,0 +1,40 @@
+-- Consultation transcripts as first-class records
+-- One row per transcription (version increments per appointment), one row per speaker turn.
+-- dr_appointment_details.appointemnt_transcription keeps the latest text for existing clients.
+
+CREATE TABLE IF NOT EXISTS consultation_transcripts (
+    transcript_id SERIAL PRIMARY KEY,
+    appointment_id INTEGER NOT NULL,
+    patient_id INTEGER NOT NULL,
+    dr_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'audio', -- audio | manual
+    language VARCHAR(30),
+    duration_seconds NUMERIC(10, 2),
+    transcript_text TEXT NOT NULL,
+    is_edited BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by INTEGER,
+    updated_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_active SMALLINT DEFAULT 1,
+    UNIQUE (appointment_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_consultation_transcripts_appointment
+    ON consultation_transcripts (appointment_id, dr_id) WHERE is_active = 1;
+
+CREATE TABLE IF NOT EXISTS consultation_transcript_turns (
+    turn_id SERIAL PRIMARY KEY,
+    transcript_id INTEGER NOT NULL REFERENCES consultation_transcripts (transcript_id) ON DELETE CASCADE,
+    turn_index INTEGER NOT NULL,
+    speaker VARCHAR(50) NOT NULL,
+    text TEXT NOT NULL,
+    start_seconds NUMERIC(10, 2),
+    end_seconds NUMERIC(10, 2),
+    UNIQUE (transcript_id, turn_index)
+);
+
+-- Which saved transcript the current SOAP note was generated from
+ALTER TABLE dr_appointment_details
+    ADD COLUMN IF NOT EXISTS soap_transcript_id INTEGER REFERENCES consultation_transcripts (transcript_id);
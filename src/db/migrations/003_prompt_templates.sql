@@ -0,0 +1,15 @@
+-- Versioned prompt templates (registry lives in src/utils/promptTemplates.js)
+
+-- Doctor's own template choice; NULL means "pick by dr_specialization"
+ALTER TABLE doctors_records
+    ADD COLUMN IF NOT EXISTS soap_prompt_template VARCHAR(50);
+
+-- Template used to generate each SOAP note
+ALTER TABLE dr_appointment_details
+    ADD COLUMN IF NOT EXISTS soap_template_key VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS soap_template_version INTEGER;
+
+-- Template used for the transcription prompt
+ALTER TABLE consultation_transcripts
+    ADD COLUMN IF NOT EXISTS prompt_template_key VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS prompt_template_version INTEGER;
@@ -0,0 +1,33 @@
+-- AI usage metering and per-doctor quotas (logic lives in src/utils/aiUsageMeter.js)
+
+-- One row per provider call, including failed attempts that fell through to another provider
+CREATE TABLE IF NOT EXISTS ai_usage_events (
+    usage_id BIGSERIAL PRIMARY KEY,
+    dr_id INTEGER NOT NULL,
+    operation VARCHAR(50) NOT NULL, -- transcription | soap_generation | medicine_extraction
+    capability VARCHAR(10) NOT NULL, -- text | audio
+    provider VARCHAR(20) NOT NULL,
+    model VARCHAR(100),
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    audio_seconds NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    latency_ms INTEGER,
+    success BOOLEAN NOT NULL,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_doctor_time
+    ON ai_usage_events (dr_id, created_at);
+
+-- Per-doctor quota overrides; NULL columns fall back to the AI_QUOTA_* environment defaults
+CREATE TABLE IF NOT EXISTS doctor_ai_quotas (
+    dr_id INTEGER PRIMARY KEY,
+    daily_requests INTEGER,
+    monthly_requests INTEGER,
+    daily_tokens INTEGER,
+    monthly_tokens INTEGER,
+    daily_audio_minutes INTEGER,
+    monthly_audio_minutes INTEGER,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
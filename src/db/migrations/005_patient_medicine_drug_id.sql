@@ -0,0 +1,4 @@
+-- medicine_db med_details.med_id of a prescribed medicine, so interaction checks
+-- can use its compositions instead of parsing medicine_salt text. NULL for free-text entries.
+ALTER TABLE patient_medicine
+    ADD COLUMN IF NOT EXISTS drug_id INTEGER;
@@ -0,0 +1,42 @@
+-- Patient allergies and chronic / relevant conditions
+-- Checked against compositions when medicines are added to a prescription
+-- (drugInteractionChecker.checkPatientContraindications). Records belong to the
+-- patient, not the doctor, so every treating doctor sees the same list.
+
+CREATE TABLE IF NOT EXISTS patient_allergies (
+    allergy_id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL,
+    allergen VARCHAR(150) NOT NULL, -- composition ("Amoxicillin") or class ("Penicillin", "Sulfa drugs")
+    allergen_type VARCHAR(20) NOT NULL DEFAULT 'drug', -- drug | food | environmental | other
+    severity VARCHAR(20) NOT NULL DEFAULT 'moderate', -- mild | moderate | severe | anaphylaxis
+    reaction VARCHAR(255),
+    notes TEXT,
+    recorded_by_dr_id INTEGER,
+    created_by INTEGER,
+    updated_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_active SMALLINT DEFAULT 1
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patient_allergies_unique_active
+    ON patient_allergies (patient_id, LOWER(allergen)) WHERE is_active = 1;
+
+CREATE TABLE IF NOT EXISTS patient_conditions (
+    condition_id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL,
+    condition_name VARCHAR(150) NOT NULL,
+    icd10_code VARCHAR(10),
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- active | resolved
+    onset_date DATE,
+    notes TEXT,
+    recorded_by_dr_id INTEGER,
+    created_by INTEGER,
+    updated_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_active SMALLINT DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_conditions_patient
+    ON patient_conditions (patient_id) WHERE is_active = 1;
@@ -0,0 +1,18 @@
+-- Structured dosage for prescribed medicines
+-- medicine_frequency stays as the doctor's free text; these columns hold the parsed /
+-- entered values (dosageParser.normalizeDosage) so the PDF and reminders can read them.
+-- Rows written before this migration have NULLs and are parsed from medicine_frequency
+-- when read (dosageParser.getStoredDosage).
+
+ALTER TABLE patient_medicine
+    ADD COLUMN IF NOT EXISTS dose_quantity NUMERIC(8, 3), -- amount per dose when every dose is the same
+    ADD COLUMN IF NOT EXISTS dose_unit VARCHAR(20), -- tablet | capsule | ml | drop | puff | sachet
+    ADD COLUMN IF NOT EXISTS dose_morning NUMERIC(8, 3),
+    ADD COLUMN IF NOT EXISTS dose_noon NUMERIC(8, 3),
+    ADD COLUMN IF NOT EXISTS dose_evening NUMERIC(8, 3),
+    ADD COLUMN IF NOT EXISTS dose_night NUMERIC(8, 3),
+    ADD COLUMN IF NOT EXISTS doses_per_day SMALLINT,
+    ADD COLUMN IF NOT EXISTS food_timing VARCHAR(20), -- before_food | after_food | with_food | empty_stomach
+    ADD COLUMN IF NOT EXISTS route VARCHAR(20), -- oral | sublingual | topical | inhalation | nasal | ophthalmic | otic | rectal | vaginal | intravenous | intramuscular | subcutaneous
+    ADD COLUMN IF NOT EXISTS duration_days SMALLINT,
+    ADD COLUMN IF NOT EXISTS is_prn BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,53 @@
+-- Doctor-owned prescription templates ("Viral fever", "Gastritis") applied to an
+-- appointment's prescription in one step. Medicines are kept in order with the same
+-- structured dosage columns as patient_medicine (007).
+
+CREATE TABLE IF NOT EXISTS prescription_templates (
+    template_id SERIAL PRIMARY KEY,
+    dr_id INTEGER NOT NULL,
+    template_name VARCHAR(100) NOT NULL,
+    condition_name VARCHAR(150), -- what the regimen is for, shown when picking a template
+    advice TEXT, -- non-drug advice copied onto the prescription
+    usage_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TIMESTAMP,
+    created_by INTEGER,
+    updated_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_active SMALLINT DEFAULT 1
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prescription_templates_unique_active
+    ON prescription_templates (dr_id, LOWER(template_name)) WHERE is_active = 1;
+
+CREATE TABLE IF NOT EXISTS prescription_template_medicines (
+    template_medicine_id SERIAL PRIMARY KEY,
+    template_id INTEGER NOT NULL REFERENCES prescription_templates (template_id) ON DELETE CASCADE,
+    sort_order SMALLINT NOT NULL DEFAULT 0,
+    medicine_name VARCHAR(255) NOT NULL,
+    medicine_salt TEXT,
+    medicine_frequency VARCHAR(255),
+    drug_id INTEGER,
+    dose_quantity NUMERIC(8, 3),
+    dose_unit VARCHAR(20),
+    dose_morning NUMERIC(8, 3),
+    dose_noon NUMERIC(8, 3),
+    dose_evening NUMERIC(8, 3),
+    dose_night NUMERIC(8, 3),
+    doses_per_day SMALLINT,
+    food_timing VARCHAR(20),
+    route VARCHAR(20),
+    duration_days SMALLINT,
+    is_prn BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE INDEX IF NOT EXISTS idx_prescription_template_medicines_template
+    ON prescription_template_medicines (template_id, sort_order);
+
+-- Advice written on the prescription (from templates or entered by the doctor)
+ALTER TABLE patient_prescription
+    ADD COLUMN IF NOT EXISTS advice TEXT;
+
+-- Template a prescribed medicine came from (NULL when entered directly)
+ALTER TABLE patient_medicine
+    ADD COLUMN IF NOT EXISTS template_id INTEGER;
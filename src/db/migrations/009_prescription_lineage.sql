@@ -0,0 +1,16 @@
+-- Repeat prescriptions: lineage from a follow-up prescription back to the one it was copied from
+
+-- Prescription the medicines were repeated from
+ALTER TABLE patient_prescription
+    ADD COLUMN IF NOT EXISTS source_prescription_id INTEGER;
+
+-- Medicine row a repeated item was copied from and what happened to it:
+-- continued | changed (name, salt, frequency or dosage edited) | discontinued.
+-- Discontinued items are kept with is_active = 0 so they stay out of the active list,
+-- checks and the Rx table but can still be shown as "stop" instructions.
+ALTER TABLE patient_medicine
+    ADD COLUMN IF NOT EXISTS source_medicine_id INTEGER,
+    ADD COLUMN IF NOT EXISTS repeat_status VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_patient_medicine_source_medicine
+    ON patient_medicine (source_medicine_id) WHERE source_medicine_id IS NOT NULL;
@@ -0,0 +1,40 @@
+-- Medicines a doctor registers when the catalogue (medicine_db med_details) has no match.
+-- Private to the clinic that registered them (the doctor and their assistants, keyed by
+-- dr_id): they appear only in that doctor's medicine search, typeahead and appointment
+-- prescriptions. Each one is queued for
+-- admin review; promotion inserts it into med_details (or links an existing med_id) and
+-- back-fills patient_medicine.drug_id for the rows that prescribed it.
+
+CREATE TABLE IF NOT EXISTS custom_medicines (
+    custom_medicine_id SERIAL PRIMARY KEY,
+    dr_id INTEGER NOT NULL,
+    brand_name VARCHAR(255) NOT NULL,
+    dosage_form VARCHAR(30), -- tablet | capsule | syrup | injection | topical | drops | inhaler | sachet | other
+    compositions JSONB NOT NULL DEFAULT '[]', -- [{ "name", "strength", "unit" }] in label order, at most 5
+    manufacturer_name VARCHAR(255),
+    pack_size VARCHAR(100),
+    notes TEXT,
+    review_status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | promoted | rejected
+    review_note TEXT,
+    reviewed_at TIMESTAMP,
+    promoted_med_id INTEGER, -- med_details.med_id once promoted
+    created_by INTEGER,
+    updated_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_active SMALLINT DEFAULT 1
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_custom_medicines_unique_active
+    ON custom_medicines (dr_id, LOWER(brand_name)) WHERE is_active = 1;
+
+-- Admin review queue, oldest first
+CREATE INDEX IF NOT EXISTS idx_custom_medicines_review
+    ON custom_medicines (review_status, created_at) WHERE is_active = 1;
+
+-- Custom medicine a prescribed medicine was picked from (NULL for catalogue and free-text entries)
+ALTER TABLE patient_medicine
+    ADD COLUMN IF NOT EXISTS custom_medicine_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_patient_medicine_custom_medicine
+    ON patient_medicine (custom_medicine_id) WHERE custom_medicine_id IS NOT NULL;
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const STATUS = require('../utils/constants').STATUS;
+
+/**
+ * Hash of a key so keys of any length compare in constant time
+ * @param {string} key - Key
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(key) {
+    return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Allow operations staff with the shared admin key (X-Admin-Key header)
+ * The admin routes are disabled when ADMIN_API_KEY is not set.
+ */
+exports.verifyAdminKey = (req, res, next) => {
+    const adminKey = process.env.ADMIN_API_KEY;
+
+    if (!adminKey) {
+        return res.status(503).json({
+            status: STATUS.FAILURE,
+            message: "Admin API is not configured"
+        });
+    }
+
+    const providedKey = req.headers['x-admin-key'];
+
+    if (!providedKey || !crypto.timingSafeEqual(digest(providedKey), digest(adminKey))) {
+        return res.status(401).json({
+            status: STATUS.FAILURE,
+            message: "Invalid admin key"
+        });
+    }
+
+    next();
+};
@@ -0,0 +1,22 @@
+const STATUS = require('../utils/constants').STATUS;
+const aiUsageMeter = require('../utils/aiUsageMeter');
+
+/**
+ * Refuse AI requests from doctors over their daily or monthly quota
+ * Runs after verifyDoctorJWT and before any upload parsing, so an over-quota
+ * doctor is turned away before the audio is received.
+ */
+exports.enforceAIQuota = async (req, res, next) => {
+    const quota = await aiUsageMeter.checkQuota(req.doctor.doctorId);
+
+    if (!quota.allowed) {
+        return res.status(429).json({
+            status: STATUS.FAILURE,
+            message: aiUsageMeter.getQuotaExceededMessage(quota.exceeded),
+            code: "AI_QUOTA_EXCEEDED",
+            data: { exceeded: quota.exceeded }
+        });
+    }
+
+    next();
+};
@@ -0,0 +1,32 @@
+/**
+ * Deprecation headers for routes kept during a migration window
+ * Deprecation / Sunset / Link (rel="successor-version") let clients find the
+ * replacement before the route is removed; each hit is logged so remaining
+ * callers can be tracked down.
+ */
+
+// Date the legacy /api/medicines/* search routes are removed
+const LEGACY_MEDICINE_API_SUNSET = process.env.LEGACY_MEDICINE_API_SUNSET || '2027-01-31';
+
+/**
+ * Middleware marking a route as deprecated
+ * @param {string} successor - Replacement path; ":param" segments are filled from req.params
+ * @param {string} sunset - Removal date (YYYY-MM-DD)
+ * @returns {Function} Express middleware
+ */
+exports.deprecatedRoute = (successor, sunset = LEGACY_MEDICINE_API_SUNSET) => {
+    return (req, res, next) => {
+        const successorPath = successor.replace(/:(\w+)/g, (match, name) =>
+            req.params[name] !== undefined ? encodeURIComponent(req.params[name]) : match
+        );
+
+        res.set('Deprecation', 'true');
+        res.set('Sunset', new Date(`${sunset}T00:00:00Z`).toUTCString());
+        res.set('Link', `<${successorPath}>; rel="successor-version"`);
+
+        console.warn(`⚠️ Deprecated route ${req.method} ${req.originalUrl} - use ${successorPath} (sunset ${sunset})`);
+        next();
+    };
+};
+
+exports.LEGACY_MEDICINE_API_SUNSET = LEGACY_MEDICINE_API_SUNSET;
@@ -177,4 +177,14 @@ exports.verifyDoctorJWT = async (req, res, next) => {
             code: "AUTH_ERROR"
         });
     }
-};
\ No newline at end of file
+};
+/**
+ * Doctor authentication for routes that also serve anonymous callers
+ * (medicine search personalises results for a signed-in doctor). Without an
+ * Authorization header the request continues without req.doctor; a header that
+ * is present must be valid.
+ */
+exports.optionalDoctorJWT = (req, res, next) => {
+    if (!req.headers.authorization) return next();
+    return exports.verifyDoctorJWT(req, res, next);
+};
@@ -56,9 +56,25 @@ exports.setResponse = (req, res, next) => {
             message: res.locals.message || 'Something went wrong',
         };
 
+        // Details a client needs to act on the failure (validation errors, blocking findings)
+        if (res.locals.data !== undefined) {
+            responseData.data = res.locals.data;
+        }
+
         // Log before sending error response
         logResponseBeforeSending(req, res, responseData, 400);
 
         res.status(400).json(responseData);
     }
 };
+
+/**
+ * Send a failure response with a specific HTTP status (validation 400, not found 404)
+ * without going through setResponse
+ */
+exports.sendError = (res, message, statusCode = 400) => {
+    return res.status(statusCode).json({
+        status: STATUS.FAILURE,
+        message
+    });
+};
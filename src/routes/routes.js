@@ -1,15 +1,28 @@
 const { setResponse } = require('../middleware/setResponse');
-const { verifyDoctorJWT } = require('../middleware/doctorAuthMiddleware');
+const { deprecatedRoute } = require('../middleware/deprecationMiddleware');
+const { verifyDoctorJWT, optionalDoctorJWT } = require('../middleware/doctorAuthMiddleware');
 const { verifyAssistantJWT, verifyAssistantOrDoctorJWT } = require('../middleware/assistantAuthMiddleware');
+const { enforceAIQuota } = require('../middleware/aiQuotaMiddleware');
 
 const doctorAuthController = require('../controllers/doctor/doctorAuthController');
 const assistantAuthController = require('../controllers/doctor/assistantAuthController');
 const appointmentController = require('../controllers/doctor/appointmentController');
+const patientHealthController = require('../controllers/doctor/patientHealthController');
+const doseCalculationController = require('../controllers/doctor/doseCalculationController');
+const prescriptionTemplateController = require('../controllers/doctor/prescriptionTemplateController');
+const prescriptionImportController = require('../controllers/doctor/prescriptionImportController');
+const customMedicineController = require('../controllers/doctor/customMedicineController');
 const transcriptionController = require('../controllers/transcription/transcriptionController');
+const consultationTranscriptController = require('../controllers/transcription/consultationTranscriptController');
 const aiSummaryController = require('../controllers/ai/aiSummaryController');
+const promptTemplateController = require('../controllers/ai/promptTemplateController');
+const aiUsageController = require('../controllers/ai/aiUsageController');
 const medicineController = require('../controllers/doctor/medicineController');
 const fuzzyMedicineController = require('../controllers/medicine/medicineController');
 const prescriptionController = require('../controllers/doctor/prescriptionController');
+const medicineCacheController = require('../controllers/admin/medicineCacheController');
+const medicineCatalogueController = require('../controllers/admin/medicineCatalogueController');
+const customMedicineReviewController = require('../controllers/admin/customMedicineReviewController');
 
 
 module.exports = function (app) {
@@ -80,45 +93,235 @@ module.exports = function (app) {
     // Create patient by doctor
     app.post('/api/v1/doctor/patients', appointmentController.createPatientByDoctor, setResponse);
 
+    // ===== PATIENT ALLERGY & CONDITION ROUTES =====
+    // Checked against compositions when medicines are added to a prescription
+    app.get('/api/v1/doctor/patients/:patientId/allergies', patientHealthController.listAllergies, setResponse);
+    app.post('/api/v1/doctor/patients/:patientId/allergies', patientHealthController.createAllergy, setResponse);
+    app.put('/api/v1/doctor/patients/:patientId/allergies/:allergyId', patientHealthController.updateAllergy, setResponse);
+    app.delete('/api/v1/doctor/patients/:patientId/allergies/:allergyId', patientHealthController.deleteAllergy, setResponse);
+
+    app.get('/api/v1/doctor/patients/:patientId/conditions', patientHealthController.listConditions, setResponse);
+    app.post('/api/v1/doctor/patients/:patientId/conditions', patientHealthController.createCondition, setResponse);
+    app.put('/api/v1/doctor/patients/:patientId/conditions/:conditionId', patientHealthController.updateCondition, setResponse);
+    app.delete('/api/v1/doctor/patients/:patientId/conditions/:conditionId', patientHealthController.deleteCondition, setResponse);
+
     // ===== TRANSCRIPTION ROUTES =====
     // Health check for transcription service
     app.get('/api/v1/transcription/health', transcriptionController.healthCheck, setResponse);
 
     // Transcribe audio file (requires doctor authentication)
     app.post('/api/v1/doctor/transcription/transcribe',
+        enforceAIQuota,
         transcriptionController.upload.single('audio'),
         transcriptionController.handleMulterError,
         transcriptionController.transcribeAudio,
         setResponse
     );
 
+    // Queue audio file for background transcription (returns job ID immediately)
+    app.post('/api/v1/doctor/transcription/jobs',
+        enforceAIQuota,
+        transcriptionController.jobUpload.single('audio'),
+        transcriptionController.handleMulterError,
+        transcriptionController.createTranscriptionJob,
+        setResponse
+    );
+
+    // Poll transcription job status
+    app.get('/api/v1/doctor/transcription/jobs/:jobId',
+        transcriptionController.getTranscriptionJobStatus,
+        setResponse
+    );
+
+    // Get transcript of a completed job
+    app.get('/api/v1/doctor/transcription/jobs/:jobId/transcript',
+        transcriptionController.getTranscriptionJobTranscript,
+        setResponse
+    );
+
+    // Cancel a queued or running job
+    app.post('/api/v1/doctor/transcription/jobs/:jobId/cancel',
+        transcriptionController.cancelTranscriptionJob,
+        setResponse
+    );
+
+    // Chunked (resumable) audio upload: init, upload parts, check progress, complete
+    app.post('/api/v1/doctor/transcription/uploads',
+        enforceAIQuota,
+        transcriptionController.initChunkedUpload,
+        setResponse
+    );
+
+    app.put('/api/v1/doctor/transcription/uploads/:uploadId',
+        transcriptionController.chunkBodyParser,
+        transcriptionController.handleChunkBodyError,
+        transcriptionController.uploadChunk,
+        setResponse
+    );
+
+    app.get('/api/v1/doctor/transcription/uploads/:uploadId',
+        transcriptionController.getChunkedUploadStatus,
+        setResponse
+    );
+
+    // Complete upload and queue it as a transcription job
+    app.post('/api/v1/doctor/transcription/uploads/:uploadId/complete',
+        enforceAIQuota,
+        transcriptionController.completeChunkedUpload,
+        setResponse
+    );
+
+    app.post('/api/v1/doctor/transcription/uploads/:uploadId/abort',
+        transcriptionController.abortChunkedUpload,
+        setResponse
+    );
+
+    // ===== CONSULTATION TRANSCRIPT ROUTES =====
+    // Save a transcript for an appointment (transcription saves one automatically)
+    app.post('/api/v1/doctor/appointments/:appointmentId/transcripts',
+        consultationTranscriptController.createTranscript,
+        setResponse
+    );
+
+    // List saved transcript versions for an appointment
+    app.get('/api/v1/doctor/appointments/:appointmentId/transcripts',
+        consultationTranscriptController.listTranscripts,
+        setResponse
+    );
+
+    // Get a saved transcript with speaker turns
+    app.get('/api/v1/doctor/transcripts/:transcriptId',
+        consultationTranscriptController.getTranscript,
+        setResponse
+    );
+
+    // Correct a saved transcript
+    app.put('/api/v1/doctor/transcripts/:transcriptId',
+        consultationTranscriptController.updateTranscript,
+        setResponse
+    );
+
+    // Delete a saved transcript
+    app.delete('/api/v1/doctor/transcripts/:transcriptId',
+        consultationTranscriptController.deleteTranscript,
+        setResponse
+    );
+
     // Note: Removed duplicate unauthenticated endpoints for production security
 
     // ===== AI SUMMARY ROUTES =====
     // Convert transcription to SOAP format using Gemini AI (requires doctor authentication)
     app.post('/api/v1/doctor/transcription-to-soap',
+        enforceAIQuota,
         aiSummaryController.transcriptionToSOAP,
         setResponse
     );
 
+    // Regenerate the SOAP note from a saved (corrected) transcript
+    app.post('/api/v1/doctor/transcripts/:transcriptId/soap',
+        enforceAIQuota,
+        aiSummaryController.savedTranscriptToSOAP,
+        setResponse
+    );
+
+    // List SOAP / transcription prompt templates and the one selected for the doctor
+    app.get('/api/v1/doctor/prompt-templates',
+        promptTemplateController.getPromptTemplates,
+        setResponse
+    );
+
+    // Choose a prompt template (null to select by specialization)
+    app.put('/api/v1/doctor/prompt-templates/preference',
+        promptTemplateController.updatePromptTemplatePreference,
+        setResponse
+    );
+
+    // Extract prescribed medicines from SOAP note / transcript as draft prescription rows
+    app.post('/api/v1/doctor/appointments/:appointmentId/medicines/extract',
+        aiSummaryController.extractMedicinesFromSOAP,
+        setResponse
+    );
+
+    // Read an outside prescription (photo / PDF) with OCR into draft prescription rows
+    app.post('/api/v1/doctor/appointments/:appointmentId/medicines/import',
+        prescriptionImportController.upload.single('file'),
+        prescriptionImportController.handleMulterError,
+        prescriptionImportController.importPrescription,
+        setResponse
+    );
+
+    // Paediatric dose calculator: recommended range from weight / age and a check of the entered dose
+    app.post('/api/v1/doctor/appointments/:appointmentId/dose-check',
+        doseCalculationController.checkDose,
+        setResponse
+    );
+
+    // Prescription templates: the doctor's saved regimens (medicines, dosage, advice)
+    app.get('/api/v1/doctor/prescription-templates', prescriptionTemplateController.listTemplates, setResponse);
+    app.get('/api/v1/doctor/prescription-templates/:templateId', prescriptionTemplateController.getTemplate, setResponse);
+    app.post('/api/v1/doctor/prescription-templates', prescriptionTemplateController.createTemplate, setResponse);
+    app.put('/api/v1/doctor/prescription-templates/:templateId', prescriptionTemplateController.updateTemplate, setResponse);
+    app.delete('/api/v1/doctor/prescription-templates/:templateId', prescriptionTemplateController.deleteTemplate, setResponse);
+
+    // Custom medicines: the clinic's own medicines missing from the catalogue, queued for admin review.
+    // Outside /api/v1/doctor so the doctor's assistants can manage them too
+    app.get('/api/v1/custom-medicines', verifyAssistantOrDoctorJWT, customMedicineController.listCustomMedicines, setResponse);
+    app.post('/api/v1/custom-medicines', verifyAssistantOrDoctorJWT, customMedicineController.createCustomMedicine, setResponse);
+    app.put('/api/v1/custom-medicines/:customMedicineId', verifyAssistantOrDoctorJWT, customMedicineController.updateCustomMedicine, setResponse);
+    app.delete('/api/v1/custom-medicines/:customMedicineId', verifyAssistantOrDoctorJWT, customMedicineController.deleteCustomMedicine, setResponse);
+
+    // Add a template's medicines and advice to the appointment's prescription in one transaction
+    app.post('/api/v1/doctor/appointments/:appointmentId/prescription-templates/:templateId/apply',
+        prescriptionController.applyPrescriptionTemplate,
+        setResponse
+    );
+
+    // Repeat an earlier visit's medicines (continued / changed / discontinued) for a follow-up
+    app.post('/api/v1/doctor/appointments/:appointmentId/prescription/repeat',
+        prescriptionController.repeatPrescription,
+        setResponse
+    );
+
+    // Medicine typeahead from the in-memory prefix index, ranked for the doctor
+    app.get('/api/v1/doctor/medicines/autocomplete',
+        fuzzyMedicineController.autocompleteMedicines,
+        setResponse
+    );
+
+    // The doctor's most prescribed medicines
+    app.get('/api/v1/doctor/medicines/frequent',
+        fuzzyMedicineController.getFrequentMedicines,
+        setResponse
+    );
+
+    // AI usage (calls, tokens, audio minutes, latency) and quota status for the doctor
+    app.get('/api/v1/doctor/usage',
+        aiUsageController.getUsage,
+        setResponse
+    );
+
     // ===== MEDICINE ROUTES (Legacy - anuvansh_drug_db) =====
-    // Search medicines from anuvansh_drug_db
+    // Search, popular and details are deprecated in favour of /api/medicine/* (same search
+    // service, legacy field names kept) and send Deprecation / Sunset / Link headers
+    // Search medicines
     app.get('/api/medicines/search',
-
+        deprecatedRoute('/api/medicine/search'),
+        optionalDoctorJWT,
         medicineController.searchMedicines,
         setResponse
     );
 
     // Get popular medicines
     app.get('/api/medicines/popular',
-
+        deprecatedRoute('/api/medicine/popular'),
+        optionalDoctorJWT,
         medicineController.getPopularMedicines,
         setResponse
     );
 
     // Get medicine details by ID
     app.get('/api/medicines/:medicineId',
-
+        deprecatedRoute('/api/medicine/:medicineId'),
         medicineController.getMedicineById,
         setResponse
     );
@@ -157,6 +360,12 @@ module.exports = function (app) {
         setResponse
     );
 
+    // Add several medicines to appointment (e.g. confirmed extraction drafts)
+    app.post('/api/appointments/:appointmentId/medicines/bulk',
+        prescriptionController.addMedicinesToAppointment,
+        setResponse
+    );
+
     // Get medicines for an appointment
     app.get('/api/appointments/:appointmentId/medicines',
         prescriptionController.getAppointmentMedicines,
@@ -175,21 +384,81 @@ module.exports = function (app) {
     );
 
     // ===== FUZZY MEDICINE SEARCH ROUTES (New - medicine_db with pg_trgm) =====
-    // Intelligent fuzzy search with OCR error tolerance
+    // Prefix, trigram, composition and OCR-variant search, best match first
+    // (boosted by the doctor's prescribing history when a doctor token is sent)
     app.get('/api/medicine/search',
+        optionalDoctorJWT,
         fuzzyMedicineController.searchMedicines,
         setResponse
     );
 
+    // Most prescribed medicines (the doctor's own first when a doctor token is sent)
+    app.get('/api/medicine/popular',
+        optionalDoctorJWT,
+        fuzzyMedicineController.getPopularMedicines,
+        setResponse
+    );
+
     // Batch search for multiple medicines (for OCR prescriptions)
     app.post('/api/medicine/batch-search',
         fuzzyMedicineController.batchSearchMedicines,
         setResponse
     );
 
+    // Check medicines (optionally with an appointment's prescription) for duplicates and interactions
+    app.post('/api/medicine/check-interactions',
+        fuzzyMedicineController.checkInteractions,
+        setResponse
+    );
+
+    // Same salt, same strength, different brand - cheapest first, optionally generic / Jan Aushadhi only
+    app.get('/api/medicine/:id/alternatives',
+        fuzzyMedicineController.getMedicineAlternatives,
+        setResponse
+    );
+
     // Get medicine by ID from medicine database
     app.get('/api/medicine/:id',
         fuzzyMedicineController.getMedicineById,
         setResponse
     );
+
+    // ===== ADMIN ROUTES (X-Admin-Key) =====
+    // Medicine lookup cache status and hit rate
+    app.get('/api/admin/medicine-cache',
+        medicineCacheController.getCacheStatus,
+        setResponse
+    );
+
+    // Invalidate cached medicine lookups after a catalogue refresh
+    app.post('/api/admin/medicine-cache/invalidate',
+        medicineCacheController.invalidateCache,
+        setResponse
+    );
+
+    // Import a medicine catalogue file (CSV / JSON) into med_details with a diff report
+    app.post('/api/admin/medicine-catalogue/import',
+        medicineCatalogueController.upload.single('file'),
+        medicineCatalogueController.handleMulterError,
+        medicineCatalogueController.importCatalogue,
+        setResponse
+    );
+
+    // Review queue of doctor-registered custom medicines
+    app.get('/api/admin/custom-medicines',
+        customMedicineReviewController.listReviewQueue,
+        setResponse
+    );
+
+    // Add a custom medicine to med_details (or link an existing med_id)
+    app.post('/api/admin/custom-medicines/:customMedicineId/promote',
+        customMedicineReviewController.promoteCustomMedicine,
+        setResponse
+    );
+
+    // Reject a custom medicine; it stays private to its clinic
+    app.post('/api/admin/custom-medicines/:customMedicineId/reject',
+        customMedicineReviewController.rejectCustomMedicine,
+        setResponse
+    );
 };
\ No newline at end of file
@@ -0,0 +1,138 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const STATUS = require('../utils/constants').STATUS;
+const medicineCatalogueFile = require('../utils/medicineCatalogueFile');
+const medicineCatalogueService = require('../controllers/admin/medicineCatalogueService');
+const medicineCache = require('../utils/medicineCache');
+const { publishIndexVersion } = require('../utils/medicinePrefixIndex');
+const redisRouter = require('../utils/redisRouter');
+
+/**
+ * Import a medicine catalogue file into medicine_db med_details
+ *
+ * Usage: npm run import:medicines -- <catalogue.csv|catalogue.json> [options]
+ *   --dry-run        compare only, change nothing
+ *   --keep-missing   do not deactivate medicines missing from the file (or duplicate rows)
+ *   --force          allow deactivating a large share of the catalogue
+ *   --report <file>  write the full diff report as JSON
+ *
+ * Same import as POST /api/admin/medicine-catalogue/import. When Redis is reachable,
+ * cached lookups are invalidated and a new prefix index version is published, so running
+ * servers rebuild their typeahead index within MEDICINE_INDEX_VERSION_CHECK_SECONDS;
+ * otherwise they pick up the catalogue at their next scheduled refresh.
+ */
+
+const USAGE = 'Usage: npm run import:medicines -- <catalogue.csv|catalogue.json> [--dry-run] [--keep-missing] [--force] [--report <file>]';
+
+// Time allowed for the Redis connection before cache invalidation and the index version are skipped
+const REDIS_WAIT_MS = 5000;
+
+/**
+ * Read command line arguments
+ * @param {Array<string>} args - process.argv without node and script
+ * @returns {Object} { filePath, dryRun, keepMissing, force, reportPath }
+ */
+function parseArgs(args) {
+    const options = { filePath: null, dryRun: false, keepMissing: false, force: false, reportPath: null };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--keep-missing') options.keepMissing = true;
+        else if (arg === '--force') options.force = true;
+        else if (arg === '--report') options.reportPath = args[++i];
+        else if (!arg.startsWith('--') && !options.filePath) options.filePath = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!options.filePath) throw new Error('Catalogue file is required');
+    if (options.reportPath === undefined) throw new Error('--report needs a file path');
+    return options;
+}
+
+/**
+ * Wait until Redis is connected or the wait runs out
+ * @returns {Promise<boolean>} Whether Redis is connected
+ */
+async function waitForRedis() {
+    const deadline = Date.now() + REDIS_WAIT_MS;
+    while (!redisRouter.isRedisConnected() && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    return redisRouter.isRedisConnected();
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n${USAGE}`);
+        return 1;
+    }
+
+    const format = medicineCatalogueFile.getCatalogueFormat(options.filePath);
+    if (!format) {
+        console.error('❌ Catalogue file must be .csv or .json');
+        return 1;
+    }
+
+    let file;
+    try {
+        file = medicineCatalogueFile.parseCatalogueFile(await fs.promises.readFile(options.filePath), format);
+    } catch (error) {
+        console.error(`❌ Could not read ${options.filePath}: ${error.message}`);
+        return 1;
+    }
+
+    const result = await medicineCatalogueService.importCatalogue(file, {
+        dryRun: options.dryRun,
+        deactivateMissing: !options.keepMissing,
+        force: options.force
+    });
+
+    if (result.status !== STATUS.SUCCESS) {
+        console.error(`❌ ${result.message}`);
+        (result.errors || []).forEach(error => console.error(`   ${error}`));
+        if (result.error) console.error(`   ${result.error}`);
+        return 1;
+    }
+
+    const { report } = result.data;
+    console.log(`\n${result.message}`);
+    console.table(report.summary);
+
+    if (options.reportPath) {
+        await fs.promises.writeFile(path.resolve(options.reportPath), JSON.stringify(report, null, 2));
+        console.log(`📝 Diff report written to ${options.reportPath}`);
+    }
+
+    if (result.data.applied) {
+        const redisReady = await waitForRedis();
+        const invalidated = redisReady && await medicineCache.invalidate()
+            .then(({ deleted }) => {
+                console.log(`🧹 ${deleted} cached medicine lookup(s) invalidated`);
+                return true;
+            })
+            .catch(() => false);
+        if (!invalidated) {
+            console.warn('⚠️  Redis not reachable: invalidate the cache with POST /api/admin/medicine-cache/invalidate');
+        }
+
+        if (redisReady && await publishIndexVersion()) {
+            console.log('🔤 Medicine prefix index version published; running servers will rebuild');
+        } else {
+            console.warn('⚠️  Prefix index version not published: running servers keep the old typeahead until their next scheduled refresh');
+        }
+    }
+
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('❌ Catalogue import failed:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,151 @@
+/**
+ * Fake provider
+ * In-process stand-in for tests (see test/) and local development without API keys.
+ * Enable with AI_PROVIDER_ORDER=fake (or list it after a real provider).
+ *
+ * Responses are taken from queues set with setResponses(); each entry may be a
+ * string, an object (returned as JSON), an Error (thrown) or a function of the
+ * request. With an empty queue, text requests get a placeholder that matches
+ * the response schema and audio requests get a fixed transcript.
+ */
+
+const state = {
+    text: [],
+    audio: [],
+    calls: []
+};
+
+/**
+ * Queue responses for the next calls
+ * @param {Object} responses - { text: Array, audio: Array }
+ */
+function setResponses(responses = {}) {
+    if (responses.text) state.text.push(...responses.text);
+    if (responses.audio) state.audio.push(...responses.audio);
+}
+
+/**
+ * Clear queued responses and recorded calls
+ */
+function reset() {
+    state.text = [];
+    state.audio = [];
+    state.calls = [];
+}
+
+/**
+ * Requests received so far (audio buffers replaced by their size)
+ * @returns {Array<Object>} [{ capability, request }]
+ */
+function getCalls() {
+    return state.calls;
+}
+
+/**
+ * Build a placeholder value matching a Gemini-style response schema
+ * @param {Object} schema - Schema
+ * @returns {any} Placeholder value
+ */
+function sampleFromSchema(schema) {
+    switch (schema?.type) {
+        case 'object':
+            return Object.fromEntries(
+                Object.entries(schema.properties || {}).map(([key, value]) => [key, sampleFromSchema(value)])
+            );
+        case 'array':
+            return [];
+        case 'number':
+        case 'integer':
+            return 0;
+        case 'boolean':
+            return false;
+        default:
+            return schema?.enum ? schema.enum[0] : 'Not documented';
+    }
+}
+
+/**
+ * Resolve a queued response entry
+ * @param {any} entry - Queued entry
+ * @param {Object} request - Request passed to the provider
+ * @returns {Promise<any>} Response
+ */
+async function resolveEntry(entry, request) {
+    const value = typeof entry === 'function' ? await entry(request) : entry;
+    if (value instanceof Error) throw value;
+    return value;
+}
+
+/**
+ * Rough token estimate (~4 characters per token) so metering has numbers to record
+ * @param {string} text - Text
+ * @returns {number} Tokens
+ */
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Always configured
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return true;
+}
+
+/**
+ * Return the next queued text response
+ * @param {Object} request - { prompt, responseSchema, ... }
+ * @returns {Promise<Object>} { text, model, usage }
+ */
+async function generateText(request) {
+    state.calls.push({ capability: 'text', request: { ...request, signal: undefined } });
+
+    let text;
+    if (state.text.length === 0) {
+        text = request.responseSchema
+            ? JSON.stringify(sampleFromSchema(request.responseSchema))
+            : 'Fake provider response';
+    } else {
+        const value = await resolveEntry(state.text.shift(), request);
+        text = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    return {
+        text,
+        model: 'fake',
+        usage: { inputTokens: estimateTokens(request.prompt), outputTokens: estimateTokens(text) }
+    };
+}
+
+/**
+ * Return the next queued transcript
+ * @param {Object} request - { audioBuffer, mimeType, ... }
+ * @returns {Promise<Object>} { text, turns, model, usage }
+ */
+async function transcribeAudio(request) {
+    state.calls.push({
+        capability: 'audio',
+        request: { ...request, audioBuffer: request.audioBuffer?.length, signal: undefined }
+    });
+
+    let result;
+    if (state.audio.length === 0) {
+        result = { text: 'Doctor: Fake transcript.\nPatient: Fake reply.', turns: null };
+    } else {
+        const value = await resolveEntry(state.audio.shift(), request);
+        result = typeof value === 'string' ? { text: value, turns: null } : value;
+    }
+
+    return { model: 'fake', usage: null, ...result };
+}
+
+module.exports = {
+    name: 'fake',
+    isConfigured,
+    generateText,
+    transcribeAudio,
+    setResponses,
+    reset,
+    getCalls
+};
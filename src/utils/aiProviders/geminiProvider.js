@@ -0,0 +1,122 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Gemini provider
+ * Text generation and inline audio transcription, both with native JSON schema support.
+ * Long recordings reach this provider already cut into clips (see transcriptionService).
+ */
+
+const TEXT_MODEL = process.env.GEMINI_TEXT_MODEL || 'gemini-2.5-flash';
+const AUDIO_MODEL = process.env.GEMINI_AUDIO_MODEL || 'gemini-2.5-flash';
+
+const SAFETY_SETTINGS = [
+    {
+        category: "HARM_CATEGORY_HARASSMENT",
+        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+    },
+    {
+        category: "HARM_CATEGORY_HATE_SPEECH",
+        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+    },
+    {
+        category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+    },
+    {
+        category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+        threshold: "BLOCK_MEDIUM_AND_ABOVE"
+    }
+];
+
+/**
+ * Token counts from a Gemini response
+ * @param {Object} usageMetadata - response.usageMetadata
+ * @returns {Object|null} { inputTokens, outputTokens }
+ */
+function toUsage(usageMetadata) {
+    if (!usageMetadata) return null;
+    return {
+        inputTokens: usageMetadata.promptTokenCount || 0,
+        outputTokens: usageMetadata.candidatesTokenCount || 0
+    };
+}
+
+/**
+ * Whether the provider has credentials
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return !!process.env.GEMINI_API_KEY;
+}
+
+/**
+ * Generate text (or schema-constrained JSON) from a prompt
+ * @param {Object} request - { prompt, responseSchema, temperature, maxOutputTokens, signal }
+ * @returns {Promise<Object>} { text, model, usage }
+ */
+async function generateText(request) {
+    const { prompt, responseSchema = null, temperature = 0.4, maxOutputTokens, signal } = request;
+
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const model = genAI.getGenerativeModel({
+        model: TEXT_MODEL,
+        generationConfig: {
+            temperature,
+            topK: 32,
+            topP: 1,
+            maxOutputTokens: maxOutputTokens || (responseSchema ? 4096 : 2048),
+            ...(responseSchema && {
+                responseMimeType: 'application/json',
+                responseSchema
+            })
+        },
+        safetySettings: SAFETY_SETTINGS
+    });
+
+    const result = await model.generateContent(prompt, { signal });
+    return {
+        text: result.response.text(),
+        model: TEXT_MODEL,
+        usage: toUsage(result.response.usageMetadata)
+    };
+}
+
+/**
+ * Transcribe audio sent inline with the request
+ * With a responseSchema the text is schema-constrained JSON for the caller to parse
+ * @param {Object} request - { audioBuffer, mimeType, prompt, responseSchema, signal }
+ * @returns {Promise<Object>} { text, turns: null, model, usage }
+ */
+async function transcribeAudio(request) {
+    const { audioBuffer, mimeType, prompt, responseSchema = null, signal } = request;
+
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const model = genAI.getGenerativeModel({
+        model: AUDIO_MODEL,
+        generationConfig: responseSchema
+            ? { responseMimeType: 'application/json', responseSchema }
+            : undefined
+    });
+
+    const audioPart = {
+        inlineData: {
+            data: audioBuffer.toString('base64'),
+            mimeType
+        }
+    };
+
+    const result = await model.generateContent([prompt, audioPart], { signal });
+    return {
+        text: result.response.text(),
+        turns: null,
+        model: AUDIO_MODEL,
+        usage: toUsage(result.response.usageMetadata)
+    };
+}
+
+module.exports = {
+    name: 'gemini',
+    isConfigured,
+    generateText,
+    transcribeAudio
+};
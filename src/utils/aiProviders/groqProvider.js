@@ -0,0 +1,130 @@
+const Groq = require('groq-sdk');
+
+/**
+ * Groq provider
+ * Whisper for audio transcription and a hosted LLM for text generation.
+ * Groq has no schema-constrained output, so JSON requests use JSON mode and
+ * carry the schema in the system prompt; callers validate the result as usual.
+ */
+
+const TEXT_MODEL = process.env.GROQ_TEXT_MODEL || 'llama-3.3-70b-versatile';
+const AUDIO_MODEL = process.env.GROQ_AUDIO_MODEL || 'whisper-large-v3';
+
+// Groq rejects larger uploads; let the fallback chain move on instead
+const MAX_AUDIO_BYTES = parseInt(process.env.GROQ_MAX_AUDIO_BYTES) || 25 * 1024 * 1024;
+
+const AUDIO_EXTENSIONS = {
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/wave': 'wav',
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/m4a': 'm4a',
+    'audio/x-m4a': 'm4a',
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/aac': 'm4a',
+    'audio/flac': 'flac'
+};
+
+let client = null;
+
+/**
+ * Lazily create the Groq client
+ * @returns {Groq} Client
+ */
+function getClient() {
+    if (!client) {
+        // Timeouts are applied by the provider layer through the abort signal
+        client = new Groq({ apiKey: process.env.GROQ_API_KEY, maxRetries: 1 });
+    }
+    return client;
+}
+
+/**
+ * Whether the provider has credentials
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return !!process.env.GROQ_API_KEY;
+}
+
+/**
+ * Generate text (or JSON) from a prompt
+ * @param {Object} request - { prompt, responseSchema, temperature, maxOutputTokens, signal }
+ * @returns {Promise<Object>} { text, model, usage }
+ */
+async function generateText(request) {
+    const { prompt, responseSchema = null, temperature = 0.4, maxOutputTokens, signal } = request;
+
+    const messages = [];
+    if (responseSchema) {
+        messages.push({
+            role: 'system',
+            content: `Respond ONLY with a JSON object that conforms to this JSON schema:\n${JSON.stringify(responseSchema)}`
+        });
+    }
+    messages.push({ role: 'user', content: prompt });
+
+    const completion = await getClient().chat.completions.create({
+        model: TEXT_MODEL,
+        messages,
+        temperature,
+        max_tokens: maxOutputTokens || (responseSchema ? 4096 : 2048),
+        ...(responseSchema && { response_format: { type: 'json_object' } })
+    }, { signal });
+
+    return {
+        text: completion.choices[0]?.message?.content || '',
+        model: TEXT_MODEL,
+        usage: completion.usage
+            ? { inputTokens: completion.usage.prompt_tokens || 0, outputTokens: completion.usage.completion_tokens || 0 }
+            : null
+    };
+}
+
+/**
+ * Transcribe audio with Whisper
+ * Whisper does not label speakers, so no turns are returned; its timed segments are,
+ * for callers that need to place the text on a timeline. Prompts and schemas are ignored.
+ * @param {Object} request - { audioBuffer, mimeType, fileName, signal }
+ * @returns {Promise<Object>} { text, turns: null, segments: [{ start, end, text }], language, model, usage: null, audioSeconds }
+ */
+async function transcribeAudio(request) {
+    const { audioBuffer, mimeType, fileName, signal } = request;
+
+    if (audioBuffer.length > MAX_AUDIO_BYTES) {
+        throw new Error(`Audio exceeds Groq upload limit of ${MAX_AUDIO_BYTES} bytes`);
+    }
+
+    const extension = AUDIO_EXTENSIONS[mimeType] || 'wav';
+    const file = await Groq.toFile(audioBuffer, fileName || `recording.${extension}`, { type: mimeType });
+
+    const transcription = await getClient().audio.transcriptions.create({
+        file,
+        model: AUDIO_MODEL,
+        response_format: 'verbose_json'
+    }, { signal });
+
+    return {
+        text: transcription.text,
+        turns: null,
+        segments: (transcription.segments || []).map(segment => ({
+            start: segment.start,
+            end: segment.end,
+            text: String(segment.text || '').trim()
+        })),
+        language: transcription.language,
+        model: AUDIO_MODEL,
+        usage: null,
+        audioSeconds: transcription.duration || null
+    };
+}
+
+module.exports = {
+    name: 'groq',
+    isConfigured,
+    generateText,
+    transcribeAudio
+};
@@ -0,0 +1,226 @@
+const geminiProvider = require('./geminiProvider');
+const groqProvider = require('./groqProvider');
+const fakeProvider = require('./fakeProvider');
+const aiUsageMeter = require('../aiUsageMeter');
+
+/**
+ * AI Provider Layer
+ * One entry point for text generation and audio transcription with ordered fallback.
+ *
+ * Configuration:
+ * - AI_PROVIDER_ORDER        default order for both capabilities (default "gemini,groq")
+ * - AI_TEXT_PROVIDER_ORDER   override for text generation (SOAP notes, extraction)
+ * - AI_AUDIO_PROVIDER_ORDER  override for transcription
+ * - AI_<PROVIDER>_TEXT_TIMEOUT_MS / AI_<PROVIDER>_AUDIO_TIMEOUT_MS per-provider timeouts
+ *
+ * Providers without credentials are skipped. A provider that fails or times out
+ * hands the request to the next one; a request cancelled by the caller is not retried.
+ * Callers that pass a meter context get every attempt recorded in ai_usage_events.
+ */
+
+const CAPABILITIES = {
+    TEXT: 'text',
+    AUDIO: 'audio'
+};
+
+const DEFAULT_ORDER = 'gemini,groq';
+
+const DEFAULT_TIMEOUTS_MS = {
+    text: 60 * 1000,
+    audio: 10 * 60 * 1000 // Long recordings are transcribed window by window
+};
+
+const providers = {
+    [geminiProvider.name]: geminiProvider,
+    [groqProvider.name]: groqProvider,
+    [fakeProvider.name]: fakeProvider
+};
+
+const CAPABILITY_METHODS = {
+    text: 'generateText',
+    audio: 'transcribeAudio'
+};
+
+/**
+ * Provider names in fallback order for a capability
+ * @param {string} capability - 'text' or 'audio'
+ * @returns {Array<string>} Provider names
+ */
+function getProviderOrder(capability) {
+    const configured = process.env[`AI_${capability.toUpperCase()}_PROVIDER_ORDER`]
+        || process.env.AI_PROVIDER_ORDER
+        || DEFAULT_ORDER;
+
+    return configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Providers that can serve a capability right now, in fallback order
+ * @param {string} capability - 'text' or 'audio'
+ * @returns {Array<Object>} Providers
+ */
+function getAvailableProviders(capability) {
+    return getProviderOrder(capability)
+        .map(name => providers[name])
+        .filter(provider => provider
+            && typeof provider[CAPABILITY_METHODS[capability]] === 'function'
+            && provider.isConfigured());
+}
+
+/**
+ * Whether any provider can serve a capability
+ * @param {string} capability - 'text' or 'audio'
+ * @returns {boolean}
+ */
+function isAvailable(capability) {
+    return getAvailableProviders(capability).length > 0;
+}
+
+/**
+ * Timeout for one provider call
+ * @param {string} providerName - Provider name
+ * @param {string} capability - 'text' or 'audio'
+ * @returns {number} Milliseconds
+ */
+function getTimeoutMs(providerName, capability) {
+    const configured = parseInt(process.env[`AI_${providerName.toUpperCase()}_${capability.toUpperCase()}_TIMEOUT_MS`]);
+    return configured > 0 ? configured : DEFAULT_TIMEOUTS_MS[capability];
+}
+
+/**
+ * Record one provider attempt when the caller asked for metering
+ * Recording is fire-and-forget so it never delays or fails the AI request.
+ * @param {Object} meter - { doctorId, operation, audioSeconds } or undefined
+ * @param {string} capability - 'text' or 'audio'
+ * @param {Object} provider - Provider that was tried
+ * @param {number} startedAt - Attempt start (ms)
+ * @param {Object} result - Provider result on success
+ * @param {Error} error - Error on failure
+ */
+function meterAttempt(meter, capability, provider, startedAt, result, error) {
+    if (!meter) return;
+
+    aiUsageMeter.recordUsage({
+        doctorId: meter.doctorId,
+        operation: meter.operation,
+        capability,
+        provider: provider.name,
+        model: result?.model,
+        usage: result?.usage,
+        audioSeconds: result?.audioSeconds || meter.audioSeconds,
+        latencyMs: Date.now() - startedAt,
+        success: !error,
+        error
+    });
+}
+
+/**
+ * Run a task against each available provider until one succeeds
+ * The task receives the provider and a { signal } that fires on timeout or caller cancellation.
+ * Results may carry { model, usage: { inputTokens, outputTokens }, audioSeconds } for metering.
+ * @param {string} capability - 'text' or 'audio'
+ * @param {Function} task - async (provider, { signal }) => result
+ * @param {Object} options - { signal, meter }
+ *   signal - caller's AbortSignal
+ *   meter - { doctorId, operation, audioSeconds } to record each attempt against a doctor;
+ *   audioSeconds must be measured on the server, never taken from the client
+ * @returns {Promise<Object>} { result, provider } where provider is the name that answered
+ */
+async function runWithFallback(capability, task, options = {}) {
+    const available = getAvailableProviders(capability);
+
+    if (available.length === 0) {
+        throw new Error(`No AI provider configured for ${capability}. Set GEMINI_API_KEY or GROQ_API_KEY.`);
+    }
+
+    const failures = [];
+
+    for (const provider of available) {
+        if (options.signal?.aborted) {
+            throw new Error('AI request aborted');
+        }
+
+        const timeoutMs = getTimeoutMs(provider.name, capability);
+        const controller = new AbortController();
+        const onCallerAbort = () => controller.abort();
+        options.signal?.addEventListener('abort', onCallerAbort);
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        const startedAt = Date.now();
+
+        // Providers pass the signal to their SDK; the race also covers calls that ignore it
+        const aborted = new Promise((resolve, reject) => {
+            controller.signal.addEventListener('abort', () => reject(new Error('AI request aborted')));
+        });
+
+        try {
+            const result = await Promise.race([task(provider, { signal: controller.signal }), aborted]);
+            meterAttempt(options.meter, capability, provider, startedAt, result, null);
+            if (failures.length > 0) {
+                console.log(`✅ AI ${capability} served by fallback provider ${provider.name}`);
+            }
+            return { result, provider: provider.name };
+        } catch (error) {
+            meterAttempt(options.meter, capability, provider, startedAt, null, error);
+
+            if (options.signal?.aborted) {
+                throw error;
+            }
+
+            const timedOut = controller.signal.aborted;
+            const message = timedOut ? `timed out after ${timeoutMs}ms` : error.message;
+            console.error(`❌ AI provider ${provider.name} failed (${capability}): ${message}`);
+            failures.push({ provider: provider.name, error: timedOut ? new Error(`Request timeout: ${message}`) : error });
+        } finally {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', onCallerAbort);
+        }
+    }
+
+    // Surface the last provider's error; earlier ones are attached for logging
+    const lastError = failures[failures.length - 1].error;
+    lastError.providerFailures = failures.map(failure => ({
+        provider: failure.provider,
+        message: failure.error.message
+    }));
+    throw lastError;
+}
+
+/**
+ * Generate text with the first provider that succeeds
+ * @param {Object} request - { prompt, responseSchema, temperature, maxOutputTokens, signal, meter }
+ * @returns {Promise<Object>} { text, provider, model, usage }
+ */
+async function generateText(request) {
+    const { signal, meter, ...rest } = request;
+    const { result, provider } = await runWithFallback(
+        CAPABILITIES.TEXT,
+        (textProvider, attempt) => textProvider.generateText({ ...rest, signal: attempt.signal }),
+        { signal, meter }
+    );
+    return { text: result.text, provider, model: result.model, usage: result.usage };
+}
+
+/**
+ * Transcribe audio with the first provider that succeeds
+ * @param {Object} request - { audioBuffer, mimeType, fileName, prompt, signal, meter }
+ * @returns {Promise<Object>} { text, turns, language, model, usage, provider }
+ */
+async function transcribeAudio(request) {
+    const { signal, meter, ...rest } = request;
+    const { result, provider } = await runWithFallback(
+        CAPABILITIES.AUDIO,
+        (audioProvider, attempt) => audioProvider.transcribeAudio({ ...rest, signal: attempt.signal }),
+        { signal, meter }
+    );
+    return { ...result, provider };
+}
+
+module.exports = {
+    CAPABILITIES,
+    getProviderOrder,
+    isAvailable,
+    runWithFallback,
+    generateText,
+    transcribeAudio,
+    fakeProvider
+};
@@ -0,0 +1,234 @@
+const pool = require('../config/dbConnection');
+
+/**
+ * AI Usage Meter
+ * Records every AI provider call per doctor (provider, model, tokens, audio duration,
+ * latency) and enforces daily / monthly quotas.
+ *
+ * Quota defaults (unset or 0 = unlimited), overridable per doctor in doctor_ai_quotas:
+ * - AI_QUOTA_DAILY_REQUESTS / AI_QUOTA_MONTHLY_REQUESTS
+ * - AI_QUOTA_DAILY_TOKENS / AI_QUOTA_MONTHLY_TOKENS
+ * - AI_QUOTA_DAILY_AUDIO_MINUTES / AI_QUOTA_MONTHLY_AUDIO_MINUTES
+ *
+ * Quotas are checked before a request starts, so the request that crosses a limit
+ * is allowed to finish; the next one is refused. Days and months follow the
+ * database server's clock.
+ */
+
+const OPERATIONS = {
+    TRANSCRIPTION: 'transcription',
+    SOAP_GENERATION: 'soap_generation',
+    MEDICINE_EXTRACTION: 'medicine_extraction'
+};
+
+const QUOTA_METRICS = ['requests', 'tokens', 'audio_minutes'];
+const QUOTA_PERIODS = ['daily', 'monthly'];
+
+/**
+ * Quota limit from the environment
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {string} metric - 'requests', 'tokens' or 'audio_minutes'
+ * @returns {number|null} Limit or null for unlimited
+ */
+function getDefaultLimit(period, metric) {
+    const configured = parseInt(process.env[`AI_QUOTA_${period.toUpperCase()}_${metric.toUpperCase()}`]);
+    return configured > 0 ? configured : null;
+}
+
+/**
+ * Record one provider call
+ * Never throws: a metering failure must not fail the clinical request.
+ * @param {Object} event - { doctorId, operation, capability, provider, model, usage: { inputTokens, outputTokens },
+ *   audioSeconds, latencyMs, success, error }
+ * @returns {Promise<void>}
+ */
+async function recordUsage(event) {
+    if (!event || !event.doctorId) return;
+
+    try {
+        await pool.query(
+            `INSERT INTO ai_usage_events (
+                dr_id, operation, capability, provider, model,
+                input_tokens, output_tokens, audio_seconds, latency_ms, success, error_message
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+            [
+                event.doctorId,
+                event.operation || 'unknown',
+                event.capability,
+                event.provider,
+                event.model || null,
+                event.usage?.inputTokens || 0,
+                event.usage?.outputTokens || 0,
+                // Audio minutes count only for recordings a provider actually transcribed
+                event.success && event.audioSeconds > 0 ? event.audioSeconds : 0,
+                event.latencyMs ?? null,
+                !!event.success,
+                event.error ? String(event.error.message || event.error).slice(0, 1000) : null
+            ]
+        );
+    } catch (error) {
+        console.error('Error recording AI usage:', error.message);
+    }
+}
+
+/**
+ * Effective quota limits for a doctor
+ * @param {number} doctorId - Doctor's ID
+ * @returns {Promise<Object>} { daily: { requests, tokens, audio_minutes }, monthly: { ... } } (null = unlimited)
+ */
+async function getQuotaLimits(doctorId) {
+    const result = await pool.query(
+        `SELECT daily_requests, monthly_requests, daily_tokens, monthly_tokens,
+                daily_audio_minutes, monthly_audio_minutes
+         FROM doctor_ai_quotas
+         WHERE dr_id = $1`,
+        [doctorId]
+    );
+    const override = result.rows[0] || {};
+
+    const limits = {};
+    QUOTA_PERIODS.forEach(period => {
+        limits[period] = {};
+        QUOTA_METRICS.forEach(metric => {
+            const value = override[`${period}_${metric}`];
+            limits[period][metric] = value === null || value === undefined
+                ? getDefaultLimit(period, metric)
+                : (value > 0 ? value : null);
+        });
+    });
+    return limits;
+}
+
+/**
+ * Usage for the current day and month
+ * @param {number} doctorId - Doctor's ID
+ * @returns {Promise<Object>} { daily: { requests, tokens, audio_minutes }, monthly: { ... } }
+ */
+async function getCurrentUsage(doctorId) {
+    const result = await pool.query(
+        `SELECT
+            COUNT(*) FILTER (WHERE success AND created_at >= CURRENT_DATE) AS daily_requests,
+            COALESCE(SUM(input_tokens + output_tokens) FILTER (WHERE created_at >= CURRENT_DATE), 0) AS daily_tokens,
+            COALESCE(SUM(audio_seconds) FILTER (WHERE created_at >= CURRENT_DATE), 0) AS daily_audio_seconds,
+            COUNT(*) FILTER (WHERE success) AS monthly_requests,
+            COALESCE(SUM(input_tokens + output_tokens), 0) AS monthly_tokens,
+            COALESCE(SUM(audio_seconds), 0) AS monthly_audio_seconds
+         FROM ai_usage_events
+         WHERE dr_id = $1 AND created_at >= date_trunc('month', CURRENT_DATE)`,
+        [doctorId]
+    );
+    const row = result.rows[0];
+
+    return {
+        daily: {
+            requests: parseInt(row.daily_requests),
+            tokens: parseInt(row.daily_tokens),
+            audio_minutes: Math.round(parseFloat(row.daily_audio_seconds) / 60 * 100) / 100
+        },
+        monthly: {
+            requests: parseInt(row.monthly_requests),
+            tokens: parseInt(row.monthly_tokens),
+            audio_minutes: Math.round(parseFloat(row.monthly_audio_seconds) / 60 * 100) / 100
+        }
+    };
+}
+
+/**
+ * Check whether a doctor may start another AI request
+ * Fails open when usage cannot be read, so a metering outage does not stop consultations.
+ * @param {number} doctorId - Doctor's ID
+ * @returns {Promise<Object>} { allowed, exceeded: [{ period, metric, used, limit }], usage, limits }
+ */
+async function checkQuota(doctorId) {
+    try {
+        const [limits, usage] = await Promise.all([getQuotaLimits(doctorId), getCurrentUsage(doctorId)]);
+
+        const exceeded = [];
+        QUOTA_PERIODS.forEach(period => {
+            QUOTA_METRICS.forEach(metric => {
+                const limit = limits[period][metric];
+                if (limit !== null && usage[period][metric] >= limit) {
+                    exceeded.push({ period, metric, used: usage[period][metric], limit });
+                }
+            });
+        });
+
+        return { allowed: exceeded.length === 0, exceeded, usage, limits };
+    } catch (error) {
+        console.error('Error checking AI quota:', error.message);
+        return { allowed: true, exceeded: [], usage: null, limits: null };
+    }
+}
+
+/**
+ * Human-readable message for exceeded quotas
+ * @param {Array<Object>} exceeded - From checkQuota
+ * @returns {string} Message
+ */
+function getQuotaExceededMessage(exceeded) {
+    const parts = exceeded.map(item => `${item.period} ${item.metric.replace('_', ' ')} (${item.used}/${item.limit})`);
+    return `AI usage quota exceeded: ${parts.join(', ')}`;
+}
+
+/**
+ * Usage report for a date range
+ * @param {number} doctorId - Doctor's ID
+ * @param {Object} range - { from, to } as Date; to is exclusive
+ * @returns {Promise<Object>} { totals, byOperation, byModel, daily }
+ */
+async function getUsageReport(doctorId, range) {
+    const params = [doctorId, range.from, range.to];
+    const where = 'WHERE dr_id = $1 AND created_at >= $2 AND created_at < $3';
+    const aggregates = `
+        COUNT(*) FILTER (WHERE success) AS requests,
+        COUNT(*) FILTER (WHERE NOT success) AS failed_calls,
+        COALESCE(SUM(input_tokens), 0) AS input_tokens,
+        COALESCE(SUM(output_tokens), 0) AS output_tokens,
+        COALESCE(SUM(audio_seconds), 0) AS audio_seconds,
+        ROUND(AVG(latency_ms) FILTER (WHERE success)) AS avg_latency_ms`;
+
+    const [totals, byOperation, byModel, daily] = await Promise.all([
+        pool.query(`SELECT ${aggregates} FROM ai_usage_events ${where}`, params),
+        pool.query(
+            `SELECT operation, ${aggregates} FROM ai_usage_events ${where}
+             GROUP BY operation ORDER BY operation`,
+            params
+        ),
+        pool.query(
+            `SELECT provider, model, ${aggregates} FROM ai_usage_events ${where}
+             GROUP BY provider, model ORDER BY provider, model`,
+            params
+        ),
+        pool.query(
+            `SELECT to_char(created_at::date, 'YYYY-MM-DD') AS day, ${aggregates} FROM ai_usage_events ${where}
+             GROUP BY created_at::date ORDER BY created_at::date`,
+            params
+        )
+    ]);
+
+    const formatRow = row => ({
+        requests: parseInt(row.requests),
+        failedCalls: parseInt(row.failed_calls),
+        inputTokens: parseInt(row.input_tokens),
+        outputTokens: parseInt(row.output_tokens),
+        totalTokens: parseInt(row.input_tokens) + parseInt(row.output_tokens),
+        audioMinutes: Math.round(parseFloat(row.audio_seconds) / 60 * 100) / 100,
+        avgLatencyMs: row.avg_latency_ms === null ? null : parseInt(row.avg_latency_ms)
+    });
+
+    return {
+        totals: formatRow(totals.rows[0]),
+        byOperation: byOperation.rows.map(row => ({ operation: row.operation, ...formatRow(row) })),
+        byModel: byModel.rows.map(row => ({ provider: row.provider, model: row.model, ...formatRow(row) })),
+        daily: daily.rows.map(row => ({ day: row.day, ...formatRow(row) }))
+    };
+}
+
+module.exports = {
+    OPERATIONS,
+    recordUsage,
+    getQuotaLimits,
+    checkQuota,
+    getQuotaExceededMessage,
+    getUsageReport
+};
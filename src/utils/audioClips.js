@@ -0,0 +1,112 @@
+const path = require('path');
+const { execFile } = require('child_process');
+
+/**
+ * Audio Clips Utility
+ * Cuts recordings into time windows with ffmpeg so each window can be sent to a
+ * transcription provider on its own.
+ *
+ * The ffmpeg binary comes from the @ffmpeg-installer/ffmpeg package, so nothing has
+ * to be installed on the server; FFMPEG_PATH overrides it (e.g. a system ffmpeg).
+ * Clips are re-encoded as mono 16 kHz MP3, which keeps a five-minute window around
+ * 1-2MB - well inside inline request limits - whatever the source format.
+ */
+
+const CLIP_MIME_TYPE = 'audio/mpeg';
+const CLIP_BITRATE = '48k';
+const CLIP_SAMPLE_RATE = '16000';
+
+// A five-minute clip at CLIP_BITRATE is under 2MB; leave generous headroom
+const CLIP_MAX_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Resolve the ffmpeg binary
+ * @returns {string} Path to ffmpeg
+ */
+function getFfmpegPath() {
+    return process.env.FFMPEG_PATH || require('@ffmpeg-installer/ffmpeg').path;
+}
+
+/**
+ * Run ffmpeg and collect its output
+ * @param {Array<string>} args - Arguments
+ * @param {AbortSignal} signal - Cancels the process
+ * @returns {Promise<Object>} { error, stdout: Buffer, stderr: string }
+ */
+function runFfmpeg(args, signal) {
+    return new Promise((resolve, reject) => {
+        let ffmpegPath;
+        try {
+            ffmpegPath = getFfmpegPath();
+        } catch (error) {
+            return reject(new Error(`ffmpeg is not available: ${error.message}`));
+        }
+
+        execFile(ffmpegPath, ['-hide_banner', ...args], {
+            signal,
+            encoding: 'buffer',
+            maxBuffer: CLIP_MAX_BYTES
+        }, (error, stdout, stderr) => {
+            if (error && error.code === 'ENOENT') {
+                return reject(new Error(`${path.basename(ffmpegPath)} is not installed on this server`));
+            }
+            if (error && error.name === 'AbortError') {
+                return reject(new Error('Audio processing aborted'));
+            }
+            resolve({ error, stdout, stderr: stderr.toString() });
+        });
+    });
+}
+
+/**
+ * Read the duration of an audio file of any format ffmpeg understands
+ * @param {string} filePath - Audio file
+ * @param {AbortSignal} signal - Cancels the probe
+ * @returns {Promise<number|null>} Duration in seconds or null if ffmpeg reports none
+ */
+async function probeDurationSeconds(filePath, signal) {
+    // With no output file ffmpeg exits non-zero after printing the input's details
+    const { stderr } = await runFfmpeg(['-i', filePath], signal);
+
+    const match = stderr.match(/Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+    if (!match) return null;
+
+    const seconds = Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+    return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Cut a time window out of an audio file
+ * @param {string} filePath - Source audio file
+ * @param {number} startSeconds - Window start
+ * @param {number} durationSeconds - Window length
+ * @param {AbortSignal} signal - Cancels the cut
+ * @returns {Promise<Buffer>} Clip as CLIP_MIME_TYPE
+ */
+async function extractClip(filePath, startSeconds, durationSeconds, signal) {
+    const { error, stdout, stderr } = await runFfmpeg([
+        '-loglevel', 'error',
+        '-ss', String(startSeconds),
+        '-t', String(durationSeconds),
+        '-i', filePath,
+        '-vn',
+        '-ac', '1',
+        '-ar', CLIP_SAMPLE_RATE,
+        '-c:a', 'libmp3lame',
+        '-b:a', CLIP_BITRATE,
+        '-f', 'mp3',
+        'pipe:1'
+    ], signal);
+
+    if (error) {
+        throw new Error(`ffmpeg could not cut the audio: ${(stderr || error.message).trim()}`);
+    }
+
+    return stdout;
+}
+
+module.exports = {
+    CLIP_MIME_TYPE,
+    probeDurationSeconds,
+    extractClip
+};
@@ -0,0 +1,298 @@
+/**
+ * Audio Segmentation Utility
+ * Plans overlapping time windows for long recordings and stitches
+ * per-window transcripts back into one timeline. The windows are cut
+ * into separate clips by audioClips.
+ *
+ * Features:
+ * - WAV duration detection from the RIFF header
+ * - Overlapping segment planning
+ * - Overlap de-duplication at segment boundaries
+ * - Speaker label reconciliation across segments using the overlap region
+ */
+
+/**
+ * Read the duration of a PCM WAV file from its header
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {number|null} Duration in seconds or null if not a readable WAV
+ */
+function getWavDurationSeconds(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 44) return null;
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') return null;
+
+    let byteRate = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+
+        if (chunkId === 'fmt ' && offset + 16 <= buffer.length) {
+            byteRate = buffer.readUInt32LE(offset + 16);
+        } else if (chunkId === 'data') {
+            if (!byteRate) return null;
+            // Streaming recorders may leave the data size unset; fall back to the bytes present
+            const dataSize = Math.min(chunkSize, buffer.length - offset - 8);
+            return dataSize / byteRate;
+        }
+
+        offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return null;
+}
+
+/**
+ * Split a recording into overlapping segments
+ * Each segment owns [start, end); the model is asked for [windowStart, end]
+ * so the overlap can be used to line up speakers and remove duplicates.
+ * @param {number} durationSeconds - Total duration
+ * @param {Object} options - { segmentSeconds, overlapSeconds }
+ * @returns {Array<Object>} [{ index, start, end, windowStart }]
+ */
+function planSegments(durationSeconds, options = {}) {
+    const { segmentSeconds = 300, overlapSeconds = 15 } = options;
+    const segments = [];
+
+    for (let start = 0, index = 0; start < durationSeconds; start += segmentSeconds, index++) {
+        // A tail shorter than the overlap is folded into this segment rather than sent on its own
+        const end = durationSeconds - (start + segmentSeconds) < overlapSeconds
+            ? durationSeconds
+            : start + segmentSeconds;
+
+        segments.push({
+            index,
+            start,
+            end,
+            windowStart: Math.max(0, start - overlapSeconds)
+        });
+
+        if (end === durationSeconds) break;
+    }
+
+    return segments;
+}
+
+/**
+ * Parse "HH:MM:SS", "MM:SS" or seconds into seconds
+ * @param {string|number} value - Timestamp
+ * @returns {number|null} Seconds or null if unparsable
+ */
+function parseTimestamp(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const parts = value.trim().split(':').map(Number);
+    if (parts.length === 0 || parts.length > 3 || parts.some(isNaN)) return null;
+
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Format seconds as HH:MM:SS
+ * @param {number} seconds - Seconds
+ * @returns {string} Timestamp
+ */
+function formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const h = String(Math.floor(total / 3600)).padStart(2, '0');
+    const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+    const s = String(total % 60).padStart(2, '0');
+    return `${h}:${m}:${s}`;
+}
+
+/**
+ * Normalize a speaker label ("doctor:" -> "Doctor")
+ * @param {string} label - Raw label
+ * @returns {string} Normalized label
+ */
+function normalizeSpeaker(label) {
+    const cleaned = String(label || '').trim().replace(/:$/, '').trim();
+    if (!cleaned) return 'Speaker';
+    return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+}
+
+/**
+ * Word-overlap similarity between two utterances (0-1)
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Jaccard similarity of word sets
+ */
+function textSimilarity(a, b) {
+    const words = text => new Set(String(text || '').toLowerCase().split(/\s+/).filter(Boolean));
+    const setA = words(a);
+    const setB = words(b);
+    if (setA.size === 0 || setB.size === 0) return 0;
+
+    let shared = 0;
+    setA.forEach(word => { if (setB.has(word)) shared++; });
+    return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Work out how a segment's speaker labels map onto the previous segment's labels
+ * by matching utterances transcribed twice in the overlap region
+ * @param {Array} overlapTurns - Turns of the current segment before its nominal start
+ * @param {Array} previousTurns - Stitched turns of the previous segment
+ * @returns {Object} Map of current label -> previous label
+ */
+function buildSpeakerMapping(overlapTurns, previousTurns) {
+    const votes = {};
+
+    for (const turn of overlapTurns) {
+        let best = null;
+        let bestScore = 0.5; // Minimum similarity to count as the same utterance
+
+        for (const previous of previousTurns) {
+            const score = textSimilarity(turn.text, previous.text);
+            if (score > bestScore) {
+                best = previous;
+                bestScore = score;
+            }
+        }
+
+        if (best) {
+            votes[turn.speaker] = votes[turn.speaker] || {};
+            votes[turn.speaker][best.speaker] = (votes[turn.speaker][best.speaker] || 0) + 1;
+        }
+    }
+
+    const mapping = {};
+    Object.entries(votes).forEach(([label, counts]) => {
+        mapping[label] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+    });
+    return mapping;
+}
+
+/**
+ * Extend a speaker mapping by elimination: when exactly one generic label
+ * ("Speaker B") is still unmapped and exactly one known speaker is unused,
+ * they are the same person
+ * @param {Object} mapping - Map of current label -> previous label (mutated)
+ * @param {Array<string>} labels - Labels used in the current segment
+ * @param {Array<string>} knownSpeakers - Speakers already in the stitched transcript
+ * @returns {Object} The mapping
+ */
+function inferRemainingSpeaker(mapping, labels, knownSpeakers) {
+    const unmapped = labels.filter(label => !mapping[label] && !knownSpeakers.includes(label));
+    const used = new Set(labels.map(label => mapping[label] || label));
+    const unused = knownSpeakers.filter(speaker => !used.has(speaker));
+
+    if (unmapped.length === 1 && /^Speaker\b/i.test(unmapped[0]) && unused.length === 1) {
+        mapping[unmapped[0]] = unused[0];
+    }
+    return mapping;
+}
+
+/**
+ * Stitch per-segment turns into one timeline
+ * @param {Array<Object>} segmentResults - [{ segment, turns: [{ speaker, start, text }] }] in segment order
+ * @returns {Array<Object>} [{ segmentIndex, start, end, timestamp, speaker, text }]
+ */
+function stitchSegments(segmentResults) {
+    const stitched = [];
+    let previousTurns = [];
+    let recordingEnd = 0;
+
+    for (const { segment, turns } of segmentResults) {
+        const normalized = (turns || [])
+            .filter(turn => turn && String(turn.text || '').trim())
+            .map(turn => {
+                const parsed = parseTimestamp(turn.start);
+                const start = parsed === null
+                    ? segment.windowStart
+                    : Math.min(Math.max(parsed, segment.windowStart), segment.end);
+                return {
+                    speaker: normalizeSpeaker(turn.speaker),
+                    start,
+                    text: String(turn.text).trim()
+                };
+            })
+            .sort((a, b) => a.start - b.start);
+
+        const overlapTurns = normalized.filter(turn => turn.start < segment.start);
+        const mapping = segment.index > 0 ? buildSpeakerMapping(overlapTurns, previousTurns) : {};
+        if (segment.index > 0) {
+            const labels = [...new Set(normalized.map(turn => turn.speaker))];
+            const knownSpeakers = [...new Set(stitched.map(turn => turn.speaker))];
+            inferRemainingSpeaker(mapping, labels, knownSpeakers);
+        }
+
+        const owned = normalized
+            .filter(turn => segment.index === 0 || turn.start >= segment.start)
+            .map(turn => ({
+                segmentIndex: segment.index,
+                start: turn.start,
+                end: null,
+                timestamp: formatTimestamp(turn.start),
+                speaker: mapping[turn.speaker] || turn.speaker,
+                text: turn.text
+            }));
+
+        stitched.push(...owned);
+        previousTurns = owned;
+        recordingEnd = segment.end;
+    }
+
+    // A turn ends where the next one starts
+    stitched.forEach((turn, index) => {
+        const next = stitched[index + 1];
+        turn.end = next ? Math.max(next.start, turn.start) : Math.max(recordingEnd, turn.start);
+    });
+
+    return stitched;
+}
+
+/**
+ * Render turns as transcript text, one line per turn
+ * Turns without a timestamp are rendered without the [HH:MM:SS] prefix
+ * @param {Array<Object>} turns - Stitched turns
+ * @returns {string} Transcript text
+ */
+function renderTranscript(turns) {
+    return turns
+        .map(turn => `${turn.timestamp ? `[${turn.timestamp}] ` : ''}${turn.speaker}: ${turn.text}`)
+        .join('\n');
+}
+
+/**
+ * Parse transcript text back into turns
+ * Accepts "[HH:MM:SS] Speaker: text" and "Speaker: text" lines; unlabeled lines
+ * continue the previous turn.
+ * @param {string} text - Transcript text
+ * @returns {Array<Object>} [{ speaker, start, text }] with start in seconds or null
+ */
+function parseTranscriptText(text) {
+    const turns = [];
+    const linePattern = /^(?:\[(\d{1,2}:\d{2}(?::\d{2})?)\]\s*)?([^:\n]{1,40}):\s*(.*)$/;
+
+    String(text || '').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        const match = line.match(linePattern);
+        if (match) {
+            turns.push({
+                speaker: normalizeSpeaker(match[2]),
+                start: match[1] ? parseTimestamp(match[1]) : null,
+                text: match[3].trim()
+            });
+        } else if (turns.length > 0) {
+            turns[turns.length - 1].text = `${turns[turns.length - 1].text} ${line}`.trim();
+        } else {
+            turns.push({ speaker: 'Speaker', start: null, text: line });
+        }
+    });
+
+    return turns.filter(turn => turn.text);
+}
+
+module.exports = {
+    getWavDurationSeconds,
+    planSegments,
+    parseTimestamp,
+    formatTimestamp,
+    stitchSegments,
+    renderTranscript,
+    parseTranscriptText
+};
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const redisRouter = require('./redisRouter');
+const { getSpoolDir, scheduleSpoolSweep } = require('./transcriptionJobQueue');
+
+/**
+ * Chunked Audio Upload
+ * Resumable upload sessions for long consultation recordings
+ *
+ * Protocol:
+ * 1. init     - create a session with the total size, receive an uploadId
+ * 2. part     - send sequential byte ranges with their starting offset
+ * 3. status   - ask for receivedBytes to resume after a dropped connection
+ * 4. complete - verify size (and optional SHA-256) and hand the file to the transcription queue
+ *
+ * Parts are appended to a spool file in the instance's /tmp; session state lives in Redis.
+ * Every part of an upload must reach the same instance, which app.yaml guarantees by
+ * running exactly one. A part that overlaps bytes already received (client retry) only
+ * appends the new tail. Spool files of sessions that expired without completing are
+ * swept by startUploadSweep.
+ */
+
+const SESSION_KEY_PREFIX = 'audio_upload:';
+const SESSION_TTL_SECONDS = parseInt(process.env.AUDIO_UPLOAD_TTL_SECONDS) || 24 * 60 * 60;
+
+const MAX_FILE_SIZE = 200 * 1024 * 1024; // Same limit as single-request upload
+const MAX_CHUNK_SIZE = 10 * 1024 * 1024;
+const RECOMMENDED_CHUNK_SIZE = 2 * 1024 * 1024;
+
+const UPLOAD_STATUS = {
+    UPLOADING: 'uploading',
+    COMPLETED: 'completed'
+};
+
+// Serializes part writes per upload within this process
+const uploadLocks = new Map();
+
+/**
+ * Run fn while holding the lock for an upload session
+ * @param {string} uploadId - Upload session ID
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<any>} Result of fn
+ */
+async function withUploadLock(uploadId, fn) {
+    const previous = uploadLocks.get(uploadId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    uploadLocks.set(uploadId, current);
+
+    try {
+        return await current;
+    } finally {
+        if (uploadLocks.get(uploadId) === current) {
+            uploadLocks.delete(uploadId);
+        }
+    }
+}
+
+/**
+ * Fetch an upload session
+ * @param {string} uploadId - Upload session ID
+ * @returns {Promise<Object|null>} Session or null
+ */
+async function getSession(uploadId) {
+    return redisRouter.getFromRedis(`${SESSION_KEY_PREFIX}${uploadId}`);
+}
+
+/**
+ * Persist an upload session
+ * @param {Object} session - Session record
+ */
+async function saveSession(session) {
+    session.updatedAt = new Date().toISOString();
+    await redisRouter.setToRedis(`${SESSION_KEY_PREFIX}${session.uploadId}`, session, SESSION_TTL_SECONDS);
+}
+
+/**
+ * Strip internal fields before returning a session to the client
+ * @param {Object} session - Session record
+ * @returns {Object} Public session view
+ */
+function toPublicSession(session) {
+    if (!session) return null;
+    const { filePath, ...publicSession } = session;
+    return {
+        ...publicSession,
+        remainingBytes: session.totalSize - session.receivedBytes
+    };
+}
+
+/**
+ * Create an upload session
+ * @param {Object} params - { doctorId, fileName, mimeType, totalSize, durationSeconds, appointmentId, patientId }
+ * @returns {Promise<Object>} { success, message, session }
+ */
+async function initUpload(params) {
+    const totalSize = parseInt(params.totalSize);
+
+    if (isNaN(totalSize) || totalSize < 1) {
+        return { success: false, message: 'totalSize must be a positive number of bytes' };
+    }
+
+    if (totalSize > MAX_FILE_SIZE) {
+        return { success: false, message: 'File too large. Maximum size is 200MB.' };
+    }
+
+    const uploadId = crypto.randomUUID();
+    const filePath = path.join(getSpoolDir(), `${uploadId}.part`);
+
+    // Create the empty spool file so status and resume work before the first part
+    await fs.promises.writeFile(filePath, Buffer.alloc(0));
+
+    const now = new Date().toISOString();
+    const session = {
+        uploadId,
+        status: UPLOAD_STATUS.UPLOADING,
+        doctorId: params.doctorId,
+        appointmentId: params.appointmentId || null,
+        patientId: params.patientId || null,
+        fileName: params.fileName || 'recording',
+        mimeType: params.mimeType || 'audio/wav',
+        totalSize,
+        durationSeconds: parseFloat(params.durationSeconds) || null,
+        receivedBytes: 0,
+        chunkSize: RECOMMENDED_CHUNK_SIZE,
+        maxChunkSize: MAX_CHUNK_SIZE,
+        filePath,
+        jobId: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await saveSession(session);
+
+    console.log(`📤 Chunked upload started: ${uploadId} (${totalSize} bytes, Doctor: ${session.doctorId})`);
+    return { success: true, message: 'Upload session created', session };
+}
+
+/**
+ * Append a part to an upload session
+ * @param {string} uploadId - Upload session ID
+ * @param {number} offset - Byte offset of the first byte in chunk
+ * @param {Buffer} chunk - Part contents
+ * @returns {Promise<Object>} { success, message, session }
+ */
+async function appendChunk(uploadId, offset, chunk) {
+    return withUploadLock(uploadId, async () => {
+        const session = await getSession(uploadId);
+
+        if (!session) {
+            return { success: false, message: 'Upload session not found or expired' };
+        }
+
+        if (session.status !== UPLOAD_STATUS.UPLOADING) {
+            return { success: false, message: `Upload is already ${session.status}`, session };
+        }
+
+        if (isNaN(offset) || offset < 0) {
+            return { success: false, message: 'A non-negative offset is required', session };
+        }
+
+        if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+            return { success: false, message: 'Chunk body is empty', session };
+        }
+
+        if (offset > session.receivedBytes) {
+            return {
+                success: false,
+                message: `Offset mismatch. Resume from offset ${session.receivedBytes}.`,
+                session
+            };
+        }
+
+        if (offset + chunk.length > session.totalSize) {
+            return { success: false, message: 'Chunk exceeds declared totalSize', session };
+        }
+
+        // Skip bytes we already have (retried part)
+        const alreadyReceived = session.receivedBytes - offset;
+        const newBytes = alreadyReceived > 0 ? chunk.subarray(alreadyReceived) : chunk;
+
+        if (newBytes.length > 0) {
+            await fs.promises.appendFile(session.filePath, newBytes);
+            session.receivedBytes += newBytes.length;
+            await saveSession(session);
+        }
+
+        return { success: true, message: 'Chunk received', session };
+    });
+}
+
+/**
+ * Compute SHA-256 of a file
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Hex digest
+ */
+function sha256File(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', data => hash.update(data))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Finish an upload session and return the reassembled file
+ * The session is marked completed; the caller owns the returned file afterwards
+ * @param {string} uploadId - Upload session ID
+ * @param {Object} options - { sha256 } expected hex digest of the whole file
+ * @returns {Promise<Object>} { success, message, session, filePath }
+ */
+async function completeUpload(uploadId, options = {}) {
+    return withUploadLock(uploadId, async () => {
+        const session = await getSession(uploadId);
+
+        if (!session) {
+            return { success: false, message: 'Upload session not found or expired' };
+        }
+
+        if (session.status !== UPLOAD_STATUS.UPLOADING) {
+            return { success: false, message: `Upload is already ${session.status}`, session };
+        }
+
+        if (session.receivedBytes !== session.totalSize) {
+            return {
+                success: false,
+                message: `Upload incomplete. Received ${session.receivedBytes} of ${session.totalSize} bytes.`,
+                session
+            };
+        }
+
+        if (options.sha256) {
+            const digest = await sha256File(session.filePath);
+            if (digest !== String(options.sha256).toLowerCase()) {
+                return { success: false, message: 'Checksum mismatch. Please restart the upload.', session };
+            }
+        }
+
+        // Give the reassembled file its real extension for the transcription pipeline
+        const finalPath = session.filePath.replace(/\.part$/, path.extname(session.fileName) || '.audio');
+        await fs.promises.rename(session.filePath, finalPath);
+        // The job spool sweep ages files by mtime, which should count from completion
+        const now = new Date();
+        await fs.promises.utimes(finalPath, now, now);
+
+        session.status = UPLOAD_STATUS.COMPLETED;
+        session.filePath = finalPath;
+        await saveSession(session);
+
+        console.log(`✅ Chunked upload completed: ${uploadId}`);
+        return { success: true, message: 'Upload completed', session, filePath: finalPath };
+    });
+}
+
+/**
+ * Undo completeUpload when no transcription job could be created for the file
+ * The file becomes the session's .part file again so the client can retry complete.
+ * @param {string} uploadId - Upload session ID
+ * @returns {Promise<boolean>} Whether the session was reopened
+ */
+async function reopenUpload(uploadId) {
+    return withUploadLock(uploadId, async () => {
+        const session = await getSession(uploadId);
+
+        if (!session || session.status !== UPLOAD_STATUS.COMPLETED || session.jobId) {
+            return false;
+        }
+
+        const partPath = path.join(getSpoolDir(), `${uploadId}.part`);
+        await fs.promises.rename(session.filePath, partPath);
+
+        session.status = UPLOAD_STATUS.UPLOADING;
+        session.filePath = partPath;
+        await saveSession(session);
+
+        console.log(`↩️ Chunked upload reopened after failed job creation: ${uploadId}`);
+        return true;
+    });
+}
+
+/**
+ * Record the transcription job created from a completed upload
+ * @param {string} uploadId - Upload session ID
+ * @param {string} jobId - Transcription job ID
+ */
+async function attachJob(uploadId, jobId) {
+    const session = await getSession(uploadId);
+    if (!session) return;
+    session.jobId = jobId;
+    await saveSession(session);
+}
+
+/**
+ * Abort an upload session and remove its spool file
+ * @param {string} uploadId - Upload session ID
+ * @returns {Promise<Object>} { success, message }
+ */
+async function abortUpload(uploadId) {
+    return withUploadLock(uploadId, async () => {
+        const session = await getSession(uploadId);
+
+        if (!session) {
+            return { success: false, message: 'Upload session not found or expired' };
+        }
+
+        if (session.status !== UPLOAD_STATUS.UPLOADING) {
+            return { success: false, message: `Upload is already ${session.status}`, session };
+        }
+
+        await fs.promises.unlink(session.filePath).catch(() => {});
+        await redisRouter.delFromRedis(`${SESSION_KEY_PREFIX}${uploadId}`);
+
+        console.log(`🛑 Chunked upload aborted: ${uploadId}`);
+        return { success: true, message: 'Upload aborted' };
+    });
+}
+
+/**
+ * Start sweeping .part files of sessions that expired without completing
+ * Each part refreshes the session TTL and the file's mtime, so a .part file older
+ * than the TTL no longer has a session
+ */
+function startUploadSweep() {
+    scheduleSpoolSweep('upload parts', SESSION_TTL_SECONDS, fileName => fileName.endsWith('.part'));
+}
+
+module.exports = {
+    MAX_CHUNK_SIZE,
+    UPLOAD_STATUS,
+    getSession,
+    toPublicSession,
+    initUpload,
+    appendChunk,
+    completeUpload,
+    reopenUpload,
+    attachJob,
+    abortUpload,
+    startUploadSweep
+};
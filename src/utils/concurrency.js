@@ -0,0 +1,32 @@
+/**
+ * Concurrency helpers
+ */
+
+/**
+ * Map over items with at most `limit` async calls in flight
+ * Results keep the order of the input items
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
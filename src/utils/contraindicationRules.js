@@ -0,0 +1,207 @@
+const { SEVERITY } = require('./drugInteractionRules');
+
+/**
+ * Contraindication Rules
+ * Curated knowledge used by drugInteractionChecker.checkPatientContraindications to
+ * check medicines against a patient's recorded allergies and conditions. Drugs are
+ * normalized compositions or classes ("class:<key>") from drugInteractionRules.
+ *
+ * - ALLERGEN_CLASS_ALIASES: how allergies are commonly written -> therapeutic class key
+ *   (class names such as "NSAIDs" or "Statins" are recognised without an alias)
+ * - CROSS_REACTIVITY: an allergy to `from` also puts `to` at risk
+ * - CONDITION_CONTRAINDICATIONS: conditions, matched by name keyword or ICD-10 prefix,
+ *   and the drugs to avoid or use with care in them
+ *
+ * A contraindicated finding blocks prescribing; anything lower is returned as a warning.
+ */
+
+const ALLERGEN_CLASS_ALIASES = {
+    'penicillin': 'penicillin',
+    'beta lactam': 'penicillin',
+    'beta-lactam': 'penicillin',
+    'sulfa': 'sulfonamide_antibiotic',
+    'sulpha': 'sulfonamide_antibiotic',
+    'sulfa drugs': 'sulfonamide_antibiotic',
+    'sulpha drugs': 'sulfonamide_antibiotic',
+    'sulfonamide': 'sulfonamide_antibiotic',
+    'sulphonamide': 'sulfonamide_antibiotic',
+    'sulphonamides': 'sulfonamide_antibiotic',
+    'quinolone': 'fluoroquinolone',
+    'quinolones': 'fluoroquinolone',
+    'steroids': 'systemic_corticosteroid'
+};
+
+const CROSS_REACTIVITY = [
+    {
+        from: 'class:penicillin', to: 'class:penicillin', severity: SEVERITY.CONTRAINDICATED,
+        effect: 'An allergy to one penicillin applies to the whole class'
+    },
+    {
+        from: 'class:penicillin', to: 'class:cephalosporin', severity: SEVERITY.MAJOR,
+        effect: 'Possible cross-reactivity with cephalosporins, highest with first-generation agents'
+    },
+    {
+        from: 'class:penicillin', to: 'class:carbapenem', severity: SEVERITY.MODERATE,
+        effect: 'Low but real cross-reactivity with carbapenems'
+    },
+    {
+        from: 'class:cephalosporin', to: 'class:cephalosporin', severity: SEVERITY.MAJOR,
+        effect: 'Cephalosporins sharing a side chain cross-react'
+    },
+    {
+        from: 'class:cephalosporin', to: 'class:penicillin', severity: SEVERITY.MAJOR,
+        effect: 'Possible cross-reactivity with penicillins'
+    },
+    {
+        from: 'class:sulfonamide_antibiotic', to: 'class:sulfonamide_antibiotic', severity: SEVERITY.CONTRAINDICATED,
+        effect: 'An allergy to one sulfonamide antibiotic applies to the whole class'
+    },
+    {
+        from: 'class:fluoroquinolone', to: 'class:fluoroquinolone', severity: SEVERITY.MAJOR,
+        effect: 'Fluoroquinolones cross-react'
+    },
+    {
+        from: 'class:macrolide', to: 'class:macrolide', severity: SEVERITY.MODERATE,
+        effect: 'Macrolides occasionally cross-react'
+    },
+    {
+        from: 'class:nsaid', to: 'class:nsaid', severity: SEVERITY.MAJOR,
+        effect: 'NSAID hypersensitivity often extends to other COX-1 inhibiting NSAIDs'
+    },
+    {
+        from: 'class:nsaid', to: 'aspirin', severity: SEVERITY.MAJOR,
+        effect: 'NSAID hypersensitivity often extends to aspirin'
+    },
+    {
+        from: 'aspirin', to: 'class:nsaid', severity: SEVERITY.MAJOR,
+        effect: 'Aspirin hypersensitivity often extends to NSAIDs'
+    },
+    {
+        from: 'class:opioid', to: 'class:opioid', severity: SEVERITY.MODERATE,
+        effect: 'True opioid allergy may extend to related opioids'
+    }
+];
+
+// Non-selective beta blockers, listed as compositions since they are not a duplicate-therapy class
+const NON_SELECTIVE_BETA_BLOCKERS = ['propranolol', 'carvedilol', 'labetalol', 'sotalol', 'nadolol', 'timolol'];
+
+const CONDITION_CONTRAINDICATIONS = {
+    pregnancy: {
+        name: 'Pregnancy',
+        keywords: ['pregnancy', 'pregnant', 'antenatal'],
+        icd10Prefixes: ['Z33', 'Z34', 'Z35', 'O'],
+        rules: [
+            { drug: 'class:ace_inhibitor', severity: SEVERITY.CONTRAINDICATED, effect: 'Fetal renal damage and oligohydramnios' },
+            { drug: 'class:arb', severity: SEVERITY.CONTRAINDICATED, effect: 'Fetal renal damage and oligohydramnios' },
+            { drug: 'class:statin', severity: SEVERITY.CONTRAINDICATED, effect: 'Not to be used in pregnancy' },
+            { drug: 'warfarin', severity: SEVERITY.CONTRAINDICATED, effect: 'Teratogenic (warfarin embryopathy)' },
+            { drug: 'isotretinoin', severity: SEVERITY.CONTRAINDICATED, effect: 'Highly teratogenic' },
+            { drug: 'methotrexate', severity: SEVERITY.CONTRAINDICATED, effect: 'Teratogenic and abortifacient' },
+            { drug: 'misoprostol', severity: SEVERITY.CONTRAINDICATED, effect: 'Induces uterine contractions and abortion' },
+            { drug: 'valproate', severity: SEVERITY.MAJOR, effect: 'Neural tube defects and developmental delay' },
+            { drug: 'class:tetracycline', severity: SEVERITY.MAJOR, effect: 'Tooth discolouration and impaired bone growth' },
+            { drug: 'class:fluoroquinolone', severity: SEVERITY.MODERATE, effect: 'Avoid unless no alternative' },
+            { drug: 'class:nsaid', severity: SEVERITY.MAJOR, effect: 'Premature ductus closure in the third trimester' }
+        ]
+    },
+    peptic_ulcer: {
+        name: 'Peptic ulcer / GI bleed',
+        keywords: ['peptic ulcer', 'gastric ulcer', 'duodenal ulcer', 'gi bleed', 'gastrointestinal bleed'],
+        icd10Prefixes: ['K25', 'K26', 'K27', 'K28', 'K92.2'],
+        rules: [
+            { drug: 'class:nsaid', severity: SEVERITY.MAJOR, effect: 'Risk of ulcer bleeding or perforation' },
+            { drug: 'aspirin', severity: SEVERITY.MAJOR, effect: 'Risk of ulcer bleeding' },
+            { drug: 'class:systemic_corticosteroid', severity: SEVERITY.MODERATE, effect: 'Delays ulcer healing; add gastroprotection' }
+        ]
+    },
+    asthma: {
+        name: 'Asthma',
+        keywords: ['asthma'],
+        icd10Prefixes: ['J45', 'J46'],
+        rules: [
+            ...NON_SELECTIVE_BETA_BLOCKERS.map(drug => ({
+                drug, severity: SEVERITY.CONTRAINDICATED, effect: 'Non-selective beta blockade can cause bronchospasm'
+            })),
+            { drug: 'class:nsaid', severity: SEVERITY.MODERATE, effect: 'May trigger bronchospasm in aspirin-sensitive asthma' },
+            { drug: 'aspirin', severity: SEVERITY.MODERATE, effect: 'May trigger bronchospasm in aspirin-sensitive asthma' }
+        ]
+    },
+    chronic_kidney_disease: {
+        name: 'Chronic kidney disease',
+        keywords: ['chronic kidney disease', 'ckd', 'renal failure', 'renal impairment', 'kidney failure'],
+        icd10Prefixes: ['N18', 'N19'],
+        rules: [
+            { drug: 'class:nsaid', severity: SEVERITY.MAJOR, effect: 'Further decline in renal function' },
+            { drug: 'metformin', severity: SEVERITY.MAJOR, effect: 'Lactic acidosis risk; contraindicated below eGFR 30' },
+            { drug: 'nitrofurantoin', severity: SEVERITY.MAJOR, effect: 'Ineffective and toxic in renal impairment' },
+            { drug: 'class:potassium_sparing_diuretic', severity: SEVERITY.MAJOR, effect: 'Risk of hyperkalaemia' }
+        ]
+    },
+    heart_failure: {
+        name: 'Heart failure',
+        keywords: ['heart failure', 'cardiac failure', 'chf'],
+        icd10Prefixes: ['I50'],
+        rules: [
+            { drug: 'class:nsaid', severity: SEVERITY.MAJOR, effect: 'Fluid retention and worsening heart failure' },
+            { drug: 'pioglitazone', severity: SEVERITY.MAJOR, effect: 'Fluid retention and worsening heart failure' },
+            { drug: 'verapamil', severity: SEVERITY.MAJOR, effect: 'Negative inotropy' },
+            { drug: 'diltiazem', severity: SEVERITY.MAJOR, effect: 'Negative inotropy' }
+        ]
+    },
+    g6pd_deficiency: {
+        name: 'G6PD deficiency',
+        keywords: ['g6pd'],
+        icd10Prefixes: ['D55.0'],
+        rules: [
+            { drug: 'primaquine', severity: SEVERITY.CONTRAINDICATED, effect: 'Haemolysis' },
+            { drug: 'rasburicase', severity: SEVERITY.CONTRAINDICATED, effect: 'Haemolysis and methaemoglobinaemia' },
+            { drug: 'methylene blue', severity: SEVERITY.CONTRAINDICATED, effect: 'Haemolysis' },
+            { drug: 'dapsone', severity: SEVERITY.MAJOR, effect: 'Haemolysis' },
+            { drug: 'nitrofurantoin', severity: SEVERITY.MAJOR, effect: 'Haemolysis' },
+            { drug: 'class:sulfonamide_antibiotic', severity: SEVERITY.MODERATE, effect: 'Possible haemolysis' }
+        ]
+    },
+    epilepsy: {
+        name: 'Epilepsy',
+        keywords: ['epilepsy', 'seizure disorder'],
+        icd10Prefixes: ['G40', 'G41'],
+        rules: [
+            { drug: 'tramadol', severity: SEVERITY.MAJOR, effect: 'Lowers seizure threshold' },
+            { drug: 'bupropion', severity: SEVERITY.CONTRAINDICATED, effect: 'Lowers seizure threshold' },
+            { drug: 'class:fluoroquinolone', severity: SEVERITY.MODERATE, effect: 'May lower seizure threshold' }
+        ]
+    },
+    myasthenia_gravis: {
+        name: 'Myasthenia gravis',
+        keywords: ['myasthenia'],
+        icd10Prefixes: ['G70.0'],
+        rules: [
+            { drug: 'class:fluoroquinolone', severity: SEVERITY.MAJOR, effect: 'May precipitate myasthenic crisis' },
+            { drug: 'class:macrolide', severity: SEVERITY.MAJOR, effect: 'May precipitate myasthenic crisis' }
+        ]
+    },
+    liver_disease: {
+        name: 'Chronic liver disease',
+        keywords: ['cirrhosis', 'chronic liver disease', 'hepatic failure', 'liver failure'],
+        icd10Prefixes: ['K70', 'K72', 'K74', 'K76'],
+        rules: [
+            { drug: 'class:nsaid', severity: SEVERITY.MAJOR, effect: 'GI bleeding and renal failure in cirrhosis' },
+            { drug: 'paracetamol', severity: SEVERITY.MODERATE, effect: 'Limit to 2 g/day' },
+            { drug: 'class:benzodiazepine', severity: SEVERITY.MAJOR, effect: 'May precipitate hepatic encephalopathy' }
+        ]
+    },
+    diabetes: {
+        name: 'Diabetes mellitus',
+        keywords: ['diabetes', 'diabetic', 't2dm', 't1dm'],
+        icd10Prefixes: ['E10', 'E11', 'E13', 'E14'],
+        rules: [
+            { drug: 'class:systemic_corticosteroid', severity: SEVERITY.MODERATE, effect: 'Raises blood glucose; monitor and adjust therapy' }
+        ]
+    }
+};
+
+module.exports = {
+    ALLERGEN_CLASS_ALIASES,
+    CROSS_REACTIVITY,
+    CONDITION_CONTRAINDICATIONS
+};
@@ -0,0 +1,528 @@
+/**
+ * Dosage Parser
+ * Reads the free-text dosing doctors type into patient_medicine.medicine_frequency
+ * and strengths from medicine_salt / medicine_db:
+ *
+ * - "1-0-1", "1/2-0-1/2", "1-1-1-1"   -> quantities per slot of the day
+ * - "5 ml TDS", "1 tab BD", "10 drops every 6 hours", "2 tsf twice daily"
+ * - "SOS", "PRN", "as needed"         -> taken only when required
+ * - "250mg/5ml", "100 mg/ml", "500mg", "1 g" -> mg per quantity of the dosage form
+ * - "after food", "khane ke baad", "for 5 days", "x 2 weeks", "apply locally" -> timing, duration, route
+ *
+ * Structured dosage (patient_medicine dose_* / food_timing / route / duration_days / is_prn columns)
+ * is built by normalizeDosage from the doctor's fields, falling back to the parsed free text.
+ */
+
+const ML_PER_TEASPOON = 5;
+const DROPS_PER_ML = 20;
+
+// Times a day for common abbreviations and phrases
+const FREQUENCY_TERMS = [
+    { pattern: /\b(qid|qds|four times)\b/, dosesPerDay: 4 },
+    { pattern: /\b(tds|tid|thrice|three times)\b/, dosesPerDay: 3 },
+    { pattern: /\b(bd|bid|twice)\b/, dosesPerDay: 2 },
+    { pattern: /\b(od|once|daily|hs|at night|at bedtime|stat)\b/, dosesPerDay: 1 }
+];
+
+const PRN_PATTERN = /\b(sos|prn|as needed|as required|when required|if needed)\b/;
+
+const QUANTITY_UNITS = [
+    { pattern: /^(ml|mls)$/, unit: 'ml', factor: 1 },
+    { pattern: /^(tsf|tsp|teaspoons?|teaspoonfuls?)$/, unit: 'ml', factor: ML_PER_TEASPOON },
+    { pattern: /^(drops?|gtts?)$/, unit: 'drop', factor: 1 },
+    { pattern: /^(tabs?|tablets?)$/, unit: 'tablet', factor: 1 },
+    { pattern: /^(caps?|capsules?)$/, unit: 'capsule', factor: 1 },
+    { pattern: /^(puffs?)$/, unit: 'puff', factor: 1 },
+    { pattern: /^(sachets?)$/, unit: 'sachet', factor: 1 }
+];
+
+const MASS_UNITS_IN_MG = { g: 1000, gm: 1000, mg: 1, mcg: 0.001, 'µg': 0.001 };
+
+const DOSE_SLOTS = ['dose_morning', 'dose_noon', 'dose_evening', 'dose_night'];
+
+// patient_medicine columns holding structured dosage, in insert order
+const DOSAGE_FIELDS = [
+    'dose_quantity', 'dose_unit', ...DOSE_SLOTS, 'doses_per_day', 'food_timing', 'route', 'duration_days', 'is_prn'
+];
+
+// Slots used when only a count is written ("1 tab BD"); 4 slots of "1-1-1-1" are morning/noon/evening/night
+const SLOTS_BY_DOSES_PER_DAY = {
+    1: ['dose_morning'],
+    2: ['dose_morning', 'dose_night'],
+    3: ['dose_morning', 'dose_noon', 'dose_night'],
+    4: DOSE_SLOTS
+};
+
+const NIGHT_PATTERN = /\b(hs|at night|at bedtime|bedtime|raat)\b/;
+
+// Checked in order: "empty stomach" also reads as before food
+const FOOD_TIMINGS = [
+    { pattern: /\b(empty stomach|khali pet)\b/, foodTiming: 'empty_stomach' },
+    { pattern: /\b(before (food|meals?|breakfast|lunch|dinner)|ac|khane se pehle|khane ke pehle|khana khane se pehle)\b/, foodTiming: 'before_food' },
+    { pattern: /\b(after (food|meals?|breakfast|lunch|dinner)|pc|khane ke baad|khana khane ke baad)\b/, foodTiming: 'after_food' },
+    { pattern: /\b(with (food|meals?|milk))\b/, foodTiming: 'with_food' }
+];
+
+const ROUTES = [
+    { pattern: /\b(sublingual|under the tongue)\b/, route: 'sublingual' },
+    { pattern: /\b(eye|eyes|ophthalmic)\b/, route: 'ophthalmic' },
+    { pattern: /\b(ear|ears|otic)\b/, route: 'otic' },
+    { pattern: /\b(nasal|nose|nostrils?)\b/, route: 'nasal' },
+    { pattern: /\b(inhale|inhalation|inhaler|puffs?|nebuli[sz]ation|nebuli[sz]e)\b/, route: 'inhalation' },
+    { pattern: /\b(apply|applied|local|locally|topical|ointment|cream|gel|lotion)\b/, route: 'topical' },
+    { pattern: /\b(rectal|per rectum|pr|suppository)\b/, route: 'rectal' },
+    { pattern: /\b(vaginal|per vaginum|pessary)\b/, route: 'vaginal' },
+    { pattern: /\b(iv|intravenous)\b/, route: 'intravenous' },
+    { pattern: /\b(im|intramuscular)\b/, route: 'intramuscular' },
+    { pattern: /\b(sc|subcutaneous|subcut)\b/, route: 'subcutaneous' },
+    { pattern: /\b(oral|orally|by mouth|po)\b/, route: 'oral' }
+];
+
+// Units that are only taken by mouth when no route is written
+const ORAL_UNITS = ['tablet', 'capsule', 'ml', 'sachet'];
+
+const DOSE_UNITS = QUANTITY_UNITS.map(entry => entry.unit).filter((unit, index, units) => units.indexOf(unit) === index);
+
+const DURATION_UNITS_IN_DAYS = { d: 1, day: 1, days: 1, din: 1, w: 7, wk: 7, wks: 7, week: 7, weeks: 7, m: 30, month: 30, months: 30 };
+
+/**
+ * Parse a number written as "1", "0.5", "1/2", "½" or "1½"
+ * @param {string} text - Quantity text
+ * @returns {number|null} Value or null
+ */
+function parseQuantity(text) {
+    const value = String(text || '').trim()
+        .replace(/(\d)½/, '$1.5')
+        .replace('½', '0.5')
+        .replace('¼', '0.25')
+        .replace('¾', '0.75');
+
+    const fraction = value.match(/^(\d+)\/(\d+)$/);
+    if (fraction) {
+        return parseInt(fraction[2]) > 0 ? parseInt(fraction[1]) / parseInt(fraction[2]) : null;
+    }
+    return /^\d*\.?\d+$/.test(value) ? parseFloat(value) : null;
+}
+
+/**
+ * Unit of a quantity word ("ml", "tsf", "tabs")
+ * @param {string} word - Unit word
+ * @returns {Object|null} { unit, factor } to convert into that unit
+ */
+function parseQuantityUnit(word) {
+    const normalized = String(word || '').toLowerCase().replace(/\.$/, '');
+    const match = QUANTITY_UNITS.find(entry => entry.pattern.test(normalized));
+    return match ? { unit: match.unit, factor: match.factor } : null;
+}
+
+/**
+ * Parse a frequency / dose instruction
+ * @param {string} text - medicine_frequency
+ * @returns {Object|null} { quantities, quantityPerDose, dailyQuantity, dosesPerDay, unit, prn }
+ *   quantities holds the amount per slot for "1-0-1" patterns and is null otherwise;
+ *   null when nothing could be read
+ */
+function parseFrequency(text) {
+    const raw = String(text || '').toLowerCase().trim();
+    if (!raw) return null;
+
+    const prn = PRN_PATTERN.test(raw);
+
+    // "1-0-1", "1/2-0-1/2", "½-½-½", "1-1-1-1" (optionally followed by a unit or instructions)
+    const slotMatch = raw.match(/^([\d./½¼¾]+)\s*-\s*([\d./½¼¾]+)\s*-\s*([\d./½¼¾]+)(?:\s*-\s*([\d./½¼¾]+))?(?:\s+([a-z.]+))?/);
+    if (slotMatch) {
+        const quantities = slotMatch.slice(1, 5).filter(part => part !== undefined).map(parseQuantity);
+        if (quantities.every(quantity => quantity !== null)) {
+            const unit = parseQuantityUnit(slotMatch[5]);
+            const scaled = quantities.map(quantity => quantity * (unit ? unit.factor : 1));
+            const given = scaled.filter(quantity => quantity > 0);
+            return {
+                quantities: scaled,
+                quantityPerDose: given.length > 0 ? Math.max(...given) : 0,
+                dailyQuantity: given.reduce((sum, quantity) => sum + quantity, 0),
+                dosesPerDay: given.length,
+                unit: unit ? unit.unit : null,
+                prn
+            };
+        }
+    }
+
+    // "5 ml", "2 tsf", "1 tab", "10 drops" anywhere in the text
+    let quantityPerDose = null;
+    let unit = null;
+    for (const quantityMatch of raw.matchAll(/([\d./½¼¾]+)\s*([a-z]+\.?)/g)) {
+        const quantity = parseQuantity(quantityMatch[1]);
+        const quantityUnit = parseQuantityUnit(quantityMatch[2]);
+        if (quantity !== null && quantityUnit) {
+            quantityPerDose = quantity * quantityUnit.factor;
+            unit = quantityUnit.unit;
+            break;
+        }
+    }
+
+    // "every 6 hours", "q6h", "6 hourly"
+    let dosesPerDay = null;
+    const intervalMatch = raw.match(/\b(?:every|q)\s*(\d+)\s*(?:h|hr|hrs|hours?)\b/) || raw.match(/\b(\d+)\s*(?:hourly|hrly)\b/);
+    if (intervalMatch && parseInt(intervalMatch[1]) > 0) {
+        dosesPerDay = Math.floor(24 / parseInt(intervalMatch[1]));
+    } else {
+        const term = FREQUENCY_TERMS.find(entry => entry.pattern.test(raw));
+        if (term) dosesPerDay = term.dosesPerDay;
+    }
+
+    if (quantityPerDose === null && dosesPerDay === null && !prn) return null;
+
+    return {
+        quantities: null,
+        quantityPerDose,
+        dailyQuantity: quantityPerDose !== null && dosesPerDay !== null ? quantityPerDose * dosesPerDay : null,
+        dosesPerDay,
+        unit,
+        prn
+    };
+}
+
+/**
+ * Parse a strength into mg per quantity of the dosage form
+ * "250mg/5ml" -> { mg: 250, perQuantity: 5, perUnit: 'ml' }; "500 mg" -> { mg: 500, perQuantity: 1, perUnit: null }
+ * @param {string|number} strength - Strength text, or a number with a separate unit
+ * @param {string} [unitText] - Unit when strength is a bare number (med_composition_unit_N)
+ * @returns {Object|null} { mg, perQuantity, perUnit } or null for non-mass strengths (%, IU)
+ */
+function parseStrength(strength, unitText) {
+    const text = `${strength ?? ''}${unitText ? ` ${unitText}` : ''}`.toLowerCase().replace(/\s+/g, '');
+    const match = text.match(/^(\d*\.?\d+)(g|gm|mg|mcg|µg)(?:\/(\d*\.?\d*)(ml|tab|tablet|cap|capsule|drop|drops|sachet))?$/);
+    if (!match) return null;
+
+    const mg = parseFloat(match[1]) * MASS_UNITS_IN_MG[match[2]];
+    if (!match[4]) {
+        return { mg, perQuantity: 1, perUnit: null };
+    }
+
+    const perUnit = match[4] === 'ml' ? 'ml' : parseQuantityUnit(match[4])?.unit || null;
+    return { mg, perQuantity: match[3] ? parseFloat(match[3]) : 1, perUnit };
+}
+
+/**
+ * Split free-text salt into compositions with strengths
+ * "Amoxycillin 250mg/5ml + Clavulanic Acid 62.5mg/5ml" ->
+ *   [{ name: "Amoxycillin", strength: "250mg/5ml" }, { name: "Clavulanic Acid", strength: "62.5mg/5ml" }]
+ * @param {string} saltText - medicine_salt
+ * @returns {Array<Object>} [{ name, strength }] (strength null when none is written)
+ */
+function parseSaltStrengths(saltText) {
+    return String(saltText || '')
+        .split(/\s*\+\s*|,|;/)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const match = part.match(/^(.*?)\s*(\d*\.?\d+\s*(?:g|gm|mg|mcg|µg)(?:\s*\/\s*\d*\.?\d*\s*[a-z]+)?)\s*$/i);
+            return match && match[1]
+                ? { name: match[1].trim(), strength: match[2].replace(/\s+/g, '') }
+                : { name: part, strength: null };
+        });
+}
+
+/**
+ * Convert a quantity between ml and drops so it matches a strength's unit
+ * @param {number} quantity - Quantity in fromUnit
+ * @param {string} fromUnit - 'ml' | 'drop'
+ * @param {string} toUnit - 'ml' | 'drop'
+ * @returns {number|null} Converted quantity or null when the units are not convertible
+ */
+function convertQuantity(quantity, fromUnit, toUnit) {
+    if (fromUnit === toUnit) return quantity;
+    if (fromUnit === 'drop' && toUnit === 'ml') return quantity / DROPS_PER_ML;
+    if (fromUnit === 'ml' && toUnit === 'drop') return quantity * DROPS_PER_ML;
+    return null;
+}
+
+/**
+ * Empty structured dosage (every column unset)
+ * @returns {Object} { dose_quantity, dose_unit, dose_morning, dose_noon, dose_evening, dose_night,
+ *   doses_per_day, food_timing, route, duration_days, is_prn }
+ */
+function emptyDosage() {
+    return Object.fromEntries(DOSAGE_FIELDS.map(field => [field, field === 'is_prn' ? false : null]));
+}
+
+/**
+ * Parse a treatment duration ("for 5 days", "x 2 weeks", "5d", "1 month", "7 din")
+ * @param {string} raw - Lower-cased instruction text
+ * @returns {number|null} Days or null
+ */
+function parseDurationDays(raw) {
+    const match = raw.match(/\b(\d+)\s*(days?|din|weeks?|wks?|months?)\b/)
+        || raw.match(/(?:\bfor|\bx|×)\s*(\d+)\s*(d|w|wk|m)\b/);
+    if (!match || parseInt(match[1]) <= 0) return null;
+    return parseInt(match[1]) * DURATION_UNITS_IN_DAYS[match[2]];
+}
+
+/**
+ * Parse a full dosing instruction into structured dosage
+ * "1-0-1 after food x 5 days" -> { dose_quantity: 1, dose_morning: 1, dose_noon: 0, dose_night: 1,
+ *   doses_per_day: 2, food_timing: 'after_food', duration_days: 5, ... }
+ * @param {string} text - medicine_frequency
+ * @returns {Object|null} Structured dosage (see emptyDosage) or null when nothing could be read
+ */
+function parseDosageInstructions(text) {
+    const raw = String(text || '').toLowerCase().trim();
+    if (!raw) return null;
+
+    const dosage = emptyDosage();
+    const frequency = parseFrequency(raw);
+
+    if (frequency) {
+        dosage.dose_unit = frequency.unit;
+        dosage.doses_per_day = frequency.dosesPerDay || null;
+        dosage.is_prn = frequency.prn;
+
+        if (frequency.quantities) {
+            // "1-0-1" is morning-noon-night; "1-1-1-1" adds evening
+            const slots = frequency.quantities.length === 4 ? DOSE_SLOTS : ['dose_morning', 'dose_noon', 'dose_night'];
+            slots.forEach((slot, index) => {
+                dosage[slot] = frequency.quantities[index];
+            });
+            DOSE_SLOTS.filter(slot => dosage[slot] === null).forEach(slot => {
+                dosage[slot] = 0;
+            });
+            const given = frequency.quantities.filter(quantity => quantity > 0);
+            dosage.dose_quantity = given.length > 0 && given.every(quantity => quantity === given[0]) ? given[0] : null;
+        } else {
+            dosage.dose_quantity = frequency.quantityPerDose;
+
+            const slots = frequency.dosesPerDay === 1 && NIGHT_PATTERN.test(raw)
+                ? ['dose_night']
+                : SLOTS_BY_DOSES_PER_DAY[frequency.dosesPerDay];
+            if (slots && frequency.quantityPerDose !== null && !frequency.prn) {
+                DOSE_SLOTS.forEach(slot => {
+                    dosage[slot] = slots.includes(slot) ? frequency.quantityPerDose : 0;
+                });
+            }
+        }
+    }
+
+    const foodTiming = FOOD_TIMINGS.find(entry => entry.pattern.test(raw));
+    dosage.food_timing = foodTiming ? foodTiming.foodTiming : null;
+
+    dosage.duration_days = parseDurationDays(raw);
+
+    const route = ROUTES.find(entry => entry.pattern.test(raw));
+    if (route) {
+        dosage.route = route.route;
+    } else if (dosage.dose_unit === 'puff') {
+        dosage.route = 'inhalation';
+    } else if (ORAL_UNITS.includes(dosage.dose_unit)) {
+        dosage.route = 'oral';
+    }
+
+    const found = Object.entries(dosage).some(([key, value]) => (key === 'is_prn' ? value : value !== null));
+    return found ? dosage : null;
+}
+
+/**
+ * Read a non-negative number field
+ * @param {*} value - Field value
+ * @param {Object} limits - { max, integer, min }
+ * @returns {Object} { value } or { error } (value null when unset)
+ */
+function readNumber(value, { max, integer = false, min = 0 }) {
+    if (value === undefined || value === null || value === '') return { value: null };
+    const number = typeof value === 'number' ? value : parseQuantity(value);
+    if (number === null || Number.isNaN(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+        return { error: true };
+    }
+    return { value: number };
+}
+
+/**
+ * Combine structured dosage fields sent by the doctor with what can be parsed from the
+ * free-text frequency. Sent fields win; unset ones are taken from the text.
+ * @param {Object} input - Any of the emptyDosage fields (camelCase accepted, e.g. doseMorning, durationDays)
+ * @param {string} [frequencyText] - medicine_frequency
+ * @param {Object} [baseDosage] - Existing dosage to edit instead of parsing frequencyText
+ * @returns {Object} { dosage } or { error } with a message naming the invalid field
+ */
+function normalizeDosage(input, frequencyText, baseDosage) {
+    const source = input || {};
+    const pick = (snake, camel) => (source[snake] !== undefined ? source[snake] : source[camel]);
+    const dosage = baseDosage
+        ? { ...emptyDosage(), ...baseDosage }
+        : parseDosageInstructions(frequencyText) || emptyDosage();
+    const entered = {};
+
+    const numberFields = [
+        ['dose_quantity', 'doseQuantity', { max: 1000 }],
+        ['dose_morning', 'doseMorning', { max: 1000 }],
+        ['dose_noon', 'doseNoon', { max: 1000 }],
+        ['dose_evening', 'doseEvening', { max: 1000 }],
+        ['dose_night', 'doseNight', { max: 1000 }],
+        ['doses_per_day', 'dosesPerDay', { max: 24, integer: true, min: 1 }],
+        ['duration_days', 'durationDays', { max: 3650, integer: true, min: 1 }]
+    ];
+    for (const [field, camel, limits] of numberFields) {
+        const result = readNumber(pick(field, camel), limits);
+        if (result.error) {
+            return { error: `${field} must be a number between ${limits.min ?? 0} and ${limits.max}` };
+        }
+        if (result.value !== null) entered[field] = result.value;
+    }
+
+    const doseUnit = pick('dose_unit', 'doseUnit');
+    if (doseUnit) {
+        const unit = DOSE_UNITS.includes(String(doseUnit).toLowerCase())
+            ? { unit: String(doseUnit).toLowerCase(), factor: 1 }
+            : parseQuantityUnit(doseUnit);
+        if (!unit) {
+            return { error: `dose_unit must be one of: ${DOSE_UNITS.join(', ')}` };
+        }
+        // "2 tsf" is stored as 10 ml, including quantities read from unit-less text ("1-0-1")
+        if (unit.factor !== 1) {
+            ['dose_quantity', ...DOSE_SLOTS].forEach(field => {
+                if (entered[field] !== undefined) {
+                    entered[field] *= unit.factor;
+                } else if (dosage.dose_unit === null && dosage[field] !== null) {
+                    dosage[field] *= unit.factor;
+                }
+            });
+        }
+        entered.dose_unit = unit.unit;
+    }
+
+    const foodTiming = pick('food_timing', 'foodTiming');
+    if (foodTiming) {
+        const value = String(foodTiming).toLowerCase().replace(/[\s-]+/g, '_');
+        if (!FOOD_TIMINGS.some(entry => entry.foodTiming === value)) {
+            return { error: `food_timing must be one of: ${FOOD_TIMINGS.map(entry => entry.foodTiming).join(', ')}` };
+        }
+        entered.food_timing = value;
+    }
+
+    const route = pick('route', 'route');
+    if (route) {
+        const value = String(route).toLowerCase();
+        if (!ROUTES.some(entry => entry.route === value)) {
+            return { error: `route must be one of: ${ROUTES.map(entry => entry.route).join(', ')}` };
+        }
+        entered.route = value;
+    }
+
+    const isPrn = pick('is_prn', 'isPrn');
+    if (isPrn !== undefined && isPrn !== null) {
+        entered.is_prn = isPrn === true || isPrn === 'true' || isPrn === 1 || isPrn === '1';
+    }
+
+    // Slots entered by the doctor replace the parsed pattern as a whole
+    if (DOSE_SLOTS.some(slot => entered[slot] !== undefined)) {
+        DOSE_SLOTS.forEach(slot => {
+            dosage[slot] = entered[slot] !== undefined ? entered[slot] : 0;
+        });
+        if (entered.doses_per_day === undefined) {
+            const given = DOSE_SLOTS.map(slot => dosage[slot]).filter(quantity => quantity > 0);
+            dosage.doses_per_day = given.length || null;
+            if (entered.dose_quantity === undefined) {
+                dosage.dose_quantity = given.length > 0 && given.every(quantity => quantity === given[0]) ? given[0] : null;
+            }
+        }
+    }
+
+    Object.assign(dosage, Object.fromEntries(
+        Object.entries(entered).filter(([field]) => !DOSE_SLOTS.includes(field))
+    ));
+
+    if (!dosage.route && ORAL_UNITS.includes(dosage.dose_unit)) {
+        dosage.route = 'oral';
+    }
+
+    return { dosage };
+}
+
+/**
+ * Write a slot quantity the way doctors do ("1", "½", "1½", "5")
+ * @param {number|null} quantity - Quantity
+ * @returns {string} Text
+ */
+function formatQuantity(quantity) {
+    if (quantity === null || quantity === undefined) return '';
+    const whole = Math.floor(quantity);
+    const fractions = { 0.25: '¼', 0.5: '½', 0.75: '¾' };
+    const fraction = fractions[Math.round((quantity - whole) * 100) / 100];
+    if (fraction) return whole > 0 ? `${whole}${fraction}` : fraction;
+    return String(Math.round(quantity * 1000) / 1000);
+}
+
+/**
+ * English instruction text for structured dosage, stored as medicine_frequency when the
+ * doctor sends only structured fields
+ * { dose_morning: 1, dose_noon: 0, dose_night: 1, dose_unit: 'tablet', food_timing: 'after_food', duration_days: 5 }
+ *   -> "1-0-1 tablet after food for 5 days"
+ * @param {Object} dosage - Structured dosage
+ * @returns {string|null} Instruction text or null when the dosage is empty
+ */
+function formatDosage(dosage) {
+    if (!dosage) return null;
+    const parts = [];
+
+    const slotsSet = DOSE_SLOTS.some(slot => dosage[slot] !== null && dosage[slot] !== undefined);
+    if (slotsSet) {
+        const slots = dosage.dose_evening > 0 ? DOSE_SLOTS : ['dose_morning', 'dose_noon', 'dose_night'];
+        parts.push(slots.map(slot => formatQuantity(dosage[slot] || 0)).join('-'));
+        if (dosage.dose_unit) parts.push(dosage.dose_unit);
+    } else {
+        if (dosage.dose_quantity !== null && dosage.dose_quantity !== undefined) {
+            parts.push(`${formatQuantity(dosage.dose_quantity)}${dosage.dose_unit ? ` ${dosage.dose_unit}` : ''}`);
+        }
+        const term = { 1: 'once daily', 2: 'twice daily', 3: 'three times a day', 4: 'four times a day' }[dosage.doses_per_day];
+        if (term) {
+            parts.push(term);
+        } else if (dosage.doses_per_day) {
+            parts.push(`${dosage.doses_per_day} times a day`);
+        }
+    }
+
+    if (dosage.is_prn) parts.push('as needed');
+    if (dosage.food_timing) parts.push(dosage.food_timing.replace('_', ' '));
+    if (dosage.route && dosage.route !== 'oral') parts.push(dosage.route);
+    if (dosage.duration_days) parts.push(`for ${dosage.duration_days} day${dosage.duration_days === 1 ? '' : 's'}`);
+
+    return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * Structured dosage of a patient_medicine row: the stored columns, or the parsed
+ * medicine_frequency for rows saved before they existed
+ * @param {Object} row - patient_medicine row
+ * @returns {Object|null} Structured dosage (numbers, not pg NUMERIC strings) or null
+ */
+function getStoredDosage(row) {
+    const stored = emptyDosage();
+    let found = false;
+    for (const field of DOSAGE_FIELDS) {
+        const value = row[field];
+        if (value === undefined || value === null) continue;
+        if (field === 'is_prn') {
+            stored.is_prn = value === true;
+            found = found || stored.is_prn;
+        } else {
+            stored[field] = ['dose_unit', 'food_timing', 'route'].includes(field) ? value : Number(value);
+            found = true;
+        }
+    }
+    return found ? stored : parseDosageInstructions(row.medicine_frequency);
+}
+
+module.exports = {
+    DOSE_SLOTS,
+    DOSAGE_FIELDS,
+    parseQuantity,
+    parseFrequency,
+    parseStrength,
+    parseSaltStrengths,
+    convertQuantity,
+    emptyDosage,
+    parseDosageInstructions,
+    normalizeDosage,
+    formatQuantity,
+    formatDosage,
+    getStoredDosage
+};
@@ -0,0 +1,425 @@
+const { medicinePool } = require('../config/multiDbConnection');
+const { SEVERITY } = require('./drugInteractionRules');
+const { PAEDIATRIC_DOSE_RULES } = require('./doseRules');
+const { normalizeComposition } = require('./drugInteractionChecker');
+const dosageParser = require('./dosageParser');
+
+/**
+ * Dose Calculator
+ * Recommended paediatric dose ranges from weight and age (doseRules), and a check of
+ * the dose a doctor entered - medicine_frequency ("5 ml TDS", "1-0-1") read against
+ * the medicine's strength - against that range.
+ *
+ * Strengths come from medicine_db (med_composition_strength_N / unit_N) when a drug_id
+ * is known, otherwise from the medicine_salt text, otherwise from an explicit strength.
+ */
+
+// Patients from this age are dosed as adults and not checked
+const PAEDIATRIC_MAX_AGE_MONTHS = 18 * 12;
+
+// Allowance for measuring-spoon and tablet-splitting rounding
+const DOSE_TOLERANCE = 0.1;
+
+const SEVERITY_RANK = {
+    [SEVERITY.CONTRAINDICATED]: 4,
+    [SEVERITY.MAJOR]: 3,
+    [SEVERITY.MODERATE]: 2,
+    [SEVERITY.MINOR]: 1
+};
+
+/**
+ * Completed months of age
+ * @param {Date|string} dateOfBirth - patient_date_of_birth
+ * @param {Date} onDate - Date to measure age at
+ * @returns {number|null} Months or null when unknown
+ */
+function getAgeInMonths(dateOfBirth, onDate = new Date()) {
+    if (!dateOfBirth) return null;
+    const dob = new Date(dateOfBirth);
+    if (isNaN(dob) || dob > onDate) return null;
+
+    let months = (onDate.getFullYear() - dob.getFullYear()) * 12 + (onDate.getMonth() - dob.getMonth());
+    if (onDate.getDate() < dob.getDate()) months--;
+    return Math.max(months, 0);
+}
+
+/**
+ * Read a weight vital ("12", "12.5 kg", "26 lbs") as kilograms
+ * @param {string|number} value - dr_appointment.patient_weight
+ * @returns {number|null} Kilograms or null when unreadable
+ */
+function parseWeightKg(value) {
+    const match = String(value ?? '').toLowerCase().match(/(\d*\.?\d+)\s*(kg|kgs|g|gm|grams?|lb|lbs|pounds?)?/);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    const unit = match[2] || 'kg';
+    let kg = amount;
+    if (/^(g|gm|gram)/.test(unit)) kg = amount / 1000;
+    if (/^(lb|pound)/.test(unit)) kg = amount * 0.4536;
+
+    return kg > 0 && kg < 300 ? kg : null;
+}
+
+/**
+ * Round for display (mg and quantities)
+ * @param {number|null} value - Value
+ * @returns {number|null}
+ */
+function round(value) {
+    return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Lower of two optional caps
+ * @param {...number} caps - Caps (undefined / null ignored)
+ * @returns {number|null}
+ */
+function lowestCap(...caps) {
+    const defined = caps.filter(cap => cap !== undefined && cap !== null);
+    return defined.length > 0 ? Math.min(...defined) : null;
+}
+
+/**
+ * Apply an absolute cap to a [min, max] range
+ * @param {Array<number|null>} range - [min, max]
+ * @param {number|null} cap - Cap
+ * @returns {Object} { min, max }
+ */
+function capRange([min, max], cap) {
+    if (cap === null) return { min, max };
+    return {
+        min: min === null ? null : Math.min(min, cap),
+        max: max === null ? cap : Math.min(max, cap)
+    };
+}
+
+/**
+ * Recommended dose range for a composition
+ * @param {string} compositionKey - Normalized composition
+ * @param {Object} patient - { weightKg, ageMonths }
+ * @returns {Object|null} Range, or null when there is no rule for the composition:
+ *   { key, composition, notRecommended, minAgeMonths, basis, perDoseMg, perDayMg, dosesPerDay, weightBased }
+ */
+function calculateDoseRange(compositionKey, { weightKg, ageMonths }) {
+    const rule = PAEDIATRIC_DOSE_RULES[compositionKey];
+    if (!rule) return null;
+
+    const base = { key: compositionKey, composition: rule.name, minAgeMonths: rule.bands[0].minAgeMonths };
+    if (ageMonths < rule.bands[0].minAgeMonths) {
+        return { ...base, notRecommended: true };
+    }
+
+    const band = rule.bands.find(entry => ageMonths >= entry.minAgeMonths
+        && (entry.maxAgeMonths === undefined || ageMonths < entry.maxAgeMonths)) || rule.bands[rule.bands.length - 1];
+    const [minDoses, maxDoses] = band.dosesPerDay;
+
+    let basis;
+    let perDose = [null, null];
+    let perDay = [null, null];
+
+    if (band.mgPerKgPerDose) {
+        basis = 'mg/kg per dose';
+        if (weightKg) {
+            perDose = band.mgPerKgPerDose.map(mgPerKg => mgPerKg * weightKg);
+            perDay = [perDose[0] * minDoses, perDose[1] * maxDoses];
+        }
+    } else if (band.mgPerKgPerDay) {
+        basis = 'mg/kg per day';
+        if (weightKg) {
+            perDay = band.mgPerKgPerDay.map(mgPerKg => mgPerKg * weightKg);
+            perDose = [perDay[0] / maxDoses, perDay[1] / minDoses];
+        }
+    } else if (band.mgPerDose) {
+        basis = 'mg per dose for age';
+        perDose = [...band.mgPerDose];
+        perDay = [perDose[0] * minDoses, perDose[1] * maxDoses];
+    } else {
+        basis = 'mg per day for age';
+        perDay = [...band.mgPerDay];
+        perDose = [perDay[0] / maxDoses, perDay[1] / minDoses];
+    }
+
+    const perDoseMg = capRange(perDose, lowestCap(rule.maxMgPerDose, band.maxMgPerDose));
+    const perDayMg = capRange(perDay, lowestCap(
+        rule.maxMgPerDay,
+        band.maxMgPerDay,
+        rule.maxMgPerKgPerDay && weightKg ? rule.maxMgPerKgPerDay * weightKg : null
+    ));
+
+    return {
+        ...base,
+        notRecommended: false,
+        basis,
+        weightBased: !!(band.mgPerKgPerDose || band.mgPerKgPerDay),
+        perDoseMg,
+        perDayMg,
+        dosesPerDay: { min: minDoses, max: maxDoses }
+    };
+}
+
+/**
+ * Compare an entered dose with a recommended range
+ * @param {Object} range - From calculateDoseRange
+ * @param {Object} entered - { mgPerDose, mgPerDay, dosesPerDay, prn }
+ * @param {Object} patient - { weightKg, ageMonths }
+ * @returns {Array<Object>} Findings [{ type, severity, message }]
+ */
+function evaluateDose(range, entered, patient) {
+    const findings = [];
+    const forWhom = patient.weightKg && range.weightBased ? ` for ${round(patient.weightKg)} kg` : ' for age';
+    const describe = ({ min, max }) => (min !== null ? `${round(min)}-${round(max)} mg` : `up to ${round(max)} mg`);
+
+    if (range.notRecommended) {
+        findings.push({
+            type: 'age_below_minimum',
+            severity: SEVERITY.MAJOR,
+            message: `${range.composition} is not recommended under ${range.minAgeMonths} months of age`
+        });
+        return findings;
+    }
+
+    const { perDoseMg, perDayMg, dosesPerDay } = range;
+    const perDoseBasis = range.basis.includes('per dose');
+
+    if (entered.mgPerDose !== null) {
+        if (perDoseMg.max !== null && entered.mgPerDose > perDoseMg.max * (1 + DOSE_TOLERANCE)) {
+            findings.push({
+                type: 'dose_above_range',
+                severity: SEVERITY.MAJOR,
+                message: `${range.composition} ${round(entered.mgPerDose)} mg per dose is above the recommended ${describe(perDoseMg)}${forWhom}`
+            });
+        } else if (perDoseBasis && perDoseMg.min !== null && entered.mgPerDose < perDoseMg.min * (1 - DOSE_TOLERANCE)) {
+            findings.push({
+                type: 'dose_below_range',
+                severity: SEVERITY.MODERATE,
+                message: `${range.composition} ${round(entered.mgPerDose)} mg per dose is below the recommended ${describe(perDoseMg)}${forWhom}`
+            });
+        }
+    }
+
+    if (entered.mgPerDay !== null) {
+        if (perDayMg.max !== null && entered.mgPerDay > perDayMg.max * (1 + DOSE_TOLERANCE)) {
+            findings.push({
+                type: 'daily_dose_above_range',
+                severity: SEVERITY.MAJOR,
+                message: `${range.composition} ${round(entered.mgPerDay)} mg per day is above the recommended ${describe(perDayMg)}${forWhom}`
+            });
+        } else if (!perDoseBasis && perDayMg.min !== null && entered.mgPerDay < perDayMg.min * (1 - DOSE_TOLERANCE)) {
+            findings.push({
+                type: 'daily_dose_below_range',
+                severity: SEVERITY.MODERATE,
+                message: `${range.composition} ${round(entered.mgPerDay)} mg per day is below the recommended ${describe(perDayMg)}${forWhom}`
+            });
+        }
+    }
+
+    if (entered.dosesPerDay !== null && !entered.prn
+        && (entered.dosesPerDay < dosesPerDay.min || entered.dosesPerDay > dosesPerDay.max)) {
+        const expected = dosesPerDay.min === dosesPerDay.max ? `${dosesPerDay.min}` : `${dosesPerDay.min}-${dosesPerDay.max}`;
+        findings.push({
+            type: 'frequency_outside_range',
+            severity: SEVERITY.MODERATE,
+            message: `${range.composition} given ${entered.dosesPerDay} time(s) a day; usually ${expected} time(s) a day`
+        });
+    }
+
+    return findings;
+}
+
+/**
+ * Compositions with strengths of a medicine in medicine_db
+ * @param {number} drugId - med_details.med_id
+ * @returns {Promise<Object|null>} { medType, compositions: [{ name, strength }] } or null
+ */
+async function getMedicineStrengths(drugId) {
+    const { rows } = await medicinePool.query(
+        `SELECT med_type,
+                med_composition_name_1, med_composition_strength_1, med_composition_unit_1,
+                med_composition_name_2, med_composition_strength_2, med_composition_unit_2,
+                med_composition_name_3, med_composition_strength_3, med_composition_unit_3,
+                med_composition_name_4, med_composition_strength_4, med_composition_unit_4,
+                med_composition_name_5, med_composition_strength_5, med_composition_unit_5
+         FROM med_details
+         WHERE med_id = $1`,
+        [drugId]
+    );
+    if (rows.length === 0) return null;
+
+    const row = rows[0];
+    return {
+        medType: row.med_type || null,
+        compositions: [1, 2, 3, 4, 5]
+            .filter(i => row[`med_composition_name_${i}`])
+            .map(i => ({
+                name: row[`med_composition_name_${i}`],
+                strength: dosageParser.parseStrength(row[`med_composition_strength_${i}`], row[`med_composition_unit_${i}`])
+            }))
+    };
+}
+
+/**
+ * Unit a solid dosage form is counted in
+ * @param {string|null} medType - med_details.med_type
+ * @param {string|null} enteredUnit - Unit read from the frequency
+ * @returns {string} 'tablet' | 'capsule' | 'sachet'
+ */
+function getSolidUnit(medType, enteredUnit) {
+    if (['tablet', 'capsule', 'sachet'].includes(enteredUnit)) return enteredUnit;
+    if (/cap/i.test(medType || '')) return 'capsule';
+    if (/sachet|granule|powder/i.test(medType || '')) return 'sachet';
+    return 'tablet';
+}
+
+/**
+ * mg per dose / per day for an entered frequency at a strength
+ * @param {Object|null} frequency - dosageParser.parseFrequency result
+ * @param {Object|null} strength - dosageParser.parseStrength result
+ * @returns {Object} { mgPerDose, mgPerDay, dosesPerDay, prn, note }
+ */
+function getEnteredDose(frequency, strength) {
+    const entered = {
+        mgPerDose: null,
+        mgPerDay: null,
+        dosesPerDay: frequency ? frequency.dosesPerDay : null,
+        prn: frequency ? frequency.prn : false,
+        note: null
+    };
+
+    if (!frequency || frequency.quantityPerDose === null) {
+        entered.note = 'Dose quantity could not be read from the frequency';
+        return entered;
+    }
+    if (!strength) {
+        entered.note = 'Strength is unknown';
+        return entered;
+    }
+
+    let quantityPerDose = frequency.quantityPerDose;
+    let dailyQuantity = frequency.dailyQuantity;
+
+    if (strength.perUnit === 'ml') {
+        if (!['ml', 'drop'].includes(frequency.unit)) {
+            entered.note = 'State the liquid dose in ml (e.g. "5 ml TDS")';
+            return entered;
+        }
+        quantityPerDose = dosageParser.convertQuantity(quantityPerDose, frequency.unit, 'ml');
+        dailyQuantity = dailyQuantity === null ? null : dosageParser.convertQuantity(dailyQuantity, frequency.unit, 'ml');
+    } else if (['ml', 'drop'].includes(frequency.unit)) {
+        entered.note = `Dose given in ${frequency.unit} but the strength is per unit`;
+        return entered;
+    }
+
+    const mgPerQuantity = strength.mg / strength.perQuantity;
+    entered.mgPerDose = quantityPerDose * mgPerQuantity;
+    entered.mgPerDay = dailyQuantity === null || frequency.prn ? null : dailyQuantity * mgPerQuantity;
+    return entered;
+}
+
+/**
+ * Check a prescribed medicine's dose for a child
+ * @param {Object} medicine - { drug_id?, medicine_name, medicine_salt?, medicine_frequency?, strength? }
+ *   strength (e.g. "250mg/5ml") is used when the medicine has a single composition and no
+ *   strength is known from medicine_db or the salt text
+ * @param {Object} patient - { weightKg, ageMonths }
+ * @returns {Promise<Object>} { applicable, reason, patient, compositions, findings, highestSeverity }
+ */
+async function checkMedicineDose(medicine, patient) {
+    const result = {
+        applicable: false,
+        reason: null,
+        patient: {
+            ageMonths: patient.ageMonths,
+            weightKg: patient.weightKg !== null ? round(patient.weightKg) : null
+        },
+        compositions: [],
+        findings: [],
+        highestSeverity: null
+    };
+
+    if (patient.ageMonths === null) {
+        result.reason = 'Date of birth not recorded';
+        return result;
+    }
+    if (patient.ageMonths >= PAEDIATRIC_MAX_AGE_MONTHS) {
+        result.reason = 'Adult patient; paediatric dosing does not apply';
+        return result;
+    }
+
+    let medType = null;
+    let compositions = [];
+    const fromDb = medicine.drug_id ? await getMedicineStrengths(parseInt(medicine.drug_id)) : null;
+    if (fromDb && fromDb.compositions.length > 0) {
+        medType = fromDb.medType;
+        compositions = fromDb.compositions;
+    } else if (medicine.medicine_salt) {
+        compositions = dosageParser.parseSaltStrengths(medicine.medicine_salt)
+            .map(part => ({ name: part.name, strength: dosageParser.parseStrength(part.strength) }));
+    } else {
+        compositions = [{ name: medicine.medicine_name, strength: null }];
+    }
+
+    if (compositions.length === 1 && !compositions[0].strength && medicine.strength) {
+        compositions[0].strength = dosageParser.parseStrength(medicine.strength);
+    }
+
+    const frequency = dosageParser.parseFrequency(medicine.medicine_frequency);
+
+    compositions.forEach(composition => {
+        const range = calculateDoseRange(normalizeComposition(composition.name), patient);
+        if (!range) return;
+
+        const entered = getEnteredDose(frequency, composition.strength);
+        const findings = evaluateDose(range, entered, patient);
+        const { strength } = composition;
+        const quantityUnit = strength && strength.perUnit === 'ml' ? 'ml' : getSolidUnit(medType, frequency?.unit);
+        const toQuantity = mg => (strength && mg !== null ? round(mg / (strength.mg / strength.perQuantity)) : null);
+
+        result.compositions.push({
+            composition: composition.name,
+            ruleName: range.composition,
+            strength,
+            recommended: range.notRecommended ? null : {
+                basis: range.basis,
+                perDoseMg: { min: round(range.perDoseMg.min), max: round(range.perDoseMg.max) },
+                perDayMg: { min: round(range.perDayMg.min), max: round(range.perDayMg.max) },
+                dosesPerDay: range.dosesPerDay,
+                perDoseQuantity: strength ? {
+                    min: toQuantity(range.perDoseMg.min),
+                    max: toQuantity(range.perDoseMg.max),
+                    unit: quantityUnit
+                } : null,
+                note: range.weightBased && !patient.weightKg ? 'Weight not recorded; only absolute limits apply' : null
+            },
+            entered: {
+                frequency: medicine.medicine_frequency || null,
+                mgPerDose: round(entered.mgPerDose),
+                mgPerDay: round(entered.mgPerDay),
+                dosesPerDay: entered.dosesPerDay,
+                prn: entered.prn,
+                note: medicine.medicine_frequency ? entered.note : null
+            },
+            findings
+        });
+
+        findings.forEach(finding => result.findings.push({ ...finding, composition: composition.name }));
+    });
+
+    result.applicable = result.compositions.length > 0;
+    if (!result.applicable) {
+        result.reason = 'No paediatric dosing rule for this medicine';
+    }
+
+    result.findings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+    result.highestSeverity = result.findings.length > 0 ? result.findings[0].severity : null;
+    return result;
+}
+
+module.exports = {
+    PAEDIATRIC_MAX_AGE_MONTHS,
+    getAgeInMonths,
+    parseWeightKg,
+    calculateDoseRange,
+    evaluateDose,
+    checkMedicineDose
+};
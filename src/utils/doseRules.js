@@ -0,0 +1,127 @@
+/**
+ * Paediatric Dose Rules
+ * Curated dosing used by doseCalculator, keyed by normalized composition name
+ * (see drugInteractionChecker.normalizeComposition). Combination products are
+ * dosed on the component listed here, e.g. co-amoxiclav on amoxicillin and
+ * co-trimoxazole on trimethoprim.
+ *
+ * Each rule has age bands (minAgeMonths inclusive, maxAgeMonths exclusive) with one basis:
+ * - mgPerKgPerDose / mgPerKgPerDay: [min, max] scaled by weight
+ * - mgPerDose / mgPerDay: [min, max] fixed for the age band
+ * plus dosesPerDay [min, max] and optional caps (maxMgPerDose, maxMgPerDay, maxMgPerKgPerDay)
+ * that apply whatever the weight. Below the first band's minAgeMonths the drug is not
+ * recommended.
+ *
+ * Ranges follow standard paediatric formularies for common oral outpatient use in India.
+ * They support the prescriber's judgement; indication-specific regimens (e.g. high-dose
+ * amoxicillin, amoebiasis) sit at the top of the range.
+ */
+
+const PAEDIATRIC_DOSE_RULES = {
+    paracetamol: {
+        name: 'Paracetamol',
+        bands: [
+            { minAgeMonths: 1, mgPerKgPerDose: [10, 15], dosesPerDay: [1, 4] }
+        ],
+        maxMgPerKgPerDay: 60,
+        maxMgPerDose: 1000,
+        maxMgPerDay: 4000
+    },
+    ibuprofen: {
+        name: 'Ibuprofen',
+        bands: [
+            { minAgeMonths: 3, mgPerKgPerDose: [5, 10], dosesPerDay: [1, 4] }
+        ],
+        maxMgPerKgPerDay: 40,
+        maxMgPerDose: 400,
+        maxMgPerDay: 1200
+    },
+    amoxicillin: {
+        name: 'Amoxicillin',
+        bands: [
+            { minAgeMonths: 1, mgPerKgPerDay: [25, 90], dosesPerDay: [2, 3] }
+        ],
+        maxMgPerDose: 1000,
+        maxMgPerDay: 4000
+    },
+    azithromycin: {
+        name: 'Azithromycin',
+        bands: [
+            { minAgeMonths: 6, mgPerKgPerDay: [5, 10], dosesPerDay: [1, 1] }
+        ],
+        maxMgPerDay: 500
+    },
+    cefixime: {
+        name: 'Cefixime',
+        bands: [
+            { minAgeMonths: 6, mgPerKgPerDay: [8, 10], dosesPerDay: [1, 2] }
+        ],
+        maxMgPerDay: 400
+    },
+    cefuroxime: {
+        name: 'Cefuroxime',
+        bands: [
+            { minAgeMonths: 3, mgPerKgPerDay: [20, 30], dosesPerDay: [2, 2] }
+        ],
+        maxMgPerDose: 500,
+        maxMgPerDay: 1000
+    },
+    trimethoprim: {
+        name: 'Trimethoprim (co-trimoxazole)',
+        bands: [
+            { minAgeMonths: 2, mgPerKgPerDay: [8, 12], dosesPerDay: [2, 2] }
+        ],
+        maxMgPerDay: 320
+    },
+    metronidazole: {
+        name: 'Metronidazole',
+        bands: [
+            { minAgeMonths: 1, mgPerKgPerDay: [15, 50], dosesPerDay: [3, 3] }
+        ],
+        maxMgPerDose: 800,
+        maxMgPerDay: 2400
+    },
+    ondansetron: {
+        name: 'Ondansetron',
+        bands: [
+            { minAgeMonths: 6, mgPerKgPerDose: [0.1, 0.15], dosesPerDay: [1, 3] }
+        ],
+        maxMgPerDose: 8,
+        maxMgPerDay: 24
+    },
+    domperidone: {
+        name: 'Domperidone',
+        bands: [
+            { minAgeMonths: 1, mgPerKgPerDose: [0.25, 0.25], dosesPerDay: [1, 3] }
+        ],
+        maxMgPerDose: 10,
+        maxMgPerDay: 30
+    },
+    prednisolone: {
+        name: 'Prednisolone',
+        bands: [
+            { minAgeMonths: 1, mgPerKgPerDay: [1, 2], dosesPerDay: [1, 2] }
+        ],
+        maxMgPerDay: 60
+    },
+    cetirizine: {
+        name: 'Cetirizine',
+        bands: [
+            { minAgeMonths: 6, maxAgeMonths: 24, mgPerDose: [2.5, 2.5], dosesPerDay: [1, 2] },
+            { minAgeMonths: 24, maxAgeMonths: 72, mgPerDay: [2.5, 5], dosesPerDay: [1, 2] },
+            { minAgeMonths: 72, mgPerDay: [5, 10], dosesPerDay: [1, 2] }
+        ]
+    },
+    levocetirizine: {
+        name: 'Levocetirizine',
+        bands: [
+            { minAgeMonths: 6, maxAgeMonths: 72, mgPerDay: [1.25, 1.25], dosesPerDay: [1, 1] },
+            { minAgeMonths: 72, maxAgeMonths: 144, mgPerDay: [2.5, 2.5], dosesPerDay: [1, 1] },
+            { minAgeMonths: 144, mgPerDay: [2.5, 5], dosesPerDay: [1, 1] }
+        ]
+    }
+};
+
+module.exports = {
+    PAEDIATRIC_DOSE_RULES
+};
@@ -0,0 +1,497 @@
+const { mainPool, medicinePool } = require('../config/multiDbConnection');
+const {
+    SEVERITY,
+    COMPOSITION_ALIASES,
+    THERAPEUTIC_CLASSES,
+    INTERACTION_RULES
+} = require('./drugInteractionRules');
+const {
+    ALLERGEN_CLASS_ALIASES,
+    CROSS_REACTIVITY,
+    CONDITION_CONTRAINDICATIONS
+} = require('./contraindicationRules');
+
+/**
+ * Drug Interaction Checker
+ * Flags problems between medicines on one prescription using their compositions
+ * (med_details.med_composition_name_1..5 in medicine_db):
+ *
+ * 1. Duplicate salt - two medicines containing the same composition (e.g. two paracetamol brands)
+ * 2. Interaction - a known interacting composition or class pair (drugInteractionRules)
+ * 3. Class overlap - two different compositions from a class where that is duplicate therapy
+ *
+ * Medicines are resolved by drug_id where available, otherwise by parsing the
+ * medicine_salt text, otherwise by treating the name as a generic name.
+ *
+ * checkPatientContraindications applies the same resolution to a patient's recorded
+ * allergies (direct, class and cross-reactive matches) and conditions (contraindicationRules).
+ */
+
+const SEVERITY_RANK = {
+    [SEVERITY.CONTRAINDICATED]: 4,
+    [SEVERITY.MAJOR]: 3,
+    [SEVERITY.MODERATE]: 2,
+    [SEVERITY.MINOR]: 1
+};
+
+// Salt forms and pharmacopoeia suffixes that do not change the active ingredient
+const SALT_WORDS = new Set([
+    'hydrochloride', 'hcl', 'hydrobromide', 'sodium', 'potassium', 'calcium', 'magnesium',
+    'maleate', 'besylate', 'besilate', 'mesylate', 'mesilate', 'succinate', 'tartrate', 'fumarate',
+    'citrate', 'sulphate', 'sulfate', 'phosphate', 'acetate', 'gluconate', 'ascorbate', 'bisglycinate',
+    'trihydrate', 'dihydrate', 'monohydrate', 'hemihydrate', 'sesquihydrate', 'anhydrous',
+    'ip', 'bp', 'usp'
+]);
+
+// Units left behind once "500 mg" style strengths are split into words
+const STRENGTH_WORDS = new Set(['mg', 'mcg', 'g', 'ml', 'iu', '%', 'w/w', 'w/v', 'v/v']);
+
+// composition -> [class keys]
+const CLASS_INDEX = {};
+Object.entries(THERAPEUTIC_CLASSES).forEach(([classKey, therapeuticClass]) => {
+    therapeuticClass.members.forEach(member => {
+        CLASS_INDEX[member] = CLASS_INDEX[member] || [];
+        CLASS_INDEX[member].push(classKey);
+    });
+});
+
+// "nsaid", "nsaids", "statin", "statins", "proton pump inhibitors" ... -> class key
+const CLASS_NAME_INDEX = { ...ALLERGEN_CLASS_ALIASES };
+Object.entries(THERAPEUTIC_CLASSES).forEach(([classKey, therapeuticClass]) => {
+    const name = therapeuticClass.name.toLowerCase();
+    [classKey, name, name.replace(/s$/, '')].forEach(alias => {
+        CLASS_NAME_INDEX[alias] = CLASS_NAME_INDEX[alias] || classKey;
+    });
+});
+
+const CONDITION_RULE_DRUGS = Object.values(CONDITION_CONTRAINDICATIONS)
+    .flatMap(condition => condition.rules.map(rule => rule.drug));
+
+const KNOWN_COMPOSITIONS = new Set([
+    ...Object.keys(CLASS_INDEX),
+    ...Object.values(COMPOSITION_ALIASES),
+    ...[
+        ...INTERACTION_RULES.flatMap(rule => [rule.a, rule.b]),
+        ...CROSS_REACTIVITY.flatMap(rule => [rule.from, rule.to]),
+        ...CONDITION_RULE_DRUGS
+    ].filter(key => !key.startsWith('class:'))
+]);
+
+/**
+ * Normalize a composition name for comparison
+ * "Pantoprazole Sodium 40mg" -> "pantoprazole", "Amoxycillin (as trihydrate)" -> "amoxicillin"
+ * The first word is always kept, so "Potassium Chloride" stays "potassium chloride".
+ * @param {string} name - Composition name
+ * @returns {string} Normalized key ('' when nothing usable remains)
+ */
+function normalizeComposition(name) {
+    const words = String(name || '')
+        .toLowerCase()
+        .replace(/\([^)]*\)/g, ' ')
+        .replace(/[^a-z0-9.\s-]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !/^[\d.]/.test(word) && !STRENGTH_WORDS.has(word));
+
+    const kept = words.filter((word, index) => index === 0 || !SALT_WORDS.has(word));
+    const key = kept.join(' ').trim();
+    return COMPOSITION_ALIASES[key] || key;
+}
+
+/**
+ * Split free-text salt ("Amoxycillin 500mg + Clavulanic Acid 125mg") into composition names
+ * Strengths are dropped: ["Amoxycillin", "Clavulanic Acid"]
+ * @param {string} saltText - medicine_salt
+ * @returns {Array<string>} Composition names
+ */
+function parseSaltText(saltText) {
+    return String(saltText || '')
+        .split(/\s*\+\s*|,|;/)
+        .map(part => part
+            .split(/\s+/)
+            .filter(word => word && !/^[\d.]/.test(word) && !STRENGTH_WORDS.has(word.toLowerCase()))
+            .join(' '))
+        .filter(Boolean);
+}
+
+/**
+ * Composition names of medicines in medicine_db
+ * @param {Array<number>} drugIds - med_details.med_id values
+ * @returns {Promise<Map<number, Object>>} med_id -> { brandName, compositions }
+ */
+async function getCompositionsByDrugId(drugIds) {
+    const ids = [...new Set(drugIds.map(id => parseInt(id)).filter(id => id > 0))];
+    const byId = new Map();
+    if (ids.length === 0) return byId;
+
+    const { rows } = await medicinePool.query(
+        `SELECT med_id, med_brand_name,
+                med_composition_name_1, med_composition_name_2, med_composition_name_3,
+                med_composition_name_4, med_composition_name_5
+         FROM med_details
+         WHERE med_id = ANY($1::int[])`,
+        [ids]
+    );
+
+    rows.forEach(row => {
+        const compositions = [1, 2, 3, 4, 5]
+            .map(i => row[`med_composition_name_${i}`])
+            .filter(Boolean);
+        byId.set(row.med_id, { brandName: row.med_brand_name, compositions });
+    });
+    return byId;
+}
+
+/**
+ * Attach normalized compositions to each medicine
+ * @param {Array<Object>} medicines - [{ drug_id, medicine_name, medicine_salt, ... }]
+ * @returns {Promise<Array<Object>>} Medicines with { compositions: [{ name, key }], compositionSource }
+ */
+async function resolveCompositions(medicines) {
+    const byId = await getCompositionsByDrugId(medicines.map(med => med.drug_id).filter(Boolean));
+
+    return medicines.map(medicine => {
+        let names = [];
+        let source = null;
+
+        const fromDb = medicine.drug_id ? byId.get(parseInt(medicine.drug_id)) : null;
+        if (fromDb && fromDb.compositions.length > 0) {
+            names = fromDb.compositions;
+            source = 'medicine_db';
+        } else if (medicine.medicine_salt) {
+            names = parseSaltText(medicine.medicine_salt);
+            source = 'medicine_salt';
+        } else if (KNOWN_COMPOSITIONS.has(normalizeComposition(medicine.medicine_name))) {
+            // Prescribed by generic name
+            names = [medicine.medicine_name];
+            source = 'medicine_name';
+        }
+
+        const seen = new Set();
+        const compositions = names
+            .map(name => ({ name, key: normalizeComposition(name) }))
+            .filter(composition => composition.key && !seen.has(composition.key) && seen.add(composition.key));
+
+        return { ...medicine, compositions, compositionSource: source };
+    });
+}
+
+/**
+ * Whether a composition matches a rule side ("warfarin" or "class:nsaid")
+ * @param {string} key - Normalized composition
+ * @param {string} side - Rule side
+ * @returns {boolean}
+ */
+function matchesRuleSide(key, side) {
+    if (side.startsWith('class:')) {
+        return (CLASS_INDEX[key] || []).includes(side.slice(6));
+    }
+    return key === side;
+}
+
+/**
+ * Public description of a medicine in a finding
+ * @param {Object} medicine - Resolved medicine
+ * @returns {Object} { medicin_id, drug_id, medicine_name, existing }
+ */
+function describeMedicine(medicine) {
+    return {
+        medicin_id: medicine.medicin_id || null,
+        drug_id: medicine.drug_id || null,
+        medicine_name: medicine.medicine_name,
+        existing: !!medicine.existing
+    };
+}
+
+/**
+ * Findings between two medicines
+ * @param {Object} first - Resolved medicine
+ * @param {Object} second - Resolved medicine
+ * @returns {Array<Object>} Findings
+ */
+function comparePair(first, second) {
+    const findings = [];
+    const reported = new Set();
+    const medicines = [describeMedicine(first), describeMedicine(second)];
+    const add = (dedupeKey, finding) => {
+        if (reported.has(dedupeKey)) return;
+        reported.add(dedupeKey);
+        findings.push({ ...finding, medicines });
+    };
+
+    const sharedKeys = new Set();
+    first.compositions.forEach(a => {
+        second.compositions.forEach(b => {
+            if (a.key === b.key) {
+                sharedKeys.add(a.key);
+                add(`duplicate:${a.key}`, {
+                    type: 'duplicate_salt',
+                    severity: SEVERITY.MAJOR,
+                    compositions: [a.name, b.name],
+                    message: `${first.medicine_name} and ${second.medicine_name} both contain ${a.name}`
+                });
+            }
+        });
+    });
+
+    first.compositions.forEach(a => {
+        second.compositions.forEach(b => {
+            if (a.key === b.key) return;
+
+            INTERACTION_RULES.forEach((rule, index) => {
+                const forward = matchesRuleSide(a.key, rule.a) && matchesRuleSide(b.key, rule.b);
+                const reverse = matchesRuleSide(a.key, rule.b) && matchesRuleSide(b.key, rule.a);
+                if (!forward && !reverse) return;
+
+                add(`interaction:${index}`, {
+                    type: 'interaction',
+                    severity: rule.severity,
+                    compositions: [a.name, b.name],
+                    message: `${a.name} + ${b.name}: ${rule.effect}`
+                });
+            });
+
+            // Two different members of the same class, unless the salt itself is already duplicated
+            if (sharedKeys.has(a.key) || sharedKeys.has(b.key)) return;
+            (CLASS_INDEX[a.key] || [])
+                .filter(classKey => (CLASS_INDEX[b.key] || []).includes(classKey))
+                .forEach(classKey => {
+                    const therapeuticClass = THERAPEUTIC_CLASSES[classKey];
+                    if (!therapeuticClass.duplicateSeverity) return;
+
+                    add(`class:${classKey}`, {
+                        type: 'class_overlap',
+                        severity: therapeuticClass.duplicateSeverity,
+                        therapeuticClass: therapeuticClass.name,
+                        compositions: [a.name, b.name],
+                        message: `${first.medicine_name} and ${second.medicine_name} are both ${therapeuticClass.name} (${a.name}, ${b.name})`
+                    });
+                });
+        });
+    });
+
+    return findings;
+}
+
+/**
+ * Check candidate medicines against each other and against medicines already prescribed
+ * @param {Array<Object>} candidates - Medicines being added [{ drug_id, medicine_name, medicine_salt }]
+ * @param {Array<Object>} existing - Medicines already on the prescription
+ * @returns {Promise<Object>} { findings, highestSeverity, unresolved, checkedCount }
+ */
+async function checkInteractions(candidates, existing = []) {
+    const resolved = await resolveCompositions([
+        ...candidates.map(medicine => ({ ...medicine, existing: false })),
+        ...existing.map(medicine => ({ ...medicine, existing: true }))
+    ]);
+    const resolvedCandidates = resolved.slice(0, candidates.length);
+    const resolvedExisting = resolved.slice(candidates.length);
+
+    const findings = [];
+    resolvedCandidates.forEach((candidate, index) => {
+        resolvedCandidates.slice(index + 1).forEach(other => findings.push(...comparePair(candidate, other)));
+        resolvedExisting.forEach(other => findings.push(...comparePair(candidate, other)));
+    });
+
+    findings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+
+    return {
+        findings,
+        highestSeverity: findings.length > 0 ? findings[0].severity : null,
+        unresolved: resolved
+            .filter(medicine => medicine.compositions.length === 0)
+            .map(describeMedicine),
+        checkedCount: resolved.length
+    };
+}
+
+/**
+ * Resolve a recorded allergen to a composition or a whole class
+ * "Penicillin", "Sulfa drugs", "NSAIDs" -> class; "Amoxycillin" -> composition "amoxicillin"
+ * @param {string} allergen - Allergen as recorded
+ * @returns {Object} { key, classKey } (classKey null for a single composition)
+ */
+function resolveAllergen(allergen) {
+    const key = normalizeComposition(allergen);
+    return { key, classKey: CLASS_NAME_INDEX[key] || null };
+}
+
+/**
+ * Condition rule sets that apply to a recorded condition
+ * Matched on whole keywords in the condition name or on the ICD-10 code prefix.
+ * @param {Object} condition - { condition_name, icd10_code }
+ * @returns {Array<string>} Keys of CONDITION_CONTRAINDICATIONS
+ */
+function matchConditionKeys(condition) {
+    const name = ` ${String(condition.condition_name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+    const code = String(condition.icd10_code || '').toUpperCase().trim();
+
+    return Object.entries(CONDITION_CONTRAINDICATIONS)
+        .filter(([, entry]) => entry.keywords.some(keyword => name.includes(` ${keyword} `))
+            || (code && entry.icd10Prefixes.some(prefix => code.startsWith(prefix))))
+        .map(([conditionKey]) => conditionKey);
+}
+
+/**
+ * How an allergen will be checked, for display alongside the allergy record
+ * @param {string} allergen - Allergen as recorded
+ * @returns {Object} { class: class name or null, composition: normalized composition or null }
+ */
+function describeAllergen(allergen) {
+    const { key, classKey } = resolveAllergen(allergen);
+    return {
+        class: classKey ? THERAPEUTIC_CLASSES[classKey].name : null,
+        composition: classKey ? null : (key || null)
+    };
+}
+
+/**
+ * Names of the contraindication rule sets a condition is checked against
+ * @param {Object} condition - { condition_name, icd10_code }
+ * @returns {Array<string>} e.g. ["Pregnancy"]; empty when no rules apply
+ */
+function describeConditionRules(condition) {
+    return matchConditionKeys(condition).map(conditionKey => CONDITION_CONTRAINDICATIONS[conditionKey].name);
+}
+
+/**
+ * Check candidate medicines against a patient's allergies and conditions
+ * Direct or class allergy matches are contraindicated; cross-reactivity takes the rule's
+ * severity, raised to contraindicated after anaphylaxis. Contraindicated findings block.
+ * Only drug allergies (allergen_type 'drug') are checked.
+ * @param {Array<Object>} candidates - Medicines being added [{ drug_id, medicine_name, medicine_salt }]
+ * @param {Object} profile - { allergies: [{ allergy_id, allergen, allergen_type, severity, reaction }],
+ *   conditions: [{ condition_id, condition_name, icd10_code }] }
+ * @returns {Promise<Object>} { findings, blocked, highestSeverity, unresolved, checkedCount }
+ */
+async function checkPatientContraindications(candidates, profile = {}) {
+    const allergies = (profile.allergies || [])
+        .filter(allergy => !allergy.allergen_type || allergy.allergen_type === 'drug')
+        .map(allergy => ({ ...allergy, resolved: resolveAllergen(allergy.allergen) }))
+        .filter(allergy => allergy.resolved.key);
+    const conditions = (profile.conditions || [])
+        .map(condition => ({ ...condition, conditionKeys: matchConditionKeys(condition) }))
+        .filter(condition => condition.conditionKeys.length > 0);
+
+    const resolved = await resolveCompositions(candidates.map(medicine => ({ ...medicine, existing: false })));
+    const findings = [];
+
+    resolved.forEach(medicine => {
+        const describedMedicine = describeMedicine(medicine);
+
+        allergies.forEach(allergy => {
+            const { key, classKey } = allergy.resolved;
+            const allergyInfo = {
+                allergy_id: allergy.allergy_id,
+                allergen: allergy.allergen,
+                severity: allergy.severity || null,
+                reaction: allergy.reaction || null
+            };
+            let best = null;
+
+            medicine.compositions.forEach(composition => {
+                const direct = classKey
+                    ? (CLASS_INDEX[composition.key] || []).includes(classKey)
+                    : composition.key === key;
+
+                if (direct) {
+                    best = {
+                        type: 'allergy',
+                        severity: SEVERITY.CONTRAINDICATED,
+                        composition: composition.name,
+                        message: `Patient is allergic to ${allergy.allergen}; ${medicine.medicine_name} contains ${composition.name}`
+                    };
+                    return;
+                }
+
+                CROSS_REACTIVITY.forEach(rule => {
+                    const fromMatches = classKey ? rule.from === `class:${classKey}` : matchesRuleSide(key, rule.from);
+                    if (!fromMatches || !matchesRuleSide(composition.key, rule.to)) return;
+
+                    const severity = allergy.severity === 'anaphylaxis' && rule.severity === SEVERITY.MAJOR
+                        ? SEVERITY.CONTRAINDICATED
+                        : rule.severity;
+                    if (best && SEVERITY_RANK[best.severity] >= SEVERITY_RANK[severity]) return;
+
+                    best = {
+                        type: 'cross_reactivity',
+                        severity,
+                        composition: composition.name,
+                        message: `Patient is allergic to ${allergy.allergen}; ${composition.name} in ${medicine.medicine_name}: ${rule.effect}`
+                    };
+                });
+            });
+
+            if (best) {
+                findings.push({ ...best, medicine: describedMedicine, allergy: allergyInfo });
+            }
+        });
+
+        conditions.forEach(condition => {
+            condition.conditionKeys.forEach(conditionKey => {
+                CONDITION_CONTRAINDICATIONS[conditionKey].rules.forEach(rule => {
+                    const composition = medicine.compositions.find(item => matchesRuleSide(item.key, rule.drug));
+                    if (!composition) return;
+
+                    findings.push({
+                        type: 'condition',
+                        severity: rule.severity,
+                        composition: composition.name,
+                        message: `${composition.name} in ${medicine.medicine_name} with ${condition.condition_name}: ${rule.effect}`,
+                        medicine: describedMedicine,
+                        condition: {
+                            condition_id: condition.condition_id,
+                            condition_name: condition.condition_name,
+                            icd10_code: condition.icd10_code || null
+                        }
+                    });
+                });
+            });
+        });
+    });
+
+    findings.forEach(finding => {
+        finding.blocking = finding.severity === SEVERITY.CONTRAINDICATED;
+    });
+    findings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+
+    return {
+        findings,
+        blocked: findings.some(finding => finding.blocking),
+        highestSeverity: findings.length > 0 ? findings[0].severity : null,
+        unresolved: resolved
+            .filter(medicine => medicine.compositions.length === 0)
+            .map(describeMedicine),
+        checkedCount: resolved.length
+    };
+}
+
+/**
+ * Active medicines on an appointment's prescription
+ * @param {number} appointmentId - Appointment ID
+ * @returns {Promise<Array<Object>>} [{ medicin_id, medicine_name, medicine_salt, drug_id }]
+ */
+async function getAppointmentMedicines(appointmentId) {
+    const { rows } = await mainPool.query(
+        `SELECT pm.medicin_id, pm.medicine_name, pm.medicine_salt, pm.drug_id
+         FROM patient_medicine pm
+         INNER JOIN dr_appointment_details dad ON pm.prescription_id = dad.prescription_id
+         WHERE dad.appointment_id = $1
+             AND dad.is_active = 1
+             AND pm.is_active = 1`,
+        [appointmentId]
+    );
+    return rows;
+}
+
+module.exports = {
+    SEVERITY,
+    normalizeComposition,
+    parseSaltText,
+    resolveCompositions,
+    comparePair,
+    checkInteractions,
+    checkPatientContraindications,
+    describeAllergen,
+    describeConditionRules,
+    getAppointmentMedicines
+};
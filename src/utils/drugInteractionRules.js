@@ -0,0 +1,328 @@
+/**
+ * Drug Interaction Rules
+ * Curated knowledge used by drugInteractionChecker, keyed by normalized composition
+ * name (lowercase, salt form removed - see drugInteractionChecker.normalizeComposition).
+ *
+ * - COMPOSITION_ALIASES: spelling variants found in med_details -> canonical name
+ * - THERAPEUTIC_CLASSES: class members; duplicateSeverity flags two different members
+ *   on one prescription as duplicate therapy (null when combining members is normal practice)
+ * - INTERACTION_RULES: pairs of compositions or classes ("class:<key>") that interact
+ *
+ * Rules cover common, well-established interactions in Indian outpatient practice.
+ * They support the prescriber's judgement and are not an exhaustive compendium.
+ */
+
+const SEVERITY = {
+    CONTRAINDICATED: 'contraindicated',
+    MAJOR: 'major',
+    MODERATE: 'moderate',
+    MINOR: 'minor'
+};
+
+const COMPOSITION_ALIASES = {
+    'amoxycillin': 'amoxicillin',
+    'acetaminophen': 'paracetamol',
+    'acetylsalicylic acid': 'aspirin',
+    'potassium clavulanate': 'clavulanic acid',
+    'clavulanate potassium': 'clavulanic acid',
+    'clavulanate': 'clavulanic acid',
+    'frusemide': 'furosemide',
+    'albuterol': 'salbutamol',
+    'glyburide': 'glibenclamide',
+    'rifampin': 'rifampicin',
+    'thyroxine': 'levothyroxine',
+    'sodium valproate': 'valproate',
+    'valproic acid': 'valproate',
+    'divalproex': 'valproate',
+    'vitamin d3': 'cholecalciferol',
+    'ferrous': 'iron',
+    'ferric': 'iron',
+    'carbonyl iron': 'iron',
+    'nitroglycerin': 'glyceryl trinitrate',
+    'cephalexin': 'cefalexin',
+    'benzathine penicillin': 'benzathine benzylpenicillin',
+    'penicillin v': 'phenoxymethylpenicillin',
+    'sulphamethoxazole': 'sulfamethoxazole',
+    'sulphadiazine': 'sulfadiazine',
+    'sulphasalazine': 'sulfasalazine'
+};
+
+const THERAPEUTIC_CLASSES = {
+    nsaid: {
+        name: 'NSAIDs',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['ibuprofen', 'diclofenac', 'aceclofenac', 'naproxen', 'ketorolac', 'piroxicam', 'etoricoxib',
+            'celecoxib', 'mefenamic acid', 'nimesulide', 'indomethacin', 'etodolac', 'lornoxicam', 'flurbiprofen']
+    },
+    ppi: {
+        name: 'Proton pump inhibitors',
+        duplicateSeverity: SEVERITY.MODERATE,
+        members: ['omeprazole', 'esomeprazole', 'pantoprazole', 'rabeprazole', 'lansoprazole', 'dexlansoprazole']
+    },
+    h2_blocker: {
+        name: 'H2 blockers',
+        duplicateSeverity: SEVERITY.MODERATE,
+        members: ['ranitidine', 'famotidine', 'cimetidine']
+    },
+    statin: {
+        name: 'Statins',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['atorvastatin', 'rosuvastatin', 'simvastatin', 'pravastatin', 'pitavastatin', 'lovastatin']
+    },
+    ace_inhibitor: {
+        name: 'ACE inhibitors',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['enalapril', 'ramipril', 'lisinopril', 'perindopril', 'captopril']
+    },
+    arb: {
+        name: 'Angiotensin receptor blockers',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['losartan', 'telmisartan', 'olmesartan', 'valsartan', 'irbesartan', 'candesartan', 'azilsartan']
+    },
+    ssri: {
+        name: 'SSRIs',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['fluoxetine', 'sertraline', 'escitalopram', 'citalopram', 'paroxetine', 'fluvoxamine']
+    },
+    benzodiazepine: {
+        name: 'Benzodiazepines',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['alprazolam', 'clonazepam', 'lorazepam', 'diazepam', 'chlordiazepoxide', 'etizolam', 'clobazam', 'nitrazepam']
+    },
+    antihistamine: {
+        name: 'Antihistamines',
+        duplicateSeverity: SEVERITY.MODERATE,
+        members: ['cetirizine', 'levocetirizine', 'fexofenadine', 'loratadine', 'desloratadine', 'bilastine', 'ebastine',
+            'chlorpheniramine', 'diphenhydramine', 'hydroxyzine', 'promethazine', 'cyproheptadine']
+    },
+    macrolide: {
+        name: 'Macrolides',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['azithromycin', 'clarithromycin', 'erythromycin', 'roxithromycin']
+    },
+    fluoroquinolone: {
+        name: 'Fluoroquinolones',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['ciprofloxacin', 'levofloxacin', 'ofloxacin', 'moxifloxacin', 'norfloxacin']
+    },
+    tetracycline: {
+        name: 'Tetracyclines',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['doxycycline', 'minocycline', 'tetracycline']
+    },
+    penicillin: {
+        name: 'Penicillins',
+        duplicateSeverity: SEVERITY.MODERATE,
+        members: ['amoxicillin', 'ampicillin', 'cloxacillin', 'dicloxacillin', 'flucloxacillin', 'piperacillin',
+            'benzylpenicillin', 'benzathine benzylpenicillin', 'phenoxymethylpenicillin', 'penicillin']
+    },
+    cephalosporin: {
+        name: 'Cephalosporins',
+        duplicateSeverity: SEVERITY.MODERATE,
+        members: ['cefalexin', 'cefadroxil', 'cefuroxime', 'cefaclor', 'cefprozil', 'cefixime', 'cefpodoxime',
+            'cefdinir', 'ceftriaxone', 'cefotaxime', 'ceftazidime', 'cefoperazone', 'cefepime']
+    },
+    carbapenem: {
+        name: 'Carbapenems',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['meropenem', 'imipenem', 'ertapenem', 'doripenem', 'faropenem']
+    },
+    sulfonamide_antibiotic: {
+        name: 'Sulfonamide antibiotics',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['sulfamethoxazole', 'sulfadiazine', 'sulfadoxine', 'sulfasalazine']
+    },
+    sulfonylurea: {
+        name: 'Sulfonylureas',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['glimepiride', 'gliclazide', 'glibenclamide', 'glipizide']
+    },
+    anticoagulant: {
+        name: 'Anticoagulants',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['warfarin', 'acenocoumarol', 'apixaban', 'rivaroxaban', 'dabigatran', 'enoxaparin', 'heparin']
+    },
+    antiplatelet: {
+        name: 'Antiplatelets',
+        duplicateSeverity: null, // Dual antiplatelet therapy is deliberate
+        members: ['aspirin', 'clopidogrel', 'prasugrel', 'ticagrelor']
+    },
+    systemic_corticosteroid: {
+        name: 'Systemic corticosteroids',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['prednisolone', 'methylprednisolone', 'dexamethasone', 'deflazacort', 'betamethasone']
+    },
+    opioid: {
+        name: 'Opioids',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['tramadol', 'tapentadol', 'codeine', 'morphine', 'fentanyl']
+    },
+    potassium_sparing_diuretic: {
+        name: 'Potassium-sparing diuretics',
+        duplicateSeverity: SEVERITY.MODERATE,
+        members: ['spironolactone', 'eplerenone', 'amiloride']
+    },
+    nitrate: {
+        name: 'Nitrates',
+        duplicateSeverity: SEVERITY.MODERATE,
+        members: ['isosorbide mononitrate', 'isosorbide dinitrate', 'glyceryl trinitrate', 'nicorandil']
+    },
+    pde5_inhibitor: {
+        name: 'PDE5 inhibitors',
+        duplicateSeverity: SEVERITY.MAJOR,
+        members: ['sildenafil', 'tadalafil', 'vardenafil']
+    },
+    azole_antifungal: {
+        name: 'Azole antifungals',
+        duplicateSeverity: SEVERITY.MODERATE,
+        members: ['fluconazole', 'itraconazole', 'ketoconazole', 'voriconazole']
+    },
+    polyvalent_cation: {
+        name: 'Calcium, iron, zinc and antacid preparations',
+        duplicateSeverity: null,
+        members: ['calcium', 'calcium carbonate', 'iron', 'zinc', 'magnesium hydroxide',
+            'aluminium hydroxide', 'magnesium trisilicate', 'sucralfate']
+    }
+};
+
+const INTERACTION_RULES = [
+    {
+        a: 'class:anticoagulant', b: 'class:nsaid', severity: SEVERITY.MAJOR,
+        effect: 'Increased risk of serious bleeding'
+    },
+    {
+        a: 'class:anticoagulant', b: 'class:antiplatelet', severity: SEVERITY.MAJOR,
+        effect: 'Increased risk of bleeding; confirm the combination is intended'
+    },
+    {
+        a: 'warfarin', b: 'metronidazole', severity: SEVERITY.MAJOR,
+        effect: 'Metronidazole raises INR; monitor closely or choose an alternative'
+    },
+    {
+        a: 'warfarin', b: 'class:azole_antifungal', severity: SEVERITY.MAJOR,
+        effect: 'Azole antifungals raise INR and bleeding risk'
+    },
+    {
+        a: 'warfarin', b: 'clarithromycin', severity: SEVERITY.MAJOR,
+        effect: 'Clarithromycin raises INR and bleeding risk'
+    },
+    {
+        a: 'warfarin', b: 'amiodarone', severity: SEVERITY.MAJOR,
+        effect: 'Amiodarone raises INR; warfarin dose usually needs reduction'
+    },
+    {
+        a: 'class:nsaid', b: 'class:antiplatelet', severity: SEVERITY.MODERATE,
+        effect: 'Increased GI bleeding risk; NSAIDs may reduce the cardioprotective effect of aspirin'
+    },
+    {
+        a: 'class:nsaid', b: 'class:ace_inhibitor', severity: SEVERITY.MODERATE,
+        effect: 'Reduced antihypertensive effect and risk of acute kidney injury'
+    },
+    {
+        a: 'class:nsaid', b: 'class:arb', severity: SEVERITY.MODERATE,
+        effect: 'Reduced antihypertensive effect and risk of acute kidney injury'
+    },
+    {
+        a: 'class:nsaid', b: 'class:systemic_corticosteroid', severity: SEVERITY.MODERATE,
+        effect: 'Increased risk of GI ulceration and bleeding'
+    },
+    {
+        a: 'class:nsaid', b: 'methotrexate', severity: SEVERITY.MAJOR,
+        effect: 'Reduced methotrexate clearance and risk of toxicity'
+    },
+    {
+        a: 'class:nsaid', b: 'lithium', severity: SEVERITY.MAJOR,
+        effect: 'Raised lithium levels and risk of toxicity'
+    },
+    {
+        a: 'class:ace_inhibitor', b: 'class:arb', severity: SEVERITY.MAJOR,
+        effect: 'Dual RAAS blockade: hyperkalaemia, hypotension and renal impairment'
+    },
+    {
+        a: 'class:ace_inhibitor', b: 'class:potassium_sparing_diuretic', severity: SEVERITY.MAJOR,
+        effect: 'Risk of hyperkalaemia; monitor potassium'
+    },
+    {
+        a: 'class:arb', b: 'class:potassium_sparing_diuretic', severity: SEVERITY.MAJOR,
+        effect: 'Risk of hyperkalaemia; monitor potassium'
+    },
+    {
+        a: 'class:nitrate', b: 'class:pde5_inhibitor', severity: SEVERITY.CONTRAINDICATED,
+        effect: 'Severe, potentially fatal hypotension'
+    },
+    {
+        a: 'simvastatin', b: 'clarithromycin', severity: SEVERITY.CONTRAINDICATED,
+        effect: 'Greatly raised simvastatin levels; risk of rhabdomyolysis'
+    },
+    {
+        a: 'simvastatin', b: 'erythromycin', severity: SEVERITY.CONTRAINDICATED,
+        effect: 'Greatly raised simvastatin levels; risk of rhabdomyolysis'
+    },
+    {
+        a: 'atorvastatin', b: 'clarithromycin', severity: SEVERITY.MAJOR,
+        effect: 'Raised atorvastatin levels; risk of myopathy'
+    },
+    {
+        a: 'class:ssri', b: 'tramadol', severity: SEVERITY.MAJOR,
+        effect: 'Risk of serotonin syndrome and seizures'
+    },
+    {
+        a: 'class:benzodiazepine', b: 'class:opioid', severity: SEVERITY.MAJOR,
+        effect: 'Additive sedation and respiratory depression'
+    },
+    {
+        a: 'class:fluoroquinolone', b: 'class:polyvalent_cation', severity: SEVERITY.MODERATE,
+        effect: 'Reduced antibiotic absorption; give the antibiotic 2 hours before or 6 hours after'
+    },
+    {
+        a: 'class:tetracycline', b: 'class:polyvalent_cation', severity: SEVERITY.MODERATE,
+        effect: 'Reduced antibiotic absorption; separate doses by at least 2-3 hours'
+    },
+    {
+        a: 'levothyroxine', b: 'class:polyvalent_cation', severity: SEVERITY.MODERATE,
+        effect: 'Reduced levothyroxine absorption; separate doses by 4 hours'
+    },
+    {
+        a: 'class:fluoroquinolone', b: 'class:systemic_corticosteroid', severity: SEVERITY.MODERATE,
+        effect: 'Increased risk of tendon rupture'
+    },
+    {
+        a: 'class:fluoroquinolone', b: 'class:sulfonylurea', severity: SEVERITY.MODERATE,
+        effect: 'Risk of hypoglycaemia or hyperglycaemia; monitor blood glucose'
+    },
+    {
+        a: 'clopidogrel', b: 'omeprazole', severity: SEVERITY.MODERATE,
+        effect: 'Reduced antiplatelet effect of clopidogrel; prefer pantoprazole'
+    },
+    {
+        a: 'clopidogrel', b: 'esomeprazole', severity: SEVERITY.MODERATE,
+        effect: 'Reduced antiplatelet effect of clopidogrel; prefer pantoprazole'
+    },
+    {
+        a: 'domperidone', b: 'clarithromycin', severity: SEVERITY.CONTRAINDICATED,
+        effect: 'QT prolongation and risk of ventricular arrhythmia'
+    },
+    {
+        a: 'domperidone', b: 'erythromycin', severity: SEVERITY.CONTRAINDICATED,
+        effect: 'QT prolongation and risk of ventricular arrhythmia'
+    },
+    {
+        a: 'domperidone', b: 'class:azole_antifungal', severity: SEVERITY.CONTRAINDICATED,
+        effect: 'QT prolongation and risk of ventricular arrhythmia'
+    },
+    {
+        a: 'digoxin', b: 'amiodarone', severity: SEVERITY.MAJOR,
+        effect: 'Raised digoxin levels; digoxin dose usually needs halving'
+    },
+    {
+        a: 'methotrexate', b: 'trimethoprim', severity: SEVERITY.MAJOR,
+        effect: 'Additive antifolate effect; risk of bone marrow suppression'
+    }
+];
+
+module.exports = {
+    SEVERITY,
+    COMPOSITION_ALIASES,
+    THERAPEUTIC_CLASSES,
+    INTERACTION_RULES
+};
@@ -1,4 +1,8 @@
 const { medicinePool } = require('../config/multiDbConnection');
+const { normalizeComposition } = require('./drugInteractionChecker');
+const { parseStrength } = require('./dosageParser');
+const { mapWithConcurrency } = require('./concurrency');
+const medicineCache = require('./medicineCache');
 
 /**
  * Fuzzy Medicine Matcher Utility
@@ -9,6 +13,8 @@ const { medicinePool } = require('../config/multiDbConnection');
  * 4. Composition-based search
  * 5. Generic drug search
  * 
+ * Also finds equivalent brands (same compositions and strengths) for substitution.
+ * 
  * Features:
  * - OCR error tolerance (O↔0, I↔1, S↔5)
  * - Suffix removal (tablet, capsule, syrup, etc.)
@@ -29,6 +35,21 @@ const MEDICINE_SUFFIXES = [
     'mr', 'sr', 'xr', 'er', 'cr', 'la', 'xl', 'ds'
 ];
 
+// Manufacturer names used for Jan Aushadhi (PMBJP) products
+const JAN_AUSHADHI_PATTERN = /\b(jan\s*aushadhi|pmbjp|bppi|bureau of pharma)/i;
+
+// Medicines searched at the same time by batchFuzzySearch (each holds one medicinePool client)
+const BATCH_SEARCH_CONCURRENCY = parseInt(process.env.MEDICINE_BATCH_CONCURRENCY) || 5;
+
+// med_details columns read by formatMedicineResult
+const MEDICINE_COLUMNS = [
+    'med_id', 'med_brand_name', 'med_generic_id',
+    ...[1, 2, 3, 4, 5].flatMap(i => [
+        `med_composition_id_${i}`, `med_composition_name_${i}`, `med_composition_strength_${i}`, `med_composition_unit_${i}`
+    ]),
+    'med_price', 'med_manufacturer_name', 'med_pack_size', 'med_type', 'med_weightage'
+].map(column => `md.${column}`).join(', ');
+
 // OCR common error mappings
 const OCR_VARIATIONS = {
     'o': ['0', 'o'],
@@ -256,7 +277,7 @@ function buildDoseString(strength, unit) {
  * @returns {Object} Formatted medicine object
  */
 function formatMedicineResult(medicine) {
-    return {
+    const formatted = {
         med_drug_id: medicine.med_id,
         drug_name: medicine.med_brand_name,
         med_generic_id: medicine.med_generic_id,
@@ -311,8 +332,8 @@ function formatMedicineResult(medicine) {
             medicine.med_composition_unit_5
         ),
 
-        // Full composition string
-        composition: buildCompositionString(medicine),
+        // Full composition string (filled in from the composition fields above)
+        composition: null,
 
         // Other details
         mrp: medicine.med_price,
@@ -321,71 +342,68 @@ function formatMedicineResult(medicine) {
         med_type: medicine.med_type,
         med_weightage: medicine.med_weightage
     };
+
+    formatted.composition = buildCompositionString(formatted);
+    return formatted;
 }
 
 /**
- * Try exact match search
- * @param {Array<string>} variations - Name variations to try
- * @returns {Promise<Object|null>} Medicine result or null
+ * Exact brand name match for several medicines in one query
+ * Each medicine takes the first of its variations (in order) that names an active
+ * brand, as trying the variations one by one would.
+ * @param {Array<Array<string>>} variationLists - Name variations per medicine
+ * @returns {Promise<Array<Object|null>>} Result or null per medicine, in input order
  */
-async function tryExactMatch(variations) {
-    for (const variant of variations) {
-        try {
-            const query = `
-                SELECT 
-                    md.med_id,
-                    md.med_brand_name,
-                    md.med_generic_id,
-                    md.med_composition_id_1,
-                    md.med_composition_name_1,
-                    md.med_composition_strength_1,
-                    md.med_composition_unit_1,
-                    md.med_composition_id_2,
-                    md.med_composition_name_2,
-                    md.med_composition_strength_2,
-                    md.med_composition_unit_2,
-                    md.med_composition_id_3,
-                    md.med_composition_name_3,
-                    md.med_composition_strength_3,
-                    md.med_composition_unit_3,
-                    md.med_composition_id_4,
-                    md.med_composition_name_4,
-                    md.med_composition_strength_4,
-                    md.med_composition_unit_4,
-                    md.med_composition_id_5,
-                    md.med_composition_name_5,
-                    md.med_composition_strength_5,
-                    md.med_composition_unit_5,
-                    md.med_price,
-                    md.med_manufacturer_name,
-                    md.med_pack_size,
-                    md.med_type,
-                    md.med_weightage
-                FROM med_details md
-                WHERE md.is_active = 1 
-                    AND md.is_deactivated = 0
-                    AND LOWER(md.med_brand_name) = LOWER($1)
-                ORDER BY md.med_weightage DESC NULLS LAST
-                LIMIT 1
-            `;
+async function tryExactMatchBatch(variationLists) {
+    const terms = [];
+    const items = [];
+    const ranks = [];
+
+    variationLists.forEach((variations, item) => {
+        variations.forEach((variant, rank) => {
+            terms.push(variant.toLowerCase());
+            items.push(item);
+            ranks.push(rank);
+        });
+    });
 
-            const result = await medicinePool.query(query, [variant]);
+    const matches = new Array(variationLists.length).fill(null);
+    if (terms.length === 0) return matches;
 
-            if (result.rows.length > 0) {
-                return {
-                    success: true,
-                    match: formatMedicineResult(result.rows[0]),
-                    confidence: 1.0,
-                    matchType: 'exact',
-                    searchTerm: variant
-                };
-            }
-        } catch (error) {
-            console.error(`Error in exact match search for "${variant}":`, error.message);
+    try {
+        const result = await medicinePool.query(`
+            SELECT DISTINCT ON (t.item) t.item, t.rank, ${MEDICINE_COLUMNS}
+            FROM UNNEST($1::text[], $2::int[], $3::int[]) AS t(term, item, rank)
+            JOIN med_details md ON LOWER(md.med_brand_name) = t.term
+            WHERE md.is_active = 1
+                AND md.is_deactivated = 0
+            ORDER BY t.item, t.rank, md.med_weightage DESC NULLS LAST
+        `, [terms, items, ranks]);
+
+        for (const row of result.rows) {
+            matches[row.item] = {
+                success: true,
+                match: formatMedicineResult(row),
+                confidence: 1.0,
+                matchType: 'exact',
+                searchTerm: variationLists[row.item][row.rank]
+            };
         }
+    } catch (error) {
+        console.error('Error in exact match search:', error.message);
     }
 
-    return null;
+    return matches;
+}
+
+/**
+ * Try exact match search
+ * @param {Array<string>} variations - Name variations to try
+ * @returns {Promise<Object|null>} Medicine result or null
+ */
+async function tryExactMatch(variations) {
+    const [match] = await tryExactMatchBatch([variations]);
+    return match;
 }
 
 /**
@@ -631,22 +649,11 @@ async function tryCompositionSearch(salt, maxResults = 5) {
 }
 
 /**
- * Main fuzzy search function with multiple strategies
+ * Reject medicine names too short to search
  * @param {string} medicineName - Medicine name to search
- * @param {Object} options - Search options
- * @returns {Promise<Object>} Search result
+ * @returns {Object|null} Failed search result, or null when the name can be searched
  */
-async function fuzzySearchMedicine(medicineName, options = {}) {
-    const {
-        minSimilarity = 0.7,
-        maxResults = 5,
-        includeSalt = null,
-        preferExactMatch = true
-    } = options;
-
-    const startTime = Date.now();
-
-    // Input validation
+function validateMedicineName(medicineName) {
     if (!medicineName || typeof medicineName !== 'string' || medicineName.trim().length < 2) {
         return {
             success: false,
@@ -654,35 +661,47 @@ async function fuzzySearchMedicine(medicineName, options = {}) {
             confidence: 0
         };
     }
+    return null;
+}
 
-    console.log(`🔍 Fuzzy searching for: "${medicineName}"`);
-    if (includeSalt) {
-        console.log(`   With composition: "${includeSalt}"`);
-    }
-
-    // Step 1: Generate variations
-    const variations = generateMedicineNameVariations(medicineName);
-    console.log(`   Generated ${variations.length} name variations`);
-
-    // Step 2: Try exact match
-    if (preferExactMatch) {
-        console.log('   Trying exact match...');
-        const exactMatch = await tryExactMatch(variations);
+/**
+ * Parameters that decide a fuzzy search result, used as its cache lookup
+ * @param {string} medicineName - Medicine name to search
+ * @param {Object} options - Search options
+ * @returns {Object} Lookup for medicineCache
+ */
+function getFuzzyCacheLookup(medicineName, options) {
+    return {
+        name: medicineName,
+        salt: options.includeSalt || null,
+        minSimilarity: options.minSimilarity ?? 0.7,
+        maxResults: options.maxResults ?? 5,
+        preferExactMatch: options.preferExactMatch !== false
+    };
+}
 
-        if (exactMatch) {
-            const executionTime = Date.now() - startTime;
-            console.log(`✅ Found exact match in ${executionTime}ms`);
-            return exactMatch;
-        }
-    }
+/**
+ * Search strategies after the exact match: fuzzy LIKE, then composition
+ * @param {string} medicineName - Medicine name to search (for logging)
+ * @param {Array<string>} variations - Name variations
+ * @param {Object} options - { minSimilarity, maxResults, includeSalt }
+ * @param {number} startTime - When the search started (for logging)
+ * @returns {Promise<Object>} Search result
+ */
+async function searchBeyondExactMatch(medicineName, variations, options, startTime) {
+    const {
+        minSimilarity = 0.7,
+        maxResults = 5,
+        includeSalt = null
+    } = options;
 
     // Step 3: Try fuzzy LIKE search
-    console.log('   Trying fuzzy LIKE search...');
+    console.log(`   Trying fuzzy LIKE search for "${medicineName}"...`);
     const fuzzyResults = await tryFuzzyLikeSearch(variations, maxResults);
 
     // Step 4: Try composition-based search (if provided and no results yet)
     if (includeSalt && fuzzyResults.length === 0) {
-        console.log('   Trying composition-based search...');
+        console.log(`   Trying composition-based search with "${includeSalt}"...`);
         const compositionResults = await tryCompositionSearch(includeSalt, maxResults);
         fuzzyResults.push(...compositionResults);
     }
@@ -705,7 +724,7 @@ async function fuzzySearchMedicine(medicineName, options = {}) {
         // Check if similarity meets threshold
         if (bestMatch.similarity >= minSimilarity) {
             const executionTime = Date.now() - startTime;
-            console.log(`✅ Found fuzzy match in ${executionTime}ms (similarity: ${bestMatch.similarity.toFixed(2)})`);
+            console.log(`✅ Found fuzzy match for "${medicineName}" in ${executionTime}ms (similarity: ${bestMatch.similarity.toFixed(2)})`);
 
             return {
                 success: true,
@@ -719,7 +738,7 @@ async function fuzzySearchMedicine(medicineName, options = {}) {
 
     // No match found
     const executionTime = Date.now() - startTime;
-    console.log(`❌ No match found in ${executionTime}ms`);
+    console.log(`❌ No match found for "${medicineName}" in ${executionTime}ms`);
 
     return {
         success: false,
@@ -728,41 +747,173 @@ async function fuzzySearchMedicine(medicineName, options = {}) {
     };
 }
 
+/**
+ * Main fuzzy search function with multiple strategies
+ * Matches are cached (medicineCache "fuzzy" namespace); misses always reach the database.
+ * @param {string} medicineName - Medicine name to search
+ * @param {Object} options - Search options
+ * @returns {Promise<Object>} Search result
+ */
+async function fuzzySearchMedicine(medicineName, options = {}) {
+    // Input validation
+    const invalid = validateMedicineName(medicineName);
+    if (invalid) return invalid;
+
+    return medicineCache.readThrough(
+        'fuzzy',
+        getFuzzyCacheLookup(medicineName, options),
+        { shouldCache: result => result.success },
+        () => searchWithStrategies(medicineName, options)
+    );
+}
+
+/**
+ * Run the search strategies in order for a valid medicine name
+ * @param {string} medicineName - Medicine name to search
+ * @param {Object} options - Search options
+ * @returns {Promise<Object>} Search result
+ */
+async function searchWithStrategies(medicineName, options) {
+    const {
+        includeSalt = null,
+        preferExactMatch = true
+    } = options;
+
+    const startTime = Date.now();
+
+    console.log(`🔍 Fuzzy searching for: "${medicineName}"`);
+    if (includeSalt) {
+        console.log(`   With composition: "${includeSalt}"`);
+    }
+
+    // Step 1: Generate variations
+    const variations = generateMedicineNameVariations(medicineName);
+    console.log(`   Generated ${variations.length} name variations`);
+
+    // Step 2: Try exact match
+    if (preferExactMatch) {
+        console.log('   Trying exact match...');
+        const exactMatch = await tryExactMatch(variations);
+
+        if (exactMatch) {
+            const executionTime = Date.now() - startTime;
+            console.log(`✅ Found exact match in ${executionTime}ms`);
+            return exactMatch;
+        }
+    }
+
+    return searchBeyondExactMatch(medicineName, variations, options, startTime);
+}
+
 /**
  * Batch fuzzy search for multiple medicines
+ * Identical inputs (same name and salt, ignoring case and spacing) are searched once.
+ * Cached matches are used first; exact brand matches for the remaining medicines come
+ * from a single query, and the rest go through the fuzzy strategies
+ * BATCH_SEARCH_CONCURRENCY at a time. New matches are cached as fuzzySearchMedicine does.
  * @param {Array} medicines - Array of {medicine_name, medicine_salt}
  * @param {Object} options - Search options
- * @returns {Promise<Array>} Array of search results
+ * @returns {Promise<Array>} Array of { original, searchResult, index, executionTimeMs, duplicateOf }
+ *   in input order; duplicateOf is the index of the earlier identical input (null if none)
  */
 async function batchFuzzySearch(medicines, options = {}) {
     if (!Array.isArray(medicines) || medicines.length === 0) {
         return [];
     }
 
+    const { preferExactMatch = true } = options;
+
     console.log(`🔍 Starting batch fuzzy search for ${medicines.length} medicines...`);
     const startTime = Date.now();
 
-    const results = [];
+    // One search per distinct name + salt
+    const searches = [];
+    const searchIndexByKey = new Map();
+    const searchIndexes = medicines.map((medicine, index) => {
+        const key = [medicine.medicine_name, medicine.medicine_salt]
+            .map(value => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim())
+            .join('|');
+
+        if (!searchIndexByKey.has(key)) {
+            searchIndexByKey.set(key, searches.length);
+            searches.push({ medicine, firstIndex: index, result: null, executionTimeMs: 0 });
+        }
+        return searchIndexByKey.get(key);
+    });
+
+    let pending = [];
+    for (const search of searches) {
+        search.result = validateMedicineName(search.medicine.medicine_name);
+        if (!search.result) {
+            search.cacheLookup = getFuzzyCacheLookup(search.medicine.medicine_name, {
+                ...options,
+                includeSalt: search.medicine.medicine_salt
+            });
+            pending.push(search);
+        }
+    }
 
-    for (let i = 0; i < medicines.length; i++) {
-        const medicine = medicines[i];
+    const cacheStartTime = Date.now();
+    const cachedResults = await Promise.all(
+        pending.map(search => medicineCache.getCached('fuzzy', search.cacheLookup))
+    );
+    const cacheTime = Date.now() - cacheStartTime;
+
+    pending.forEach((search, i) => {
+        search.result = cachedResults[i];
+        search.executionTimeMs = cacheTime;
+    });
+    const searchable = pending.length;
+    pending = pending.filter(search => !search.result);
+    pending.forEach(search => {
+        search.variations = generateMedicineNameVariations(search.medicine.medicine_name);
+    });
+
+    console.log(`   ${searches.length} distinct medicine(s), ${searchable - pending.length} cached, ${pending.length} to search`);
+    const searched = pending;
+
+    if (preferExactMatch && pending.length > 0) {
+        const exactStartTime = Date.now();
+        const exactMatches = await tryExactMatchBatch(pending.map(search => search.variations));
+        const exactTime = Date.now() - exactStartTime;
+
+        pending.forEach((search, i) => {
+            search.result = exactMatches[i];
+            search.executionTimeMs += exactTime;
+        });
+        pending = pending.filter(search => !search.result);
 
-        console.log(`\n[${i + 1}/${medicines.length}] Searching: ${medicine.medicine_name}`);
+        console.log(`   Exact matches: ${exactMatches.filter(Boolean).length} in ${exactTime}ms`);
+    }
 
-        const searchResult = await fuzzySearchMedicine(
-            medicine.medicine_name,
+    await mapWithConcurrency(pending, BATCH_SEARCH_CONCURRENCY, async search => {
+        const searchStartTime = Date.now();
+        search.result = await searchBeyondExactMatch(
+            search.medicine.medicine_name,
+            search.variations,
             {
                 ...options,
-                includeSalt: medicine.medicine_salt
-            }
+                includeSalt: search.medicine.medicine_salt
+            },
+            searchStartTime
         );
+        search.executionTimeMs += Date.now() - searchStartTime;
+    });
+
+    searched
+        .filter(search => search.result.success)
+        .forEach(search => medicineCache.setCached('fuzzy', search.cacheLookup, search.result, medicineCache.TTL_SECONDS.search));
 
-        results.push({
+    const results = medicines.map((medicine, index) => {
+        const search = searches[searchIndexes[index]];
+        return {
             original: medicine,
-            searchResult: searchResult,
-            index: i
-        });
-    }
+            searchResult: search.result,
+            index,
+            executionTimeMs: search.executionTimeMs,
+            duplicateOf: search.firstIndex === index ? null : search.firstIndex
+        };
+    });
 
     const executionTime = Date.now() - startTime;
     const successCount = results.filter(r => r.searchResult.success).length;
@@ -773,13 +924,214 @@ async function batchFuzzySearch(medicines, options = {}) {
     return results;
 }
 
+/**
+ * Comparable key for each composition of a formatted medicine, sorted
+ * Names go through normalizeComposition (so Amoxycillin and Amoxicillin match) and
+ * strengths are compared in mg where possible ("0.5 g" = "500 mg").
+ * @param {Object} medicine - Result of formatMedicineResult
+ * @returns {Array<string>} Keys such as "amoxicillin:500mg", "paracetamol:250mg/5ml"
+ */
+function getCompositionKeys(medicine) {
+    const keys = [];
+
+    for (let i = 1; i <= 5; i++) {
+        const name = normalizeComposition(medicine[`composition${i}_name`]);
+        if (!name) continue;
+
+        const strength = medicine[`composition${i}_strength`];
+        const unit = medicine[`composition${i}_unit`];
+        const parsed = parseStrength(strength, unit);
+        const dose = parsed
+            ? `${Math.round(parsed.mg * 1000) / 1000}mg${parsed.perUnit ? `/${parsed.perQuantity}${parsed.perUnit}` : ''}`
+            : `${strength ?? ''}${unit ?? ''}`.toLowerCase().replace(/\s+/g, '');
+        keys.push(`${name}:${dose}`);
+    }
+
+    return keys.sort();
+}
+
+/**
+ * Whether a medicine is a Jan Aushadhi (PMBJP) product or sold under its generic name
+ * @param {Object} medicine - Result of formatMedicineResult
+ * @returns {Object} { is_jan_aushadhi, is_generic } (Jan Aushadhi products count as generic)
+ */
+function getGenericFlags(medicine) {
+    const isJanAushadhi = JAN_AUSHADHI_PATTERN.test(medicine.manufacturer || '');
+    const firstComposition = normalizeComposition(medicine.composition1_name);
+    const brand = normalizeComposition(removeSuffixes(medicine.drug_name || ''));
+
+    return {
+        is_jan_aushadhi: isJanAushadhi,
+        is_generic: isJanAushadhi || Boolean(firstComposition && brand.startsWith(firstComposition))
+    };
+}
+
+/**
+ * Number of units in a pack ("strip of 10 tablets" -> 10, "60 ml" -> 60)
+ * @param {string} packSize - med_pack_size
+ * @returns {number|null} Units or null when the pack size has no number
+ */
+function getPackQuantity(packSize) {
+    const match = String(packSize || '').match(/(\d+(?:\.\d+)?)/);
+    const quantity = match ? parseFloat(match[1]) : null;
+    return quantity > 0 ? quantity : null;
+}
+
+/**
+ * Price per unit (tablet, ml, ...) so different pack sizes compare fairly
+ * @param {Object} medicine - Result of formatMedicineResult
+ * @returns {number|null} Unit price or null without price / pack size
+ */
+function getUnitPrice(medicine) {
+    const price = parseFloat(medicine.mrp);
+    const quantity = getPackQuantity(medicine.pack_size);
+    if (!(price > 0) || !quantity) return null;
+    return Math.round((price / quantity) * 100) / 100;
+}
+
+/**
+ * SQL condition: composition slot k holds a composition starting with the name prefix
+ * and, when mgParam is given, of that strength in mg. The strength is read the way
+ * parseStrength reads it: strength and unit concatenated, e.g. "0.5 g" or "250mg/5ml".
+ * @param {number} k - Slot 1-5
+ * @param {string} prefixParam - Placeholder of the LIKE pattern, e.g. "$3"
+ * @param {string|null} mgParam - Placeholder of the strength in mg, or null to match the name only
+ * @returns {string} SQL condition
+ */
+function compositionSlotCondition(k, prefixParam, mgParam) {
+    const nameCondition = `LOWER(md.med_composition_name_${k}) LIKE ${prefixParam}`;
+    if (!mgParam) return nameCondition;
+
+    const text = `LOWER(REPLACE(COALESCE(md.med_composition_strength_${k}::text, '') || COALESCE(md.med_composition_unit_${k}, ''), ' ', ''))`;
+    const mg = `substring(${text} from '^(\\d*\\.?\\d+)')::numeric
+                * CASE substring(${text} from '^\\d*\\.?\\d+(mcg|µg|mg|gm|g)')
+                    WHEN 'mg' THEN 1 WHEN 'g' THEN 1000 WHEN 'gm' THEN 1000 WHEN 'mcg' THEN 0.001 WHEN 'µg' THEN 0.001
+                  END`;
+    return `(${nameCondition} AND ROUND(${mg}, 3) = ${mgParam})`;
+}
+
+/**
+ * Brands with the same compositions at the same strengths (and the same dosage form)
+ * as a medicine, cheapest per unit first, then by med_weightage
+ * Compositions and strengths are filtered in SQL so every equivalent brand is read;
+ * the normalized composition keys then confirm exact equivalence.
+ * @param {number} medicineId - med_details.med_id
+ * @param {Object} options - { filter: 'generic' | 'jan_aushadhi' | null, limit }
+ * @returns {Promise<Object|null>} { medicine, alternatives, totalEquivalent } or null when the medicine is not found
+ */
+async function findAlternatives(medicineId, options = {}) {
+    const { filter = null, limit = 20 } = options;
+
+    const sourceResult = await medicinePool.query(`
+        SELECT ${MEDICINE_COLUMNS}
+        FROM med_details md
+        WHERE md.med_id = $1
+            AND md.is_active = 1
+            AND md.is_deactivated = 0
+    `, [medicineId]);
+
+    if (sourceResult.rows.length === 0) return null;
+
+    const source = formatMedicineResult(sourceResult.rows[0]);
+    const sourceKeys = getCompositionKeys(source);
+    const sourceUnitPrice = getUnitPrice(source);
+    const described = {
+        ...source,
+        ...getGenericFlags(source),
+        unit_price: sourceUnitPrice
+    };
+
+    if (sourceKeys.length === 0) {
+        return { medicine: described, alternatives: [], totalEquivalent: 0 };
+    }
+
+    // Every source composition must appear in some slot with the same strength; a 4-letter
+    // prefix keeps spelling variants (Amoxycillin / Amoxicillin) for the exact check below
+    const params = [medicineId, source.med_type || null, sourceKeys.length];
+    const compositionConditions = [];
+    for (let i = 1; i <= 5; i++) {
+        const name = String(source[`composition${i}_name`] || '').trim().toLowerCase();
+        if (!name) continue;
+
+        params.push(`${name.slice(0, 4)}%`);
+        const prefixParam = `$${params.length}`;
+        const parsed = parseStrength(source[`composition${i}_strength`], source[`composition${i}_unit`]);
+        let mgParam = null;
+        if (parsed) {
+            params.push(Math.round(parsed.mg * 1000) / 1000);
+            mgParam = `$${params.length}`;
+        }
+
+        const slots = [1, 2, 3, 4, 5].map(k => compositionSlotCondition(k, prefixParam, mgParam));
+        compositionConditions.push(`AND (\n                ${slots.join('\n                OR ')}\n            )`);
+    }
+
+    const candidateResult = await medicinePool.query(`
+        SELECT ${MEDICINE_COLUMNS}
+        FROM med_details md
+        WHERE md.is_active = 1
+            AND md.is_deactivated = 0
+            AND md.med_id <> $1
+            AND ($2::text IS NULL OR LOWER(md.med_type) = LOWER($2))
+            AND (
+                (CASE WHEN COALESCE(TRIM(md.med_composition_name_1), '') <> '' THEN 1 ELSE 0 END)
+                + (CASE WHEN COALESCE(TRIM(md.med_composition_name_2), '') <> '' THEN 1 ELSE 0 END)
+                + (CASE WHEN COALESCE(TRIM(md.med_composition_name_3), '') <> '' THEN 1 ELSE 0 END)
+                + (CASE WHEN COALESCE(TRIM(md.med_composition_name_4), '') <> '' THEN 1 ELSE 0 END)
+                + (CASE WHEN COALESCE(TRIM(md.med_composition_name_5), '') <> '' THEN 1 ELSE 0 END)
+            ) = $3
+            ${compositionConditions.join('\n            ')}
+        ORDER BY md.med_price ASC NULLS LAST
+    `, params);
+
+    const sourceKey = sourceKeys.join('+');
+    const equivalent = candidateResult.rows
+        .map(formatMedicineResult)
+        .filter(medicine => getCompositionKeys(medicine).join('+') === sourceKey)
+        .map(medicine => {
+            const unitPrice = getUnitPrice(medicine);
+            return {
+                ...medicine,
+                ...getGenericFlags(medicine),
+                unit_price: unitPrice,
+                savings_percent: unitPrice !== null && sourceUnitPrice
+                    ? Math.round(((sourceUnitPrice - unitPrice) / sourceUnitPrice) * 100)
+                    : null
+            };
+        });
+
+    const filtered = equivalent.filter(medicine => {
+        if (filter === 'jan_aushadhi') return medicine.is_jan_aushadhi;
+        if (filter === 'generic') return medicine.is_generic;
+        return true;
+    });
+
+    // Unit price only, so pack sizes never mix into the order; brands without one go last
+    filtered.sort((a, b) => {
+        if (a.unit_price !== b.unit_price) {
+            if (a.unit_price === null) return 1;
+            if (b.unit_price === null) return -1;
+            return a.unit_price - b.unit_price;
+        }
+        return (b.med_weightage || 0) - (a.med_weightage || 0) || a.med_drug_id - b.med_drug_id;
+    });
+
+    return {
+        medicine: described,
+        alternatives: filtered.slice(0, limit),
+        totalEquivalent: filtered.length
+    };
+}
+
 module.exports = {
     fuzzySearchMedicine,
     batchFuzzySearch,
+    findAlternatives,
     generateMedicineNameVariations,
     extractStrengthFromName,
     calculateSimilarity,
     formatMedicineResult,
     buildCompositionString,
-    buildDoseString
+    buildDoseString,
+    MEDICINE_COLUMNS
 };
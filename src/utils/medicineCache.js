@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const redisClient = require('../config/redisConnection');
+const redisRouter = require('./redisRouter');
+
+/**
+ * Medicine Cache
+ * Read-through Redis cache for medicine_db lookups. Redis being unavailable never
+ * fails a lookup: reads miss and writes are skipped, so the database answers.
+ *
+ * Keys are medicine_cache:<namespace>:<lookup>, where the lookup parameters are
+ * normalized (text lowercased, whitespace collapsed, empty values dropped) so
+ * "Dolo  650" and "dolo 650" share an entry:
+ * - fuzzy   fuzzySearchMedicine / batchFuzzySearch matches (misses are not cached)
+ * - search  medicineSearchService.searchMedicines results
+ * - detail  medicineSearchService.getMedicineById results, keyed by med_id
+ *
+ * Configuration:
+ * - MEDICINE_CACHE_ENABLED               "false" turns the cache off (default on)
+ * - MEDICINE_CACHE_TTL_SECONDS           searches and matches (default 3600)
+ * - MEDICINE_CACHE_DETAIL_TTL_SECONDS    medicine details (default 86400)
+ * - MEDICINE_CACHE_PERSONAL_TTL_SECONDS  searches ranked by a doctor's history (default 600)
+ */
+
+const KEY_PREFIX = 'medicine_cache:';
+
+const NAMESPACES = ['fuzzy', 'search', 'detail'];
+
+const TTL_SECONDS = {
+    search: parseInt(process.env.MEDICINE_CACHE_TTL_SECONDS) || 60 * 60,
+    detail: parseInt(process.env.MEDICINE_CACHE_DETAIL_TTL_SECONDS) || 24 * 60 * 60,
+    personal: parseInt(process.env.MEDICINE_CACHE_PERSONAL_TTL_SECONDS) || 10 * 60
+};
+
+// Keys requested per SCAN call when invalidating
+const SCAN_COUNT = 500;
+
+// Counters since process start, reported by the admin status route
+const stats = {
+    hits: 0,
+    misses: 0,
+    errors: 0
+};
+
+/**
+ * Whether lookups go through Redis right now
+ * @returns {boolean}
+ */
+function isEnabled() {
+    return process.env.MEDICINE_CACHE_ENABLED !== 'false' && redisRouter.isRedisConnected();
+}
+
+/**
+ * Normalize one lookup parameter
+ * @param {any} value - Lookup parameter
+ * @returns {any} Lowercased single-spaced text, other values unchanged, null when empty
+ */
+function normalizeKeyPart(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'string') {
+        return value.toLowerCase().replace(/\s+/g, ' ').trim() || null;
+    }
+    return value;
+}
+
+/**
+ * Cache key for a lookup
+ * @param {string} namespace - One of NAMESPACES
+ * @param {Object|string|number} lookup - An id, or the lookup parameters
+ * @returns {string} Redis key
+ */
+function buildKey(namespace, lookup) {
+    if (lookup === null || typeof lookup !== 'object') {
+        return `${KEY_PREFIX}${namespace}:${normalizeKeyPart(String(lookup))}`;
+    }
+
+    const normalized = Object.keys(lookup)
+        .sort()
+        .map(name => [name, normalizeKeyPart(lookup[name])])
+        .filter(([, value]) => value !== null);
+    const digest = crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex');
+
+    return `${KEY_PREFIX}${namespace}:${digest}`;
+}
+
+/**
+ * Cached value for a lookup
+ * @param {string} namespace - One of NAMESPACES
+ * @param {Object|string|number} lookup - An id, or the lookup parameters
+ * @returns {Promise<any>} Cached value, or null on a miss or when Redis is unavailable
+ */
+async function getCached(namespace, lookup) {
+    if (!isEnabled()) return null;
+
+    try {
+        const value = await redisRouter.getFromRedis(buildKey(namespace, lookup));
+        if (value === null) {
+            stats.misses++;
+        } else {
+            stats.hits++;
+        }
+        return value;
+    } catch (error) {
+        stats.errors++;
+        return null;
+    }
+}
+
+/**
+ * Store a value for a lookup (errors are counted, not thrown)
+ * @param {string} namespace - One of NAMESPACES
+ * @param {Object|string|number} lookup - An id, or the lookup parameters
+ * @param {any} value - JSON-serializable value
+ * @param {number} ttlSeconds - Expiry
+ */
+async function setCached(namespace, lookup, value, ttlSeconds) {
+    if (!isEnabled()) return;
+
+    try {
+        await redisRouter.setToRedis(buildKey(namespace, lookup), value, ttlSeconds);
+    } catch (error) {
+        stats.errors++;
+    }
+}
+
+/**
+ * Return the cached value, or load it and cache it
+ * @param {string} namespace - One of NAMESPACES
+ * @param {Object|string|number} lookup - An id, or the lookup parameters
+ * @param {Object} options - { ttlSeconds, shouldCache(value) -> boolean }
+ * @param {Function} load - Async function returning the value from the database
+ * @returns {Promise<any>} Value
+ */
+async function readThrough(namespace, lookup, options, load) {
+    const { ttlSeconds = TTL_SECONDS.search, shouldCache = () => true } = options;
+
+    const cached = await getCached(namespace, lookup);
+    if (cached !== null) return cached;
+
+    const value = await load();
+    if (shouldCache(value)) {
+        // Not awaited: the response does not wait for the write
+        setCached(namespace, lookup, value, ttlSeconds);
+    }
+    return value;
+}
+
+/**
+ * Delete cached entries
+ * A medicine ID only removes its detail entry; searches that returned it expire with
+ * their TTL unless the search and fuzzy namespaces are invalidated too.
+ * @param {Object} options - { namespace, medicineId } (neither: everything)
+ * @returns {Promise<Object>} { deleted, namespaces }
+ */
+async function invalidate(options = {}) {
+    const { namespace = null, medicineId = null } = options;
+
+    if (!redisRouter.isRedisConnected()) {
+        throw new Error('Redis not connected');
+    }
+
+    if (medicineId !== null) {
+        const deleted = await redisClient.unlink(buildKey('detail', medicineId));
+        return { deleted, namespaces: ['detail'] };
+    }
+
+    const namespaces = namespace ? [namespace] : NAMESPACES;
+    let deleted = 0;
+
+    for (const name of namespaces) {
+        for await (const keys of redisClient.scanIterator({ MATCH: `${KEY_PREFIX}${name}:*`, COUNT: SCAN_COUNT })) {
+            if (keys.length > 0) {
+                deleted += await redisClient.unlink(keys);
+            }
+        }
+    }
+
+    console.log(`🧹 Medicine cache invalidated: ${deleted} key(s) in ${namespaces.join(', ')}`);
+
+    return { deleted, namespaces };
+}
+
+/**
+ * Cache configuration and counters
+ * @returns {Object} { enabled, connected, ttlSeconds, hits, misses, errors, hitRate }
+ */
+function getCacheStatus() {
+    const lookups = stats.hits + stats.misses;
+    return {
+        enabled: process.env.MEDICINE_CACHE_ENABLED !== 'false',
+        connected: redisRouter.isRedisConnected(),
+        ttlSeconds: { ...TTL_SECONDS },
+        ...stats,
+        hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null
+    };
+}
+
+module.exports = {
+    NAMESPACES,
+    TTL_SECONDS,
+    buildKey,
+    getCached,
+    setCached,
+    readThrough,
+    invalidate,
+    getCacheStatus
+};
@@ -0,0 +1,277 @@
+/**
+ * Medicine Catalogue File
+ * Reads medicine catalogue files (CSV or JSON) and validates their rows for import
+ * into medicine_db med_details.
+ *
+ * Columns use the med_details names (med_brand_name, med_manufacturer_name,
+ * med_composition_name_1, ...). A CSV has a header row; a JSON file is an array of
+ * objects or { "medicines": [...] }. Only the columns present in the file are
+ * imported, so a file without med_weightage leaves existing weightages alone.
+ */
+
+const COMPOSITION_INDEXES = [1, 2, 3, 4, 5];
+
+// Importable med_details columns and how their values are read
+const CATALOGUE_FIELDS = {
+    med_brand_name: { type: 'text', required: true, maxLength: 255 },
+    med_manufacturer_name: { type: 'text', required: true, maxLength: 255 },
+    med_generic_id: { type: 'integer' },
+    ...Object.fromEntries(COMPOSITION_INDEXES.flatMap(i => [
+        [`med_composition_id_${i}`, { type: 'integer' }],
+        [`med_composition_name_${i}`, { type: 'text', maxLength: 255 }],
+        [`med_composition_strength_${i}`, { type: 'text', maxLength: 50 }],
+        [`med_composition_unit_${i}`, { type: 'text', maxLength: 50 }]
+    ])),
+    med_price: { type: 'number' },
+    med_pack_size: { type: 'text', maxLength: 255 },
+    med_type: { type: 'text', maxLength: 100 },
+    med_weightage: { type: 'number' }
+};
+
+const MAX_ROWS = 500000;
+
+// Errors reported before validation stops listing them
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Records
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Blank lines carry no row
+    return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read catalogue rows from file content
+ * @param {string|Buffer} content - File content
+ * @param {string} format - "csv" or "json"
+ * @returns {Object} { rows, columns, firstRowNumber } - rows as objects keyed by column;
+ *   firstRowNumber is how the file numbers its first row (2 in a CSV, after the header)
+ */
+function parseCatalogueFile(content, format) {
+    const text = String(content).replace(/^﻿/, '');
+    let rows;
+
+    if (format === 'json') {
+        const parsed = JSON.parse(text);
+        rows = Array.isArray(parsed) ? parsed : parsed?.medicines;
+        if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+            throw new Error('JSON catalogue must be an array of objects or { "medicines": [...] }');
+        }
+    } else if (format === 'csv') {
+        const [header, ...records] = parseCsv(text);
+        if (!header) {
+            throw new Error('CSV catalogue is empty');
+        }
+        const names = header.map(name => name.trim());
+        rows = records.map(values => Object.fromEntries(names.map((name, i) => [name, values[i] ?? ''])));
+    } else {
+        throw new Error(`Unsupported catalogue format "${format}" (use csv or json)`);
+    }
+
+    if (rows.length > MAX_ROWS) {
+        throw new Error(`Catalogue has ${rows.length} rows; at most ${MAX_ROWS} can be imported at once`);
+    }
+
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return { rows, columns, firstRowNumber: format === 'csv' ? 2 : 1 };
+}
+
+/**
+ * Catalogue format from a file name
+ * @param {string} fileName - File name or path
+ * @returns {string|null} "csv", "json" or null
+ */
+function getCatalogueFormat(fileName) {
+    const match = String(fileName || '').toLowerCase().match(/\.(csv|json)$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Upsert key of a catalogue row: brand + manufacturer, case and spacing ignored
+ * @param {string} brandName - med_brand_name
+ * @param {string} manufacturerName - med_manufacturer_name
+ * @returns {string} Key
+ */
+function getCatalogueKey(brandName, manufacturerName) {
+    return [brandName, manufacturerName]
+        .map(value => String(value ?? '').toLowerCase().replace(/\s+/g, ' ').trim())
+        .join('|');
+}
+
+/**
+ * Read one value by its field type
+ * @param {any} raw - Value from the file
+ * @param {Object} spec - CATALOGUE_FIELDS entry
+ * @returns {Object} { value } or { error }
+ */
+function readValue(raw, spec) {
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+        return { value: null };
+    }
+
+    const text = String(raw).replace(/\s+/g, ' ').trim();
+
+    if (spec.type === 'integer') {
+        return /^\d+$/.test(text) ? { value: parseInt(text) } : { error: 'must be a whole number' };
+    }
+    if (spec.type === 'number') {
+        const number = Number(text);
+        return Number.isFinite(number) && number >= 0 ? { value: number } : { error: 'must be a number of 0 or more' };
+    }
+    if (spec.maxLength && text.length > spec.maxLength) {
+        return { error: `must be at most ${spec.maxLength} characters` };
+    }
+    return { value: text };
+}
+
+/**
+ * Validate catalogue rows
+ * Compositions must be filled from 1 upwards without gaps, a strength or unit needs
+ * its composition name, a unit needs a strength and a strength must start with a number.
+ * @param {Array<Object>} rows - Parsed rows
+ * @param {Array<string>} columns - Columns present in the file
+ * @param {number} firstRowNumber - Number of the first row in error messages
+ * @returns {Object} { medicines, fields, errors, errorCount } - medicines keyed by
+ *   getCatalogueKey, fields the importable columns present, errors as "Row n: ..."
+ *   messages (the first MAX_REPORTED_ERRORS of errorCount)
+ */
+function validateCatalogueRows(rows, columns, firstRowNumber = 1) {
+    const errors = [];
+    let errorCount = 0;
+    const addError = message => {
+        errorCount++;
+        if (errors.length < MAX_REPORTED_ERRORS) errors.push(message);
+    };
+
+    const unknown = columns.filter(column => !CATALOGUE_FIELDS[column]);
+    if (unknown.length > 0) {
+        addError(`Unknown column(s): ${unknown.join(', ')}`);
+    }
+    for (const [field, spec] of Object.entries(CATALOGUE_FIELDS)) {
+        if (spec.required && !columns.includes(field)) {
+            addError(`Missing required column ${field}`);
+        }
+    }
+    if (rows.length === 0) {
+        addError('Catalogue has no rows');
+    }
+
+    const fields = Object.keys(CATALOGUE_FIELDS).filter(field => columns.includes(field));
+    const medicines = new Map();
+
+    if (errorCount > 0) {
+        return { medicines, fields, errors, errorCount };
+    }
+
+    rows.forEach((row, index) => {
+        const rowNumber = firstRowNumber + index;
+        const label = `Row ${rowNumber}`;
+        const medicine = {};
+        let valid = true;
+
+        for (const field of fields) {
+            const spec = CATALOGUE_FIELDS[field];
+            const { value, error } = readValue(row[field], spec);
+            if (error) {
+                addError(`${label}: ${field} ${error}`);
+                valid = false;
+            } else if (value === null && spec.required) {
+                addError(`${label}: ${field} is required`);
+                valid = false;
+            }
+            medicine[field] = value ?? null;
+        }
+
+        let gapAt = null;
+        for (const i of COMPOSITION_INDEXES) {
+            const name = medicine[`med_composition_name_${i}`];
+            const strength = medicine[`med_composition_strength_${i}`];
+            const unit = medicine[`med_composition_unit_${i}`];
+
+            if (!name) {
+                if (strength || unit || medicine[`med_composition_id_${i}`]) {
+                    addError(`${label}: composition ${i} has a strength, unit or ID but no med_composition_name_${i}`);
+                    valid = false;
+                }
+                gapAt = gapAt ?? i;
+                continue;
+            }
+            if (gapAt !== null) {
+                addError(`${label}: composition ${i} is filled but composition ${gapAt} is empty`);
+                valid = false;
+            }
+            if (strength && !/^\d+(\.\d+)?/.test(strength)) {
+                addError(`${label}: med_composition_strength_${i} must start with a number`);
+                valid = false;
+            }
+            if (unit && !strength) {
+                addError(`${label}: med_composition_unit_${i} needs med_composition_strength_${i}`);
+                valid = false;
+            }
+        }
+
+        if (!valid) return;
+
+        const key = getCatalogueKey(medicine.med_brand_name, medicine.med_manufacturer_name);
+        if (medicines.has(key)) {
+            addError(`${label}: ${medicine.med_brand_name} by ${medicine.med_manufacturer_name} appears more than once (first at row ${medicines.get(key).row})`);
+            return;
+        }
+        medicines.set(key, { row: rowNumber, values: medicine });
+    });
+
+    return { medicines, fields, errors, errorCount };
+}
+
+module.exports = {
+    CATALOGUE_FIELDS,
+    parseCsv,
+    parseCatalogueFile,
+    getCatalogueFormat,
+    getCatalogueKey,
+    validateCatalogueRows
+};
@@ -0,0 +1,476 @@
+const { medicinePool } = require('../config/multiDbConnection');
+const redisClient = require('../config/redisConnection');
+const { MEDICINE_COLUMNS, formatMedicineResult } = require('./fuzzyMedicineMatcher');
+const { getDoctorMedicineCounts } = require('./prescribingFrequency');
+
+/**
+ * Medicine Prefix Index - In-memory typeahead over brand and salt names
+ *
+ * Built from med_details at startup and rebuilt every MEDICINE_INDEX_REFRESH_MINUTES.
+ * Every brand name and composition name is a key; keys are kept sorted (a plain string
+ * array, salt keys interned) so the entries for a prefix are one contiguous range found
+ * by binary search. Entry metadata and the numeric medicine fields are typed arrays and
+ * the repeated text fields (type, manufacturer) are interned. A 100k-medicine catalogue
+ * takes roughly 25MB, more with long names; while a rebuild runs the old index keeps
+ * serving, so peak usage is two indexes.
+ *
+ * Lookups are bounded: the first MAX_SCAN_ENTRIES entries of a range are scanned (ties
+ * on a key are stored best-first) and short prefixes whose range is larger than that
+ * use a ranked list computed at build time. The requesting doctor's frequently
+ * prescribed medicines are matched directly, so they are never cut off by the bound.
+ *
+ * refreshIndex() bumps a catalogue version in Redis; every instance polls it and
+ * rebuilds when it changes, so an admin refresh reaches all instances.
+ *
+ * Suggestions are ranked by the requesting doctor's prescribing frequency, then brand
+ * matches before salt matches, then med_weightage.
+ */
+
+const REFRESH_MINUTES = parseInt(process.env.MEDICINE_INDEX_REFRESH_MINUTES) || 60;
+const VERSION_CHECK_SECONDS = parseInt(process.env.MEDICINE_INDEX_VERSION_CHECK_SECONDS) || 60;
+const VERSION_KEY = 'medicine_prefix_index:version';
+
+// Rows read per query while building (keyset pagination on med_id)
+const LOAD_BATCH_SIZE = 20000;
+
+const MIN_PREFIX_LENGTH = 2;
+
+// Entries a lookup walks before it stops
+const MAX_SCAN_ENTRIES = 2000;
+
+// Prefixes up to this length whose range exceeds MAX_SCAN_ENTRIES get a ranked list
+const PRE_RANKED_MAX_LENGTH = 3;
+
+// Medicines kept per ranked list; well above the autocomplete limit
+const PRE_RANKED_SIZE = 100;
+
+// How a key matched its medicine; brand matches rank above salt matches
+const MATCH_SOURCE = {
+    BRAND: 2,
+    SALT: 1
+};
+
+let currentIndex = null;
+let buildPromise = null;
+let refreshTimer = null;
+let versionTimer = null;
+
+/**
+ * Lowercase, alphanumeric words separated by single spaces
+ * @param {string} text - Brand or composition name / typed prefix
+ * @returns {string} Normalized key
+ */
+function normalizeKey(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9%.+\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Return the shared copy of a string
+ * @param {Map} pool - Interned strings
+ * @param {string|null} value - String to intern
+ * @returns {string|null} Interned string
+ */
+function intern(pool, value) {
+    if (value === null || value === undefined) return null;
+    if (!pool.has(value)) pool.set(value, value);
+    return pool.get(value);
+}
+
+/**
+ * Rank medicines for a key range and keep the best PRE_RANKED_SIZE
+ * @param {Object} index - Index under construction
+ * @param {number} start - First position of the range
+ * @param {number} end - Position after the range
+ * @returns {Int32Array} Best entry position per medicine, in rank order
+ */
+function rankRange(index, start, end) {
+    const best = new Map();
+    for (let position = start; position < end; position++) {
+        const medicineIndex = index.entryMedicine[position];
+        const existing = best.get(medicineIndex);
+        if (existing === undefined || index.entrySource[position] > index.entrySource[existing]) {
+            best.set(medicineIndex, position);
+        }
+    }
+
+    const ranked = Array.from(best.values());
+    ranked.sort((a, b) =>
+        (index.entrySource[b] - index.entrySource[a])
+        || (index.weightage[index.entryMedicine[b]] - index.weightage[index.entryMedicine[a]])
+        || (index.entryMedicine[a] - index.entryMedicine[b])
+    );
+
+    return Int32Array.from(ranked.slice(0, PRE_RANKED_SIZE));
+}
+
+/**
+ * Ranked lists for short prefixes whose key range is too large to scan per lookup
+ * @param {Object} index - Index under construction
+ * @returns {Map<string, Int32Array>} Prefix -> entry positions
+ */
+function buildPreRanked(index) {
+    const preRanked = new Map();
+
+    for (let length = MIN_PREFIX_LENGTH; length <= PRE_RANKED_MAX_LENGTH; length++) {
+        let start = 0;
+        while (start < index.keys.length) {
+            const prefix = index.keys[start].slice(0, length);
+            let end = start + 1;
+            while (end < index.keys.length && index.keys[end].startsWith(prefix)) end++;
+
+            if (prefix.length === length && end - start > MAX_SCAN_ENTRIES) {
+                preRanked.set(prefix, rankRange(index, start, end));
+            }
+            start = end;
+        }
+    }
+
+    return preRanked;
+}
+
+/**
+ * Read all active medicines and build a sorted key index
+ * @param {string|null} version - Catalogue version the index is built for
+ * @returns {Promise<Object>} Index: medicine fields as parallel arrays indexed by
+ *   medicine, sorted keys with entryMedicine/entrySource, saltOffsets/saltKeys and preRanked
+ */
+async function buildIndex(version) {
+    const startTime = Date.now();
+    const medicineIds = [];
+    const weightages = [];
+    const names = [];
+    const compositions = [];
+    const types = [];
+    const manufacturers = [];
+    const saltOffsets = [0];
+    const saltKeys = [];
+    const entryKeys = [];
+    const entryMedicines = [];
+    const entrySources = [];
+    const internedStrings = new Map();
+    let lastId = 0;
+
+    for (;;) {
+        const { rows } = await medicinePool.query(`
+            SELECT ${MEDICINE_COLUMNS}
+            FROM med_details md
+            WHERE md.is_active = 1
+                AND md.is_deactivated = 0
+                AND md.med_id > $1
+            ORDER BY md.med_id
+            LIMIT $2
+        `, [lastId, LOAD_BATCH_SIZE]);
+
+        for (const row of rows) {
+            const formatted = formatMedicineResult(row);
+            const medicineIndex = medicineIds.length;
+            medicineIds.push(formatted.med_drug_id);
+            weightages.push(parseFloat(formatted.med_weightage) || 0);
+            names.push(formatted.drug_name);
+            compositions.push(formatted.composition);
+            types.push(intern(internedStrings, formatted.med_type));
+            manufacturers.push(intern(internedStrings, formatted.manufacturer));
+
+            const brandKey = normalizeKey(formatted.drug_name);
+            if (brandKey) {
+                entryKeys.push(brandKey);
+                entryMedicines.push(medicineIndex);
+                entrySources.push(MATCH_SOURCE.BRAND);
+            }
+
+            for (let i = 1; i <= 5; i++) {
+                const saltKey = intern(internedStrings, normalizeKey(formatted[`composition${i}_name`]));
+                if (!saltKey) continue;
+                saltKeys.push(saltKey);
+                entryKeys.push(saltKey);
+                entryMedicines.push(medicineIndex);
+                entrySources.push(MATCH_SOURCE.SALT);
+            }
+            saltOffsets.push(saltKeys.length);
+        }
+
+        if (rows.length < LOAD_BATCH_SIZE) break;
+        lastId = rows[rows.length - 1].med_id;
+    }
+
+    // Within a key, brand entries and heavier medicines first so a bounded scan sees them
+    const order = Array.from(entryKeys.keys());
+    order.sort((a, b) =>
+        (entryKeys[a] < entryKeys[b] ? -1 : entryKeys[a] > entryKeys[b] ? 1 : 0)
+        || (entrySources[b] - entrySources[a])
+        || (weightages[entryMedicines[b]] - weightages[entryMedicines[a]])
+    );
+
+    const keys = new Array(order.length);
+    const entryMedicine = new Int32Array(order.length);
+    const entrySource = new Uint8Array(order.length);
+    order.forEach((entry, position) => {
+        keys[position] = entryKeys[entry];
+        entryMedicine[position] = entryMedicines[entry];
+        entrySource[position] = entrySources[entry];
+    });
+
+    const index = {
+        medicineIds: Int32Array.from(medicineIds),
+        weightage: Float64Array.from(weightages),
+        names,
+        compositions,
+        types,
+        manufacturers,
+        saltOffsets: Int32Array.from(saltOffsets),
+        saltKeys,
+        keys,
+        entryMedicine,
+        entrySource,
+        version
+    };
+    index.preRanked = buildPreRanked(index);
+    index.builtAt = new Date().toISOString();
+    index.buildTimeMs = Date.now() - startTime;
+
+    return index;
+}
+
+/**
+ * Catalogue version published by the last refresh on any instance
+ * @returns {Promise<string|null>} Version or null when Redis is unavailable or none is set
+ */
+async function readVersion() {
+    if (!redisClient.isReady) return null;
+    try {
+        return await redisClient.get(VERSION_KEY);
+    } catch (error) {
+        console.error('Failed to read medicine prefix index version:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Rebuild this instance's index and swap it in; concurrent calls share one build
+ * @returns {Promise<boolean>} Whether a new index is in place
+ */
+function rebuildIndex() {
+    if (buildPromise) return buildPromise;
+
+    buildPromise = (async () => {
+        try {
+            const index = await buildIndex(await readVersion());
+            currentIndex = index;
+            console.log(`🔤 Medicine prefix index built: ${index.medicineIds.length} medicines, ${index.keys.length} keys (${index.buildTimeMs}ms)`);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to build medicine prefix index:', error.message);
+            return false;
+        } finally {
+            buildPromise = null;
+        }
+    })();
+
+    return buildPromise;
+}
+
+/**
+ * Publish a new catalogue version so every running instance rebuilds its index
+ * For processes that change the catalogue without serving lookups (the import CLI).
+ * @returns {Promise<boolean>} Whether the version was published
+ */
+async function publishIndexVersion() {
+    if (!redisClient.isReady) return false;
+    try {
+        await redisClient.incr(VERSION_KEY);
+        return true;
+    } catch (error) {
+        console.error('Failed to publish medicine prefix index version:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Rebuild after a catalogue change, here and (through the Redis version) on every instance
+ * @returns {Promise<boolean>} Whether a new index is in place on this instance
+ */
+async function refreshIndex() {
+    await publishIndexVersion();
+
+    // A build already running may have read the old version; let it finish, then rebuild
+    if (buildPromise) await buildPromise;
+    return rebuildIndex();
+}
+
+/**
+ * Rebuild when another instance has published a newer catalogue version
+ */
+async function checkVersion() {
+    if (!currentIndex || buildPromise) return;
+
+    const version = await readVersion();
+    if (version !== null && version !== currentIndex.version) {
+        await rebuildIndex();
+    }
+}
+
+/**
+ * Build the index now, rebuild it periodically and follow refreshes from other instances
+ */
+function startMedicinePrefixIndex() {
+    if (refreshTimer) return;
+
+    rebuildIndex();
+    refreshTimer = setInterval(rebuildIndex, REFRESH_MINUTES * 60 * 1000);
+    refreshTimer.unref();
+    versionTimer = setInterval(checkVersion, VERSION_CHECK_SECONDS * 1000);
+    versionTimer.unref();
+}
+
+/**
+ * First position whose key is >= value
+ * @param {Array<string>} keys - Sorted keys
+ * @param {string} value - Value to place
+ * @returns {number} Insertion point
+ */
+function lowerBound(keys, value) {
+    let low = 0;
+    let high = keys.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (keys[mid] < value) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+/**
+ * Position of a medicine by med_id
+ * @param {Int32Array} medicineIds - med_ids in ascending order
+ * @param {number} medId - Medicine to find
+ * @returns {number} Medicine index or -1
+ */
+function findMedicine(medicineIds, medId) {
+    const position = lowerBound(medicineIds, medId);
+    return medicineIds[position] === medId ? position : -1;
+}
+
+/**
+ * How a medicine matches a prefix, checked directly rather than through the key range
+ * @param {Object} index - Prefix index
+ * @param {number} medicineIndex - Medicine to check
+ * @param {string} key - Normalized prefix
+ * @returns {Object|null} { source, key } or null if it does not match
+ */
+function matchMedicine(index, medicineIndex, key) {
+    const brandKey = normalizeKey(index.names[medicineIndex]);
+    if (brandKey.startsWith(key)) return { source: MATCH_SOURCE.BRAND, key: brandKey };
+
+    for (let i = index.saltOffsets[medicineIndex]; i < index.saltOffsets[medicineIndex + 1]; i++) {
+        if (index.saltKeys[i].startsWith(key)) return { source: MATCH_SOURCE.SALT, key: index.saltKeys[i] };
+    }
+    return null;
+}
+
+/**
+ * Suggestions for a typed prefix
+ * @param {string} prefix - What the doctor has typed so far
+ * @param {Object} options - { limit = 10, doctorId }
+ * @returns {Promise<Object|null>} { suggestions, builtAt } or null while the index is not built
+ *   Each suggestion: { med_drug_id, drug_name, composition, med_type, manufacturer,
+ *   med_weightage, matched_on: 'brand' | 'salt', matched_text, times_prescribed }
+ */
+async function lookupPrefix(prefix, options = {}) {
+    const { limit = 10, doctorId = null } = options;
+    const index = currentIndex;
+    if (!index) return null;
+
+    const key = normalizeKey(prefix);
+    if (key.length < MIN_PREFIX_LENGTH) {
+        return { suggestions: [], builtAt: index.builtAt };
+    }
+
+    const frequency = await getDoctorMedicineCounts(doctorId);
+
+    // Best match per medicine: the ranked list for a broad short prefix, else a bounded scan
+    const matches = new Map();
+    const addEntry = (position) => {
+        const medicineIndex = index.entryMedicine[position];
+        const source = index.entrySource[position];
+        const existing = matches.get(medicineIndex);
+        if (!existing || source > existing.source) {
+            matches.set(medicineIndex, { source, key: index.keys[position] });
+        }
+    };
+
+    const preRanked = index.preRanked.get(key);
+    if (preRanked) {
+        preRanked.forEach(addEntry);
+    } else {
+        const start = lowerBound(index.keys, key);
+        const end = Math.min(index.keys.length, start + MAX_SCAN_ENTRIES);
+        for (let position = start; position < end && index.keys[position].startsWith(key); position++) {
+            addEntry(position);
+        }
+    }
+
+    for (const medId of frequency.keys()) {
+        const medicineIndex = findMedicine(index.medicineIds, medId);
+        if (medicineIndex === -1 || matches.has(medicineIndex)) continue;
+        const match = matchMedicine(index, medicineIndex, key);
+        if (match) matches.set(medicineIndex, match);
+    }
+
+    const ranked = Array.from(matches.entries()).map(([medicineIndex, match]) => ({
+        medicineIndex,
+        match,
+        timesPrescribed: frequency.get(index.medicineIds[medicineIndex]) || 0
+    }));
+
+    ranked.sort((a, b) =>
+        (b.timesPrescribed - a.timesPrescribed)
+        || (b.match.source - a.match.source)
+        || (index.weightage[b.medicineIndex] - index.weightage[a.medicineIndex])
+        || String(index.names[a.medicineIndex]).localeCompare(String(index.names[b.medicineIndex]))
+    );
+
+    return {
+        suggestions: ranked.slice(0, limit).map(({ medicineIndex, match, timesPrescribed }) => ({
+            med_drug_id: index.medicineIds[medicineIndex],
+            drug_name: index.names[medicineIndex],
+            composition: index.compositions[medicineIndex],
+            med_type: index.types[medicineIndex],
+            manufacturer: index.manufacturers[medicineIndex],
+            med_weightage: index.weightage[medicineIndex],
+            matched_on: match.source === MATCH_SOURCE.BRAND ? 'brand' : 'salt',
+            matched_text: match.key,
+            times_prescribed: timesPrescribed
+        })),
+        builtAt: index.builtAt
+    };
+}
+
+/**
+ * Size and age of the current index
+ * @returns {Object} { ready, medicines, keys, preRankedPrefixes, version, builtAt, buildTimeMs }
+ */
+function getIndexStatus() {
+    return {
+        ready: Boolean(currentIndex),
+        medicines: currentIndex ? currentIndex.medicineIds.length : 0,
+        keys: currentIndex ? currentIndex.keys.length : 0,
+        preRankedPrefixes: currentIndex ? currentIndex.preRanked.size : 0,
+        version: currentIndex ? currentIndex.version : null,
+        builtAt: currentIndex ? currentIndex.builtAt : null,
+        buildTimeMs: currentIndex ? currentIndex.buildTimeMs : null
+    };
+}
+
+module.exports = {
+    MIN_PREFIX_LENGTH,
+    normalizeKey,
+    publishIndexVersion,
+    refreshIndex,
+    startMedicinePrefixIndex,
+    lookupPrefix,
+    getIndexStatus
+};
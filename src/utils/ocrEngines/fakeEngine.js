@@ -0,0 +1,79 @@
+/**
+ * Fake OCR engine
+ * In-process stand-in for tests (see test/) and local development.
+ * Enable with OCR_ENGINE=fake.
+ *
+ * Results are taken from a queue set with setResults(); each entry may be a string
+ * (the recognized text), an Error (thrown) or a function of the request. With an
+ * empty queue the engine returns OCR_FAKE_TEXT or a short sample prescription.
+ */
+
+const SAMPLE_TEXT = [
+    'Rx',
+    '1. Tab Dolo 650 1-0-1 after food x 5 days',
+    '2. Cap Pan 40 1-0-0 before food x 5 days'
+].join('\n');
+
+const state = {
+    results: [],
+    calls: []
+};
+
+/**
+ * Queue results for the next calls
+ * @param {Array} results - Strings, Errors or functions of the request
+ */
+function setResults(results = []) {
+    state.results.push(...results);
+}
+
+/**
+ * Clear queued results and recorded calls
+ */
+function reset() {
+    state.results = [];
+    state.calls = [];
+}
+
+/**
+ * Requests received so far (buffers replaced by their size)
+ * @returns {Array<Object>}
+ */
+function getCalls() {
+    return state.calls;
+}
+
+/**
+ * Always configured
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return true;
+}
+
+/**
+ * Return the next queued text
+ * @param {Object} request - { buffer, mimeType, fileName }
+ * @returns {Promise<Object>} { text, pages }
+ */
+async function recognize(request) {
+    state.calls.push({ ...request, buffer: request.buffer?.length, signal: undefined });
+
+    if (state.results.length === 0) {
+        return { text: process.env.OCR_FAKE_TEXT || SAMPLE_TEXT, pages: 1 };
+    }
+
+    const entry = state.results.shift();
+    const value = typeof entry === 'function' ? await entry(request) : entry;
+    if (value instanceof Error) throw value;
+    return typeof value === 'string' ? { text: value, pages: 1 } : value;
+}
+
+module.exports = {
+    name: 'fake',
+    isConfigured,
+    recognize,
+    setResults,
+    reset,
+    getCalls
+};
@@ -0,0 +1,94 @@
+const tesseractEngine = require('./tesseractEngine');
+const fakeEngine = require('./fakeEngine');
+
+/**
+ * OCR Engine Layer
+ * One entry point for reading text from a scanned prescription (image or PDF).
+ *
+ * Configuration:
+ * - OCR_ENGINE       engine name: "tesseract" (default; runs in-process with tesseract.js,
+ *                    see tesseractEngine.js) or "fake" (tests)
+ * - OCR_TIMEOUT_MS   time allowed for one document (default 120000)
+ *
+ * An engine is an object with { name, isConfigured(), recognize({ buffer, mimeType,
+ * fileName, signal }) -> { text, pages, confidence? } }; register new ones in `engines`.
+ */
+
+const DEFAULT_ENGINE = 'tesseract';
+const DEFAULT_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Upload types every engine accepts
+const SUPPORTED_MIME_TYPES = [
+    'image/jpeg',
+    'image/jpg',
+    'image/png',
+    'image/webp',
+    'image/tiff',
+    'image/bmp',
+    'application/pdf'
+];
+
+const engines = {
+    [tesseractEngine.name]: tesseractEngine,
+    [fakeEngine.name]: fakeEngine
+};
+
+/**
+ * Name of the configured engine
+ * @returns {string}
+ */
+function getEngineName() {
+    return (process.env.OCR_ENGINE || DEFAULT_ENGINE).trim().toLowerCase();
+}
+
+/**
+ * Configured engine when it is known and usable
+ * @returns {Object|null} Engine
+ */
+function getEngine() {
+    const engine = engines[getEngineName()];
+    return engine && engine.isConfigured() ? engine : null;
+}
+
+/**
+ * Read the text of a document with the configured engine
+ * @param {Object} request - { buffer, mimeType, fileName }
+ * @returns {Promise<Object>} { text, pages, confidence, engine, durationMs }
+ */
+async function recognize(request) {
+    const engine = getEngine();
+    if (!engine) {
+        throw new Error(`OCR engine "${getEngineName()}" is not available`);
+    }
+
+    const timeoutMs = parseInt(process.env.OCR_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const startedAt = Date.now();
+
+    try {
+        const result = await engine.recognize({ ...request, signal: controller.signal });
+        return {
+            text: result.text || '',
+            pages: result.pages || 1,
+            confidence: result.confidence ?? null,
+            engine: engine.name,
+            durationMs: Date.now() - startedAt
+        };
+    } catch (error) {
+        if (controller.signal.aborted) {
+            throw new Error(`OCR timed out after ${timeoutMs}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = {
+    SUPPORTED_MIME_TYPES,
+    getEngineName,
+    getEngine,
+    recognize,
+    fakeEngine
+};
@@ -0,0 +1,116 @@
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+/**
+ * PDF Page Renderer - Render the first pages of a PDF to PNG images for OCR
+ * Runs pdfjs-dist onto @napi-rs/canvas in a worker thread, so rendering neither blocks
+ * the event loop nor outlives an aborted request (the thread is terminated).
+ *
+ * Pages are rendered at RENDER_DPI, scaled down so no page exceeds MAX_PAGE_PIXELS; a
+ * page that would need less than MIN_RENDER_DPI to fit is rejected, since its text could
+ * not be read anyway and a canvas for it could exhaust the instance's memory.
+ */
+
+// Rendering resolution for PDF pages; tesseract works best around 300 dpi
+const RENDER_DPI = 300;
+const MIN_RENDER_DPI = 72;
+
+// Canvas size limit per page (~25 megapixels, about 100MB of RGBA)
+const MAX_PAGE_PIXELS = 25 * 1000 * 1000;
+
+/**
+ * Scale (relative to 72 dpi) to render a page at, within the pixel budget
+ * @param {number} width - Page width in points
+ * @param {number} height - Page height in points
+ * @returns {number|null} Scale, or null when the page is too large to render
+ */
+function getRenderScale(width, height) {
+    if (!(width > 0) || !(height > 0)) return null;
+
+    const budgetScale = Math.sqrt(MAX_PAGE_PIXELS / (width * height));
+    const scale = Math.min(RENDER_DPI / 72, budgetScale);
+    return scale * 72 >= MIN_RENDER_DPI ? scale : null;
+}
+
+/**
+ * Render pages in this thread
+ * @param {Uint8Array} data - PDF file
+ * @param {number} maxPages - Pages to render
+ * @returns {Promise<Array<Buffer>>} One PNG per page
+ */
+async function renderPages(data, maxPages) {
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const { createCanvas } = require('@napi-rs/canvas');
+
+    const document = await pdfjs.getDocument({
+        data,
+        standardFontDataUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep,
+        isEvalSupported: false
+    }).promise;
+
+    try {
+        const images = [];
+        const pageCount = Math.min(document.numPages, maxPages);
+        for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+            const page = await document.getPage(pageNumber);
+            const { width, height } = page.getViewport({ scale: 1 });
+            const scale = getRenderScale(width, height);
+            if (scale === null) {
+                throw new Error(`PDF page ${pageNumber} is too large to read (${Math.round(width)}x${Math.round(height)} points)`);
+            }
+
+            const viewport = page.getViewport({ scale });
+            const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+            await page.render({ canvas, canvasContext: canvas.getContext('2d'), viewport }).promise;
+            images.push(await canvas.encode('png'));
+            page.cleanup();
+        }
+        return images;
+    } finally {
+        await document.destroy();
+    }
+}
+
+/**
+ * Render the first pages of a PDF to PNG images in a worker thread
+ * @param {Buffer} buffer - PDF file
+ * @param {Object} options - { maxPages, signal }
+ * @returns {Promise<Array<Buffer>>} One PNG per page
+ */
+function renderPdfPages(buffer, options = {}) {
+    const { maxPages, signal } = options;
+
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new Error('OCR aborted'));
+
+        const worker = new Worker(__filename, { workerData: { data: new Uint8Array(buffer), maxPages } });
+        const onAbort = () => {
+            worker.terminate();
+            reject(new Error('OCR aborted'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        worker.once('message', message => {
+            if (message.error) reject(new Error(message.error));
+            else resolve(message.images.map(image => Buffer.from(image.buffer, image.byteOffset, image.byteLength)));
+        });
+        worker.once('error', reject);
+        worker.once('exit', code => {
+            signal?.removeEventListener('abort', onAbort);
+            // Settles nothing when a message or abort came first
+            reject(new Error(`PDF renderer stopped unexpectedly (exit code ${code})`));
+        });
+    });
+}
+
+if (!isMainThread && workerData?.data) {
+    renderPages(workerData.data, workerData.maxPages)
+        .then(images => parentPort.postMessage({ images }))
+        .catch(error => parentPort.postMessage({ error: error.message }));
+}
+
+module.exports = {
+    MAX_PAGE_PIXELS,
+    getRenderScale,
+    renderPdfPages
+};
@@ -0,0 +1,109 @@
+const { renderPdfPages } = require('./pdfPageRenderer');
+
+/**
+ * Tesseract engine (local)
+ * Runs Tesseract in-process through tesseract.js (WebAssembly), so scanned prescriptions
+ * never leave the server and no system packages are needed - it works on App Engine
+ * standard as-is. The English model ships with @tesseract.js-data/eng; PDFs are rendered
+ * to page images first (pdfPageRenderer.js: pdfjs-dist onto @napi-rs/canvas, in a worker
+ * thread, within a per-page pixel budget).
+ *
+ * Each document gets its own worker (about 100MB while it runs), stopped when the document
+ * is done or the request is aborted.
+ *
+ * Configuration:
+ * - TESSERACT_LANG        language models, e.g. "eng+hin" (default "eng")
+ * - TESSERACT_LANG_PATH   directory with <lang>.traineddata.gz for languages other than
+ *                         the bundled English model
+ * - OCR_PDF_MAX_PAGES     pages read from a PDF (default 5)
+ */
+
+const TESSERACT_LANG = process.env.TESSERACT_LANG || 'eng';
+const PDF_MAX_PAGES = parseInt(process.env.OCR_PDF_MAX_PAGES) || 5;
+
+// Tesseract page segmentation mode 6: a single uniform block of text, which suits prescription lines
+const PAGE_SEGMENTATION_MODE = '6';
+
+/**
+ * Whether a package can be loaded
+ * @param {string} name - Package name
+ * @returns {boolean}
+ */
+function canLoad(name) {
+    try {
+        require(name);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Available when tesseract.js, a language model and the PDF renderer are installed
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return canLoad('tesseract.js')
+        && (Boolean(process.env.TESSERACT_LANG_PATH) || canLoad('@tesseract.js-data/eng'))
+        && canLoad('@napi-rs/canvas');
+}
+
+/**
+ * Read the text of an image or PDF
+ * @param {Object} request - { buffer, mimeType, signal }
+ * @returns {Promise<Object>} { text, pages, confidence }
+ */
+async function recognize(request) {
+    const { buffer, mimeType, signal } = request;
+    const { createWorker } = require('tesseract.js');
+    const langPath = process.env.TESSERACT_LANG_PATH || require('@tesseract.js-data/eng').langPath;
+
+    const images = mimeType === 'application/pdf'
+        ? await renderPdfPages(buffer, { maxPages: PDF_MAX_PAGES, signal })
+        : [buffer];
+    if (signal?.aborted) throw new Error('OCR aborted');
+
+    const worker = await createWorker(TESSERACT_LANG, 1, {
+        langPath,
+        gzip: true,
+        cacheMethod: 'none'
+    });
+    // A running recognize() cannot be cancelled and does not settle when the worker is
+    // terminated, so an abort rejects alongside it and the worker is stopped below
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+        onAbort = () => reject(new Error('OCR aborted'));
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+    aborted.catch(() => {});
+
+    try {
+        await Promise.race([worker.setParameters({ tessedit_pageseg_mode: PAGE_SEGMENTATION_MODE }), aborted]);
+
+        // Pages one at a time: tesseract is CPU bound
+        const pages = [];
+        for (const image of images) {
+            const { data } = await Promise.race([worker.recognize(image), aborted]);
+            pages.push(data);
+        }
+
+        return {
+            text: pages.map(page => page.text).join('\n'),
+            pages: pages.length,
+            confidence: pages.length > 0
+                ? Math.round(pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length)
+                : null
+        };
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+        await worker.terminate().catch(error => {
+            console.error('Failed to stop OCR worker:', error.message);
+        });
+    }
+}
+
+module.exports = {
+    name: 'tesseract',
+    isConfigured,
+    recognize
+};
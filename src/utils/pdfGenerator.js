@@ -1,11 +1,134 @@
 const puppeteer = require('puppeteer');
 const { mainPool } = require('../config/multiDbConnection');
+const dosageParser = require('./dosageParser');
+
+// [English, Hindi] labels for the bilingual Rx table
+const RX_LABELS = {
+    medicine: ['Medicine', 'दवा'],
+    dose: ['Dose', 'खुराक'],
+    morning: ['Morning', 'सुबह'],
+    noon: ['Noon', 'दोपहर'],
+    evening: ['Evening', 'शाम'],
+    night: ['Night', 'रात'],
+    when: ['When', 'कब'],
+    duration: ['Duration', 'अवधि'],
+    days: ['days', 'दिन'],
+    sos: ['When needed (SOS)', 'ज़रूरत पड़ने पर'],
+    advice: ['Advice', 'सलाह'],
+    discontinued: ['Stop these medicines', 'ये दवाएँ बंद करें']
+};
+
+const FOOD_TIMING_LABELS = {
+    before_food: ['Before food', 'खाने से पहले'],
+    after_food: ['After food', 'खाने के बाद'],
+    with_food: ['With food', 'खाने के साथ'],
+    empty_stomach: ['Empty stomach', 'खाली पेट']
+};
+
+const ROUTE_LABELS = {
+    oral: ['By mouth', 'मुँह से'],
+    sublingual: ['Under the tongue', 'जीभ के नीचे'],
+    topical: ['Apply on skin', 'त्वचा पर लगाएँ'],
+    inhalation: ['Inhale', 'साँस से लें'],
+    nasal: ['In the nose', 'नाक में'],
+    ophthalmic: ['In the eye', 'आँख में'],
+    otic: ['In the ear', 'कान में'],
+    rectal: ['Rectal', 'गुदा मार्ग से'],
+    vaginal: ['Vaginal', 'योनि मार्ग से'],
+    intravenous: ['Intravenous', 'नस में'],
+    intramuscular: ['Intramuscular', 'मांसपेशी में'],
+    subcutaneous: ['Under the skin', 'त्वचा के नीचे']
+};
+
+const DOSE_UNIT_LABELS = {
+    tablet: ['tablet', 'गोली'],
+    capsule: ['capsule', 'कैप्सूल'],
+    ml: ['ml', 'मि.ली.'],
+    drop: ['drop', 'बूँद'],
+    puff: ['puff', 'पफ'],
+    sachet: ['sachet', 'पाउच']
+};
+
+/**
+ * English text with its Hindi translation underneath
+ */
+function bilingual([english, hindi]) {
+    return `${english}<span class="hi">${hindi}</span>`;
+}
+
+/**
+ * Dose cell: amount per dose and route, or the slot unit when doses differ by time of day
+ */
+function renderDoseCell(dosage) {
+    const unit = DOSE_UNIT_LABELS[dosage.dose_unit];
+    const parts = [];
+
+    if (dosage.dose_quantity !== null) {
+        const quantity = dosageParser.formatQuantity(dosage.dose_quantity);
+        parts.push(unit ? bilingual([`${quantity} ${unit[0]}`, `${quantity} ${unit[1]}`]) : quantity);
+    } else if (unit) {
+        parts.push(bilingual(unit));
+    }
+
+    if (dosage.route && dosage.route !== 'oral' && ROUTE_LABELS[dosage.route]) {
+        parts.push(`<span class="route">${bilingual(ROUTE_LABELS[dosage.route])}</span>`);
+    }
+
+    return parts.length > 0 ? parts.join('') : '-';
+}
+
+/**
+ * Table row for one medicine; free text that could not be structured spans the dosing columns
+ */
+function renderMedicineRow(med, index, slots) {
+    const dosage = med.dosage || dosageParser.getStoredDosage(med);
+    const hasSlots = dosage && slots.some(slot => dosage[slot] !== null);
+
+    const when = [];
+    if (dosage && FOOD_TIMING_LABELS[dosage.food_timing]) when.push(bilingual(FOOD_TIMING_LABELS[dosage.food_timing]));
+    if (dosage && dosage.is_prn) when.push(bilingual(RX_LABELS.sos));
+
+    const dosingCells = hasSlots
+        ? `
+            <td>${renderDoseCell(dosage)}</td>
+            ${slots.map(slot => `<td class="slot">${dosage[slot] > 0 ? dosageParser.formatQuantity(dosage[slot]) : '-'}</td>`).join('')}
+        `
+        : `<td colspan="${slots.length + 1}">${med.medicine_frequency || '-'}</td>`;
+
+    return `
+        <tr>
+            <td>${index + 1}</td>
+            <td>
+                <strong>${med.medicine_name || 'N/A'}</strong>
+                ${med.medicine_salt ? `<div class="composition">${med.medicine_salt}</div>` : ''}
+            </td>
+            ${dosingCells}
+            <td>${when.length > 0 ? when.join('<br>') : '-'}</td>
+            <td>${dosage && dosage.duration_days
+                ? bilingual([`${dosage.duration_days} ${RX_LABELS.days[0]}`, `${dosage.duration_days} ${RX_LABELS.days[1]}`])
+                : '-'}</td>
+        </tr>
+    `;
+}
 
 /**
  * Generate HTML template for prescription PDF
+ * Medicines are shown in a bilingual (English / Hindi) Rx table built from their structured dosage;
+ * the evening column only appears when a medicine is taken in the evening.
  */
 function generatePrescriptionHTML(data) {
-    const { doctor, patient, appointment, medicines } = data;
+    const { doctor, patient, appointment, medicines, advice, discontinued = [] } = data;
+
+    const withDosage = medicines.map(med => ({ ...med, dosage: med.dosage || dosageParser.getStoredDosage(med) }));
+    const slots = withDosage.some(med => med.dosage && med.dosage.dose_evening > 0)
+        ? dosageParser.DOSE_SLOTS
+        : ['dose_morning', 'dose_noon', 'dose_night'];
+    const slotLabels = {
+        dose_morning: RX_LABELS.morning,
+        dose_noon: RX_LABELS.noon,
+        dose_evening: RX_LABELS.evening,
+        dose_night: RX_LABELS.night
+    };
 
     const currentDate = new Date().toLocaleDateString('en-IN', {
         day: '2-digit',
@@ -26,7 +149,7 @@ function generatePrescriptionHTML(data) {
             }
             
             body {
-                font-family: 'Arial', sans-serif;
+                font-family: 'Arial', 'Noto Sans Devanagari', 'Mangal', sans-serif;
                 padding: 40px;
                 color: #333;
             }
@@ -163,6 +286,51 @@ function generatePrescriptionHTML(data) {
                 background: #e8f4f8;
             }
             
+            .medicine-table .hi {
+                display: block;
+                font-size: 11px;
+                font-weight: normal;
+                color: #7f8c8d;
+            }
+            
+            .medicine-table th .hi {
+                color: #eaf2f8;
+            }
+            
+            .medicine-table .slot {
+                text-align: center;
+            }
+            
+            .medicine-table .composition {
+                font-size: 11px;
+                color: #7f8c8d;
+                margin-top: 3px;
+            }
+            
+            .medicine-table .route {
+                display: block;
+                margin-top: 3px;
+                font-size: 11px;
+            }
+            
+            .advice-section {
+                margin-bottom: 30px;
+                padding: 15px;
+                background: #f8f9fa;
+                border-radius: 5px;
+            }
+            
+            .advice-section h3 {
+                color: #2c3e50;
+                font-size: 16px;
+                margin-bottom: 10px;
+            }
+            
+            .advice-section p {
+                font-size: 13px;
+                line-height: 1.5;
+            }
+            
             .footer {
                 margin-top: 50px;
                 padding-top: 20px;
@@ -281,25 +449,34 @@ function generatePrescriptionHTML(data) {
             <table class="medicine-table">
                 <thead>
                     <tr>
-                        <th style="width: 5%;">#</th>
-                        <th style="width: 40%;">Medicine Name</th>
-                        <th style="width: 35%;">Composition</th>
-                        <th style="width: 20%;">Frequency</th>
+                        <th style="width: 4%;">#</th>
+                        <th>${bilingual(RX_LABELS.medicine)}</th>
+                        <th style="width: 14%;">${bilingual(RX_LABELS.dose)}</th>
+                        ${slots.map(slot => `<th class="slot" style="width: 8%;">${bilingual(slotLabels[slot])}</th>`).join('')}
+                        <th style="width: 14%;">${bilingual(RX_LABELS.when)}</th>
+                        <th style="width: 10%;">${bilingual(RX_LABELS.duration)}</th>
                     </tr>
                 </thead>
                 <tbody>
-                    ${medicines.map((med, index) => `
-                        <tr>
-                            <td>${index + 1}</td>
-                            <td><strong>${med.medicine_name || 'N/A'}</strong></td>
-                            <td>${med.medicine_salt || '-'}</td>
-                            <td>${med.medicine_frequency || '-'}</td>
-                        </tr>
-                    `).join('')}
+                    ${withDosage.map((med, index) => renderMedicineRow(med, index, slots)).join('')}
                 </tbody>
             </table>
         </div>
         
+        ${discontinued.length > 0 ? `
+        <div class="advice-section">
+            <h3>${RX_LABELS.discontinued[0]} / ${RX_LABELS.discontinued[1]}</h3>
+            <p>${discontinued.map(med => med.medicine_name).join(', ')}</p>
+        </div>
+        ` : ''}
+        
+        ${advice ? `
+        <div class="advice-section">
+            <h3>${RX_LABELS.advice[0]} / ${RX_LABELS.advice[1]}</h3>
+            <p>${advice.replace(/\n/g, '<br>')}</p>
+        </div>
+        ` : ''}
+        
         <div class="signature">
             <div class="signature-line"></div>
             <p class="signature-text">Dr. ${doctor.dr_name || 'N/A'}</p>
@@ -356,9 +533,10 @@ async function fetchPrescriptionData(appointmentId) {
 
         // 2. Get prescription ID from appointment_details
         const prescriptionQuery = `
-            SELECT prescription_id
-            FROM dr_appointment_details
-            WHERE appointment_id = $1 AND is_active = 1
+            SELECT dad.prescription_id, pp.advice
+            FROM dr_appointment_details dad
+            LEFT JOIN patient_prescription pp ON pp.prescription_id = dad.prescription_id
+            WHERE dad.appointment_id = $1 AND dad.is_active = 1
         `;
 
         const prescriptionResult = await mainPool.query(prescriptionQuery, [appointmentId]);
@@ -376,16 +554,20 @@ async function fetchPrescriptionData(appointmentId) {
                 medicine_name,
                 medicine_salt,
                 medicine_frequency,
+                ${dosageParser.DOSAGE_FIELDS.join(',\n                ')},
+                is_active,
                 created_at
             FROM patient_medicine
-            WHERE prescription_id = $1 AND is_active = 1
+            WHERE prescription_id = $1
+                AND (is_active = 1 OR repeat_status = 'discontinued')
             ORDER BY created_at ASC
         `;
 
         const medicinesResult = await mainPool.query(medicinesQuery, [prescriptionId]);
-        console.log(`✅ Found ${medicinesResult.rows.length} medicines`);
+        const activeMedicines = medicinesResult.rows.filter(row => row.is_active === 1);
+        console.log(`✅ Found ${activeMedicines.length} medicines`);
 
-        if (medicinesResult.rows.length === 0) {
+        if (activeMedicines.length === 0) {
             throw new Error('No medicines found for this prescription');
         }
 
@@ -417,7 +599,13 @@ async function fetchPrescriptionData(appointmentId) {
                 patient_pulse: appointmentData.patient_pulse,
                 patient_temprature: appointmentData.patient_temprature
             },
-            medicines: medicinesResult.rows
+            advice: prescriptionResult.rows[0].advice || null,
+            medicines: activeMedicines.map(row => ({
+                ...row,
+                dosage: dosageParser.getStoredDosage(row)
+            })),
+            // Stopped when the prescription was repeated from an earlier visit
+            discontinued: medicinesResult.rows.filter(row => row.is_active !== 1)
         };
 
     } catch (error) {
@@ -0,0 +1,105 @@
+const { mainPool } = require('../config/multiDbConnection');
+
+/**
+ * Prescribing Frequency - How often a doctor has prescribed each medicine
+ *
+ * Counts come from the doctor's active patient_medicine rows, joined through
+ * patient_prescription and dr_appointment_details to dr_appointment.dr_id.
+ * Discontinued repeat items and deleted rows (is_active = 0) are not counted.
+ * Used to boost the doctor's own medicines in search, popular lists and typeahead.
+ */
+
+// Catalogue counts per doctor are cached for this long
+const FREQUENCY_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 365;
+const MAX_COUNTED_MEDICINES = 500;
+
+// Search ranking boost: PER_LOG * ln(1 + times prescribed), capped at MAX
+const PERSONAL_BOOST = {
+    PER_LOG: 0.05,
+    MAX: 0.2
+};
+
+// doctorId -> { counts: Map<med_id, count>, loadedAt }
+const frequencyCache = new Map();
+
+const DOCTOR_MEDICINES_FROM = `
+    FROM patient_medicine pm
+    INNER JOIN patient_prescription pp
+        ON pp.prescription_id = pm.prescription_id AND pp.is_active = 1
+    INNER JOIN dr_appointment_details dad
+        ON dad.prescription_id = pp.prescription_id AND dad.is_active = 1
+    INNER JOIN dr_appointment da ON da.appointment_id = dad.appointment_id
+    WHERE da.dr_id = $1
+        AND pm.is_active = 1
+        AND pm.created_at >= NOW() - make_interval(days => $2)
+`;
+
+/**
+ * Times the doctor prescribed each catalogue medicine (patient_medicine.drug_id)
+ * @param {number} doctorId - Doctor's ID
+ * @returns {Promise<Map<number, number>>} med_id -> times prescribed; empty without a doctor or on failure
+ */
+async function getDoctorMedicineCounts(doctorId) {
+    if (!doctorId) return new Map();
+
+    const cached = frequencyCache.get(doctorId);
+    if (cached && Date.now() - cached.loadedAt < FREQUENCY_TTL_MS) {
+        return cached.counts;
+    }
+
+    try {
+        const { rows } = await mainPool.query(`
+            SELECT pm.drug_id, COUNT(*)::int AS times_prescribed
+            ${DOCTOR_MEDICINES_FROM}
+                AND pm.drug_id IS NOT NULL
+            GROUP BY pm.drug_id
+            ORDER BY times_prescribed DESC
+            LIMIT $3
+        `, [doctorId, DEFAULT_LOOKBACK_DAYS, MAX_COUNTED_MEDICINES]);
+
+        const counts = new Map(rows.map(row => [row.drug_id, row.times_prescribed]));
+        frequencyCache.set(doctorId, { counts, loadedAt: Date.now() });
+        return counts;
+    } catch (error) {
+        // Personal ranking is a nicety; results are still ranked globally without it
+        console.error(`Error loading prescribing frequency for doctor ${doctorId}:`, error.message);
+        return cached ? cached.counts : new Map();
+    }
+}
+
+/**
+ * The doctor's most prescribed medicines, catalogue and free-text entries alike
+ * Rows are grouped by drug_id, or by lowercased name when there is none.
+ * @param {number} doctorId - Doctor's ID
+ * @param {Object} options - { limit = 20, days = 365 }
+ * @returns {Promise<Array<Object>>} [{ drug_id, medicine_name, medicine_salt, medicine_frequency,
+ *   times_prescribed, patient_count, last_prescribed_at }] most prescribed first
+ */
+async function getFrequentMedicines(doctorId, options = {}) {
+    const { limit = 20, days = DEFAULT_LOOKBACK_DAYS } = options;
+
+    // Name, salt and frequency text are taken from the most recent row of each group
+    const recent = column => `(ARRAY_AGG(${column} ORDER BY pm.created_at DESC, pm.medicin_id DESC))[1]`;
+    const { rows } = await mainPool.query(`
+        SELECT MAX(pm.drug_id) AS drug_id,
+            ${recent('pm.medicine_name')} AS medicine_name,
+            ${recent('pm.medicine_salt')} AS medicine_salt,
+            ${recent('pm.medicine_frequency')} AS medicine_frequency,
+            COUNT(*)::int AS times_prescribed,
+            COUNT(DISTINCT pp.patient_id)::int AS patient_count,
+            MAX(pm.created_at) AS last_prescribed_at
+        ${DOCTOR_MEDICINES_FROM}
+        GROUP BY COALESCE(pm.drug_id::text, LOWER(TRIM(pm.medicine_name)))
+        ORDER BY times_prescribed DESC, last_prescribed_at DESC
+        LIMIT $3
+    `, [doctorId, days, limit]);
+
+    return rows;
+}
+
+module.exports = {
+    PERSONAL_BOOST,
+    getDoctorMedicineCounts,
+    getFrequentMedicines
+};
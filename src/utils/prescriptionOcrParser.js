@@ -0,0 +1,163 @@
+const dosageParser = require('./dosageParser');
+
+/**
+ * Prescription OCR Parser
+ * Turns OCR text of an outside prescription into medicine lines:
+ *   "2. Tab. Augmentin 625 (Amoxycillin + Clavulanic Acid) 1-0-1 x 5 days"
+ *   -> { dosage_form: 'tablet', medicine_name: 'Augmentin 625',
+ *        medicine_salt: 'Amoxycillin + Clavulanic Acid', instructions: '1-0-1 x 5 days', dosage }
+ *
+ * A line is a medicine when it starts with a dosage form (Tab, Cap, Syp, Inj, ...) or
+ * has a name followed by dosing instructions. A line holding only instructions is
+ * added to the medicine above it. Everything else (header, patient details, advice)
+ * is returned as ignored so the doctor can see what was skipped.
+ */
+
+// Dosage form abbreviations at the start of a medicine line
+const DOSAGE_FORMS = [
+    { pattern: /^(tab|tabs|tablet|tablets)\b\.?/i, form: 'tablet' },
+    { pattern: /^(cap|caps|capsule|capsules)\b\.?/i, form: 'capsule' },
+    { pattern: /^(syp|syr|syrup|susp|suspension)\b\.?/i, form: 'syrup' },
+    { pattern: /^(inj|injection)\b\.?/i, form: 'injection' },
+    { pattern: /^(oint|ointment|cream|gel|lotion)\b\.?/i, form: 'topical' },
+    { pattern: /^(drops?|gtts?|e\/d|ear drops?|eye drops?)\b\.?/i, form: 'drops' },
+    { pattern: /^(inh|inhaler|rotacap|rotacaps|respules?)\b\.?/i, form: 'inhaler' },
+    { pattern: /^(sachet|sachets|powder|pwd)\b\.?/i, form: 'sachet' }
+];
+
+// Dose unit implied by the dosage form when the instructions give none ("Tab X 1-0-1")
+const FORM_DOSE_UNITS = {
+    tablet: 'tablet',
+    capsule: 'capsule'
+};
+
+// Numbering, bullets and the Rx symbol before a line's text
+const LINE_PREFIX = /^\s*(?:rx\b[:.]?|℞|[-•*·>]|\(?\d{1,2}[.)\]]|\d{1,2}\s)\s*/i;
+
+// "1-0-1" with common OCR misreads (O for 0, l / I / | for 1)
+const SLOT_PATTERN = /(?:^|\s)([\d½¼¾./oOlI|]{1,3})\s*-\s*([\d½¼¾./oOlI|]{1,3})\s*-\s*([\d½¼¾./oOlI|]{1,3})(?:\s*-\s*([\d½¼¾./oOlI|]{1,3}))?(?=\s|$|[,;.])/;
+
+// Words that start the instructions part of a line
+const INSTRUCTION_START = /(?:^|\s)(od|bd|bid|tds|tid|qid|qds|hs|sos|prn|stat|once|twice|thrice|daily|every|q\d+h|\d+\s*hourly|after|before|with|empty|x\s*\d+|×\s*\d+|for\s+\d+|\d+(?:\.\d+)?\s*(?:ml|tsf|tsp|drops?|puffs?|tabs?|caps?)\b)/i;
+
+// Lines that are never medicines even when they contain a number pattern
+const NON_MEDICINE_LINE = /^(dr\.?\s|doctor|reg(?:istration)?\.?\s*no|name\b|patient|age\b|sex\b|date\b|mob(?:ile)?\b|ph(?:one)?\b|address|diagnosis|dx\b|c\/o|complaints?|advice|adv\b|review|follow[- ]?up|signature|sign\b|bp\b|pulse|temp\b|weight|wt\b|spo2|investigations?)/i;
+
+/**
+ * Fix OCR misreads inside a "1-0-1" pattern
+ * @param {string} text - Instructions text
+ * @returns {string} Text with the slot pattern as digits
+ */
+function normalizeSlotPattern(text) {
+    return text.replace(SLOT_PATTERN, match =>
+        match.replace(/[oO]/g, '0').replace(/[lI|]/g, '1')
+    );
+}
+
+/**
+ * Position where the instructions part of a line starts
+ * @param {string} text - Line without its dosage form prefix
+ * @returns {number} Index, or -1 when the line has no instructions
+ */
+function findInstructionStart(text) {
+    const positions = [SLOT_PATTERN, INSTRUCTION_START]
+        .map(pattern => {
+            const match = text.match(pattern);
+            if (!match) return -1;
+            // Skip the whitespace the pattern consumed before the instruction itself
+            return match.index + (match[0].length - match[0].trimStart().length);
+        })
+        .filter(position => position >= 0);
+
+    return positions.length > 0 ? Math.min(...positions) : -1;
+}
+
+/**
+ * Split "Augmentin 625 (Amoxycillin + Clavulanic Acid)" into name and salt
+ * @param {string} text - Name part of a line
+ * @returns {Object} { name, salt }
+ */
+function splitNameAndSalt(text) {
+    const saltMatch = text.match(/\(([^)]+)\)/);
+    const salt = saltMatch && /[a-z]{3,}/i.test(saltMatch[1]) ? saltMatch[1].trim() : null;
+    const name = (salt ? text.replace(saltMatch[0], ' ') : text)
+        .replace(/[,;:]+$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return { name, salt };
+}
+
+/**
+ * Parse OCR text into medicine lines
+ * @param {string} text - OCR output
+ * @returns {Object} { medicines, ignoredLines }
+ *   medicines: [{ line_number, raw_text, dosage_form, medicine_name, medicine_salt,
+ *                 instructions, dosage }]
+ *   ignoredLines: [{ line_number, text }]
+ */
+function parsePrescriptionText(text) {
+    const medicines = [];
+    const ignoredLines = [];
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.replace(/\s+/g, ' ').trim();
+        if (!line) return;
+
+        const content = line.replace(LINE_PREFIX, '').trim();
+        if (!content || NON_MEDICINE_LINE.test(content)) {
+            ignoredLines.push({ line_number: lineNumber, text: line });
+            return;
+        }
+
+        const formEntry = DOSAGE_FORMS.find(entry => entry.pattern.test(content));
+        const body = formEntry ? content.replace(formEntry.pattern, '').trim() : content;
+        const instructionStart = findInstructionStart(body);
+        const namePart = instructionStart >= 0 ? body.slice(0, instructionStart).trim() : body;
+        const instructions = instructionStart >= 0 ? normalizeSlotPattern(body.slice(instructionStart).trim()) : null;
+        const hasName = /[a-z]{3,}/i.test(namePart);
+
+        // Instructions on their own line belong to the medicine above
+        if (!hasName && instructions && medicines.length > 0) {
+            const previous = medicines[medicines.length - 1];
+            previous.instructions = [previous.instructions, instructions].filter(Boolean).join(' ');
+            previous.raw_text = `${previous.raw_text}\n${line}`;
+            return;
+        }
+
+        if (!hasName || (!formEntry && !instructions)) {
+            ignoredLines.push({ line_number: lineNumber, text: line });
+            return;
+        }
+
+        const { name, salt } = splitNameAndSalt(namePart);
+        medicines.push({
+            line_number: lineNumber,
+            raw_text: line,
+            dosage_form: formEntry ? formEntry.form : null,
+            medicine_name: name,
+            medicine_salt: salt,
+            instructions
+        });
+    });
+
+    medicines.forEach(medicine => {
+        const dosage = medicine.instructions
+            ? dosageParser.parseDosageInstructions(medicine.instructions)
+            : null;
+
+        if (dosage && !dosage.dose_unit && FORM_DOSE_UNITS[medicine.dosage_form]) {
+            dosage.dose_unit = FORM_DOSE_UNITS[medicine.dosage_form];
+            dosage.route = dosage.route || 'oral';
+        }
+        medicine.dosage = dosage;
+    });
+
+    return { medicines, ignoredLines };
+}
+
+module.exports = {
+    DOSAGE_FORMS,
+    normalizeSlotPattern,
+    parsePrescriptionText
+};
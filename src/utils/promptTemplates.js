@@ -0,0 +1,425 @@
+/**
+ * Prompt Template Registry
+ * Versioned SOAP and transcription prompts per specialty
+ *
+ * Features:
+ * - Templates are identified by key and integer version; old versions stay in the
+ *   registry so a stored note can always be traced to the exact prompt that produced it
+ * - Selection: explicit choice > doctor's saved preference > dr_specialization match > general
+ * - Each template defines the SOAP prompt and the transcription speaker roles
+ *
+ * To change a prompt, add a new version rather than editing a published one.
+ */
+
+const DEFAULT_TEMPLATE_KEY = 'general';
+
+const DEFAULT_SPEAKER_ROLES = ['Doctor', 'Patient', 'Attendant'];
+
+/**
+ * Build the transcription prompt for a set of speaker roles
+ * @param {Array<string>} speakerRoles - Role labels the model may use
+ * @returns {string} Prompt
+ */
+function buildTranscriptionPrompt(speakerRoles = DEFAULT_SPEAKER_ROLES) {
+    const roleLabels = speakerRoles.map(role => `"${role}:"`).join(', ');
+
+    return `Transcribe the provided audio recording completely and accurately, word-for-word. Your ONLY task is to convert speech to text.
+
+**STRICT TRANSCRIPTION RULES:**
+
+1. **Raw Transcription Only:**
+   - Transcribe EVERYTHING spoken in the audio exactly as heard
+   - DO NOT add any commentary, apologies, explanations, or meta-statements about the audio content
+   - DO NOT refuse transcription or state what the audio "appears to be" or "does not contain"
+   - DO NOT make judgments about whether content matches expected format
+   - Transcribe the actual spoken words, regardless of topic or context
+
+2. **Speaker Identification:**
+   - Label speakers as "Speaker A:", "Speaker B:", etc. based on distinct voices
+   - If medical context is evident, you may use ${roleLabels}
+   - Maintain consistent labels throughout the transcript
+
+3. **Language & Accuracy:**
+   - Detect and transcribe in the ORIGINAL SPOKEN LANGUAGE using appropriate script (Devanagari for Hindi, Latin for English, etc.)
+   - Preserve exact wording, including medical terms, medication names, numbers, measurements, and dates
+   - Capture all spoken content verbatim, including questions, responses, and statements
+
+4. **Formatting:**
+   - Start each speaker's turn on a new line with their label
+   - Use paragraph breaks between topic changes or long monologues for readability
+   - Omit non-speech sounds like [cough], [laughter], background noise descriptions
+   - Include all meaningful speech, including filler words if they're part of natural speech
+
+**IMPORTANT:** Your response must ONLY contain the transcript. Do not include:
+- "I'm sorry, but..." statements
+- "The audio appears to be..." descriptions
+- "This is not a medical consultation" disclaimers
+- Any meta-commentary about the audio content
+- Explanations about what you're transcribing
+
+**Output Format:**
+Speaker A: [Exact words spoken]
+Speaker B: [Exact words spoken]
+
+[Continue for entire audio duration]
+
+Begin transcription immediately without preamble.`;
+}
+
+/**
+ * Render a medicine for the prompt, e.g. "Pantocid 40 (Pantoprazole 40mg) - 1-0-0 before breakfast"
+ * @param {Object} medicine - { name, salt, frequency }
+ * @returns {string} Line
+ */
+function formatMedicineLine(medicine) {
+    const salt = medicine.salt ? ` (${medicine.salt})` : '';
+    const frequency = medicine.frequency ? ` - ${medicine.frequency}` : '';
+    return `- ${medicine.name}${salt}${frequency}`;
+}
+
+/**
+ * Server-side clinical context sections (vitals, earlier visits, medicines)
+ * Empty when nothing is known, so prompts without context are unchanged.
+ * @param {Object} patient - { vitals, priorVisits, currentMedicines, visitMedicines }
+ * @returns {string} Sections separated by blank lines, or ''
+ */
+function renderClinicalContext(patient) {
+    const sections = [];
+    const vitals = Object.entries(patient.vitals || {});
+
+    if (vitals.length > 0) {
+        sections.push(`Recorded Vitals (this visit) - report these in "objective" together with any examination findings from the transcription:
+${vitals.map(([label, value]) => `- ${label}: ${value}`).join('\n')}`);
+    }
+
+    if (patient.priorVisits?.length > 0) {
+        const visitLines = patient.priorVisits.map(visit => {
+            const date = visit.date
+                ? new Date(visit.date).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' })
+                : 'Earlier visit';
+            return `- ${date}: ${visit.summary}`;
+        });
+        sections.push(`Previous Visits (most recent first) - take these into account in "assessment", e.g. recurrence or response to earlier treatment:
+${visitLines.join('\n')}`);
+    }
+
+    if (patient.currentMedicines?.length > 0) {
+        sections.push(`Current Medicines (from the last prescription):
+${patient.currentMedicines.map(formatMedicineLine).join('\n')}`);
+    }
+
+    if (patient.visitMedicines?.length > 0) {
+        sections.push(`Already Prescribed This Visit:
+${patient.visitMedicines.map(formatMedicineLine).join('\n')}`);
+    }
+
+    return sections.join('\n\n');
+}
+
+/**
+ * Build a SOAP prompt from template parts
+ * @param {Object} parts - { intro, fields, guidelines, clinicalContext }
+ *   clinicalContext - include vitals, earlier visits and medicines (version 2 onwards)
+ * @param {string} transcription - Transcript text
+ * @param {Object} patient - { patientName, patientAge, patientGender, previousConditions,
+ *   vitals, priorVisits, currentMedicines, visitMedicines }
+ * @returns {string} Prompt
+ */
+function renderSOAPPrompt(parts, transcription, patient) {
+    const { fields, guidelines } = parts;
+    const clinicalContext = parts.clinicalContext ? renderClinicalContext(patient) : '';
+    // Keep a single blank line after the patient details whether or not Previous Conditions is present
+    const contextBlock = clinicalContext
+        ? `${patient.previousConditions ? '\n\n' : '\n'}${clinicalContext}`
+        : '';
+
+    return `${parts.intro}
+
+Patient Information:
+- Name: ${patient.patientName}
+- Age: ${patient.patientAge}
+- Gender: ${patient.patientGender}
+${patient.previousConditions ? `- Previous Conditions: ${patient.previousConditions}` : ''}${contextBlock}
+
+Transcription:
+${transcription}
+
+Respond ONLY with a JSON object containing these fields:
+
+"subjective": ${fields.subjective}
+
+"objective": ${fields.objective}
+
+"assessment": ${fields.assessment}
+
+"diagnoses": Each diagnosis as { "description", "icd10Code", "type" }. Use the most specific ICD-10 code you are confident about (e.g. "${fields.icd10Example}"), or null if unsure. "type" is "primary", "secondary" or "differential".
+
+"plan": An object with:
+- "labTests": ${fields.labTests}
+- "medications": ${fields.medications}
+- "followUp": ${fields.followUp}
+- "advice": ${fields.advice}
+
+
+IMPORTANT GUIDELINES:
+${guidelines.map(line => `- ${line}`).join('\n')}`;
+}
+
+const GENERAL_MEDICATIONS_FIELD = 'Each medication as { "name", "strength", "frequency", "timing", "duration" }, using common Indian brand names like Pantocid, Domstal, Digene, Crocin, Combiflam, Azithral, Augmentin, Metrogyl, etc. If medications are mentioned by generic names, suggest appropriate Indian brands.';
+
+const GENERAL_GUIDELINES = [
+    'Use simple, clear medical language',
+    'For medications, ALWAYS use Indian brand names commonly prescribed in India',
+    'Include dosage, frequency, and timing (before/after meals, etc.)',
+    'Be concise but complete',
+    'If information is not in the transcription, write "Not documented in transcription" or use null',
+    'Do not invent ICD-10 codes; use null when the diagnosis is unclear'
+];
+
+const GENERAL_SOAP_PARTS_V1 = {
+    intro: 'You are a medical documentation assistant specialized in Indian medical practices. Convert the following doctor-patient conversation transcription into a structured SOAP note with Indian medical context.',
+    fields: {
+        subjective: 'What the patient reported from the conversation - their symptoms, complaints, history. Write in clear, concise sentences.',
+        objective: 'Physical examination findings, vital signs, and observations mentioned by the doctor. If not mentioned in the transcription, write "Not documented in transcription."',
+        assessment: 'The doctor\'s diagnosis or medical assessment from the conversation. Be specific and clinical.',
+        icd10Example: 'J06.9',
+        labTests: 'Lab tests or investigations mentioned (empty array if none)',
+        medications: GENERAL_MEDICATIONS_FIELD,
+        followUp: 'Follow-up instructions - e.g. "3 days", "1 week", "2 weeks", "PRN", or as mentioned',
+        advice: 'Any diet, lifestyle or other advice given (null if none)'
+    },
+    guidelines: GENERAL_GUIDELINES
+};
+
+const PAEDIATRIC_SOAP_PARTS_V1 = {
+    intro: 'You are a medical documentation assistant for paediatric practices in India. Convert the following consultation between the doctor, the child and the parent or guardian into a structured paediatric SOAP note.',
+    fields: {
+        subjective: 'History as reported by the parent/guardian and the child - presenting complaints with duration, feeding and sleep, birth history, developmental milestones and immunization status when discussed. Say who gave the history.',
+        objective: 'Weight, height/length, head circumference, temperature, heart rate, respiratory rate, SpO2 and examination findings mentioned by the doctor, with units. If not mentioned in the transcription, write "Not documented in transcription."',
+        assessment: 'The doctor\'s diagnosis or assessment, including hydration and growth/nutrition status when assessed. Be specific and clinical.',
+        icd10Example: 'A09',
+        labTests: 'Lab tests or investigations mentioned (empty array if none)',
+        medications: 'Each medication as { "name", "strength", "frequency", "timing", "duration" }, using common Indian paediatric brands and formulations (syrups, drops, dispersible tablets) such as Calpol, Crocin Drops, Ibugesic Plus, Azithral Liquid, Augmentin Duo, Zincovit Drops, Econorm. Include the weight-based dose in "strength" (e.g. "5 ml of 250mg/5ml", "15 mg/kg") when stated.',
+        followUp: 'Follow-up instructions - e.g. "3 days", "1 week", next vaccination due date, "PRN", or as mentioned',
+        advice: 'Advice to parents - feeding, fluids/ORS, danger signs to watch for, vaccination reminders (null if none)'
+    },
+    guidelines: [
+        'Use simple, clear medical language that parents can follow',
+        'For medications, ALWAYS use Indian paediatric brand names and child-appropriate formulations',
+        'Never convert a dose the doctor stated into a different dose; record it exactly',
+        'Record weight whenever mentioned - paediatric doses depend on it',
+        'If information is not in the transcription, write "Not documented in transcription" or use null',
+        'Do not invent ICD-10 codes; use null when the diagnosis is unclear'
+    ]
+};
+
+const DERMATOLOGY_SOAP_PARTS_V1 = {
+    intro: 'You are a medical documentation assistant for dermatology practices in India. Convert the following doctor-patient conversation transcription into a structured dermatology SOAP note.',
+    fields: {
+        subjective: 'Presenting skin, hair or nail complaint with onset, duration, itching/pain, progression, triggers (sun, cosmetics, food, medicines), prior treatments tried including steroid creams, and relevant family history.',
+        objective: 'Lesion description as examined - morphology (macule, papule, plaque, vesicle, etc.), colour, size, distribution and body sites, secondary changes, and any special signs mentioned. If not mentioned in the transcription, write "Not documented in transcription."',
+        assessment: 'The doctor\'s diagnosis or differential, with severity or extent if stated. Be specific and clinical.',
+        icd10Example: 'L20.9',
+        labTests: 'Investigations mentioned such as KOH mount, skin biopsy, patch test, or blood tests (empty array if none)',
+        medications: 'Each medication as { "name", "strength", "frequency", "timing", "duration" }, using common Indian dermatology brands (e.g. Candid, Luliconazole creams such as Lulifin, Momate, Tacroz, Adapalene gels such as Deriva, Levocet, Itraconazole brands such as Itaspor). For topicals put the application site and method in "timing" (e.g. "thin layer on affected area at night").',
+        followUp: 'Follow-up instructions - e.g. "2 weeks", "4 weeks", "PRN", or as mentioned',
+        advice: 'Skin care advice - sun protection, moisturizers, hygiene, what to avoid (null if none)'
+    },
+    guidelines: [
+        'Use simple, clear medical language',
+        'For medications, ALWAYS use Indian brand names commonly prescribed in India',
+        'Distinguish topical from oral medicines and keep application instructions',
+        'Be concise but complete',
+        'If information is not in the transcription, write "Not documented in transcription" or use null',
+        'Do not invent ICD-10 codes; use null when the diagnosis is unclear'
+    ]
+};
+
+// Version 2 adds the server-side clinical context to the same instructions
+const GENERAL_SOAP_PARTS_V2 = { ...GENERAL_SOAP_PARTS_V1, clinicalContext: true };
+const PAEDIATRIC_SOAP_PARTS_V2 = { ...PAEDIATRIC_SOAP_PARTS_V1, clinicalContext: true };
+const DERMATOLOGY_SOAP_PARTS_V2 = { ...DERMATOLOGY_SOAP_PARTS_V1, clinicalContext: true };
+
+// All published templates, including superseded versions
+const TEMPLATES = [
+    {
+        key: 'general',
+        version: 1,
+        name: 'General Practice',
+        description: 'Default SOAP note for general and internal medicine consultations',
+        specialties: [],
+        speakerRoles: DEFAULT_SPEAKER_ROLES,
+        soapParts: GENERAL_SOAP_PARTS_V1
+    },
+    {
+        key: 'paediatrics',
+        version: 1,
+        name: 'Paediatrics',
+        description: 'Parent-reported history, growth and immunization, weight-based doses',
+        specialties: ['paediatric', 'pediatric', 'child', 'neonat'],
+        speakerRoles: ['Doctor', 'Parent', 'Patient', 'Attendant'],
+        soapParts: PAEDIATRIC_SOAP_PARTS_V1
+    },
+    {
+        key: 'dermatology',
+        version: 1,
+        name: 'Dermatology',
+        description: 'Lesion morphology and distribution, topical application instructions',
+        specialties: ['dermat', 'skin', 'cosmetolog', 'venereolog'],
+        speakerRoles: DEFAULT_SPEAKER_ROLES,
+        soapParts: DERMATOLOGY_SOAP_PARTS_V1
+    },
+    {
+        key: 'general',
+        version: 2,
+        name: 'General Practice',
+        description: 'Default SOAP note for general and internal medicine consultations, with vitals, earlier visits and medicines',
+        specialties: [],
+        speakerRoles: DEFAULT_SPEAKER_ROLES,
+        soapParts: GENERAL_SOAP_PARTS_V2
+    },
+    {
+        key: 'paediatrics',
+        version: 2,
+        name: 'Paediatrics',
+        description: 'Parent-reported history, growth and immunization, weight-based doses, with vitals, earlier visits and medicines',
+        specialties: ['paediatric', 'pediatric', 'child', 'neonat'],
+        speakerRoles: ['Doctor', 'Parent', 'Patient', 'Attendant'],
+        soapParts: PAEDIATRIC_SOAP_PARTS_V2
+    },
+    {
+        key: 'dermatology',
+        version: 2,
+        name: 'Dermatology',
+        description: 'Lesion morphology and distribution, topical application instructions, with vitals, earlier visits and medicines',
+        specialties: ['dermat', 'skin', 'cosmetolog', 'venereolog'],
+        speakerRoles: DEFAULT_SPEAKER_ROLES,
+        soapParts: DERMATOLOGY_SOAP_PARTS_V2
+    }
+];
+
+/**
+ * Get a template by key, optionally pinned to a version
+ * @param {string} key - Template key
+ * @param {number} version - Version; latest when omitted
+ * @returns {Object|null} Template or null if unknown
+ */
+function getTemplate(key, version) {
+    const candidates = TEMPLATES.filter(template => template.key === key);
+    if (candidates.length === 0) return null;
+
+    if (version !== undefined && version !== null) {
+        return candidates.find(template => template.version === parseInt(version)) || null;
+    }
+
+    return candidates.reduce((latest, template) => (template.version > latest.version ? template : latest));
+}
+
+/**
+ * Latest version of every template, for listing
+ * @returns {Array<Object>} [{ key, version, name, description }]
+ */
+function listTemplates() {
+    const keys = [...new Set(TEMPLATES.map(template => template.key))];
+    return keys.map(key => {
+        const { version, name, description } = getTemplate(key);
+        return { key, version, name, description };
+    });
+}
+
+/**
+ * Template key matching a doctor's specialization
+ * @param {string} specialization - dr_specialization
+ * @returns {string} Template key
+ */
+function getTemplateKeyForSpecialization(specialization) {
+    const normalized = String(specialization || '').toLowerCase();
+    if (!normalized) return DEFAULT_TEMPLATE_KEY;
+
+    const match = TEMPLATES.find(template =>
+        template.specialties.some(keyword => normalized.includes(keyword))
+    );
+    return match ? match.key : DEFAULT_TEMPLATE_KEY;
+}
+
+/**
+ * Pick the template to use
+ * An explicitly requested key or version must exist; only the saved preference falls
+ * back silently (a template may have been retired since it was chosen).
+ * @param {Object} selection - { templateKey, templateVersion, preferredKey, specialization }
+ * @returns {Object} { template, reason } where reason is 'requested' | 'preference' | 'specialization',
+ *   or { template: null, error } when the requested template does not exist
+ */
+function resolveTemplate(selection = {}) {
+    const { templateKey, templateVersion, preferredKey, specialization } = selection;
+    const hasVersion = templateVersion !== undefined && templateVersion !== null && templateVersion !== '';
+
+    if (hasVersion && !templateKey) {
+        return { template: null, error: 'A prompt template version needs a template key' };
+    }
+
+    if (templateKey) {
+        if (!getTemplate(templateKey)) {
+            return { template: null, error: `Unknown prompt template: ${templateKey}` };
+        }
+
+        const requested = hasVersion
+            ? /^\d+$/.test(String(templateVersion).trim()) && getTemplate(templateKey, templateVersion)
+            : getTemplate(templateKey);
+        if (!requested) {
+            return { template: null, error: `Unknown version ${templateVersion} of prompt template ${templateKey}` };
+        }
+        return { template: requested, reason: 'requested' };
+    }
+
+    if (preferredKey) {
+        const preferred = getTemplate(preferredKey);
+        if (preferred) return { template: preferred, reason: 'preference' };
+    }
+
+    return {
+        template: getTemplate(getTemplateKeyForSpecialization(specialization)),
+        reason: 'specialization'
+    };
+}
+
+/**
+ * Build the SOAP prompt for a template
+ * @param {Object} template - Template
+ * @param {string} transcription - Transcript text
+ * @param {Object} patient - { patientName, patientAge, patientGender, previousConditions,
+ *   vitals, priorVisits, currentMedicines, visitMedicines }
+ * @returns {string} Prompt
+ */
+function buildSOAPPrompt(template, transcription, patient) {
+    return renderSOAPPrompt(template.soapParts, transcription, patient);
+}
+
+/**
+ * Build the transcription prompt for a template
+ * @param {Object} template - Template (general when omitted)
+ * @returns {string} Prompt
+ */
+function getTranscriptionPrompt(template) {
+    return buildTranscriptionPrompt(template?.speakerRoles);
+}
+
+/**
+ * Reference stored with generated notes, e.g. { key: 'paediatrics', version: 1 }
+ * @param {Object} template - Template
+ * @returns {Object} { key, version }
+ */
+function toTemplateRef(template) {
+    return { key: template.key, version: template.version };
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE_KEY,
+    getTemplate,
+    listTemplates,
+    getTemplateKeyForSpecialization,
+    resolveTemplate,
+    buildSOAPPrompt,
+    getTranscriptionPrompt,
+    toTemplateRef
+};
@@ -134,6 +134,7 @@ async function delFromRedis(key) {
 }
 
 module.exports = {
+    isRedisConnected,
     getFromRedis,
     setToRedis,
     delFromRedis,
@@ -0,0 +1,322 @@
+const { SchemaType } = require('@google/generative-ai');
+
+/**
+ * SOAP Note Utility
+ * Defines the structured JSON contract for AI-generated SOAP notes
+ * and converts between the structured form and the rendered text form.
+ *
+ * Features:
+ * - Response schema for schema-constrained Gemini output
+ * - Server-side validation and normalization of the model response
+ * - ICD-10 code format checking
+ * - Plain-text rendering compatible with the legacy appointment_summary format
+ */
+
+// ICD-10 code format (e.g. J06.9, A09, K21.0)
+const ICD10_PATTERN = /^[A-TV-Z][0-9][0-9AB](\.[0-9A-TV-Z]{1,4})?$/;
+
+const NOT_DOCUMENTED = 'Not documented in transcription.';
+
+// Single prescribed medication, shared by the SOAP plan and medication extraction
+const MEDICATION_ITEM_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        name: { type: SchemaType.STRING, description: 'Indian brand name' },
+        genericName: { type: SchemaType.STRING, nullable: true, description: 'Salt / composition, e.g. Paracetamol' },
+        strength: { type: SchemaType.STRING, nullable: true },
+        frequency: { type: SchemaType.STRING, nullable: true, description: 'e.g. 1-0-1, twice daily' },
+        timing: { type: SchemaType.STRING, nullable: true, description: 'e.g. after food' },
+        duration: { type: SchemaType.STRING, nullable: true, description: 'e.g. 5 days' }
+    },
+    required: ['name']
+};
+
+// Schema passed to Gemini as generationConfig.responseSchema
+const SOAP_RESPONSE_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        subjective: {
+            type: SchemaType.STRING,
+            description: 'Patient-reported symptoms, complaints and history'
+        },
+        objective: {
+            type: SchemaType.STRING,
+            description: 'Examination findings, vital signs and observations by the doctor'
+        },
+        assessment: {
+            type: SchemaType.STRING,
+            description: "Doctor's clinical assessment / diagnosis"
+        },
+        plan: {
+            type: SchemaType.OBJECT,
+            properties: {
+                labTests: {
+                    type: SchemaType.ARRAY,
+                    items: { type: SchemaType.STRING }
+                },
+                medications: {
+                    type: SchemaType.ARRAY,
+                    items: MEDICATION_ITEM_SCHEMA
+                },
+                followUp: { type: SchemaType.STRING, nullable: true },
+                advice: { type: SchemaType.STRING, nullable: true }
+            },
+            required: ['labTests', 'medications']
+        },
+        diagnoses: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    description: { type: SchemaType.STRING },
+                    icd10Code: { type: SchemaType.STRING, nullable: true },
+                    type: {
+                        type: SchemaType.STRING,
+                        format: 'enum',
+                        enum: ['primary', 'secondary', 'differential']
+                    }
+                },
+                required: ['description']
+            }
+        }
+    },
+    required: ['subjective', 'objective', 'assessment', 'plan', 'diagnoses']
+};
+
+// Schema for extracting prescribed medicines from free text
+const MEDICATION_LIST_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        medications: {
+            type: SchemaType.ARRAY,
+            items: MEDICATION_ITEM_SCHEMA
+        }
+    },
+    required: ['medications']
+};
+
+/**
+ * Normalize an optional text value
+ * @param {any} value - Raw value from model output
+ * @returns {string|null} Trimmed string or null
+ */
+function cleanText(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'string') return null;
+
+    const trimmed = value.trim();
+    return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Normalize a list of medications, dropping entries without a name
+ * @param {Array} medications - Raw medication list
+ * @param {Array<string>} warnings - Collects messages about dropped entries
+ * @param {string} path - Field path used in warning messages
+ * @returns {Array<Object>} Normalized medications
+ */
+function normalizeMedications(medications, warnings = [], path = 'medications') {
+    const normalized = [];
+
+    (medications || []).forEach((med, index) => {
+        const name = cleanText(med?.name);
+        if (!name) {
+            warnings.push(`${path}[${index}] has no name and was dropped`);
+            return;
+        }
+        normalized.push({
+            name,
+            genericName: cleanText(med.genericName),
+            strength: cleanText(med.strength),
+            frequency: cleanText(med.frequency),
+            timing: cleanText(med.timing),
+            duration: cleanText(med.duration)
+        });
+    });
+
+    return normalized;
+}
+
+/**
+ * Parse raw model output into an object
+ * Tolerates markdown code fences around the JSON payload
+ * @param {string} rawText - Raw text returned by the model
+ * @returns {Object|null} Parsed object or null if not valid JSON
+ */
+function parseSOAPResponse(rawText) {
+    if (!rawText || typeof rawText !== 'string') return null;
+
+    const stripped = rawText
+        .trim()
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/\s*```$/, '');
+
+    try {
+        return JSON.parse(stripped);
+    } catch (error) {
+        console.error('❌ Failed to parse SOAP JSON response:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Validate and normalize a structured SOAP note
+ * @param {Object} raw - Parsed model output
+ * @returns {Object} { valid, errors, warnings, note }
+ */
+function validateSOAPNote(raw) {
+    const errors = [];
+    const warnings = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { valid: false, errors: ['SOAP note must be a JSON object'], warnings, note: null };
+    }
+
+    // Narrative sections
+    const sections = {};
+    for (const section of ['subjective', 'objective', 'assessment']) {
+        if (typeof raw[section] !== 'string') {
+            errors.push(`${section} must be a string`);
+            continue;
+        }
+        sections[section] = cleanText(raw[section]) || NOT_DOCUMENTED;
+    }
+
+    // Plan
+    const plan = { labTests: [], medications: [], followUp: null, advice: null };
+    if (!raw.plan || typeof raw.plan !== 'object' || Array.isArray(raw.plan)) {
+        errors.push('plan must be an object');
+    } else {
+        if (raw.plan.labTests !== undefined && !Array.isArray(raw.plan.labTests)) {
+            errors.push('plan.labTests must be an array');
+        } else {
+            plan.labTests = (raw.plan.labTests || []).map(cleanText).filter(Boolean);
+        }
+
+        if (raw.plan.medications !== undefined && !Array.isArray(raw.plan.medications)) {
+            errors.push('plan.medications must be an array');
+        } else {
+            plan.medications = normalizeMedications(raw.plan.medications, warnings, 'plan.medications');
+        }
+
+        plan.followUp = cleanText(raw.plan.followUp);
+        plan.advice = cleanText(raw.plan.advice);
+    }
+
+    // Diagnoses and ICD-10 codes
+    const diagnoses = [];
+    if (raw.diagnoses !== undefined && !Array.isArray(raw.diagnoses)) {
+        errors.push('diagnoses must be an array');
+    } else {
+        (raw.diagnoses || []).forEach((diagnosis, index) => {
+            const description = cleanText(diagnosis?.description);
+            if (!description) {
+                warnings.push(`diagnoses[${index}] has no description and was dropped`);
+                return;
+            }
+
+            let icd10Code = cleanText(diagnosis.icd10Code);
+            if (icd10Code) {
+                icd10Code = icd10Code.toUpperCase().replace(/\s+/g, '');
+                if (!ICD10_PATTERN.test(icd10Code)) {
+                    warnings.push(`diagnoses[${index}] has invalid ICD-10 code "${icd10Code}"`);
+                    icd10Code = null;
+                }
+            }
+
+            const type = ['primary', 'secondary', 'differential'].includes(diagnosis.type)
+                ? diagnosis.type
+                : (index === 0 ? 'primary' : 'secondary');
+
+            diagnoses.push({ description, icd10Code, type });
+        });
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors, warnings, note: null };
+    }
+
+    const icd10Codes = [...new Set(diagnoses.map(d => d.icd10Code).filter(Boolean))];
+
+    return {
+        valid: true,
+        errors,
+        warnings,
+        note: {
+            subjective: sections.subjective,
+            objective: sections.objective,
+            assessment: sections.assessment,
+            plan,
+            diagnoses,
+            icd10Codes
+        }
+    };
+}
+
+/**
+ * Render a structured SOAP note as plain text
+ * Keeps the layout previously produced directly by the model
+ * @param {Object} note - Validated SOAP note
+ * @param {Object} header - { date, patientName, patientAge, patientGender }
+ * @returns {string} Rendered SOAP text
+ */
+function renderSOAPText(note, header = {}) {
+    const lines = [];
+
+    lines.push(`Date: ${header.date || ''}`);
+    lines.push(`Patient Name: ${header.patientName || '[Patient Name]'}`);
+    lines.push(`Age / Sex: ${header.patientAge || '[Age]'} / ${header.patientGender || '[Sex]'}`);
+    lines.push('', '');
+
+    lines.push('Subjective (Patient History)');
+    lines.push(note.subjective, '');
+
+    lines.push("Objective (Doctor's Examination)");
+    lines.push(note.objective, '');
+
+    lines.push('Assessment / Diagnosis');
+    lines.push(note.assessment);
+    note.diagnoses.forEach(diagnosis => {
+        const code = diagnosis.icd10Code ? ` (ICD-10: ${diagnosis.icd10Code})` : '';
+        lines.push(`- ${diagnosis.description}${code}`);
+    });
+    lines.push('');
+
+    lines.push('Plan');
+    lines.push('Lab Tests:');
+    if (note.plan.labTests.length > 0) {
+        note.plan.labTests.forEach(test => lines.push(`- ${test}`));
+    } else {
+        lines.push('None prescribed');
+    }
+    lines.push('');
+
+    lines.push('Medications (with Indian Brand Names):');
+    if (note.plan.medications.length > 0) {
+        note.plan.medications.forEach((med, index) => {
+            const dose = [med.frequency, med.timing, med.duration].filter(Boolean).join(', ');
+            const name = [med.name, med.strength].filter(Boolean).join(' ');
+            lines.push(`${index + 1}. ${name}${dose ? ` – ${dose}` : ''}`);
+        });
+    } else {
+        lines.push('None prescribed');
+    }
+    lines.push('');
+
+    if (note.plan.advice) {
+        lines.push(`Advice: ${note.plan.advice}`);
+    }
+    lines.push(`Follow-up: ${note.plan.followUp || 'As needed'}`);
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    SOAP_RESPONSE_SCHEMA,
+    MEDICATION_LIST_SCHEMA,
+    ICD10_PATTERN,
+    normalizeMedications,
+    parseSOAPResponse,
+    validateSOAPNote,
+    renderSOAPText
+};
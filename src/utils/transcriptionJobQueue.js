@@ -0,0 +1,448 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const redisClient = require('../config/redisConnection');
+const redisRouter = require('./redisRouter');
+const transcriptionService = require('../controllers/transcription/transcriptionService');
+const STATUS = require('./constants').STATUS;
+const promptTemplates = require('./promptTemplates');
+const aiUsageMeter = require('./aiUsageMeter');
+
+/**
+ * Transcription Job Queue
+ * Redis-backed queue for asynchronous audio transcription
+ *
+ * - Job records are stored as JSON under transcription_job:{jobId} with a TTL
+ * - Job IDs are queued on a Redis list and moved to a processing list while running
+ * - Status changes are compare-and-set in Redis, so a cancel and the worker finishing
+ *   the same job cannot overwrite each other
+ * - Uploaded audio is spooled to the instance's local /tmp (memory-backed on App Engine
+ *   standard) and the worker runs in the same process as the upload route. This only
+ *   works with exactly one instance: app.yaml pins App Engine to one manually scaled
+ *   instance and ecosystem.config.js runs a single PM2 fork
+ * - Spooled audio whose job record has expired is swept once an hour
+ */
+
+const QUEUE_KEY = 'transcription_jobs:queue';
+const PROCESSING_KEY = 'transcription_jobs:processing';
+const JOB_KEY_PREFIX = 'transcription_job:';
+
+const JOB_TTL_SECONDS = parseInt(process.env.TRANSCRIPTION_JOB_TTL_SECONDS) || 24 * 60 * 60;
+const WORKER_CONCURRENCY = parseInt(process.env.TRANSCRIPTION_WORKER_CONCURRENCY) || 1;
+const SPOOL_DIR = process.env.TRANSCRIPTION_SPOOL_DIR || path.join(os.tmpdir(), 'ruby-ai-transcription');
+const SPOOL_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// AbortControllers for jobs currently being transcribed by this process
+const activeJobs = new Map();
+let workerRunning = false;
+
+/**
+ * Ensure the spool directory exists and return its path
+ * @returns {string} Spool directory path
+ */
+function getSpoolDir() {
+    fs.mkdirSync(SPOOL_DIR, { recursive: true });
+    return SPOOL_DIR;
+}
+
+/**
+ * Strip internal fields before returning a job to the client
+ * @param {Object} job - Job record
+ * @returns {Object} Public job view
+ */
+function toPublicJob(job) {
+    if (!job) return null;
+    const { filePath, ...publicJob } = job;
+    return publicJob;
+}
+
+/**
+ * Fetch a job record
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job record or null
+ */
+async function getJob(jobId) {
+    return redisRouter.getFromRedis(`${JOB_KEY_PREFIX}${jobId}`);
+}
+
+// Replace the job record only if it is still exactly what was read
+const COMPARE_AND_SET_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+    return 1
+end
+return 0
+`;
+
+const MAX_TRANSITION_ATTEMPTS = 5;
+
+/**
+ * Atomically move a job to a new status
+ * The change is applied only while the job is in one of fromStatuses; a concurrent
+ * write between the read and the compare-and-set makes it re-read and re-check.
+ * @param {string} jobId - Job ID
+ * @param {string[]} fromStatuses - Statuses the job may currently be in
+ * @param {Object} changes - Fields to update, including the new status
+ * @returns {Promise<Object>} { applied, job, previous } - job is the stored record after the call
+ */
+async function transitionJob(jobId, fromStatuses, changes) {
+    const key = `${JOB_KEY_PREFIX}${jobId}`;
+
+    for (let attempt = 0; attempt < MAX_TRANSITION_ATTEMPTS; attempt++) {
+        const raw = await redisClient.get(key);
+        if (!raw) return { applied: false, job: null, previous: null };
+
+        const job = JSON.parse(raw);
+        if (!fromStatuses.includes(job.status)) {
+            return { applied: false, job, previous: job };
+        }
+
+        const updated = {
+            ...job,
+            ...changes,
+            updatedAt: new Date().toISOString()
+        };
+        const swapped = await redisClient.eval(COMPARE_AND_SET_SCRIPT, {
+            keys: [key],
+            arguments: [raw, JSON.stringify(updated), String(JOB_TTL_SECONDS)]
+        });
+        if (swapped === 1) {
+            return { applied: true, job: updated, previous: job };
+        }
+    }
+
+    throw new Error(`Transcription job ${jobId} kept changing during a status update`);
+}
+
+/**
+ * Remove a spooled audio file, ignoring missing files
+ * @param {string} filePath - File path
+ */
+async function removeSpoolFile(filePath) {
+    if (!filePath) return;
+    try {
+        await fs.promises.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('❌ Failed to remove spooled audio file:', filePath, error.message);
+        }
+    }
+}
+
+/**
+ * Remove spool files that have not been modified for longer than maxAgeSeconds
+ * @param {number} maxAgeSeconds - Age after which a file is considered abandoned
+ * @param {Function} matches - (fileName) => boolean, limits which files are considered
+ * @returns {Promise<number>} Number of files removed
+ */
+async function sweepSpool(maxAgeSeconds, matches = () => true) {
+    const cutoff = Date.now() - maxAgeSeconds * 1000;
+    let removed = 0;
+
+    for (const fileName of await fs.promises.readdir(getSpoolDir())) {
+        if (!matches(fileName)) continue;
+
+        const filePath = path.join(SPOOL_DIR, fileName);
+        try {
+            const stats = await fs.promises.stat(filePath);
+            if (!stats.isFile() || stats.mtimeMs > cutoff) continue;
+            await fs.promises.unlink(filePath);
+            removed++;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Failed to sweep spooled file:', filePath, error.message);
+            }
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Periodically run a spool sweep, logging what it removed
+ * @param {string} label - What the sweep removes, for logging
+ * @param {number} maxAgeSeconds - Age after which a file is considered abandoned
+ * @param {Function} matches - (fileName) => boolean, limits which files are considered
+ */
+function scheduleSpoolSweep(label, maxAgeSeconds, matches) {
+    const sweep = async () => {
+        try {
+            const removed = await sweepSpool(maxAgeSeconds, matches);
+            if (removed > 0) {
+                console.log(`🧹 Removed ${removed} abandoned ${label} from the transcription spool`);
+            }
+        } catch (error) {
+            console.error(`❌ Spool sweep for ${label} failed:`, error.message);
+        }
+    };
+
+    sweep();
+    setInterval(sweep, SPOOL_SWEEP_INTERVAL_MS).unref();
+}
+
+/**
+ * Create a transcription job and queue it
+ * @param {Object} params - { filePath, mimeType, size, originalName, durationSeconds, promptTemplate, appointmentId, patientId, doctorId }
+ * @returns {Promise<Object>} Created job record
+ */
+async function createJob(params) {
+    const jobId = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    const job = {
+        jobId,
+        status: JOB_STATUS.QUEUED,
+        doctorId: params.doctorId,
+        appointmentId: params.appointmentId || null,
+        patientId: params.patientId || null,
+        filePath: params.filePath,
+        mimeType: params.mimeType || 'audio/wav',
+        size: params.size,
+        originalName: params.originalName,
+        durationSeconds: parseFloat(params.durationSeconds) || null,
+        promptTemplate: params.promptTemplate || null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        completedAt: null,
+        error: null,
+        result: null
+    };
+
+    await redisRouter.setToRedis(`${JOB_KEY_PREFIX}${jobId}`, job, JOB_TTL_SECONDS);
+    await redisClient.lPush(QUEUE_KEY, jobId);
+
+    console.log(`📥 Transcription job queued: ${jobId} (Doctor: ${job.doctorId}, ${job.size} bytes)`);
+    return job;
+}
+
+/**
+ * Cancel a queued or running job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} { success, message, job }
+ */
+async function cancelJob(jobId) {
+    const { applied, job: updated, previous: job } = await transitionJob(
+        jobId,
+        [JOB_STATUS.QUEUED, JOB_STATUS.PROCESSING],
+        { status: JOB_STATUS.CANCELLED, completedAt: new Date().toISOString() }
+    );
+    if (!job) {
+        return { success: false, message: 'Transcription job not found' };
+    }
+
+    if (!applied) {
+        return { success: false, message: `Transcription job is already ${job.status}`, job };
+    }
+
+    await redisClient.lRem(QUEUE_KEY, 0, jobId);
+
+    // Abort the provider request if this process is running the job
+    const controller = activeJobs.get(jobId);
+    if (controller) {
+        controller.abort();
+    } else if (job.status === JOB_STATUS.QUEUED) {
+        await removeSpoolFile(job.filePath);
+    }
+
+    console.log(`🛑 Transcription job cancelled: ${jobId}`);
+    return { success: true, message: 'Transcription job cancelled', job: updated };
+}
+
+/**
+ * Run transcription for a single job
+ * @param {string} jobId - Job ID
+ */
+async function processJob(jobId) {
+    const { applied, previous: job } = await transitionJob(
+        jobId,
+        [JOB_STATUS.QUEUED],
+        { status: JOB_STATUS.PROCESSING, startedAt: new Date().toISOString() }
+    );
+
+    if (!applied) {
+        // Expired or cancelled before the worker picked it up
+        if (job) await removeSpoolFile(job.filePath);
+        return;
+    }
+
+    console.log(`⚙️  Processing transcription job ${jobId}`);
+
+    const controller = new AbortController();
+    activeJobs.set(jobId, controller);
+
+    try {
+        // Passed as a path so long recordings are cut from disk rather than buffered whole
+        const transcription = await transcriptionService.transcribe(job.filePath, job.mimeType, {
+            durationSeconds: job.durationSeconds,
+            fileName: job.originalName,
+            // Pinned at job creation so a queued job uses the version the doctor had selected
+            promptTemplate: job.promptTemplate
+                ? promptTemplates.getTemplate(job.promptTemplate.key, job.promptTemplate.version)
+                : null,
+            signal: controller.signal,
+            meter: { doctorId: job.doctorId, operation: aiUsageMeter.OPERATIONS.TRANSCRIPTION }
+        });
+        const transcriptionText = transcription.text;
+
+        // The job may have been cancelled while the provider was working
+        const latest = await getJob(jobId);
+        if (!latest || latest.status === JOB_STATUS.CANCELLED) {
+            console.log(`ℹ️ Discarding result of cancelled job ${jobId}`);
+            return;
+        }
+
+        let appointmentDetailId = null;
+        let transcriptId = null;
+        if (job.appointmentId && job.patientId && job.doctorId) {
+            const saveResult = await transcriptionService.saveTranscription(
+                transcriptionText,
+                job.appointmentId,
+                job.patientId,
+                job.doctorId,
+                {
+                    turns: transcription.turns,
+                    language: transcription.language,
+                    durationSeconds: transcription.durationSeconds,
+                    promptTemplate: transcription.promptTemplate
+                }
+            );
+            if (saveResult.status === STATUS.SUCCESS) {
+                appointmentDetailId = saveResult.data.appointmentDetailId;
+                transcriptId = saveResult.data.transcriptId;
+            }
+        }
+
+        // Only a job still processing completes; a cancel that won the race stays cancelled
+        const completion = await transitionJob(jobId, [JOB_STATUS.PROCESSING], {
+            status: JOB_STATUS.COMPLETED,
+            completedAt: new Date().toISOString(),
+            result: {
+                text: transcriptionText,
+                turns: transcription.turns,
+                segmented: transcription.segmented,
+                segmentCount: transcription.segmentCount,
+                diarized: transcription.diarized,
+                durationSeconds: transcription.durationSeconds,
+                language: transcription.language,
+                provider: transcription.provider,
+                promptTemplate: transcription.promptTemplate,
+                appointmentDetailId,
+                transcriptId,
+                saved: appointmentDetailId !== null
+            }
+        });
+
+        if (!completion.applied) {
+            console.log(`ℹ️ Transcription job ${jobId} was ${completion.job?.status || 'removed'} before it completed`);
+            return;
+        }
+
+        console.log(`✅ Transcription job completed: ${jobId}`);
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.log(`ℹ️ Transcription job ${jobId} aborted after cancellation`);
+            return;
+        }
+
+        console.error(`❌ Transcription job failed: ${jobId}`, error);
+        await transitionJob(jobId, [JOB_STATUS.PROCESSING], {
+            status: JOB_STATUS.FAILED,
+            completedAt: new Date().toISOString(),
+            error: transcriptionService.getTranscriptionErrorMessage(error)
+        });
+    } finally {
+        activeJobs.delete(jobId);
+        await removeSpoolFile(job.filePath);
+    }
+}
+
+/**
+ * Worker loop: block on the queue and process jobs one at a time
+ * @param {Object} workerClient - Dedicated Redis connection for blocking commands
+ * @param {number} workerId - Worker number for logging
+ */
+async function runWorker(workerClient, workerId) {
+    console.log(`👷 Transcription worker ${workerId} started`);
+
+    while (workerRunning) {
+        try {
+            const jobId = await workerClient.blMove(QUEUE_KEY, PROCESSING_KEY, 'RIGHT', 'LEFT', 5);
+            if (!jobId) continue;
+
+            try {
+                await processJob(jobId);
+            } finally {
+                // Only a crash may leave a job in the processing list (re-queued at startup)
+                await redisClient.lRem(PROCESSING_KEY, 1, jobId);
+            }
+        } catch (error) {
+            console.error(`❌ Transcription worker ${workerId} error:`, error.message);
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+    }
+}
+
+/**
+ * Start background transcription workers
+ * Jobs left in the processing list by a previous run are re-queued first
+ */
+async function startTranscriptionWorker() {
+    if (workerRunning) return;
+    workerRunning = true;
+
+    try {
+        getSpoolDir();
+
+        const workerClients = [];
+        for (let i = 0; i < WORKER_CONCURRENCY; i++) {
+            // Blocking commands need their own connection
+            const workerClient = redisClient.duplicate();
+            workerClient.on('error', (err) => {
+                console.error('❌ Transcription worker Redis error:', err.message);
+            });
+            await workerClient.connect();
+            workerClients.push(workerClient);
+        }
+
+        let requeued = 0;
+        let jobId;
+        while ((jobId = await redisClient.lMove(PROCESSING_KEY, QUEUE_KEY, 'LEFT', 'RIGHT'))) {
+            await transitionJob(jobId, [JOB_STATUS.PROCESSING], { status: JOB_STATUS.QUEUED });
+            requeued++;
+        }
+        if (requeued > 0) {
+            console.log(`🔄 Re-queued ${requeued} interrupted transcription jobs`);
+        }
+
+        workerClients.forEach((workerClient, index) => {
+            runWorker(workerClient, index + 1);
+        });
+
+        // Audio of jobs that expired while queued; upload .part files are swept by chunkedAudioUpload
+        scheduleSpoolSweep('job audio files', JOB_TTL_SECONDS, fileName => !fileName.endsWith('.part'));
+    } catch (error) {
+        workerRunning = false;
+        console.error('❌ Failed to start transcription worker:', error.message);
+    }
+}
+
+module.exports = {
+    JOB_STATUS,
+    getSpoolDir,
+    scheduleSpoolSweep,
+    toPublicJob,
+    createJob,
+    getJob,
+    cancelJob,
+    startTranscriptionWorker
+};
@@ -0,0 +1,71 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Listed twice so a failure on the first attempt falls back to the second
+process.env.AI_PROVIDER_ORDER = 'fake,fake';
+
+const aiProviders = require('../src/utils/aiProviders');
+const { fakeProvider } = aiProviders;
+
+beforeEach(() => {
+    fakeProvider.reset();
+});
+
+test('runWithFallback returns the first successful result', async () => {
+    fakeProvider.setResponses({ text: ['first answer'] });
+
+    const { result, provider } = await aiProviders.runWithFallback(
+        aiProviders.CAPABILITIES.TEXT,
+        (textProvider, attempt) => textProvider.generateText({ prompt: 'Hello', signal: attempt.signal })
+    );
+
+    assert.equal(provider, 'fake');
+    assert.equal(result.text, 'first answer');
+    assert.equal(fakeProvider.getCalls().length, 1);
+});
+
+test('runWithFallback moves on to the next provider after a failure', async () => {
+    fakeProvider.setResponses({ text: [new Error('quota exceeded'), 'fallback answer'] });
+
+    const { text, provider } = await aiProviders.generateText({ prompt: 'Hello' });
+
+    assert.equal(provider, 'fake');
+    assert.equal(text, 'fallback answer');
+    assert.equal(fakeProvider.getCalls().length, 2);
+});
+
+test('runWithFallback surfaces the last error with every provider failure attached', async () => {
+    fakeProvider.setResponses({ text: [new Error('first down'), new Error('second down')] });
+
+    await assert.rejects(
+        aiProviders.generateText({ prompt: 'Hello' }),
+        error => {
+            assert.equal(error.message, 'second down');
+            assert.deepEqual(error.providerFailures.map(failure => failure.message), ['first down', 'second down']);
+            return true;
+        }
+    );
+});
+
+test('runWithFallback does not retry a request cancelled by the caller', async () => {
+    const controller = new AbortController();
+    fakeProvider.setResponses({
+        text: [() => {
+            controller.abort();
+            return new Error('cancelled mid-request');
+        }, 'should not be used']
+    });
+
+    await assert.rejects(aiProviders.generateText({ prompt: 'Hello', signal: controller.signal }));
+    assert.equal(fakeProvider.getCalls().length, 1);
+});
+
+test('runWithFallback fails when no provider is available', async () => {
+    process.env.AI_TEXT_PROVIDER_ORDER = 'unknown';
+    try {
+        assert.equal(aiProviders.isAvailable(aiProviders.CAPABILITIES.TEXT), false);
+        await assert.rejects(aiProviders.generateText({ prompt: 'Hello' }), /No AI provider configured for text/);
+    } finally {
+        delete process.env.AI_TEXT_PROVIDER_ORDER;
+    }
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const dosageParser = require('../src/utils/dosageParser');
+
+test('slot patterns fill the morning, noon and night doses', () => {
+    const dosage = dosageParser.parseDosageInstructions('1-0-1 after food x 5 days');
+
+    assert.equal(dosage.dose_quantity, 1);
+    assert.equal(dosage.dose_morning, 1);
+    assert.equal(dosage.dose_noon, 0);
+    assert.equal(dosage.dose_night, 1);
+    assert.equal(dosage.doses_per_day, 2);
+    assert.equal(dosage.food_timing, 'after_food');
+    assert.equal(dosage.duration_days, 5);
+    assert.equal(dosage.is_prn, false);
+});
+
+test('abbreviated frequencies with a quantity and unit', () => {
+    const dosage = dosageParser.parseDosageInstructions('5 ml TDS');
+
+    assert.equal(dosage.dose_quantity, 5);
+    assert.equal(dosage.dose_unit, 'ml');
+    assert.equal(dosage.doses_per_day, 3);
+    assert.equal(dosage.route, 'oral');
+});
+
+test('as-needed instructions are PRN without fixed slots', () => {
+    const dosage = dosageParser.parseDosageInstructions('SOS');
+
+    assert.equal(dosage.is_prn, true);
+    assert.equal(dosage.doses_per_day, null);
+    assert.equal(dosage.dose_morning, null);
+});
+
+test('text without dosing information parses to null', () => {
+    assert.equal(dosageParser.parseDosageInstructions(''), null);
+    assert.equal(dosageParser.parseDosageInstructions('review with reports'), null);
+});
+
+test('strengths are read as mg per quantity of the dosage form', () => {
+    assert.deepEqual(dosageParser.parseStrength('250mg/5ml'), { mg: 250, perQuantity: 5, perUnit: 'ml' });
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getAgeInMonths,
+    parseWeightKg,
+    calculateDoseRange,
+    evaluateDose,
+    checkMedicineDose
+} = require('../src/utils/doseCalculator');
+
+// Medicines without a drug_id take their strength from medicine_salt or strength, so no database is needed
+
+test('mg/kg per dose rules scale each dose with weight', () => {
+    const range = calculateDoseRange('paracetamol', { weightKg: 10, ageMonths: 24 });
+
+    assert.equal(range.basis, 'mg/kg per dose');
+    assert.equal(range.weightBased, true);
+    assert.deepEqual(range.perDoseMg, { min: 100, max: 150 });
+    assert.deepEqual(range.perDayMg, { min: 100, max: 600 });
+});
+
+test('mg/kg per day rules split the daily dose over the doses', () => {
+    const range = calculateDoseRange('amoxicillin', { weightKg: 10, ageMonths: 24 });
+
+    assert.equal(range.basis, 'mg/kg per day');
+    assert.deepEqual(range.perDayMg, { min: 250, max: 900 });
+    assert.equal(range.perDoseMg.max, 450);
+    assert.deepEqual(range.dosesPerDay, { min: 2, max: 3 });
+});
+
+test('absolute caps apply whatever the weight', () => {
+    const range = calculateDoseRange('ibuprofen', { weightKg: 50, ageMonths: 144 });
+
+    assert.deepEqual(range.perDoseMg, { min: 250, max: 400 });
+    assert.equal(range.perDayMg.max, 1200);
+});
+
+test('a daily total above the mg/kg per day cap is flagged even when each dose is in range', () => {
+    const patient = { weightKg: 10, ageMonths: 24 };
+    const range = calculateDoseRange('paracetamol', patient);
+
+    const findings = evaluateDose(range, { mgPerDose: 150, mgPerDay: 750, dosesPerDay: 5, prn: false }, patient);
+
+    assert.deepEqual(findings.map(finding => finding.type), ['daily_dose_above_range', 'frequency_outside_range']);
+    assert.match(findings[0].message, /above the recommended 100-600 mg for 10 kg/);
+});
+
+test('age bands pick the basis for the age, and below the minimum age the drug is not recommended', () => {
+    assert.equal(calculateDoseRange('cetirizine', { weightKg: null, ageMonths: 12 }).basis, 'mg per dose for age');
+
+    const preschool = calculateDoseRange('cetirizine', { weightKg: null, ageMonths: 36 });
+    assert.equal(preschool.basis, 'mg per day for age');
+    assert.deepEqual(preschool.perDayMg, { min: 2.5, max: 5 });
+
+    const infant = calculateDoseRange('cetirizine', { weightKg: 6, ageMonths: 3 });
+    assert.equal(infant.notRecommended, true);
+    assert.deepEqual(evaluateDose(infant, {}, { weightKg: 6, ageMonths: 3 }).map(finding => finding.type), ['age_below_minimum']);
+
+    assert.equal(calculateDoseRange('vitamin c', { weightKg: 10, ageMonths: 24 }), null);
+});
+
+test('a syrup strength and an ml frequency give the mg actually prescribed', async () => {
+    const medicine = { medicine_name: 'Amoxicillin', strength: '250mg/5ml', medicine_frequency: '5 ml TDS' };
+
+    const inRange = await checkMedicineDose(medicine, { weightKg: 10, ageMonths: 24 });
+    assert.equal(inRange.applicable, true);
+    const [amoxicillin] = inRange.compositions;
+    assert.equal(amoxicillin.entered.mgPerDose, 250);
+    assert.equal(amoxicillin.entered.mgPerDay, 750);
+    assert.deepEqual(amoxicillin.recommended.perDoseQuantity, { min: 1.67, max: 9, unit: 'ml' });
+    assert.deepEqual(inRange.findings, []);
+
+    const tooMuch = await checkMedicineDose(medicine, { weightKg: 5, ageMonths: 4 });
+    assert.deepEqual(tooMuch.findings.map(finding => finding.type), ['dose_above_range', 'daily_dose_above_range']);
+});
+
+test('adults are not checked', async () => {
+    const result = await checkMedicineDose({ medicine_name: 'Paracetamol' }, { weightKg: 70, ageMonths: 30 * 12 });
+
+    assert.equal(result.applicable, false);
+    assert.match(result.reason, /Adult/);
+});
+
+test('weights are read in kg, g and lb', () => {
+    assert.equal(parseWeightKg('12.5 kg'), 12.5);
+    assert.equal(parseWeightKg(12), 12);
+    assert.equal(parseWeightKg('12500 g'), 12.5);
+    assert.equal(parseWeightKg('3400gm'), 3.4);
+    assert.equal(parseWeightKg('26 lbs'), 26 * 0.4536);
+    assert.equal(parseWeightKg('not weighed'), null);
+    assert.equal(parseWeightKg('0'), null);
+    assert.equal(parseWeightKg(null), null);
+});
+
+test('age counts completed months', () => {
+    const dateOfBirth = new Date(2024, 2, 15);
+
+    assert.equal(getAgeInMonths(dateOfBirth, new Date(2026, 2, 14)), 23);
+    assert.equal(getAgeInMonths(dateOfBirth, new Date(2026, 2, 15)), 24);
+    assert.equal(getAgeInMonths(dateOfBirth, new Date(2024, 1, 1)), null);
+    assert.equal(getAgeInMonths(null), null);
+});
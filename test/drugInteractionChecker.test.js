@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    SEVERITY,
+    normalizeComposition,
+    resolveCompositions,
+    comparePair,
+    checkInteractions
+} = require('../src/utils/drugInteractionChecker');
+
+// Medicines without a drug_id resolve from medicine_salt or a generic name, so no database is needed
+
+test('salt forms, strengths and spelling variants normalize to one composition', () => {
+    assert.equal(normalizeComposition('Pantoprazole Sodium 40mg'), 'pantoprazole');
+    assert.equal(normalizeComposition('Amoxycillin (as trihydrate)'), 'amoxicillin');
+    assert.equal(normalizeComposition('Amoxycillin 500 mg'), 'amoxicillin');
+    assert.equal(normalizeComposition('Potassium Chloride'), 'potassium chloride');
+    assert.equal(normalizeComposition(''), '');
+});
+
+test('two brands with the same salt are a major duplicate', async () => {
+    const result = await checkInteractions(
+        [{ medicine_name: 'Dolo 650', medicine_salt: 'Paracetamol 650mg' }],
+        [{ medicin_id: 7, medicine_name: 'Crocin', medicine_salt: 'Paracetamol 500mg' }]
+    );
+
+    assert.equal(result.findings.length, 1);
+    const [finding] = result.findings;
+    assert.equal(finding.type, 'duplicate_salt');
+    assert.equal(finding.severity, SEVERITY.MAJOR);
+    assert.deepEqual(finding.medicines.map(medicine => medicine.existing), [false, true]);
+    assert.equal(finding.medicines[1].medicin_id, 7);
+    assert.equal(result.highestSeverity, SEVERITY.MAJOR);
+    assert.equal(result.checkedCount, 2);
+});
+
+test('the amoxycillin spelling is the same salt as amoxicillin', async () => {
+    const result = await checkInteractions([
+        { medicine_name: 'Mox 500', medicine_salt: 'Amoxycillin 500mg' },
+        { medicine_name: 'Augmentin 625', medicine_salt: 'Amoxicillin 500mg + Clavulanic Acid 125mg' }
+    ]);
+
+    assert.deepEqual(result.findings.map(finding => finding.type), ['duplicate_salt']);
+    assert.deepEqual(result.findings[0].compositions, ['Amoxycillin', 'Amoxicillin']);
+});
+
+test('two NSAIDs are duplicate therapy but dual antiplatelets are not', async () => {
+    const [ibuprofen, diclofenac, aspirin, clopidogrel] = await resolveCompositions([
+        { medicine_name: 'Brufen', medicine_salt: 'Ibuprofen 400mg' },
+        { medicine_name: 'Voveran', medicine_salt: 'Diclofenac Sodium 50mg' },
+        { medicine_name: 'Ecosprin', medicine_salt: 'Aspirin 75mg' },
+        { medicine_name: 'Clopilet', medicine_salt: 'Clopidogrel 75mg' }
+    ]);
+
+    const nsaids = comparePair(ibuprofen, diclofenac);
+    assert.equal(nsaids.length, 1);
+    assert.equal(nsaids[0].type, 'class_overlap');
+    assert.equal(nsaids[0].severity, SEVERITY.MAJOR);
+    assert.equal(nsaids[0].therapeuticClass, 'NSAIDs');
+
+    assert.deepEqual(comparePair(aspirin, clopidogrel), []);
+});
+
+test('a class rule matches compositions on either side: nitrate + PDE5 inhibitor is contraindicated', async () => {
+    const result = await checkInteractions(
+        [{ medicine_name: 'Sildenafil' }],
+        [{ medicine_name: 'Monotrate', medicine_salt: 'Isosorbide Mononitrate 20mg' }]
+    );
+
+    assert.equal(result.highestSeverity, SEVERITY.CONTRAINDICATED);
+    assert.equal(result.findings[0].type, 'interaction');
+    assert.deepEqual(result.findings[0].compositions, ['Sildenafil', 'Isosorbide Mononitrate']);
+    assert.deepEqual(result.unresolved, []);
+});
+
+test('medicines without a known composition are reported as unresolved', async () => {
+    const result = await checkInteractions([{ medicine_name: 'Tonic XYZ' }]);
+
+    assert.deepEqual(result.findings, []);
+    assert.equal(result.highestSeverity, null);
+    assert.deepEqual(result.unresolved.map(medicine => medicine.medicine_name), ['Tonic XYZ']);
+});
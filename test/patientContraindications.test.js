@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    SEVERITY,
+    checkPatientContraindications,
+    describeAllergen,
+    describeConditionRules
+} = require('../src/utils/drugInteractionChecker');
+
+// Medicines without a drug_id resolve from medicine_salt or a generic name, so no database is needed
+
+const PENICILLIN_ALLERGY = { allergy_id: 3, allergen: 'Penicillin', allergen_type: 'drug', severity: 'moderate', reaction: 'Rash' };
+
+test('a penicillin allergy blocks amoxicillin', async () => {
+    const result = await checkPatientContraindications(
+        [{ medicine_name: 'Mox 500', medicine_salt: 'Amoxycillin 500mg' }],
+        { allergies: [PENICILLIN_ALLERGY] }
+    );
+
+    assert.equal(result.blocked, true);
+    assert.equal(result.findings.length, 1);
+    const [finding] = result.findings;
+    assert.equal(finding.type, 'allergy');
+    assert.equal(finding.severity, SEVERITY.CONTRAINDICATED);
+    assert.equal(finding.blocking, true);
+    assert.equal(finding.allergy.allergy_id, 3);
+});
+
+test('a penicillin allergy warns about cephalosporins without blocking', async () => {
+    const result = await checkPatientContraindications(
+        [{ medicine_name: 'Cefakind 500', medicine_salt: 'Cefuroxime 500mg' }],
+        { allergies: [PENICILLIN_ALLERGY] }
+    );
+
+    assert.equal(result.blocked, false);
+    assert.equal(result.findings.length, 1);
+    assert.equal(result.findings[0].type, 'cross_reactivity');
+    assert.equal(result.findings[0].severity, SEVERITY.MAJOR);
+    assert.equal(result.findings[0].blocking, false);
+});
+
+test('a "sulfa" allergy covers the sulfonamide antibiotics', async () => {
+    assert.deepEqual(describeAllergen('Sulfa drugs'), { class: 'Sulfonamide antibiotics', composition: null });
+
+    const result = await checkPatientContraindications(
+        [{ medicine_name: 'Septran DS', medicine_salt: 'Sulfamethoxazole 800mg + Trimethoprim 160mg' }],
+        { allergies: [{ allergy_id: 4, allergen: 'Sulfa', allergen_type: 'drug' }] }
+    );
+
+    assert.equal(result.blocked, true);
+    assert.equal(result.findings[0].composition, 'Sulfamethoxazole');
+});
+
+test('any ICD-10 O code counts as pregnancy and blocks an ACE inhibitor', async () => {
+    const condition = { condition_id: 9, condition_name: 'Gestational hypertension', icd10_code: 'O13' };
+    assert.deepEqual(describeConditionRules(condition), ['Pregnancy']);
+
+    const result = await checkPatientContraindications(
+        [{ medicine_name: 'Envas 5', medicine_salt: 'Enalapril Maleate 5mg' }],
+        { conditions: [condition] }
+    );
+
+    assert.equal(result.blocked, true);
+    assert.equal(result.findings[0].type, 'condition');
+    assert.equal(result.findings[0].condition.icd10_code, 'O13');
+});
+
+test('a medicine with no known composition is reported as unresolved, not cleared', async () => {
+    const result = await checkPatientContraindications(
+        [{ medicine_name: 'Tonic XYZ' }, { medicine_name: 'Amoxicillin' }],
+        { allergies: [PENICILLIN_ALLERGY] }
+    );
+
+    assert.deepEqual(result.unresolved.map(medicine => medicine.medicine_name), ['Tonic XYZ']);
+    assert.deepEqual(result.findings.map(finding => finding.medicine.medicine_name), ['Amoxicillin']);
+    assert.equal(result.checkedCount, 2);
+});
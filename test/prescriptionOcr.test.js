@@ -0,0 +1,68 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.OCR_ENGINE = 'fake';
+
+const ocrEngines = require('../src/utils/ocrEngines');
+const { parsePrescriptionText } = require('../src/utils/prescriptionOcrParser');
+const { MAX_PAGE_PIXELS, getRenderScale } = require('../src/utils/ocrEngines/pdfPageRenderer');
+
+const { fakeEngine } = ocrEngines;
+
+/**
+ * Read a document and parse it the way the prescription import controller does
+ * @param {string} mimeType - Upload type
+ * @returns {Promise<Object>} { ocr, parsed }
+ */
+async function readPrescription(mimeType = 'image/png') {
+    const ocr = await ocrEngines.recognize({ buffer: Buffer.from('scan'), mimeType, fileName: 'scan' });
+    return { ocr, parsed: parsePrescriptionText(ocr.text) };
+}
+
+beforeEach(() => {
+    fakeEngine.reset();
+});
+
+test('recognized lines become medicines with parsed dosage', async () => {
+    fakeEngine.setResults(['Rx\n1. Tab Dolo 650 1-0-1 after food x 5 days\n2. Syp Crocin 5 ml TDS']);
+
+    const { ocr, parsed } = await readPrescription();
+
+    assert.equal(ocr.engine, 'fake');
+    assert.equal(fakeEngine.getCalls()[0].buffer, 4);
+    assert.deepEqual(parsed.medicines.map(line => line.medicine_name), ['Dolo 650', 'Crocin']);
+    assert.deepEqual(parsed.ignoredLines.map(line => line.text), ['Rx']);
+
+    const [tablet, syrup] = parsed.medicines;
+    assert.equal(tablet.dosage_form, 'tablet');
+    assert.equal(tablet.dosage.dose_morning, 1);
+    assert.equal(tablet.dosage.dose_night, 1);
+    assert.equal(tablet.dosage.food_timing, 'after_food');
+    assert.equal(tablet.dosage.duration_days, 5);
+    assert.equal(syrup.dosage.dose_quantity, 5);
+    assert.equal(syrup.dosage.doses_per_day, 3);
+});
+
+test('an empty queue reads the sample prescription', async () => {
+    const { ocr, parsed } = await readPrescription('application/pdf');
+
+    assert.equal(ocr.pages, 1);
+    assert.deepEqual(parsed.medicines.map(line => line.medicine_name), ['Dolo 650', 'Pan 40']);
+});
+
+test('engine failures reach the caller', async () => {
+    fakeEngine.setResults([new Error('unreadable scan')]);
+
+    await assert.rejects(readPrescription(), /unreadable scan/);
+});
+
+test('PDF pages render at 300 dpi within the pixel budget and oversized pages are refused', () => {
+    assert.equal(getRenderScale(595, 842) * 72, 300);
+
+    const a0Scale = getRenderScale(2384, 3370);
+    assert.ok(a0Scale * 72 < 300);
+    assert.ok(2384 * a0Scale * 3370 * a0Scale <= MAX_PAGE_PIXELS);
+
+    assert.equal(getRenderScale(14400, 14400), null);
+    assert.equal(getRenderScale(0, 842), null);
+});
@@ -0,0 +1,93 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AI_PROVIDER_ORDER = 'fake';
+
+const aiProviders = require('../src/utils/aiProviders');
+const { SOAP_RESPONSE_SCHEMA, parseSOAPResponse, validateSOAPNote, renderSOAPText } = require('../src/utils/soapNote');
+
+const { fakeProvider } = aiProviders;
+
+/**
+ * Generate a SOAP note through the provider layer the way the summary controller does
+ * @returns {Promise<Object>} validateSOAPNote result
+ */
+async function generateAndValidate() {
+    const response = await aiProviders.generateText({ prompt: 'Summarize', responseSchema: SOAP_RESPONSE_SCHEMA });
+    return validateSOAPNote(parseSOAPResponse(response.text));
+}
+
+beforeEach(() => {
+    fakeProvider.reset();
+});
+
+test('a well-formed model response validates and renders', async () => {
+    fakeProvider.setResponses({
+        text: [{
+            subjective: 'Fever for 3 days',
+            objective: 'Temp 101F',
+            assessment: 'Viral fever',
+            plan: {
+                labTests: ['CBC'],
+                medications: [{ name: 'Dolo 650', frequency: '1-0-1', duration: '5 days' }],
+                followUp: 'After 5 days',
+                advice: 'Plenty of fluids'
+            },
+            diagnoses: [{ description: 'Viral fever', icd10Code: 'b34.9' }]
+        }]
+    });
+
+    const validation = await generateAndValidate();
+
+    assert.equal(validation.valid, true);
+    assert.deepEqual(validation.errors, []);
+    assert.deepEqual(validation.note.icd10Codes, ['B34.9']);
+    assert.equal(validation.note.diagnoses[0].type, 'primary');
+    assert.equal(validation.note.plan.medications[0].name, 'Dolo 650');
+    assert.match(renderSOAPText(validation.note), /Dolo 650/);
+});
+
+test('the schema placeholder from an empty fake queue is a valid note', async () => {
+    const validation = await generateAndValidate();
+
+    assert.equal(validation.valid, true);
+    assert.deepEqual(validation.note.plan.medications, []);
+});
+
+test('invalid ICD-10 codes are dropped with a warning', async () => {
+    fakeProvider.setResponses({
+        text: [{
+            subjective: 'Cough',
+            objective: '',
+            assessment: 'URTI',
+            plan: {},
+            diagnoses: [{ description: 'URTI', icd10Code: 'not-a-code' }]
+        }]
+    });
+
+    const validation = await generateAndValidate();
+
+    assert.equal(validation.valid, true);
+    assert.equal(validation.note.diagnoses[0].icd10Code, null);
+    assert.ok(validation.warnings.some(warning => warning.includes('invalid ICD-10 code')));
+});
+
+test('a response with missing sections is rejected', async () => {
+    fakeProvider.setResponses({ text: [{ subjective: 'Cough', plan: [] }] });
+
+    const validation = await generateAndValidate();
+
+    assert.equal(validation.valid, false);
+    assert.equal(validation.note, null);
+    assert.ok(validation.errors.includes('objective must be a string'));
+    assert.ok(validation.errors.includes('plan must be an object'));
+});
+
+test('a response that is not JSON is rejected', async () => {
+    fakeProvider.setResponses({ text: ['Sorry, I cannot help with that.'] });
+
+    const validation = await generateAndValidate();
+
+    assert.equal(validation.valid, false);
+    assert.deepEqual(validation.errors, ['SOAP note must be a JSON object']);
+});